@@ -9,7 +9,7 @@ import json
 import sys
 from pathlib import Path
 
-def scan_languages(base_path):
+def scan_languages(base_path, web_data_dir):
     """Scan the languages directory and collect metadata for each language."""
     languages = []
     
@@ -25,13 +25,13 @@ def scan_languages(base_path):
             
             for lang_folder in lang_dir.iterdir():
                 if lang_folder.is_dir() and len(lang_folder.name) == 8:  # Language ID format
-                    lang_data = process_language(lang_folder)
+                    lang_data = process_language(lang_folder, web_data_dir)
                     if lang_data:
                         languages.append(lang_data)
     
     return languages
 
-def process_language(lang_folder):
+def process_language(lang_folder, web_data_dir):
     """Process a single language directory and extract metadata."""
     lang_id = lang_folder.name
     
@@ -49,6 +49,10 @@ def process_language(lang_folder):
         has_grammar = (lang_folder / "memory" / "grammar" / "grammar.txt").exists()
         has_lexicon = (lang_folder / "memory" / "lexicon" / "lexicon.csv").exists()
         has_translations = (lang_folder / "memory" / "translation" / "translation_individual.json").exists()
+        # Spelling rules and phonotactic constraints are written by hand
+        # next to the web data rather than generated
+        has_orthography = (web_data_dir / lang_id / "orthography.json").exists()
+        has_phonotactics = (web_data_dir / lang_id / "phonotactics.json").exists()
         
         # Extract basic features from grammar if available
         features = extract_features(lang_folder)
@@ -61,6 +65,8 @@ def process_language(lang_folder):
             "has_grammar": has_grammar,
             "has_lexicon": has_lexicon,
             "has_translations": has_translations,
+            "has_orthography": has_orthography,
+            "has_phonotactics": has_phonotactics,
             "features": features,
             "completeness": calculate_completeness(has_phonology, has_grammar, has_lexicon, has_translations)
         }
@@ -144,8 +150,10 @@ def main():
     else:
         base_path = "."
     
+    web_data_dir = Path(base_path) / "web" / "data"
+
     print(f"Scanning for languages in: {base_path}")
-    languages = scan_languages(base_path)
+    languages = scan_languages(base_path, web_data_dir)
     
     # Sort by creation date (newest first)
     languages.sort(key=lambda x: x["created_at"], reverse=True)
@@ -158,7 +166,6 @@ def main():
     }
     
     # Save to web/data directory
-    web_data_dir = Path(base_path) / "web" / "data"
     web_data_dir.mkdir(exist_ok=True)
     
     output_file = web_data_dir / "languages.json"
@@ -0,0 +1,503 @@
+/**
+ * Corpus Statistics - Aggregate figures over every generated language
+ *
+ * Measures each language from languages.json and its data files (inventory
+ * sizes, lexicon size and parts of speech, grammar length) and builds one
+ * page of charts: completeness, features and models, inventories, lexicons,
+ * grammar length, and constrained against unconstrained languages. Charts
+ * are inline SVG styled by the theme variables; the figures behind them
+ * download as CSV.
+ */
+
+class CorpusStatistics {
+    constructor(renderer) {
+        this.renderer = renderer;
+        // Writes the CSV downloads
+        this.delimited = new DelimitedText();
+
+        // Numeric measures, charted as histograms and compared between
+        // constrained and unconstrained languages
+        this.metrics = [
+            { key: 'completeness', label: 'Completeness (%)', binWidth: 10 },
+            { key: 'consonants', label: 'Consonants' },
+            { key: 'vowels', label: 'Vowels' },
+            { key: 'lexiconSize', label: 'Lexicon entries' },
+            { key: 'grammarWords', label: 'Grammar length (words)' }
+        ];
+
+        // Lexicon part-of-speech labels vary ("n", "noun root", "case
+        // suffix"); they are counted by class, first match wins
+        this.posClasses = [
+            { label: 'Affix / clitic', pattern: /fix\b|clitic/ },
+            { label: 'Noun', pattern: /^(?:noun|n)\b/ },
+            { label: 'Verb', pattern: /^(?:verb|v|aux)/ },
+            { label: 'Adjective', pattern: /^adj/ },
+            { label: 'Adverb', pattern: /^adv|adverb/ },
+            { label: 'Pronoun', pattern: /pronoun|^pro\b/ },
+            { label: 'Adposition', pattern: /position|^postp|^prep/ },
+            { label: 'Particle', pattern: /^part|particle/ },
+            { label: 'Conjunction', pattern: /^conj/ },
+            { label: 'Numeral', pattern: /^num/ },
+            { label: 'Root', pattern: /root/ }
+        ];
+
+        this.chartWidth = 640;
+    }
+
+    /**
+     * Load the files of every language and measure them
+     */
+    async load(languages) {
+        return Promise.all(languages.map(async (language) => {
+            const { repository } = this.renderer;
+            const [phonology, grammar, lexicon] = await Promise.all([
+                language.hasPhonology === false ? null : repository.loadText(`data/${language.id}/phonology.txt`, { optional: true }),
+                language.hasGrammar === false ? null : repository.loadText(`data/${language.id}/grammar.txt`, { optional: true }),
+                language.hasLexicon === false ? null : repository.loadJSON(`data/${language.id}/lexicon.json`, { optional: true })
+            ]);
+            return this.measure({ language, phonology, grammar, lexicon });
+        }));
+    }
+
+    /**
+     * Generate the statistics page for the given languages
+     */
+    async generateStatisticsHTML(languages) {
+        return this.renderStatisticsHTML(await this.load(languages));
+    }
+
+    /**
+     * One language's figures; a measure its files don't provide is null
+     */
+    measure({ language, phonology, grammar, lexicon }) {
+        const inventory = this.renderer.extractInventory(phonology);
+        const entries = Array.isArray(lexicon) && lexicon.length > 0 ? this.renderer.normalizeLexicon(lexicon) : null;
+        const pos = {};
+        (entries || []).forEach(entry => {
+            const posClass = this.posClass(entry.pos);
+            pos[posClass] = (pos[posClass] || 0) + 1;
+        });
+
+        return {
+            id: language.id,
+            name: language.nameOrthography || language.name,
+            model: language.model || 'unknown',
+            constrained: Boolean(language.userConstraints),
+            features: language.features || [],
+            completeness: typeof language.completeness === 'number' ? language.completeness : null,
+            consonants: inventory.charts.consonants ? inventory.consonants.length : null,
+            vowels: inventory.charts.vowels ? inventory.vowels.length : null,
+            lexiconSize: entries ? entries.length : null,
+            grammarWords: grammar && grammar.trim() ? grammar.trim().split(/\s+/).length : null,
+            pos
+        };
+    }
+
+    posClass(pos) {
+        const key = this.renderer.lexiconPosKey(pos);
+        return this.posClasses.find(posClass => posClass.pattern.test(key))?.label || 'Other';
+    }
+
+    /**
+     * Everything the page charts, from the per-language figures
+     */
+    summarize(records) {
+        const values = key => records.map(record => record[key]).filter(value => value !== null);
+        const groups = [
+            { label: 'Constrained', records: records.filter(record => record.constrained) },
+            { label: 'Unconstrained', records: records.filter(record => !record.constrained) }
+        ];
+
+        return {
+            languages: records.length,
+            lexiconEntries: values('lexiconSize').reduce((sum, size) => sum + size, 0),
+            features: this.count(records.flatMap(record => record.features)),
+            models: this.count(records.map(record => record.model)),
+            pos: this.count(records.flatMap(record => Object.entries(record.pos).flatMap(([label, n]) => Array(n).fill(label)))),
+            histograms: Object.fromEntries(this.metrics.map(metric => [metric.key, this.histogram(values(metric.key), metric.binWidth)])),
+            groups: groups.map(group => ({
+                label: group.label,
+                count: group.records.length,
+                means: Object.fromEntries(this.metrics.map(metric => [
+                    metric.key,
+                    this.mean(group.records.map(record => record[metric.key]).filter(value => value !== null))
+                ]))
+            }))
+        };
+    }
+
+    /**
+     * [{ label, value }] for each distinct item, most frequent first
+     */
+    count(items) {
+        const counts = new Map();
+        items.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+        return [...counts.entries()]
+            .map(([label, value]) => ({ label, value }))
+            .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+    }
+
+    mean(values) {
+        return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    /**
+     * Integer values in equal bins, [{ from, to, label, value }] with `to`
+     * inclusive; the bin width is 1, 2 or 5 times a power of ten, for about
+     * eight bins unless given
+     */
+    histogram(values, binWidth = null) {
+        if (values.length === 0) return [];
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const width = binWidth || this.niceStep((max - min) / 8);
+        const start = Math.floor(min / width) * width;
+        const bins = [];
+        for (let from = start; from <= max; from += width) {
+            const to = Math.min(from + width - 1, max);
+            bins.push({ from, to, label: from === to ? String(from) : `${from}–${to}`, value: 0 });
+        }
+        values.forEach(value => bins[Math.floor((value - start) / width)].value++);
+        return bins;
+    }
+
+    niceStep(span) {
+        if (span <= 1) return 1;
+        const power = 10 ** Math.floor(Math.log10(span));
+        const step = [1, 2, 5, 10].map(factor => factor * power).find(candidate => candidate >= span);
+        return Math.max(1, step);
+    }
+
+    /**
+     * The per-language figures, one row per language
+     */
+    toCSV(records) {
+        const posLabels = [...this.posClasses.map(posClass => posClass.label), 'Other'];
+        const header = ['id', 'name', 'model', 'constrained', 'completeness', 'features', 'consonants', 'vowels', 'lexicon_entries', 'grammar_words',
+            ...posLabels.map(label => `pos_${label.toLowerCase().replace(/[^a-z]+/g, '_')}`)];
+        const rows = records.map(record => [
+            record.id, record.name, record.model, record.constrained ? 'yes' : 'no', record.completeness, record.features.join('; '),
+            record.consonants, record.vowels, record.lexiconSize, record.grammarWords,
+            ...posLabels.map(label => (record.lexiconSize === null ? null : record.pos[label] || 0))
+        ]);
+        return this.delimited.write([header, ...rows]);
+    }
+
+    /**
+     * The figures behind every chart, one row per bar
+     */
+    chartsToCSV(summary) {
+        const rows = [
+            ...summary.features.map(({ label, value }) => ['features', label, value]),
+            ...summary.models.map(({ label, value }) => ['models', label, value]),
+            ...summary.pos.map(({ label, value }) => ['lexicon_pos', label, value]),
+            ...this.metrics.flatMap(metric => summary.histograms[metric.key].map(bin => [`${metric.key}_histogram`, bin.label, bin.value])),
+            ...summary.groups.flatMap(group => this.metrics.map(metric => [`mean_${metric.key}`, group.label, this.round(group.means[metric.key])]))
+        ];
+        return this.delimited.write([['chart', 'label', 'value'], ...rows]);
+    }
+
+    round(value) {
+        return value === null ? null : Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Render the statistics document
+     */
+    renderStatisticsHTML(records) {
+        const summary = this.summarize(records);
+        const title = 'Corpus Statistics';
+        const csv = JSON.stringify({
+            languages: this.toCSV(records),
+            charts: this.chartsToCSV(summary)
+        }).replace(/</g, '\\u003c');
+        const histogram = key => {
+            const metric = this.metrics.find(item => item.key === key);
+            return this.renderHistogram(`chart-${key}`, metric.label, summary.histograms[key]);
+        };
+
+        return `
+<!DOCTYPE html>
+<html lang="en"${this.renderer.themes.documentAttribute()}>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>${this.renderer.generateCSS()}${this.generateCSS()}</style>
+</head>
+<body>
+    <div class="header">
+        <h1>${title}</h1>
+    </div>
+
+    ${this.renderSection('stats-overview', 'Overview', this.renderOverview(records, summary))}
+    ${this.renderSection('stats-completeness', 'Completeness', histogram('completeness'))}
+    ${this.renderSection('stats-features', 'Features and Models', `
+        ${this.renderBarChart('chart-features', 'Languages per feature', summary.features)}
+        ${this.renderBarChart('chart-models', 'Languages per model', summary.models)}`)}
+    ${this.renderSection('stats-inventories', 'Phoneme Inventories', `${histogram('consonants')}${histogram('vowels')}`)}
+    ${this.renderSection('stats-lexicons', 'Lexicons', `
+        ${histogram('lexiconSize')}
+        ${this.renderBarChart('chart-pos', 'Lexicon entries per part of speech (all languages)', summary.pos)}`)}
+    ${this.renderSection('stats-grammar', 'Grammar Documents', histogram('grammarWords'))}
+    ${this.renderSection('stats-constraints', 'Constrained vs. Unconstrained', this.renderGroupComparison(summary.groups))}
+
+    <script type="application/json" id="statistics-csv">${csv}</script>
+    <script>${this.renderer.generateSectionScript()}${this.generateScript()}</script>
+</body>
+</html>`;
+    }
+
+    renderSection(id, title, content) {
+        return `
+    <div class="section" id="${id}">
+        ${this.renderer.renderSectionHeader(id, title)}
+        <div class="section-content" id="section-${id}">
+            ${content}
+        </div>
+    </div>`;
+    }
+
+    renderOverview(records, summary) {
+        const withLexicon = records.filter(record => record.lexiconSize !== null).length;
+        const constrained = summary.groups.find(group => group.label === 'Constrained').count;
+        const facts = [
+            ['Languages', summary.languages],
+            ['Constrained by the user', constrained],
+            ['With a lexicon', withLexicon],
+            ['Lexicon entries', summary.lexiconEntries],
+            ['Distinct features', summary.features.length],
+            ['Models', summary.models.length]
+        ];
+        return `
+            <table class="phonology-table stats-overview">
+                <tbody>${facts.map(([label, value]) => `<tr><th scope="row">${label}</th><td>${value}</td></tr>`).join('')}</tbody>
+            </table>
+            <p class="stats-downloads">
+                <button type="button" data-csv="languages">Download per-language figures (CSV)</button>
+                <button type="button" data-csv="charts">Download chart data (CSV)</button>
+            </p>`;
+    }
+
+    /**
+     * A chart with its caption and, folded away, the numbers it shows
+     */
+    renderFigure(id, caption, svg, rows, headers) {
+        const escape = value => this.renderer.escapeHtml(String(value));
+        return `
+        <figure class="stats-figure">
+            <figcaption id="${id}-caption">${escape(caption)}</figcaption>
+            ${svg}
+            <details class="stats-data">
+                <summary>Data</summary>
+                <table class="phonology-table">
+                    <thead><tr>${headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr></thead>
+                    <tbody>${rows.map(row => `<tr>${row.map(value => `<td>${escape(value ?? '—')}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </details>
+        </figure>`;
+    }
+
+    /**
+     * Horizontal bars for counted categories
+     */
+    renderBarChart(id, caption, rows) {
+        if (rows.length === 0) return `<p><em>No data for ${this.renderer.escapeHtml(caption.toLowerCase())}.</em></p>`;
+
+        const escape = value => this.renderer.escapeHtml(String(value));
+        const labelWidth = 220;
+        const rowHeight = 24;
+        const barArea = this.chartWidth - labelWidth - 48;
+        const max = Math.max(...rows.map(row => row.value));
+        const height = rows.length * rowHeight + 8;
+
+        const bars = rows.map((row, i) => {
+            const y = 4 + i * rowHeight;
+            const width = max ? Math.max(1, Math.round((row.value / max) * barArea)) : 0;
+            return `<g>
+                <title>${escape(row.label)}: ${row.value}</title>
+                <text class="chart-label" x="${labelWidth - 8}" y="${y + 16}" text-anchor="end">${escape(row.label)}</text>
+                <rect class="chart-bar" x="${labelWidth}" y="${y + 3}" width="${width}" height="${rowHeight - 6}" rx="2"></rect>
+                <text class="chart-value" x="${labelWidth + width + 6}" y="${y + 16}">${row.value}</text>
+            </g>`;
+        }).join('');
+
+        const svg = `<svg class="stats-chart" viewBox="0 0 ${this.chartWidth} ${height}" role="img" aria-labelledby="${id}-caption">${bars}</svg>`;
+        return this.renderFigure(id, caption, svg, rows.map(row => [row.label, row.value]), ['', 'Count']);
+    }
+
+    /**
+     * Vertical bars for binned values, labelled under each bin
+     */
+    renderHistogram(id, caption, bins) {
+        if (bins.length === 0) return `<p><em>No data for ${this.renderer.escapeHtml(caption.toLowerCase())}.</em></p>`;
+
+        const escape = value => this.renderer.escapeHtml(String(value));
+        const top = 20;
+        const plotHeight = 160;
+        const bottom = top + plotHeight;
+        const left = 8;
+        const band = (this.chartWidth - left * 2) / bins.length;
+        const max = Math.max(...bins.map(bin => bin.value));
+
+        const bars = bins.map((bin, i) => {
+            const x = left + i * band;
+            const barHeight = max ? Math.round((bin.value / max) * plotHeight) : 0;
+            const center = x + band / 2;
+            return `<g>
+                <title>${escape(bin.label)}: ${bin.value} ${bin.value === 1 ? 'language' : 'languages'}</title>
+                <rect class="chart-bar" x="${(x + 3).toFixed(1)}" y="${bottom - barHeight}" width="${(band - 6).toFixed(1)}" height="${barHeight}" rx="2"></rect>
+                ${bin.value ? `<text class="chart-value" x="${center.toFixed(1)}" y="${bottom - barHeight - 5}" text-anchor="middle">${bin.value}</text>` : ''}
+                <text class="chart-label" x="${center.toFixed(1)}" y="${bottom + 16}" text-anchor="middle">${escape(bin.label)}</text>
+            </g>`;
+        }).join('');
+
+        const svg = `<svg class="stats-chart" viewBox="0 0 ${this.chartWidth} ${bottom + 24}" role="img" aria-labelledby="${id}-caption">
+            ${bars}
+            <line class="chart-axis" x1="${left}" y1="${bottom}" x2="${this.chartWidth - left}" y2="${bottom}"></line>
+        </svg>`;
+        return this.renderFigure(id, `${caption}: languages per range`, svg, bins.map(bin => [bin.label, bin.value]), [caption, 'Languages']);
+    }
+
+    /**
+     * Mean of each measure for constrained and unconstrained languages;
+     * each pair of bars has its own scale, since the measures differ
+     */
+    renderGroupComparison(groups) {
+        const escape = value => this.renderer.escapeHtml(String(value));
+        const labelWidth = 200;
+        const barArea = this.chartWidth - labelWidth - 56;
+        const barHeight = 14;
+        const groupHeight = groups.length * (barHeight + 4) + 14;
+
+        const rows = this.metrics.map((metric, i) => {
+            const y = 28 + i * groupHeight;
+            const max = Math.max(0, ...groups.map(group => group.means[metric.key] ?? 0));
+            const bars = groups.map((group, g) => {
+                const mean = group.means[metric.key];
+                const width = max && mean !== null ? Math.max(1, Math.round((mean / max) * barArea)) : 0;
+                const barY = y + g * (barHeight + 4);
+                return `<g>
+                    <title>${escape(metric.label)}, ${group.label.toLowerCase()}: ${mean === null ? 'no data' : this.round(mean)}</title>
+                    <rect class="chart-bar chart-series-${g}" x="${labelWidth}" y="${barY}" width="${width}" height="${barHeight}" rx="2"></rect>
+                    <text class="chart-value" x="${labelWidth + width + 6}" y="${barY + 11}">${mean === null ? '—' : this.round(mean)}</text>
+                </g>`;
+            }).join('');
+            return `<text class="chart-label" x="${labelWidth - 8}" y="${y + groupHeight / 2 - 3}" text-anchor="end">${escape(metric.label)}</text>${bars}`;
+        }).join('');
+
+        const legend = groups.map((group, g) => `
+            <rect class="chart-bar chart-series-${g}" x="${labelWidth + g * 160}" y="4" width="12" height="12" rx="2"></rect>
+            <text class="chart-label" x="${labelWidth + g * 160 + 18}" y="14">${escape(group.label)} (${group.count})</text>`).join('');
+
+        const height = 28 + this.metrics.length * groupHeight;
+        const svg = `<svg class="stats-chart" viewBox="0 0 ${this.chartWidth} ${height}" role="img" aria-labelledby="chart-constraints-caption">${legend}${rows}</svg>`;
+        const tableRows = this.metrics.map(metric => [metric.label, ...groups.map(group => this.round(group.means[metric.key]))]);
+        return `
+            <p>Languages generated with user constraints against those generated freely; bars are means, each measure on its own scale.</p>
+            ${this.renderFigure('chart-constraints', 'Mean of each measure, constrained vs. unconstrained', svg, tableRows, ['Measure', ...groups.map(group => `${group.label} (${group.count})`)])}`;
+    }
+
+    /**
+     * CSV downloads; the page has no access to the site, so the files are
+     * built from the figures embedded in it. Of the renderer's scripts the
+     * page only takes the section toggles.
+     */
+    generateScript() {
+        return `
+        (() => {
+            const data = document.getElementById('statistics-csv');
+            if (!data) return;
+            const files = JSON.parse(data.textContent);
+
+            document.querySelectorAll('button[data-csv]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const link = document.createElement('a');
+                    link.href = URL.createObjectURL(new Blob([files[button.dataset.csv]], { type: 'text/csv' }));
+                    link.download = 'conlang-statistics-' + button.dataset.csv + '.csv';
+                    link.click();
+                    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+                });
+            });
+        })();
+        `;
+    }
+
+    generateCSS() {
+        return `
+        .stats-figure {
+            margin: 1.5rem 0;
+        }
+
+        .stats-figure figcaption {
+            font-weight: 600;
+            color: var(--color-primary-strong);
+            margin-bottom: 0.5rem;
+        }
+
+        .stats-chart {
+            display: block;
+            width: 100%;
+            max-width: ${this.chartWidth}px;
+            height: auto;
+        }
+
+        .chart-bar {
+            fill: var(--color-primary);
+        }
+
+        .chart-bar.chart-series-1 {
+            fill: var(--color-warning);
+        }
+
+        .chart-label {
+            fill: var(--color-text);
+            font-size: 12px;
+        }
+
+        .chart-value {
+            fill: var(--color-text-muted);
+            font-size: 12px;
+        }
+
+        .chart-axis {
+            stroke: var(--color-border-strong);
+        }
+
+        .stats-data summary {
+            cursor: pointer;
+            color: var(--color-text-muted);
+            font-size: 0.9rem;
+        }
+
+        .stats-overview th {
+            text-align: left;
+        }
+
+        .stats-downloads {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+        }
+
+        .stats-downloads button {
+            background: var(--color-primary);
+            color: var(--color-on-primary);
+            border: none;
+            border-radius: 5px;
+            padding: 0.4rem 0.8rem;
+            cursor: pointer;
+            font: inherit;
+        }
+
+        @media print {
+            .stats-downloads {
+                display: none;
+            }
+        }
+        `;
+    }
+}
+
+// Export for use in main.js
+window.CorpusStatistics = CorpusStatistics;
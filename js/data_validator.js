@@ -0,0 +1,383 @@
+/**
+ * Data Validator - Checks languages.json and each language's folder against
+ * the JSON Schemas in schemas/ and against each other: the has_* flags
+ * against the files present, a complete language against its parts,
+ * metadata.json against languages.json, and the lexicon's columns. Runs in
+ * debug.html and in Node (tools/validate_data.js).
+ */
+
+class DataValidator {
+    constructor(repository = new LanguageRepository()) {
+        this.repository = repository;
+        this.indexPath = repository.indexPath;
+        this.schemaPaths = {
+            languages: 'schemas/languages.schema.json',
+            metadata: 'schemas/metadata.schema.json',
+            lexicon: 'schemas/lexicon.schema.json',
+            orthography: 'schemas/orthography.schema.json',
+            phonotactics: 'schemas/phonotactics.schema.json'
+        };
+        // Most severe first
+        this.severities = ['error', 'warning', 'info'];
+
+        // The flags in languages.json and the files they promise. The browser
+        // doesn't request a file whose flag is false (or, for the optional
+        // files, unset).
+        this.flaggedFiles = [
+            { flag: 'has_phonology', file: 'phonology.txt', part: 'phonology' },
+            { flag: 'has_grammar', file: 'grammar.txt', part: 'grammar' },
+            { flag: 'has_lexicon', file: 'lexicon.json', part: 'lexicon' },
+            { flag: 'has_orthography', file: 'orthography.json', optional: true },
+            { flag: 'has_phonotactics', file: 'phonotactics.json', optional: true }
+        ];
+
+        // Fields metadata.json repeats from languages.json, which is the
+        // one the browser reads
+        this.sharedFields = ['model', 'user_constraints', 'has_phonology', 'has_grammar', 'has_lexicon', 'completeness', 'features'];
+    }
+
+    /**
+     * Validate the whole data directory. `folders`, where the caller can
+     * list the directory (Node), is checked for folders languages.json
+     * leaves out. Returns { issues, languages: [{ id, name, issues }],
+     * counts }, each issue being { severity, file, message }.
+     */
+    async validate({ folders = null } = {}) {
+        const schemas = await this.loadSchemas();
+        const report = { issues: [], languages: [], counts: {} };
+        const index = await this.loadFile(this.indexPath, report.issues, 'json');
+
+        if (index) {
+            const languageErrors = new Map();
+            this.validateSchema(index, schemas.languages).forEach(error => {
+                // Errors inside an entry are listed under its language
+                if (error.path[0] === 'languages' && error.path.length > 1) {
+                    const position = Number(error.path[1]);
+                    if (!languageErrors.has(position)) languageErrors.set(position, []);
+                    languageErrors.get(position).push(this.issue('error', this.indexPath, this.describeError(error, 2)));
+                } else {
+                    report.issues.push(this.issue('error', this.indexPath, this.describeError(error)));
+                }
+            });
+
+            const entries = Array.isArray(index.languages) ? index.languages : [];
+            const seen = new Set();
+            entries.forEach(entry => {
+                if (seen.has(entry?.id)) report.issues.push(this.issue('error', this.indexPath, `"${entry.id}" is listed more than once`));
+                seen.add(entry?.id);
+            });
+
+            report.languages = await Promise.all(entries.map(async (entry, position) => ({
+                id: entry?.id ?? `#${position + 1}`,
+                name: entry?.name || null,
+                issues: this.sortIssues([
+                    ...(languageErrors.get(position) || []),
+                    ...(typeof entry?.id === 'string' ? await this.validateLanguage(entry, schemas) : [])
+                ])
+            })));
+
+            (folders || []).filter(folder => !seen.has(folder)).forEach(folder => {
+                report.issues.push(this.issue('warning', `data/${folder}/`, 'Not listed in languages.json, so the browser never shows it'));
+            });
+        }
+
+        report.issues = this.sortIssues(report.issues);
+        this.severities.forEach(severity => {
+            report.counts[severity] = [report.issues, ...report.languages.map(language => language.issues)]
+                .reduce((sum, issues) => sum + issues.filter(issue => issue.severity === severity).length, 0);
+        });
+        return report;
+    }
+
+    async loadSchemas() {
+        const entries = await Promise.all(Object.entries(this.schemaPaths).map(async ([name, path]) => [name, await this.repository.loadJSON(path)]));
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Checks for one language; `entry` is its object in languages.json
+     */
+    async validateLanguage(entry, schemas) {
+        const issues = [];
+        const folder = `data/${entry.id}`;
+        const [metadata, phonology, grammar, lexicon, orthography, phonotactics] = await Promise.all([
+            this.loadFile(`${folder}/metadata.json`, issues, 'json'),
+            this.loadFile(`${folder}/phonology.txt`, issues),
+            this.loadFile(`${folder}/grammar.txt`, issues),
+            this.loadFile(`${folder}/lexicon.json`, issues, 'json'),
+            this.loadFile(`${folder}/orthography.json`, issues, 'json'),
+            this.loadFile(`${folder}/phonotactics.json`, issues, 'json')
+        ]);
+        const files = { 'phonology.txt': phonology, 'grammar.txt': grammar, 'lexicon.json': lexicon, 'orthography.json': orthography, 'phonotactics.json': phonotactics };
+
+        // The flags against the files
+        this.flaggedFiles.forEach(({ flag, file, optional }) => {
+            const present = files[file] !== undefined;
+            const path = `${folder}/${file}`;
+            if (entry[flag] === true && !present) {
+                issues.push(this.issue('error', path, `${flag} is true in languages.json but the file is missing`));
+            } else if (entry[flag] !== true && present && (entry[flag] === false || optional)) {
+                issues.push(this.issue('warning', path, `The file exists but ${flag} is ${entry[flag] ?? 'not set'} in languages.json, so it is never shown`));
+            }
+        });
+        ['phonology.txt', 'grammar.txt'].forEach(file => {
+            if (typeof files[file] === 'string' && !files[file].trim()) issues.push(this.issue('warning', `${folder}/${file}`, 'The file is empty'));
+        });
+
+        // How the parts are weighted depends on the script that wrote
+        // languages.json, so only a complete language is checked: it has
+        // every part
+        const missing = this.flaggedFiles.filter(({ part, file }) => part && files[file] === undefined);
+        if (entry.completeness === 100 && missing.length > 0) {
+            issues.push(this.issue('warning', this.indexPath, `completeness is 100 but ${missing.map(({ file }) => file).join(' and ')} ${missing.length === 1 ? 'is' : 'are'} missing`));
+        }
+        [['orthography.json', schemas.orthography], ['phonotactics.json', schemas.phonotactics]].forEach(([file, schema]) => {
+            if (files[file] === undefined || files[file] === null) return;
+            this.validateSchema(files[file], schema).forEach(error => {
+                issues.push(this.issue('error', `${folder}/${file}`, this.describeError(error)));
+            });
+        });
+
+        if (metadata === undefined) {
+            issues.push(this.issue('error', `${folder}/metadata.json`, 'The file is missing'));
+        } else if (metadata !== null) {
+            this.validateSchema(metadata, schemas.metadata).forEach(error => {
+                issues.push(this.issue('error', `${folder}/metadata.json`, this.describeError(error)));
+            });
+            if (metadata?.id !== undefined && metadata.id !== entry.id) {
+                issues.push(this.issue('error', `${folder}/metadata.json`, `id is "${metadata.id}", not the folder's "${entry.id}"`));
+            }
+            issues.push(...this.compareMetadata(entry, metadata, `${folder}/metadata.json`));
+        }
+
+        if (lexicon !== undefined && lexicon !== null) {
+            issues.push(...this.checkLexicon(lexicon, schemas.lexicon, `${folder}/lexicon.json`));
+        }
+        return issues;
+    }
+
+    /**
+     * Fields repeated in metadata.json: a disagreement is a warning, and
+     * the repetition itself a note
+     */
+    compareMetadata(entry, metadata, file) {
+        const issues = [];
+        const repeated = this.sharedFields.filter(field => field in metadata && field in entry);
+        const differing = repeated.filter(field => JSON.stringify(metadata[field]) !== JSON.stringify(entry[field]));
+
+        differing.forEach(field => {
+            issues.push(this.issue('warning', file, `${field} is ${JSON.stringify(metadata[field])} here but ${JSON.stringify(entry[field])} in languages.json, which the browser uses`));
+        });
+        if (repeated.length > differing.length) {
+            const same = repeated.filter(field => !differing.includes(field));
+            issues.push(this.issue('info', file, `Repeats ${same.join(', ')} from languages.json`));
+        }
+        return issues;
+    }
+
+    /**
+     * Schema errors in the lexicon, one issue per kind of error with the
+     * entries it affects, and the generator's unnamed "null" column
+     */
+    checkLexicon(lexicon, schema, file) {
+        const issues = [];
+        const groups = new Map();
+        this.validateSchema(lexicon, schema).forEach(error => {
+            if (error.path.length === 0) {
+                issues.push(this.issue('error', file, this.describeError(error)));
+                return;
+            }
+            const key = this.describeError(error, 1);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(Number(error.path[0]) + 1);
+        });
+        groups.forEach((entries, message) => {
+            const shown = entries.slice(0, 5).join(', ');
+            const more = entries.length > 5 ? ` and ${entries.length - 5} more` : '';
+            issues.push(this.issue('error', file, `${message} (${entries.length === 1 ? 'entry' : 'entries'} ${shown}${more})`));
+        });
+
+        if (Array.isArray(lexicon)) {
+            const unnamed = lexicon.filter(entry => entry && typeof entry === 'object' && 'null' in entry).length;
+            if (unnamed > 0) {
+                issues.push(this.issue('warning', file, `${unnamed} of ${lexicon.length} entries have an unnamed "null" column (read as the word's forms)`));
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * A data file: its text or parsed JSON, undefined if it doesn't exist,
+     * or null (with an error added to `issues`) if it can't be read
+     */
+    async loadFile(path, issues, format = 'text') {
+        try {
+            const text = await this.repository.loadText(path);
+            if (format !== 'json') return text;
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                issues.push(this.issue('error', path, `Not valid JSON: ${error.message}`));
+                return null;
+            }
+        } catch (error) {
+            if (error instanceof FileAbsentError) {
+                if (path === this.indexPath) issues.push(this.issue('error', path, 'The file is missing'));
+                return undefined;
+            }
+            issues.push(this.issue('error', path, error.message));
+            return null;
+        }
+    }
+
+    issue(severity, file, message) {
+        return { severity, file, message };
+    }
+
+    sortIssues(issues) {
+        return issues
+            .map((issue, order) => ({ issue, order }))
+            .sort((a, b) => this.severities.indexOf(a.issue.severity) - this.severities.indexOf(b.issue.severity) || a.order - b.order)
+            .map(({ issue }) => issue);
+    }
+
+    /**
+     * Validate a value against a JSON Schema. Covers the keywords the
+     * schemas in schemas/ use: type, enum, properties, required,
+     * additionalProperties, items, minimum, maximum, minLength, pattern,
+     * uniqueItems and local $refs. Returns [{ path, message }], `path`
+     * being the keys down to the value.
+     */
+    validateSchema(value, schema, root = schema, path = []) {
+        if (schema.$ref) {
+            return this.validateSchema(value, this.resolveRef(schema.$ref, root), root, path);
+        }
+        if (schema === true || schema === undefined) return [];
+        if (schema === false) return [{ path, message: 'is not allowed' }];
+
+        const errors = [];
+        const fail = message => errors.push({ path, message });
+        const type = this.typeOf(value);
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            const matches = types.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+            if (!matches) {
+                fail(`should be ${types.join(' or ')}, not ${type}`);
+                return errors;
+            }
+        }
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            fail(`should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+
+        if (type === 'string') {
+            if (schema.minLength !== undefined && [...value].length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'should not be empty' : `should be at least ${schema.minLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(`"${value}" does not match ${schema.pattern}`);
+        }
+        if (type === 'number' || type === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`should be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`should be at most ${schema.maximum}`);
+        }
+
+        if (type === 'array') {
+            if (schema.uniqueItems) {
+                const seen = new Set();
+                value.forEach(item => {
+                    const key = JSON.stringify(item);
+                    if (seen.has(key)) fail(`lists ${key} more than once`);
+                    seen.add(key);
+                });
+            }
+            if (schema.items !== undefined) {
+                value.forEach((item, i) => errors.push(...this.validateSchema(item, schema.items, root, [...path, String(i)])));
+            }
+        }
+
+        if (type === 'object') {
+            (schema.required || []).filter(key => !(key in value)).forEach(key => fail(`is missing "${key}"`));
+            const properties = schema.properties || {};
+            Object.entries(value).forEach(([key, item]) => {
+                if (key in properties) {
+                    errors.push(...this.validateSchema(item, properties[key], root, [...path, key]));
+                } else if (schema.additionalProperties === false) {
+                    fail(`has an unknown field "${key}"`);
+                } else if (schema.additionalProperties !== undefined) {
+                    errors.push(...this.validateSchema(item, schema.additionalProperties, root, [...path, key]));
+                }
+            });
+        }
+        return errors;
+    }
+
+    resolveRef(ref, root) {
+        if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${ref}`);
+        return ref.slice(2).split('/').reduce((schema, key) => schema?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+    }
+
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * An error as text, leaving out the first `skip` keys of its path
+     * (those the issue's context already gives)
+     */
+    describeError(error, skip = 0) {
+        const keys = error.path.slice(skip);
+        return keys.length ? `${keys.join('.')} ${error.message}` : `${error.message[0].toUpperCase()}${error.message.slice(1)}`;
+    }
+
+    /**
+     * The report as plain text, one line per issue under each language
+     * with any
+     */
+    formatText(report, { minimumSeverity = 'info' } = {}) {
+        const shown = issues => issues.filter(issue => this.severities.indexOf(issue.severity) <= this.severities.indexOf(minimumSeverity));
+        const line = issue => `  ${issue.severity.padEnd(8)}${issue.file}: ${issue.message}`;
+        const lines = [
+            `${report.languages.length} languages: ${this.severities.map(severity => `${report.counts[severity]} ${this.plural(severity, report.counts[severity])}`).join(', ')}`
+        ];
+
+        if (shown(report.issues).length) lines.push('', 'Data directory', ...shown(report.issues).map(line));
+        report.languages.forEach(language => {
+            const issues = shown(language.issues);
+            if (issues.length) lines.push('', `${language.id}${language.name ? ` ${language.name}` : ''}`, ...issues.map(line));
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    plural(severity, count) {
+        const names = { error: 'error', warning: 'warning', info: 'note' };
+        return `${names[severity]}${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * The report as HTML for debug.html
+     */
+    renderHTML(report) {
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const list = issues => `<ul class="validation-issues">${issues.map(issue => `
+            <li class="issue-${issue.severity}"><strong>${issue.severity}</strong> <code>${escape(issue.file)}</code> ${escape(issue.message)}</li>`).join('')}
+        </ul>`;
+        const summary = this.severities.map(severity => `<span class="issue-${severity}">${report.counts[severity]} ${this.plural(severity, report.counts[severity])}</span>`).join(', ');
+
+        return `
+            <p>${report.languages.length} languages: ${summary}</p>
+            ${report.issues.length ? `<h3>Data directory</h3>${list(report.issues)}` : ''}
+            ${report.languages.filter(language => language.issues.length).map(language => `
+                <details${language.issues.some(issue => issue.severity === 'error') ? ' open' : ''}>
+                    <summary>${escape(language.id)}${language.name ? ` ${escape(language.name)}` : ''} (${language.issues.length})</summary>
+                    ${list(language.issues)}
+                </details>`).join('')}
+        `;
+    }
+}
+
+// Export for use in debug.html and tools/validate_data.js
+window.DataValidator = DataValidator;
@@ -0,0 +1,52 @@
+/**
+ * Delimited Text - Rows of values as CSV or TSV, for the lexicon and
+ * statistics downloads
+ */
+
+class DelimitedText {
+    constructor() {
+        // Spreadsheet programs run a cell starting with one of these as a
+        // formula; suffixes such as -ka start with one
+        this.formulaStart = /^'*[=+\-@]/;
+    }
+
+    /**
+     * CSV (quoted where needed, CRLF) or TSV; null and undefined are empty
+     * cells. Text that would be read as a formula gets a leading
+     * apostrophe, which spreadsheets hide and unguard() removes.
+     */
+    write(rows, delimiter = ',') {
+        const cell = delimiter === ','
+            ? value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value)
+            // TSV has no quoting, so tabs and line breaks become spaces
+            : value => value.replace(/[\t\r\n]+/g, ' ');
+        const newline = delimiter === ',' ? '\r\n' : '\n';
+        const lines = rows.map(values => values
+            .map(value => {
+                if (value === null || value === undefined) return '';
+                return cell(typeof value === 'number' ? String(value) : this.guard(String(value)));
+            })
+            .join(delimiter));
+
+        // The byte order mark makes spreadsheet programs read the IPA as UTF-8
+        return `\uFEFF${lines.join(newline)}${newline}`;
+    }
+
+    /**
+     * Text as it is written to a cell. Apostrophes already in front of a
+     * formula character get one more, so that unguard() restores them.
+     */
+    guard(text) {
+        return this.formulaStart.test(text) ? `'${text}` : text;
+    }
+
+    /**
+     * A cell's text as it was before guard()
+     */
+    unguard(text) {
+        return text.startsWith("'") && this.formulaStart.test(text.slice(1)) ? text.slice(1) : text;
+    }
+}
+
+// Export for use in lexicon_formats.js and corpus_statistics.js
+window.DelimitedText = DelimitedText;
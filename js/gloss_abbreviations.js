@@ -0,0 +1,95 @@
+/**
+ * Gloss Abbreviations - Definitions for grammatical labels used in interlinear glosses
+ */
+
+class GlossAbbreviations {
+    constructor() {
+        // Standard abbreviations from the Leipzig Glossing Rules (Appendix)
+        this.leipzig = {
+            '1': 'first person', '2': 'second person', '3': 'third person',
+            A: 'agent-like argument of canonical transitive verb', ABL: 'ablative', ABS: 'absolutive',
+            ACC: 'accusative', ADJ: 'adjective', ADV: 'adverb(ial)', AGR: 'agreement',
+            ALL: 'allative', ANTIP: 'antipassive', APPL: 'applicative', ART: 'article',
+            AUX: 'auxiliary', BEN: 'benefactive', CAUS: 'causative', CLF: 'classifier',
+            COM: 'comitative', COMP: 'complementizer', COMPL: 'completive', COND: 'conditional',
+            COP: 'copula', CVB: 'converb', DAT: 'dative', DECL: 'declarative', DEF: 'definite',
+            DEM: 'demonstrative', DET: 'determiner', DIST: 'distal', DISTR: 'distributive',
+            DU: 'dual', DUR: 'durative', ERG: 'ergative', EXCL: 'exclusive', F: 'feminine',
+            FOC: 'focus', FUT: 'future', GEN: 'genitive', IMP: 'imperative', INCL: 'inclusive',
+            IND: 'indicative', INDF: 'indefinite', INF: 'infinitive', INS: 'instrumental',
+            INTR: 'intransitive', IPFV: 'imperfective', IRR: 'irrealis', LOC: 'locative',
+            M: 'masculine', N: 'neuter', NEG: 'negation, negative', NMLZ: 'nominalizer/nominalization',
+            NOM: 'nominative', OBJ: 'object', OBL: 'oblique', P: 'patient-like argument of canonical transitive verb',
+            PASS: 'passive', PFV: 'perfective', PL: 'plural', POSS: 'possessive', PRED: 'predicative',
+            PRF: 'perfect', PRS: 'present', PROG: 'progressive', PROH: 'prohibitive', PROX: 'proximal/proximate',
+            PST: 'past', PTCP: 'participle', PURP: 'purposive', Q: 'question particle/marker',
+            QUOT: 'quotative', RECP: 'reciprocal', REFL: 'reflexive', REL: 'relative', RES: 'resultative',
+            S: 'single argument of canonical intransitive verb', SBJ: 'subject', SBJV: 'subjunctive',
+            SG: 'singular', TOP: 'topic', TR: 'transitive', VOC: 'vocative'
+        };
+
+        // Widespread non-Leipzig labels that the generated grammars use
+        this.common = {
+            AGT: 'agentive', PAT: 'patientive', EVID: 'evidential', RECIP: 'reciprocal',
+            PERF: 'perfective/perfect', IMPF: 'imperfective', HAB: 'habitual', PRES: 'present',
+            PAST: 'past', SUBJ: 'subject', INAN: 'inanimate', ANIM: 'animate', HUM: 'human',
+            NONHUM: 'non-human', OBV: 'obviative', CL: 'noun class', CLS: 'classifier',
+            PRO: 'pronoun', SS: 'same subject', DS: 'different subject', DIR: 'direct/directional',
+            INV: 'inverse', VIS: 'visual (evidential)', NVIS: 'non-visual (evidential)',
+            INFR: 'inferential', INFER: 'inferential', REP: 'reportative', REPORT: 'reportative',
+            ASSUM: 'assumed', DIRECT: 'direct (evidential)', HEARSAY: 'hearsay', NEUT: 'neutral',
+            INTERR: 'interrogative', INT: 'interrogative', EMPH: 'emphatic', HON: 'honorific',
+            PART: 'particle', PRT: 'particle', CONJ: 'conjunction', NMZ: 'nominalizer',
+            NOMZ: 'nominalizer', ADVZ: 'adverbializer', VBZ: 'verbalizer', DIM: 'diminutive',
+            AUG: 'augmentative', COLL: 'collective', PAUC: 'paucal', TRI: 'trial', ASSOC: 'associative',
+            INESS: 'inessive', ELAT: 'elative', ILL: 'illative', PERL: 'perlative', ESS: 'essive',
+            INST: 'instrumental', INSTR: 'instrumental', POSTP: 'postposition', PREP: 'preposition',
+            OPT: 'optative', POT: 'potential', HORT: 'hortative', JUSS: 'jussive', DEB: 'debitive',
+            NECESS: 'necessitative', INCH: 'inchoative', ITER: 'iterative', CONT: 'continuous',
+            STAT: 'stative', ACT: 'active', MID: 'middle', REAL: 'realis', SEQ: 'sequential',
+            SIM: 'simultaneous', LINK: 'linker', GNO: 'gnomic', MIR: 'mirative',
+            MED: 'medial', NPST: 'non-past', REM: 'remote', REC: 'recent', IMM: 'immediate',
+            SPEC: 'specific', NSPEC: 'non-specific', EXIST: 'existential', NUM: 'numeral',
+            ORD: 'ordinal', PERS: 'person', OBLIG: 'obligative', APPR: 'apprehensive'
+        };
+    }
+
+    /**
+     * Look up a label. Person/number composites such as 3SG or 1PL are
+     * decomposed into their parts. Returns { label, meaning, status } where
+     * status is 'leipzig', 'common' or 'unknown'.
+     */
+    lookup(label) {
+        if (this.leipzig[label]) return { label, meaning: this.leipzig[label], status: 'leipzig' };
+        if (this.common[label]) return { label, meaning: this.common[label], status: 'common' };
+
+        const composite = label.match(/^([123])([A-Z]+)$/);
+        if (composite) {
+            // In composites, 3S / 3P / 3D are shorthand for number, not S/P arguments
+            const shorthand = { S: 'singular', P: 'plural', D: 'dual' }[composite[2]];
+            const rest = shorthand
+                ? { meaning: shorthand, status: 'common' }
+                : this.lookup(composite[2]);
+            if (rest.status !== 'unknown') {
+                return {
+                    label,
+                    meaning: `${this.leipzig[composite[1]]} ${rest.meaning}`,
+                    status: rest.status
+                };
+            }
+        }
+
+        return { label, meaning: null, status: 'unknown' };
+    }
+
+    /**
+     * Tooltip text for a label
+     */
+    describe(label) {
+        const entry = this.lookup(label);
+        return entry.meaning || 'Unlisted abbreviation';
+    }
+}
+
+// Export for use in language_renderer.js
+window.GlossAbbreviations = GlossAbbreviations;
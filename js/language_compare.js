@@ -0,0 +1,414 @@
+/**
+ * Language Compare - Side-by-side comparison of 2–4 languages
+ *
+ * Builds one page where the languages share rows: feature tags, typology
+ * facts, consonant and vowel inventories aligned by place/manner and
+ * backness/height, and lexicon entries that share a translation.
+ */
+
+class LanguageComparison {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.minLanguages = 2;
+        this.maxLanguages = 4;
+
+        // Charts are drawn from the structured phoneme inventory
+        this.inventory = renderer.phonemeInventory;
+
+        this.typology = [
+            { key: 'wordOrder', label: 'Word order', feature: /^(\w+) Word Order$/, text: /\b(SOV|SVO|VSO|VOS|OVS|OSV)\b/ },
+            {
+                key: 'alignment',
+                label: 'Alignment',
+                feature: /^(.+) Alignment$/,
+                text: /\b(split[- ]ergative|ergative[- ]absolutive|nominative[- ]accusative|active[- ]stative|split[- ]s|tripartite|ergative|accusative)\b/i
+            },
+            {
+                key: 'morphology',
+                label: 'Morphology',
+                feature: /^(.+) Morphology$/,
+                text: /\b(agglutinative|fusional|isolating|analytic|polysynthetic)\b/i
+            }
+        ];
+    }
+
+    /**
+     * Load the files needed for a comparison
+     */
+    async load(languages) {
+        return Promise.all(languages.map(async (language) => {
+            const { phonology, grammar, lexicon } = await this.renderer.repository.loadLanguage(language.id);
+            return { language, phonology, grammar, lexicon };
+        }));
+    }
+
+    /**
+     * Generate the comparison page for the given languages
+     */
+    async generateComparisonHTML(languages) {
+        const entries = await this.load(languages);
+        return this.renderComparisonHTML(entries);
+    }
+
+    /**
+     * Align per-language phoneme lists on shared chart rows and columns;
+     * `row` and `column` give a phoneme's keys. Returns
+     * { columns: [{ key, label }], rows: [{ key, label, cells }] } where
+     * cells[column][language] is that language's symbols (null when the
+     * language has no chart).
+     */
+    alignInventories(inventories, { row, column, rowOrder, columnOrder }) {
+        const rowKeys = [];
+        const columnKeys = [];
+        const symbols = new Map();
+
+        inventories.forEach((phonemes, languageIndex) => {
+            (phonemes || []).forEach(phoneme => {
+                const rowKey = row(phoneme) || 'other';
+                const columnKey = column(phoneme) || 'other';
+                rowKeys.push(rowKey);
+                columnKeys.push(columnKey);
+
+                const cellKey = `${rowKey}|${columnKey}|${languageIndex}`;
+                symbols.set(cellKey, [...(symbols.get(cellKey) || []), phoneme.symbol]);
+            });
+        });
+
+        const label = key => key.charAt(0).toUpperCase() + key.slice(1);
+        const columns = this.inventory.orderKeys(columnKeys, columnOrder).map(key => ({ key, label: label(key) }));
+        const rows = this.inventory.orderKeys(rowKeys, rowOrder).map(key => ({
+            key,
+            label: label(key),
+            cells: columns.map(columnEntry => inventories.map((phonemes, languageIndex) =>
+                (phonemes ? symbols.get(`${key}|${columnEntry.key}|${languageIndex}`) || [] : null)
+            ))
+        }));
+
+        return { columns, rows };
+    }
+
+    /**
+     * Word order, alignment and morphology. Feature tags are authoritative;
+     * otherwise the first mention in the grammar text is used.
+     */
+    typologyFacts(language, grammarText) {
+        const facts = {};
+        this.typology.forEach(fact => {
+            const feature = language.features.map(f => f.match(fact.feature)).find(Boolean);
+            if (feature) {
+                facts[fact.key] = { value: feature[1], source: 'features' };
+                return;
+            }
+            const mention = grammarText?.match(fact.text);
+            facts[fact.key] = mention
+                ? { value: mention[1].toLowerCase().replace(/(^|-)\w/g, letter => letter.toUpperCase()), source: 'grammar' }
+                : null;
+        });
+        return facts;
+    }
+
+    /**
+     * Union of feature tags, with which languages have each one
+     */
+    diffFeatures(languages) {
+        const features = [...new Set(languages.flatMap(language => language.features))];
+        return features
+            .map(feature => ({ feature, has: languages.map(language => language.features.includes(feature)) }))
+            .sort((a, b) => b.has.filter(Boolean).length - a.has.filter(Boolean).length);
+    }
+
+    /**
+     * Line up lexicon entries whose translations share a sense. Translations
+     * are split into senses on commas and semicolons; only senses found in
+     * at least two languages are returned.
+     */
+    sharedGlosses(lexicons) {
+        const senses = new Map();
+        lexicons.forEach((lexicon, languageIndex) => {
+            this.renderer.normalizeLexicon(lexicon).forEach(entry => {
+                String(entry.translation || '').split(/[;,]/).forEach(part => {
+                    const sense = part.toLowerCase().replace(/^["'“‘\s]+|["'”’\s.]+$/g, '').replace(/\s+/g, ' ');
+                    if (!sense) return;
+                    if (!senses.has(sense)) senses.set(sense, lexicons.map(() => []));
+                    const words = senses.get(sense)[languageIndex];
+                    if (!words.includes(entry.word)) words.push(entry.word);
+                });
+            });
+        });
+
+        return [...senses.entries()]
+            .map(([sense, words]) => ({ sense, words, count: words.filter(list => list.length > 0).length }))
+            .filter(gloss => gloss.count >= 2)
+            .sort((a, b) => (b.count - a.count) || a.sense.localeCompare(b.sense));
+    }
+
+    /**
+     * Render the comparison document
+     */
+    renderComparisonHTML(entries) {
+        const languages = entries.map(entry => entry.language);
+        // Languages without a consonant or vowel chart get null for it
+        const inventories = entries.map(entry => {
+            const inventory = this.renderer.extractInventory(entry.phonology);
+            return {
+                consonants: inventory.charts.consonants ? inventory.consonants : null,
+                vowels: inventory.charts.vowels ? inventory.vowels : null
+            };
+        });
+        const title = `Comparing ${languages.map(language => language.nameOrthography || language.name).join(', ')}`;
+
+        return `
+<!DOCTYPE html>
+<html lang="en"${this.renderer.themes.documentAttribute()}>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.renderer.escapeHtml(title)}</title>
+    <style>${this.renderer.generateCSS()}${this.generateCSS()}</style>
+</head>
+<body>
+    <div class="header">
+        <h1>${this.renderer.escapeHtml(title)}</h1>
+    </div>
+
+    ${this.renderSection('compare-features', 'Features', this.renderFeatures(languages))}
+    ${this.renderSection('compare-typology', 'Typology', this.renderTypology(entries, inventories))}
+    ${this.renderSection('compare-consonants', 'Consonants', this.renderInventory(languages, inventories.map(inventory => inventory.consonants), {
+        row: consonant => this.inventory.chartRow(consonant),
+        column: consonant => consonant.place,
+        rowOrder: [...this.inventory.manners, ...this.inventory.series],
+        columnOrder: this.inventory.places
+    }))}
+    ${this.renderSection('compare-vowels', 'Vowels', this.renderInventory(languages, inventories.map(inventory => inventory.vowels), {
+        row: vowel => vowel.height,
+        column: vowel => vowel.backness,
+        rowOrder: this.inventory.heights,
+        columnOrder: this.inventory.backnesses
+    }))}
+    ${this.renderSection('compare-lexicon', 'Shared Vocabulary', this.renderSharedGlosses(languages, entries.map(entry => entry.lexicon)))}
+
+    <script>${this.renderer.generateScript()}</script>
+</body>
+</html>`;
+    }
+
+    renderSection(id, title, content) {
+        return `
+    <div class="section" id="${id}">
+        ${this.renderer.renderSectionHeader(id, title)}
+        <div class="section-content" id="section-${id}">
+            ${content}
+        </div>
+    </div>`;
+    }
+
+    /**
+     * Table header with one column per language, color-keyed
+     */
+    renderLanguageHeaders(languages) {
+        return languages.map((language, i) =>
+            `<th class="compare-lang compare-lang-${i}" lang="${this.renderer.languageTag(language.id)}">${this.renderer.escapeHtml(language.nameOrthography || language.name)}</th>`
+        ).join('');
+    }
+
+    renderFeatures(languages) {
+        const rows = this.diffFeatures(languages).map(({ feature, has }) => {
+            const shared = has.every(Boolean);
+            return `
+                <tr class="${shared ? 'compare-shared' : 'compare-differs'}">
+                    <th scope="row">${this.renderer.escapeHtml(feature)}</th>
+                    ${has.map((present, i) => `<td class="compare-lang-${i}">${present ? '✓' : '<span class="compare-absent">—</span>'}</td>`).join('')}
+                </tr>`;
+        }).join('');
+
+        if (!rows) return '<p><em>None of these languages list any features.</em></p>';
+        return `
+            <table class="phonology-table compare-table">
+                <thead><tr><th>Feature</th>${this.renderLanguageHeaders(languages)}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    renderTypology(entries, inventories) {
+        const languages = entries.map(entry => entry.language);
+        const facts = entries.map(entry => this.typologyFacts(entry.language, entry.grammar));
+        const count = phonemes => (phonemes ? phonemes.length : null);
+
+        const rows = [
+            ...this.typology.map(fact => ({
+                label: fact.label,
+                values: facts.map(languageFacts => languageFacts[fact.key])
+            })),
+            { label: 'Consonants', values: inventories.map(inventory => count(inventory.consonants)) },
+            { label: 'Vowels', values: inventories.map(inventory => count(inventory.vowels)) },
+            {
+                label: 'Lexicon entries',
+                values: entries.map(entry => (Array.isArray(entry.lexicon) ? entry.lexicon.length : null))
+            },
+            { label: 'Completeness', values: languages.map(language => `${language.completeness}%`) }
+        ];
+
+        const body = rows.map(row => {
+            // Facts are { value, source }; counts are plain values
+            const values = row.values.map(value => (value !== null && typeof value === 'object' ? value : { value }));
+            const shared = values.every(({ value }) => value !== null && value !== undefined && String(value).toLowerCase() === String(values[0].value).toLowerCase());
+            const cells = values.map(({ value, source }, i) => {
+                if (value === null || value === undefined) return `<td class="compare-lang-${i}"><span class="compare-absent">—</span></td>`;
+                const note = source === 'grammar'
+                    ? ' <span class="compare-note" title="Not a listed feature; first mention in the grammar">(grammar)</span>'
+                    : '';
+                return `<td class="compare-lang-${i}">${this.renderer.escapeHtml(String(value))}${note}</td>`;
+            }).join('');
+            return `
+                <tr class="${shared ? 'compare-shared' : 'compare-differs'}">
+                    <th scope="row">${row.label}</th>
+                    ${cells}
+                </tr>`;
+        }).join('');
+
+        return `
+            <table class="phonology-table compare-table">
+                <thead><tr><th></th>${this.renderLanguageHeaders(languages)}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>`;
+    }
+
+    /**
+     * One chart with each cell listing every language's segments. Segments
+     * found in all languages that have a chart are marked as shared.
+     */
+    renderInventory(languages, inventories, order) {
+        if (inventories.every(phonemes => !phonemes)) {
+            return '<p><em>No chart found in these languages\' phonology.</em></p>';
+        }
+
+        const { columns, rows } = this.alignInventories(inventories, order);
+        const charted = inventories.map(Boolean);
+        const missing = languages.filter((language, i) => !charted[i]);
+
+        const renderCell = languageSegments => {
+            const chartedSegments = languageSegments.filter(segments => segments !== null);
+            const lines = languageSegments.map((segments, i) => {
+                if (segments === null || segments.length === 0) return '';
+                const items = segments.map(segment => {
+                    const shared = chartedSegments.length > 1 && chartedSegments.every(list => list.includes(segment));
+                    return `<span class="segment${shared ? ' shared' : ''}">${this.renderer.escapeHtml(segment)}</span>`;
+                }).join(' ');
+                return `<div class="compare-segments compare-lang-${i}">${items}</div>`;
+            }).join('');
+            return `<td>${lines}</td>`;
+        };
+
+        const body = rows.map(row => `
+                <tr>
+                    <th scope="row" class="row-header">${this.renderer.escapeHtml(row.label)}</th>
+                    ${row.cells.map(renderCell).join('')}
+                </tr>`).join('');
+
+        return `
+            ${this.renderLegend(languages, charted)}
+            ${missing.length ? `<p class="compare-note">No chart found for ${missing.map(language => this.renderer.escapeHtml(language.nameOrthography || language.name)).join(', ')}.</p>` : ''}
+            <div class="compare-scroll">
+                <table class="phonology-table compare-table compare-chart">
+                    <thead><tr><th></th>${columns.map(column => `<th>${this.renderer.escapeHtml(column.label)}</th>`).join('')}</tr></thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>`;
+    }
+
+    renderLegend(languages, include = languages.map(() => true)) {
+        const items = languages
+            .map((language, i) => include[i]
+                ? `<span class="compare-key compare-lang-${i}">${this.renderer.escapeHtml(language.nameOrthography || language.name)}</span>`
+                : '')
+            .join('');
+        return `<p class="compare-legend">${items}<span class="segment shared">shared</span></p>`;
+    }
+
+    renderSharedGlosses(languages, lexicons) {
+        const withLexicon = lexicons.filter(lexicon => Array.isArray(lexicon) && lexicon.length > 0).length;
+        if (withLexicon < 2) {
+            return '<p><em>At least two of these languages need a lexicon to compare vocabulary.</em></p>';
+        }
+
+        const glosses = this.sharedGlosses(lexicons);
+        if (glosses.length === 0) {
+            return '<p><em>These lexicons have no translations in common.</em></p>';
+        }
+
+        const rows = glosses.map(gloss => `
+                <tr class="${gloss.count === languages.length ? 'compare-shared' : 'compare-differs'}">
+                    <th scope="row">${this.renderer.escapeHtml(gloss.sense)}</th>
+                    ${gloss.words.map((words, i) => `<td class="conlang-text compare-lang-${i}" lang="${this.renderer.languageTag(languages[i].id)}">${words.map(word => this.renderer.escapeHtml(word)).join('<br>') || '<span class="compare-absent">—</span>'}</td>`).join('')}
+                </tr>`).join('');
+
+        return `
+            <p>${glosses.length} translations appear in more than one lexicon.</p>
+            <table class="lexicon-table compare-table">
+                <thead><tr><th>Translation</th>${this.renderLanguageHeaders(languages)}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    generateCSS() {
+        // One color per column, from the theme's --color-compare-0…3
+        return `
+        ${Array.from({ length: this.maxLanguages }, (_, i) => `
+        .compare-lang-${i} { --compare-color: var(--color-compare-${i}); }`).join('')}
+
+        .compare-table th.compare-lang {
+            border-top: 4px solid var(--compare-color);
+        }
+
+        .compare-table tbody th {
+            text-align: left;
+        }
+
+        .compare-table tr.compare-shared td {
+            background: var(--color-primary-soft);
+        }
+
+        .compare-absent, .compare-note {
+            color: var(--color-text-faint);
+            font-size: 0.85em;
+        }
+
+        .compare-scroll {
+            overflow-x: auto;
+        }
+
+        .compare-chart td {
+            vertical-align: top;
+            text-align: left;
+        }
+
+        .compare-segments {
+            border-left: 3px solid var(--compare-color);
+            padding-left: 0.35rem;
+            margin: 0.15rem 0;
+            white-space: nowrap;
+        }
+
+        .segment.shared {
+            font-weight: 700;
+            text-decoration: underline;
+            text-decoration-color: var(--color-primary);
+        }
+
+        .compare-legend {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.75rem;
+            font-size: 0.9rem;
+        }
+
+        .compare-key {
+            border-left: 3px solid var(--compare-color);
+            padding-left: 0.35rem;
+        }
+        `;
+    }
+}
+
+// Export for use in main.js
+window.LanguageComparison = LanguageComparison;
@@ -0,0 +1,170 @@
+/**
+ * Language Export - A language as a single document to keep or share
+ *
+ * Three formats: the generated page as a standalone HTML file (its CSS and
+ * script are already inline), the page's print stylesheet through the
+ * browser's print dialog for PDF, and one Markdown file that merges the
+ * metadata, phonology, grammar and lexicon. The lexicon on its own goes out
+ * and comes back in through LexiconFormats.
+ */
+
+class LanguageExport {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.formats = [
+            { key: 'html', label: 'Standalone HTML' },
+            { key: 'print', label: 'Print / PDF' },
+            { key: 'markdown', label: 'Markdown' }
+        ];
+        this.lexiconFormats = new LexiconFormats(renderer);
+    }
+
+    /**
+     * Export the language shown in `frame`, whose page is `html`
+     */
+    async exportLanguage(format, language, { html, frame } = {}) {
+        switch (format) {
+            case 'html':
+                this.download(this.fileName(language, 'html'), 'text/html', html);
+                break;
+            case 'print':
+                // The page's print stylesheet lays it out for paper
+                frame.contentWindow.print();
+                break;
+            case 'markdown':
+                this.download(this.fileName(language, 'md'), 'text/markdown', await this.generateMarkdown(language.id));
+                break;
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Download a language's lexicon as CSV, TSV, JSON or LIFT
+     */
+    async exportLexicon(format, language) {
+        const { lexicon } = await this.renderer.loadLanguage(language.id);
+        const { extension, type } = this.lexiconFormats.formats.find(item => item.key === format);
+        const text = this.lexiconFormats.serialize(lexicon, format, { id: language.id });
+        this.download(this.fileName(language, `lexicon.${extension}`), type, text);
+    }
+
+    /**
+     * Read a lexicon file for preview; rows are checked against the
+     * language's phonotactics and spelling rules as well as the format
+     */
+    async importLexicon(file, languageId) {
+        const text = await file.text();
+        const result = this.lexiconFormats.parse(text, this.lexiconFormats.detectFormat(file.name, text));
+        const { metadata, phonology, lexicon } = await this.renderer.loadLanguage(languageId);
+        this.lexiconFormats.checkPhonotactics(
+            result.rows,
+            this.renderer.createPhonotacticValidator(phonology, metadata?.phonotactics),
+            this.renderer.createTransliterator(phonology, lexicon, metadata?.orthography)
+        );
+        return { file: file.name, ...result };
+    }
+
+    /**
+     * A file name from the language's name and id, e.g. "kelo-0b212eef.md"
+     */
+    fileName(language, extension) {
+        const slug = String(language?.nameOrthography || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        return `${slug ? `${slug}-` : ''}${language.id}.${extension}`;
+    }
+
+    download(filename, type, text) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Load a language and merge its files into one Markdown document
+     */
+    async generateMarkdown(languageId) {
+        return this.renderMarkdown(await this.renderer.loadLanguage(languageId));
+    }
+
+    renderMarkdown({ metadata, phonology, grammar, lexicon }) {
+        const parts = [
+            `# ${metadata?.name || 'Unknown Language'}`,
+            this.renderMetadata(metadata),
+            this.renderSection('Phonology', phonology, 'Phonological description not available.'),
+            this.renderSection('Grammar', grammar, 'Grammatical description not available.'),
+            `## Lexicon\n\n${this.renderLexiconTable(lexicon)}`
+        ];
+        return `${parts.filter(Boolean).join('\n\n')}\n`;
+    }
+
+    renderMetadata(metadata) {
+        const features = Array.isArray(metadata?.features) ? metadata.features : [];
+        const items = [
+            ['ID', metadata?.id],
+            ['Model', metadata?.model],
+            ['Created', metadata?.created_at],
+            ['Features', features.join(', ')],
+            ['User constraints', metadata?.user_constraints]
+        ].filter(([, value]) => value);
+        return items.map(([label, value]) => `- **${label}:** ${String(value).replace(/\s*\n\s*/g, ' ')}`).join('\n');
+    }
+
+    /**
+     * A description file as a level-2 section: its headings move down a
+     * level, and its own top heading becomes the section title when it
+     * names the section
+     */
+    renderSection(title, text, fallback) {
+        if (!text || !text.trim()) return `## ${title}\n\n*${fallback}*`;
+
+        const shifted = this.shiftHeadings(text.trim());
+        const opening = shifted.match(/^## (.+)/);
+        if (opening && opening[1].trim().toLowerCase() === title.toLowerCase()) return shifted;
+        return `## ${title}\n\n${shifted}`;
+    }
+
+    /**
+     * Move every ATX heading down `levels` levels (to at most ######),
+     * leaving fenced code alone
+     */
+    shiftHeadings(text, levels = 1) {
+        let fence = null;
+        return text.split('\n').map(line => {
+            const marker = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+            if (marker) {
+                if (!fence) fence = marker[1];
+                else if (marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+                return line;
+            }
+            if (fence) return line;
+            return line.replace(/^(#{1,6})(?=\s|$)/, hashes => '#'.repeat(Math.min(6, hashes.length + levels)));
+        }).join('\n');
+    }
+
+    renderLexiconTable(lexicon) {
+        const entries = this.renderer.normalizeLexicon(lexicon);
+        if (entries.length === 0) return '*Lexicon not available.*';
+
+        const cell = value => String(value || '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+        const rows = entries.map(entry => `| ${[entry.word, entry.translation, entry.pos, entry.notes, entry.forms.join('; ')].map(cell).join(' | ')} |`);
+        return [
+            `Total vocabulary: **${entries.length}** words`,
+            '',
+            '| Word | Translation | Part of Speech | Notes | Forms |',
+            '| --- | --- | --- | --- | --- |',
+            ...rows
+        ].join('\n');
+    }
+}
+
+// Export for use in main.js
+window.LanguageExport = LanguageExport;
@@ -0,0 +1,153 @@
+/**
+ * Language Filters - Faceted filtering and sorting for the language grid
+ */
+
+class LanguageFilters {
+    constructor() {
+        // Facet definitions: `values` returns the string values a language has for
+        // the facet; `multi` facets can be combined with AND as well as OR.
+        this.facets = [
+            {
+                key: 'features',
+                label: 'Features',
+                multi: true,
+                values: lang => lang.features
+            },
+            {
+                key: 'parts',
+                label: 'Available parts',
+                multi: true,
+                values: lang => [
+                    lang.hasPhonology && 'Phonology',
+                    lang.hasGrammar && 'Grammar',
+                    lang.hasLexicon && 'Lexicon'
+                ].filter(Boolean)
+            },
+            {
+                key: 'completeness',
+                label: 'Completeness',
+                multi: false,
+                values: lang => [`${lang.completeness}%`]
+            },
+            {
+                key: 'model',
+                label: 'Model',
+                multi: false,
+                values: lang => (lang.model ? [lang.model] : [])
+            },
+            {
+                key: 'constraints',
+                label: 'User constraints',
+                multi: false,
+                values: lang => [lang.userConstraints ? 'Constrained' : 'Unconstrained']
+            }
+        ];
+
+        this.sortOrders = {
+            name: { label: 'Name (A–Z)', compare: (a, b) => this.compareByName(a, b) },
+            completeness: {
+                label: 'Completeness',
+                compare: (a, b) => (b.completeness - a.completeness) || this.compareByName(a, b)
+            },
+            lexiconSize: {
+                label: 'Lexicon size',
+                needsDetails: true,
+                compare: (a, b) => ((b.lexiconSize || 0) - (a.lexiconSize || 0)) || this.compareByName(a, b)
+            },
+            createdAt: {
+                label: 'Newest first',
+                needsDetails: true,
+                compare: (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '') || this.compareByName(a, b)
+            }
+        };
+
+        this.selected = new Map(this.facets.map(facet => [facet.key, new Set()]));
+        this.modes = new Map(this.facets.map(facet => [facet.key, 'or']));
+        this.sortOrder = 'name';
+    }
+
+    /**
+     * Sort by orthography name first, then by ID as tiebreaker
+     */
+    compareByName(a, b) {
+        const aName = a.nameOrthography || a.name;
+        const bName = b.nameOrthography || b.name;
+        if (aName !== bName) {
+            return aName.localeCompare(bName);
+        }
+        return a.id.localeCompare(b.id);
+    }
+
+    toggle(facetKey, value) {
+        const values = this.selected.get(facetKey);
+        if (values.has(value)) {
+            values.delete(value);
+        } else {
+            values.add(value);
+        }
+    }
+
+    setMode(facetKey, mode) {
+        this.modes.set(facetKey, mode === 'and' ? 'and' : 'or');
+    }
+
+    clear() {
+        this.selected.forEach(values => values.clear());
+    }
+
+    isActive() {
+        return [...this.selected.values()].some(values => values.size > 0);
+    }
+
+    /**
+     * Check one facet: OR needs any selected value, AND needs all of them
+     */
+    matchesFacet(lang, facet, selected = this.selected.get(facet.key)) {
+        if (selected.size === 0) return true;
+        const values = new Set(facet.values(lang));
+        const wanted = [...selected];
+        return this.modes.get(facet.key) === 'and' && facet.multi
+            ? wanted.every(value => values.has(value))
+            : wanted.some(value => values.has(value));
+    }
+
+    matches(lang, exceptFacetKey = null) {
+        return this.facets.every(facet =>
+            facet.key === exceptFacetKey || this.matchesFacet(lang, facet)
+        );
+    }
+
+    /**
+     * Filter and sort languages according to the current state
+     */
+    apply(languages) {
+        const order = this.sortOrders[this.sortOrder] || this.sortOrders.name;
+        return languages.filter(lang => this.matches(lang)).sort(order.compare);
+    }
+
+    /**
+     * Count, for every facet value, how many languages would be shown if that
+     * value were selected on top of the current selection.
+     */
+    counts(languages) {
+        return this.facets.map(facet => {
+            const candidates = languages.filter(lang => this.matches(lang, facet.key));
+            const selected = this.selected.get(facet.key);
+            const andMode = facet.multi && this.modes.get(facet.key) === 'and';
+
+            const allValues = new Set(languages.flatMap(lang => facet.values(lang)));
+            const values = [...allValues].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).map(value => {
+                const count = candidates.filter(lang => {
+                    if (!andMode) return facet.values(lang).includes(value);
+                    return this.matchesFacet(lang, facet, new Set([...selected, value]));
+                }).length;
+                return { value, count, selected: selected.has(value) };
+            });
+
+            return { facet, mode: this.modes.get(facet.key), values };
+        });
+    }
+}
+
+// Export for use in main.js
+window.LanguageFilters = LanguageFilters;
@@ -3,13 +3,44 @@
  */
 
 class LanguageRenderer {
-    constructor() {
-        this.tealColors = {
-            primary: '#26a69a',
-            dark: '#00695c',
-            light: '#80cbc4',
-            accent: '#4db6ac'
+    /**
+     * `repository` loads the data files; the browser passes the one it
+     * shares with its other views
+     */
+    constructor(repository = new LanguageRepository()) {
+        this.repository = repository;
+
+        // Colors come from the theme's CSS custom properties
+        this.themes = new ThemeManager();
+
+        // Canonical lexicon fields and the source keys each may come from,
+        // in order of preference. `null` is where the generator's CSV export
+        // puts unnamed overflow columns (forms, derivations).
+        this.lexiconFields = {
+            word: ['word', 'lemma', 'headword', 'form'],
+            translation: ['translation', 'definition', 'gloss', 'meaning', 'english'],
+            pos: ['pos', 'part_of_speech', 'partOfSpeech', 'word_class', 'category'],
+            notes: ['notes', 'note', 'comments', 'comment', 'etymology'],
+            forms: ['null', 'forms', 'derivations', 'paradigm', 'inflections']
         };
+
+        this.glossAbbreviations = new GlossAbbreviations();
+        this.phonemeInventory = new PhonemeInventory();
+
+        // The current language's spelling rules, phonotactic validator and
+        // language tag, set by renderLanguageHTML
+        this.transliterator = null;
+        this.phonotactics = null;
+        this.conlangTag = this.languageTag(null);
+        // IPA transcriptions are tagged as phonetic text
+        this.ipaTag = 'und-fonipa';
+
+        // Grammatical labels inside a gloss: AGT, 3SG, or a bare person digit
+        // (ABS.3). "I" is left alone since it is usually the English pronoun.
+        this.glossLabelPattern = /\b(?!I\b)(?:[0-9]*[A-Z][A-Z0-9]*|[123](?![0-9A-Za-z]))\b/g;
+
+        // Recognizes part-of-speech labels, used to detect swapped columns
+        this.posPattern = /^(?:[\w.]+\s+)?(?:n|v|adj|adv|noun|verb|adjective|adverb|pronoun|particle|suffix|prefix|infix|circumfix|affix|clitic|enclitic|proclitic|postposition|preposition|conjunction|determiner|demonstrative|numeral|number|classifier|auxiliary|copula|interjection|root|stem|question word|interrogative|quantifier|article)s?\.?(?:\s*(?:root|stem|\(.*\)))?(?:\s*[;,/]\s*.+)?$/i;
     }
 
     /**
@@ -17,30 +48,8 @@ class LanguageRenderer {
      */
     async generateLanguageHTML(languageId) {
         try {
-            // Load central language data for name
-            const languagesData = await this.loadJSON('data/languages.json');
-            const languageEntry = languagesData?.languages?.find(lang => lang.id === languageId);
-            
-            // Load individual language files
-            const metadata = await this.loadJSON(`data/${languageId}/metadata.json`);
-            const phonology = await this.loadText(`data/${languageId}/phonology.txt`);
-            const grammar = await this.loadText(`data/${languageId}/grammar.txt`);
-            const lexicon = await this.loadJSON(`data/${languageId}/lexicon.json`);
-
-            // Use name from languages.json (metadata no longer contains names)
-            let displayName = languageEntry?.name || `Language ${languageId}`;
-            if (languageEntry?.name_ipa && languageEntry.name_ipa !== 'N/A' && languageEntry.name_ipa !== languageEntry.name) {
-                displayName = `${languageEntry.name} /${languageEntry.name_ipa}/`;
-            }
-            
-            // Create enhanced metadata with correct name
-            const enhancedMetadata = {
-                ...metadata,
-                name: displayName,
-                user_constraints: languageEntry?.user_constraints || metadata?.user_constraints
-            };
-
-            return this.renderLanguageHTML(enhancedMetadata, phonology, grammar, lexicon);
+            const { metadata, phonology, grammar, lexicon } = await this.loadLanguage(languageId);
+            return this.renderLanguageHTML(metadata, phonology, grammar, lexicon);
         } catch (error) {
             console.error(`Error generating HTML for ${languageId}:`, error);
             return this.renderErrorHTML(languageId, error);
@@ -48,91 +57,582 @@ class LanguageRenderer {
     }
 
     /**
-     * Load JSON file
+     * Load a language's files, with the name and constraints from
+     * languages.json merged into its metadata
      */
-    async loadJSON(path) {
-        try {
-            const response = await fetch(path);
-            if (!response.ok) throw new Error(`Failed to load ${path}`);
-            return await response.json();
-        } catch (error) {
-            return null;
-        }
-    }
+    async loadLanguage(languageId) {
+        const {
+            entry: languageEntry, metadata, phonology, grammar, lexicon, orthography, phonotactics
+        } = await this.repository.loadLanguage(languageId);
 
-    /**
-     * Load text file
-     */
-    async loadText(path) {
-        try {
-            const response = await fetch(path);
-            if (!response.ok) throw new Error(`Failed to load ${path}`);
-            return await response.text();
-        } catch (error) {
-            return null;
+        // Use name from languages.json (metadata no longer contains names)
+        let displayName = languageEntry?.name || `Language ${languageId}`;
+        if (languageEntry?.name_ipa && languageEntry.name_ipa !== 'N/A' && languageEntry.name_ipa !== languageEntry.name) {
+            displayName = `${languageEntry.name} /${languageEntry.name_ipa}/`;
         }
+
+        // Create enhanced metadata with correct name
+        const enhancedMetadata = {
+            ...metadata,
+            name: displayName,
+            name_ipa: languageEntry?.name_ipa,
+            orthography,
+            phonotactics,
+            user_constraints: languageEntry?.user_constraints || metadata?.user_constraints
+        };
+
+        return { metadata: enhancedMetadata, phonology, grammar, lexicon, entry: languageEntry };
     }
 
     /**
-     * Render the complete language HTML
+     * Render the complete language HTML; `head` is extra markup for its
+     * <head>, such as the pre-rendered pages' Open Graph tags, and `nav`
+     * links shown above the header
      */
-    renderLanguageHTML(metadata, phonology, grammar, lexicon) {
+    renderLanguageHTML(metadata, phonology, grammar, lexicon, { head = '', nav = '' } = {}) {
         const style = this.generateCSS();
-        
-        return `
+        const glossLabels = this.collectGlossLabels([phonology, grammar]);
+        const nameIpa = metadata?.name_ipa && metadata.name_ipa !== 'N/A' ? metadata.name_ipa : null;
+
+        // Examples are rendered deep inside the markdown, so the language's
+        // transliterator is held on the renderer while its page is built
+        this.transliterator = this.createTransliterator(phonology, lexicon, metadata?.orthography);
+        this.phonotactics = this.createPhonotacticValidator(phonology, metadata?.phonotactics);
+        this.conlangTag = this.languageTag(metadata?.id);
+        try {
+            return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="en"${this.themes.documentAttribute()}>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${metadata?.name || 'Unknown Language'}</title>
+    <title>${metadata?.name || 'Unknown Language'}</title>${head}
     <style>${style}</style>
 </head>
 <body>
-    
+    ${nav}
     <div class="header">
-        <h1>${metadata?.name || 'Unknown Language'}</h1>
+        <h1><span lang="${this.conlangTag}">${metadata?.name || 'Unknown Language'}</span>${nameIpa ? ` ${this.renderSpeakButton(nameIpa, 'Play the name')}` : ''}</h1>
         ${this.renderUserConstraints(metadata?.user_constraints)}
     </div>
 
-    ${this.renderPhonology(phonology)}
-    ${this.renderGrammar(grammar)}
-    ${this.renderLexicon(lexicon)}
+    <div class="page-layout">
+        ${this.renderTableOfContents([
+            { id: 'phonology', title: 'Phonology', headings: this.collectHeadings(phonology, 'phonology') },
+            { id: 'grammar', title: 'Grammar', headings: this.collectHeadings(grammar, 'grammar') },
+            glossLabels.size > 0 && { id: 'abbreviations', title: 'Glossing Abbreviations', headings: [] },
+            { id: 'lexicon', title: 'Lexicon', headings: [] }
+        ].filter(Boolean))}
 
-    <script>
-        
-        // Collapse/expand sections
+        <main class="page-content">
+            ${this.renderPhonology(phonology)}
+            ${this.renderGrammar(grammar)}
+            ${this.renderGlossLegend(glossLabels)}
+            ${this.renderLexicon(lexicon)}
+        </main>
+    </div>
+
+    <script>${this.generateScript()}</script>
+</body>
+</html>`;
+        } finally {
+            this.transliterator = null;
+            this.phonotactics = null;
+            this.conlangTag = this.languageTag(null);
+        }
+    }
+
+    /**
+     * Spelling rules for a language, from its orthography.json (if any),
+     * its phonology text and inventory, and the spellings its lexicon uses
+     */
+    createTransliterator(phonologyText, lexicon, orthography = null) {
+        const blocks = phonologyText ? this.parseMarkdown(phonologyText) : [];
+        const charts = this.findInventoryCharts(blocks);
+        const inventory = this.phonemeInventory.fromCharts(charts.consonants, charts.vowels);
+
+        const tables = [];
+        this.walkBlocks(blocks, node => {
+            if (node.type === 'table' && node !== charts.consonants && node !== charts.vowels) tables.push(node);
+        });
+
+        return Transliterator.infer({
+            orthography,
+            tables,
+            text: phonologyText || '',
+            phonemes: [...inventory.consonants, ...inventory.vowels].map(phoneme => phoneme.symbol),
+            words: Array.isArray(lexicon) ? this.normalizeLexicon(lexicon).map(entry => entry.word) : []
+        });
+    }
+
+    /**
+     * A validator for a language's phonotactics, from its phonotactics.json
+     * or else from what the phonology text states. Null without a
+     * recognizable inventory to check against.
+     */
+    createPhonotacticValidator(phonologyText, constraints = null) {
+        const inventory = this.extractInventory(phonologyText);
+        const recognized = [inventory.consonants, inventory.vowels].filter(phonemes => phonemes.length > 0);
+        if (recognized.length === 0 || !recognized.every(phonemes => this.phonemeInventory.isPlaceable(phonemes))) return null;
+
+        return new PhonotacticValidator({
+            inventory,
+            constraints: constraints || PhonotacticValidator.infer(phonologyText, inventory),
+            phonemeInventory: this.phonemeInventory
+        });
+    }
+
+    /**
+     * IPA for written text with the current language's transliterator;
+     * without one the text is taken to be IPA already
+     */
+    transcribe(text) {
+        return this.transliterator ? this.transliterator.toIPA(text) : { ipa: String(text || ''), unknown: [] };
+    }
+
+    /**
+     * A button that pronounces an IPA transcription
+     */
+    renderSpeakButton(ipa, label) {
+        return `<button type="button" class="speak" data-ipa="${this.escapeAttribute(ipa)}" aria-label="${this.escapeAttribute(label)}" title="${this.escapeAttribute(label)}">🔊</button>`;
+    }
+
+    /**
+     * An IPA line under written text; letters no spelling rule covers are
+     * flagged
+     */
+    renderIpaLine(transcription, className = 'ipa-line') {
+        const ipa = `/${this.escapeHtml(transcription.ipa)}/`;
+        if (transcription.unknown.length === 0) return `<div class="${className}" lang="${this.ipaTag}">${ipa}</div>`;
+        const title = `No spelling rule for ${transcription.unknown.join(' ')}`;
+        return `<div class="${className} untranscribed" lang="${this.ipaTag}" title="${this.escapeAttribute(title)}">${ipa}</div>`;
+    }
+
+    /**
+     * The language tag of a conlang, for lang attributes: a private-use
+     * tag made from its id, e.g. "qaa-x-0b212eef"
+     */
+    languageTag(languageId) {
+        const subtag = String(languageId || '').toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 8);
+        return `qaa-x-${subtag || 'conlang'}`;
+    }
+
+    /**
+     * A collapsible section's header; the title is a button that controls
+     * the section's content (id "section-<section id>")
+     */
+    renderSectionHeader(id, title) {
+        return `<div class="section-header">
+                <h2><button type="button" class="section-toggle" aria-expanded="true" aria-controls="section-${id}">${title}</button></h2>
+                <span class="collapse-indicator" aria-hidden="true">▼</span>
+            </div>`;
+    }
+
+    /**
+     * Generate the script embedded in the language page. It must not rely on
+     * anything outside the page, since the page is shown from a blob URL.
+     */
+    generateScript() {
+        return `
+        ${IpaSynthesizer.toString()}
+        ${WordGenerator.toString()}
+
+        // Scrolling jumps instead of gliding for readers who ask for less motion
+        const scrollBehavior = () => (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth');
+
+        ${this.generateSectionScript()}
+
+        // Bring an element into view, expanding its section and, for lexicon
+        // rows, clearing filters and turning to the page that holds it
+        const revealHooks = [];
+        window.revealTarget = (id) => {
+            const target = document.getElementById(id);
+            if (!target) return null;
+            const content = target.closest('.section-content');
+            if (content && content.style.display === 'none') {
+                content.previousElementSibling.click();
+            }
+            revealHooks.forEach(hook => hook(target));
+            return target;
+        };
+
+        // Interactive lexicon: sorting, filtering, POS chips, paging, reverse lookup
+        (() => {
+            const table = document.querySelector('#lexicon .lexicon-table');
+            if (!table) return;
+
+            const section = document.getElementById('lexicon');
+            const tbody = table.tBodies[0];
+            const rows = Array.from(tbody.rows);
+            const fold = text => (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            const state = { query: '', pos: new Set(), sortKey: null, sortDir: 1, reverse: false, page: 0, pageSize: 50 };
+
+            const filterInput = section.querySelector('.lexicon-filter');
+            const reverseToggle = section.querySelector('.lexicon-reverse');
+            const pageSizeSelect = section.querySelector('.lexicon-page-size');
+            const pageInfo = section.querySelector('.lexicon-page-info');
+            const countInfo = section.querySelector('.lexicon-count');
+
+            const matchesQuery = (row) => {
+                if (!state.query) return true;
+                const translation = fold(row.dataset.translation);
+                if (state.reverse) {
+                    // English → conlang: match the start of any English word
+                    return translation.split(/[^a-z0-9]+/).some(word => word.startsWith(state.query))
+                        || translation.startsWith(state.query);
+                }
+                return fold(row.dataset.word).includes(state.query) || translation.includes(state.query);
+            };
+
+            const visibleRows = () => {
+                const list = rows.filter(row =>
+                    (state.pos.size === 0 || state.pos.has(row.dataset.pos)) && matchesQuery(row)
+                );
+                const key = state.sortKey || (state.reverse ? 'translation' : null);
+                if (key) {
+                    list.sort((a, b) => state.sortDir * fold(a.dataset[key]).localeCompare(fold(b.dataset[key])));
+                } else {
+                    list.sort((a, b) => a.dataset.index - b.dataset.index);
+                }
+                return list;
+            };
+
+            const render = () => {
+                const list = visibleRows();
+                const pageSize = state.pageSize || list.length || 1;
+                const pageCount = Math.max(1, Math.ceil(list.length / pageSize));
+                state.page = Math.min(state.page, pageCount - 1);
+                const start = state.page * pageSize;
+
+                rows.forEach(row => { row.hidden = true; });
+                list.forEach((row, i) => {
+                    tbody.appendChild(row);
+                    row.hidden = i < start || i >= start + pageSize;
+                });
+
+                countInfo.textContent = list.length === rows.length
+                    ? rows.length + ' entries'
+                    : list.length + ' of ' + rows.length + ' entries';
+                pageInfo.textContent = 'Page ' + (state.page + 1) + ' of ' + pageCount;
+                section.querySelector('.lexicon-prev').disabled = state.page === 0;
+                section.querySelector('.lexicon-next').disabled = state.page >= pageCount - 1;
+
+                table.querySelectorAll('th[data-sort]').forEach(th => {
+                    const active = th.dataset.sort === state.sortKey;
+                    th.setAttribute('aria-sort', active ? (state.sortDir > 0 ? 'ascending' : 'descending') : 'none');
+                });
+                section.querySelectorAll('.pos-chip').forEach(chip => {
+                    chip.classList.toggle('active', state.pos.has(chip.dataset.pos));
+                    chip.setAttribute('aria-pressed', state.pos.has(chip.dataset.pos));
+                });
+            };
+
+            // Reverse mode shows the English column first
+            const swapColumns = () => {
+                [table.tHead.rows[0], ...rows].forEach(row => row.insertBefore(row.cells[1], row.cells[0]));
+            };
+
+            filterInput.addEventListener('input', () => {
+                state.query = fold(filterInput.value.trim());
+                state.page = 0;
+                render();
+            });
+
+            reverseToggle.addEventListener('change', () => {
+                state.reverse = reverseToggle.checked;
+                filterInput.placeholder = state.reverse ? 'Look up an English word…' : 'Filter by word or translation…';
+                swapColumns();
+                state.page = 0;
+                render();
+            });
+
+            section.querySelectorAll('.pos-chip').forEach(chip => {
+                chip.addEventListener('click', () => {
+                    const pos = chip.dataset.pos;
+                    if (state.pos.has(pos)) state.pos.delete(pos); else state.pos.add(pos);
+                    state.page = 0;
+                    render();
+                });
+            });
+
+            table.querySelectorAll('th[data-sort] button').forEach(button => {
+                button.addEventListener('click', () => {
+                    const key = button.parentElement.dataset.sort;
+                    state.sortDir = state.sortKey === key ? -state.sortDir : 1;
+                    state.sortKey = key;
+                    render();
+                });
+            });
+
+            pageSizeSelect.addEventListener('change', () => {
+                state.pageSize = Number(pageSizeSelect.value);
+                state.page = 0;
+                render();
+            });
+            section.querySelectorAll('.lexicon-report a[data-target]').forEach(link => {
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    const target = window.revealTarget(link.dataset.target);
+                    if (target) target.scrollIntoView({ behavior: scrollBehavior(), block: 'center' });
+                });
+            });
+            section.querySelector('.lexicon-prev').addEventListener('click', () => { state.page--; render(); });
+            section.querySelector('.lexicon-next').addEventListener('click', () => { state.page++; render(); });
+
+            revealHooks.push(target => {
+                const row = target.closest('.lexicon-table tbody tr');
+                if (!row || !rows.includes(row)) return;
+                if (!visibleRows().includes(row)) {
+                    state.query = '';
+                    state.pos.clear();
+                    filterInput.value = '';
+                }
+                const index = visibleRows().indexOf(row);
+                state.page = state.pageSize ? Math.floor(index / state.pageSize) : 0;
+                render();
+            });
+
+            render();
+        })();
+
+        // Table of contents: subtree toggles, in-page links and scroll-spy
+        (() => {
+            const toc = document.querySelector('.toc');
+            if (!toc) return;
+
+            const setExpanded = (toggle, expanded) => {
+                toggle.setAttribute('aria-expanded', expanded);
+                toggle.textContent = expanded ? '▾' : '▸';
+                toggle.parentElement.querySelector(':scope > ul').hidden = !expanded;
+            };
+
+            toc.querySelectorAll('.toc-toggle').forEach(toggle => {
+                toggle.addEventListener('click', () => {
+                    setExpanded(toggle, toggle.getAttribute('aria-expanded') !== 'true');
+                });
+            });
+            toc.querySelector('.toc-expand-all').addEventListener('click', () => {
+                toc.querySelectorAll('.toc-toggle').forEach(toggle => setExpanded(toggle, true));
+            });
+            toc.querySelector('.toc-collapse-all').addEventListener('click', () => {
+                toc.querySelectorAll('.toc-toggle').forEach(toggle => setExpanded(toggle, false));
+            });
+
+            toc.addEventListener('click', (e) => {
+                const link = e.target.closest('a[data-target]');
+                if (!link) return;
+                e.preventDefault();
+                const target = window.revealTarget(link.dataset.target);
+                if (target) target.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+            });
+
+            const links = Array.from(toc.querySelectorAll('a[data-target]'));
+            const targets = links
+                .map(link => ({ link, element: document.getElementById(link.dataset.target) }))
+                .filter(entry => entry.element);
+            let current = null;
+
+            // The current entry is the last heading scrolled past the top of the
+            // viewport; headings inside collapsed sections are skipped. When the
+            // entry sits in a collapsed subtree, its nearest visible ancestor is
+            // highlighted instead.
+            const updateCurrent = () => {
+                let active = targets[0];
+                targets.forEach(entry => {
+                    if (entry.element.offsetParent === null) return;
+                    if (entry.element.getBoundingClientRect().top <= 80) active = entry;
+                });
+                if (!active) return;
+
+                let link = active.link;
+                while (link.closest('ul[hidden]')) {
+                    link = link.closest('ul[hidden]').parentElement.querySelector(':scope > a');
+                }
+                if (link === current) return;
+
+                if (current) {
+                    current.classList.remove('active');
+                    current.removeAttribute('aria-current');
+                }
+                current = link;
+                current.classList.add('active');
+                current.setAttribute('aria-current', 'location');
+
+                const linkBox = current.getBoundingClientRect();
+                const tocBox = toc.getBoundingClientRect();
+                if (linkBox.top < tocBox.top || linkBox.bottom > tocBox.bottom) {
+                    current.scrollIntoView({ block: 'nearest' });
+                }
+            };
+
+            let scheduled = false;
+            window.addEventListener('scroll', () => {
+                if (scheduled) return;
+                scheduled = true;
+                requestAnimationFrame(() => {
+                    scheduled = false;
+                    updateCurrent();
+                });
+            }, { passive: true });
+            document.addEventListener('click', (e) => {
+                // Collapsing a section or a subtree changes what can be highlighted
+                if (e.target.closest('.section-header, .toc button')) updateCurrent();
+            });
+            updateCurrent();
+        })();
+
+        // Phoneme charts: the inventory as data, and a description of
+        // whichever phoneme was clicked last
+        (() => {
+            const data = document.getElementById('phoneme-inventory');
+            window.phonemeInventory = data ? JSON.parse(data.textContent) : null;
+
+            document.addEventListener('click', (e) => {
+                const button = e.target.closest('button.phoneme');
+                if (!button) return;
+                document.querySelectorAll('button.phoneme.selected').forEach(other => {
+                    other.classList.remove('selected');
+                    other.setAttribute('aria-pressed', 'false');
+                });
+                button.classList.add('selected');
+                button.setAttribute('aria-pressed', 'true');
+                const info = button.closest('.ipa-chart').querySelector('.phoneme-info');
+                info.textContent = '/' + button.dataset.symbol + '/ ' + button.dataset.description;
+            });
+        })();
+
+        // Pronunciation: chart phonemes, names, lexicon words and examples
+        // are synthesized in the page, with no speech service involved
+        (() => {
+            const synthesizer = new IpaSynthesizer();
+
+            document.addEventListener('click', (e) => {
+                const phoneme = e.target.closest('button.phoneme');
+                if (phoneme) {
+                    synthesizer.speakPhoneme(phoneme.dataset.symbol);
+                    return;
+                }
+
+                const button = e.target.closest('button.speak');
+                if (!button) return;
+                button.classList.add('speaking');
+                synthesizer.speak(button.dataset.ipa).then(() => button.classList.remove('speaking'));
+            });
+        })();
+
+        // Word generator: candidates from the model built with the page, the
+        // same seed giving the same list
+        (() => {
+            const panel = document.querySelector('.word-generator');
+            if (!panel) return;
+
+            const generator = new WordGenerator(JSON.parse(document.getElementById('word-generator-model').textContent));
+            const countInput = panel.querySelector('.generator-count');
+            const seedInput = panel.querySelector('.generator-seed');
+            const output = panel.querySelector('.generated-words');
+            const status = panel.querySelector('.generator-status');
+            let words = [];
+
+            const download = (filename, type, text) => {
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(new Blob([text], { type }));
+                link.download = filename;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            };
+
+            panel.querySelector('.generate-words').addEventListener('click', () => {
+                const count = Math.max(1, Math.min(500, Number(countInput.value) || 20));
+                words = generator.generate(count, seedInput.value);
+                output.innerHTML = '';
+                words.forEach(word => {
+                    const item = document.createElement('li');
+                    item.className = 'conlang-text';
+                    item.textContent = word + ' ';
+                    const speak = document.createElement('button');
+                    speak.type = 'button';
+                    speak.className = 'speak';
+                    speak.dataset.ipa = word;
+                    speak.setAttribute('aria-label', 'Play ' + word);
+                    speak.textContent = '🔊';
+                    item.appendChild(speak);
+                    output.appendChild(item);
+                });
+                status.textContent = words.length < count
+                    ? 'Only ' + words.length + ' new words could be found.'
+                    : words.length + ' words (seed ' + seedInput.value + ')';
+                panel.querySelectorAll('.generator-export').forEach(button => { button.disabled = words.length === 0; });
+            });
+
+            panel.querySelector('.export-text').addEventListener('click', () => {
+                download('generated-words.txt', 'text/plain', words.join('\\n') + '\\n');
+            });
+            panel.querySelector('.export-json').addEventListener('click', () => {
+                const entries = words.map(word => ({ word: word, translation: '', pos: '', notes: 'Generated (seed ' + seedInput.value + ')' }));
+                download('generated-words.json', 'application/json', JSON.stringify(entries, null, 2) + '\\n');
+            });
+        })();
+
+        // Printing opens the folded forms tables; the print stylesheet
+        // shows every section and lexicon row
+        (() => {
+            let opened = [];
+            window.addEventListener('beforeprint', () => {
+                opened = Array.from(document.querySelectorAll('details.lexicon-forms:not([open])'));
+                opened.forEach(details => { details.open = true; });
+            });
+            window.addEventListener('afterprint', () => {
+                opened.forEach(details => { details.open = false; });
+                opened = [];
+            });
+        })();
+
+        if (location.hash) {
+            const target = window.revealTarget(decodeURIComponent(location.hash.slice(1)));
+            if (target) target.scrollIntoView();
+        }
+        `;
+    }
+
+    /**
+     * Collapse/expand sections; the title button carries the state. On its
+     * own for pages that have sections and nothing else of a language's.
+     */
+    generateSectionScript() {
+        return `
         document.querySelectorAll('.section-header').forEach(header => {
             header.addEventListener('click', () => {
                 const content = header.nextElementSibling;
                 const isCollapsed = content.style.display === 'none';
                 content.style.display = isCollapsed ? 'block' : 'none';
+                header.querySelector('.section-toggle')?.setAttribute('aria-expanded', isCollapsed);
                 header.querySelector('.collapse-indicator').textContent = isCollapsed ? '▼' : '▶';
             });
         });
-    </script>
-</body>
-</html>`;
+        `;
     }
 
     /**
-     * Generate CSS styles with teal theme
+     * Generate CSS styles; colors are the theme's custom properties
      */
     generateCSS() {
         return `
+        ${this.themes.generateCSS()}
+
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
             line-height: 1.6;
             max-width: 1200px;
             margin: 0 auto;
             padding: 20px;
-            background-color: #fafafa;
+            color: var(--color-text);
+            background-color: var(--color-page);
         }
         
         
         .header {
-            background: linear-gradient(135deg, ${this.tealColors.primary} 0%, ${this.tealColors.dark} 100%);
-            color: white;
+            background: linear-gradient(135deg, var(--color-header-from) 0%, var(--color-header-to) 100%);
+            color: var(--color-on-primary);
             padding: 2rem;
             border-radius: 10px;
             margin-bottom: 2rem;
@@ -165,16 +665,129 @@ class LanguageRenderer {
             font-style: italic;
         }
         
+        .page-nav {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem 1.5rem;
+            margin-bottom: 1rem;
+        }
+        
+        .page-nav a {
+            color: var(--color-primary-strong);
+        }
+        
+        .page-layout {
+            display: grid;
+            grid-template-columns: 220px minmax(0, 1fr);
+            gap: 1.5rem;
+            align-items: start;
+        }
+        
+        .page-content > .section:first-child {
+            margin-top: 0;
+        }
+        
+        .toc {
+            position: sticky;
+            top: 20px;
+            max-height: calc(100vh - 40px);
+            overflow-y: auto;
+            background: var(--color-surface);
+            border-radius: 10px;
+            box-shadow: 0 2px 10px var(--color-shadow);
+            padding: 1rem 0.75rem;
+            font-size: 0.875rem;
+        }
+        
+        .toc-header {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.25rem 0.5rem;
+            margin-bottom: 0.5rem;
+        }
+        
+        .toc-title {
+            flex-grow: 1;
+            font-weight: 600;
+            color: var(--color-primary-strong);
+        }
+        
+        .toc-header button {
+            border: none;
+            background: none;
+            padding: 0;
+            font-size: 0.75rem;
+            color: var(--color-primary);
+            cursor: pointer;
+        }
+        
+        .toc ul {
+            list-style: none;
+            margin: 0;
+            padding-left: 0.9rem;
+        }
+        
+        .toc .toc-tree {
+            padding-left: 0;
+        }
+        
+        .toc li {
+            margin: 0.15rem 0;
+        }
+        
+        .toc-toggle, .toc-toggle-spacer {
+            display: inline-block;
+            width: 1rem;
+        }
+        
+        .toc-toggle {
+            border: none;
+            background: none;
+            padding: 0;
+            color: var(--color-primary-strong);
+            cursor: pointer;
+        }
+        
+        .toc a {
+            color: var(--color-text-secondary);
+            text-decoration: none;
+            border-radius: 3px;
+            padding: 0 0.2rem;
+        }
+        
+        .toc a:hover {
+            color: var(--color-primary);
+        }
+        
+        .toc a.active {
+            background: var(--color-primary-soft);
+            color: var(--color-primary-strong);
+            font-weight: 600;
+        }
+        
+        @media (max-width: 720px) {
+            .page-layout {
+                display: block;
+            }
+        
+            .toc {
+                position: static;
+                max-height: 40vh;
+                margin-bottom: 1.5rem;
+            }
+        }
+        
         .section {
-            background: white;
+            background: var(--color-surface);
             margin: 2rem 0;
             border-radius: 10px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            box-shadow: 0 2px 10px var(--color-shadow);
             overflow: hidden;
         }
         
         .section-header {
-            background: ${this.tealColors.light};
+            background: var(--color-primary-soft);
             padding: 1.5rem;
             cursor: pointer;
             display: flex;
@@ -184,17 +797,34 @@ class LanguageRenderer {
         }
         
         .section-header:hover {
-            background: ${this.tealColors.accent};
+            background: var(--color-primary-hover);
         }
         
         .section-header h2 {
-            color: ${this.tealColors.dark};
+            color: var(--color-primary-strong);
             margin: 0;
             flex-grow: 1;
         }
         
+        .section-toggle {
+            background: none;
+            border: none;
+            padding: 0;
+            font: inherit;
+            color: inherit;
+            text-align: left;
+            cursor: pointer;
+            width: 100%;
+        }
+
+        button:focus-visible, a:focus-visible, summary:focus-visible,
+        input:focus-visible, select:focus-visible {
+            outline: 3px solid var(--color-primary-strong);
+            outline-offset: 2px;
+        }
+
         .collapse-indicator {
-            color: ${this.tealColors.dark};
+            color: var(--color-primary-strong);
             font-size: 1.2rem;
             font-weight: bold;
         }
@@ -204,14 +834,14 @@ class LanguageRenderer {
         }
         
         .section h3 {
-            color: ${this.tealColors.primary};
+            color: var(--color-primary);
             margin-top: 1.5rem;
             padding-bottom: 0.5rem;
-            border-bottom: 2px solid ${this.tealColors.light};
+            border-bottom: 2px solid var(--color-primary-soft);
         }
         
         .section h4 {
-            color: ${this.tealColors.dark};
+            color: var(--color-primary-strong);
             margin-top: 1rem;
         }
         
@@ -224,24 +854,24 @@ class LanguageRenderer {
         
         .phonology-table th, .phonology-table td,
         .lexicon-table th, .lexicon-table td {
-            border: 1px solid #e0e0e0;
+            border: 1px solid var(--color-border);
             padding: 8px 12px;
             text-align: left;
             vertical-align: top;
         }
         
         .phonology-table th, .lexicon-table th {
-            background-color: ${this.tealColors.light};
+            background-color: var(--color-primary-soft);
             font-weight: 600;
             text-align: center;
-            color: ${this.tealColors.dark};
+            color: var(--color-primary-strong);
         }
         
         .phonology-table .row-header {
-            background-color: ${this.tealColors.light};
+            background-color: var(--color-primary-soft);
             font-weight: 600;
             text-align: left;
-            color: ${this.tealColors.dark};
+            color: var(--color-primary-strong);
         }
         
         .phonology-table td {
@@ -249,323 +879,2021 @@ class LanguageRenderer {
             font-family: 'Times New Roman', serif;
         }
         
-        .lexicon-table {
-            font-size: 0.9rem;
+        .ipa-chart-scroll {
+            overflow-x: auto;
         }
         
-        .lexicon-table td:first-child {
-            font-family: 'Times New Roman', serif;
-            font-weight: bold;
-            color: ${this.tealColors.dark};
+        .consonant-chart th {
+            font-size: 0.8rem;
         }
         
-        .conlang-text {
-            font-family: 'Times New Roman', serif;
-            font-style: italic;
-            color: ${this.tealColors.dark};
-            font-size: 1.1rem;
+        .consonant-chart td {
+            padding: 4px 6px;
+            white-space: nowrap;
         }
         
-        .gloss {
-            font-family: monospace;
-            font-size: 0.85rem;
-            color: #666;
-            margin: 0.25rem 0;
+        .consonant-chart .voiceless, .consonant-chart .voiced {
+            display: inline-block;
+            min-width: 1.2em;
         }
         
-        .translation {
-            color: #333;
-            font-style: italic;
+        .consonant-chart .voiceless {
+            text-align: left;
         }
         
-        .example-block {
-            background: #f8f9fa;
-            padding: 1rem;
-            border-radius: 5px;
-            margin: 1rem 0;
-            border-left: 4px solid ${this.tealColors.primary};
+        .consonant-chart .voiced {
+            text-align: right;
+            margin-left: 0.4em;
         }
         
-        pre {
-            background: #f5f5f5;
-            padding: 1rem;
-            border-radius: 5px;
-            overflow-x: auto;
-            font-family: 'Courier New', monospace;
-            font-size: 0.9rem;
+        .consonant-chart td.empty {
+            background-color: var(--color-surface-hover);
         }
         
-        .feature-highlight {
-            background: linear-gradient(90deg, ${this.tealColors.light}, transparent);
-            padding: 0.25rem 0;
-            margin: 0.125rem 0;
-            border-left: 3px solid ${this.tealColors.primary};
+        .consonant-chart td.impossible {
+            background-color: var(--color-border-strong);
+        }
+        
+        button.phoneme {
+            font: inherit;
+            font-family: 'Times New Roman', serif;
+            font-size: 1.1rem;
+            background: none;
+            border: 1px solid transparent;
+            border-radius: 4px;
+            padding: 0 0.15em;
+            cursor: pointer;
+            color: inherit;
+        }
+        
+        button.phoneme:hover, button.phoneme:focus-visible {
+            border-color: var(--color-primary);
+        }
+        
+        button.phoneme.selected {
+            background-color: var(--color-primary-soft);
+            border-color: var(--color-primary-strong);
+        }
+        
+        button.phoneme.marginal {
+            color: var(--color-text-muted);
+        }
+        
+        .phoneme-info {
+            min-height: 1.6em;
+            color: var(--color-primary-strong);
+        }
+        
+        .vowel-chart {
+            max-width: 460px;
+            margin: 1rem 0;
+            padding: 0 2.5rem;
+        }
+        
+        .vowel-chart-labels {
+            display: flex;
+            justify-content: space-between;
+            padding: 0 4% 0.25rem 5%;
+            font-size: 0.8rem;
+            font-weight: 600;
+            color: var(--color-primary-strong);
+        }
+        
+        .vowel-chart-area {
+            position: relative;
+        }
+        
+        .vowel-chart-area svg {
+            display: block;
+            width: 100%;
+            height: auto;
+        }
+        
+        .vowel-chart-area polygon, .vowel-chart-area line {
+            fill: none;
+            stroke: var(--color-border-strong);
+            stroke-width: 1.5;
+        }
+        
+        .vowel-chart-area circle {
+            fill: var(--color-primary-strong);
+        }
+        
+        .vowel-point {
+            position: absolute;
+            display: flex;
+            transform: translateY(-50%);
+            background-color: var(--color-surface-muted);
+            white-space: nowrap;
+        }
+        
+        .vowel-point.unrounded {
+            transform: translate(calc(-100% - 6px), -50%);
+        }
+        
+        .vowel-point.rounded {
+            margin-left: 6px;
+        }
+        
+        .chart-other {
+            font-size: 0.9rem;
+        }
+        
+        .chart-source summary {
+            cursor: pointer;
+            color: var(--color-primary-strong);
+            font-size: 0.9rem;
+        }
+        
+        .lexicon-table {
+            font-size: 0.9rem;
+        }
+        
+        .lexicon-table td:first-child {
+            font-family: 'Times New Roman', serif;
+            font-weight: bold;
+            color: var(--color-primary-strong);
+        }
+        
+        .lexicon-controls {
+            margin: 1rem 0;
+        }
+        
+        .lexicon-search-row {
+            display: flex;
+            align-items: center;
+            gap: 1rem;
+            flex-wrap: wrap;
+        }
+        
+        .lexicon-filter {
+            flex: 1;
+            min-width: 200px;
+            padding: 0.5rem 0.75rem;
+            border: 2px solid var(--color-border);
+            border-radius: 6px;
+            font-size: 0.95rem;
+        }
+        
+        .lexicon-filter:focus {
+            outline: none;
+            border-color: var(--color-primary);
+        }
+        
+        .lexicon-count {
+            color: var(--color-text-muted);
+            font-size: 0.85rem;
+        }
+        
+        .lexicon-pos-chips {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.25rem;
+            margin-top: 0.75rem;
+        }
+        
+        .pos-chip {
+            background: var(--color-surface-muted);
+            border: 1px solid var(--color-border);
+            border-radius: 12px;
+            padding: 0.2rem 0.6rem;
+            font-size: 0.8rem;
+            cursor: pointer;
+            color: var(--color-text);
+        }
+        
+        .pos-chip span {
+            color: var(--color-text-faint);
+        }
+        
+        .pos-chip.active {
+            background: var(--color-primary);
+            border-color: var(--color-primary);
+            color: var(--color-on-primary);
+        }
+        
+        .pos-chip.active span {
+            color: rgba(255, 255, 255, 0.8);
+        }
+        
+        .lexicon-sort {
+            background: none;
+            border: none;
+            font: inherit;
+            color: inherit;
+            cursor: pointer;
+            padding: 0;
+        }
+        
+        th[aria-sort="ascending"] .lexicon-sort::after {
+            content: ' ▲';
+        }
+        
+        th[aria-sort="descending"] .lexicon-sort::after {
+            content: ' ▼';
+        }
+        
+        .lexicon-pager {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 1rem;
+            font-size: 0.85rem;
+            color: var(--color-text-muted);
+        }
+        
+        .lexicon-pager button {
+            background: var(--color-surface);
+            border: 1px solid var(--color-primary);
+            color: var(--color-primary-strong);
+            border-radius: 4px;
+            padding: 0.25rem 0.75rem;
+            cursor: pointer;
+        }
+        
+        .lexicon-pager button:disabled {
+            border-color: var(--color-border);
+            color: var(--color-text-disabled);
+            cursor: default;
+        }
+        
+        .lexicon-pos {
+            font-style: italic;
+            color: var(--color-text-secondary);
+            white-space: nowrap;
+        }
+        
+        .lexicon-notes {
+            font-size: 0.85rem;
+            color: var(--color-text-secondary);
+        }
+        
+        .lexicon-forms summary {
+            cursor: pointer;
+            color: var(--color-primary);
+            font-size: 0.8rem;
+            white-space: nowrap;
+        }
+        
+        .lexicon-forms-table {
+            border-collapse: collapse;
+            margin-top: 0.25rem;
+            font-size: 0.8rem;
+        }
+        
+        .lexicon-forms-table td {
+            border: none;
+            border-left: 2px solid var(--color-primary-soft);
+            padding: 2px 8px;
+            font-family: 'Times New Roman', serif;
+        }
+        
+        .conlang-text {
+            font-family: 'Times New Roman', serif;
+            font-style: italic;
+            color: var(--color-primary-strong);
+            font-size: 1.1rem;
+        }
+        
+        button.speak {
+            background: none;
+            border: none;
+            padding: 0 0.2em;
+            font-size: 0.85rem;
+            font-style: normal;
+            cursor: pointer;
+            opacity: 0.6;
+            vertical-align: middle;
+        }
+        
+        button.speak:hover, button.speak:focus-visible, button.speak.speaking {
+            opacity: 1;
+        }
+        
+        .example-block > button.speak {
+            float: right;
+        }
+        
+        .ipa-line {
+            font-family: 'Doulos SIL', 'Charis SIL', 'Times New Roman', serif;
+            font-size: 0.9rem;
+            font-style: normal;
+            color: var(--color-text-secondary);
+        }
+        
+        .ipa-line.untranscribed {
+            text-decoration: underline dotted var(--color-warning);
+            cursor: help;
+        }
+        
+        .lexicon-report {
+            margin-bottom: 1rem;
+        }
+        
+        .lexicon-report summary {
+            cursor: pointer;
+            color: var(--color-primary-strong);
+        }
+        
+        .spelling-rules {
+            columns: 14rem;
+        }
+        
+        .rule-source {
+            font-size: 0.75rem;
+            color: var(--color-text-faint);
+        }
+        
+        .phonotactic-violations .ipa-line {
+            display: inline;
+        }
+        
+        .generator-controls {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem 1rem;
+            align-items: center;
+        }
+        
+        .generated-words {
+            columns: 10rem;
+        }
+        
+        .violation-flag {
+            color: var(--color-warning);
+            font-style: normal;
+            cursor: help;
+        }
+        
+        tr.phonotactic-violation td:first-child {
+            border-left: 3px solid var(--color-warning);
+        }
+        
+        .gloss {
+            font-family: monospace;
+            font-size: 0.85rem;
+            color: var(--color-text-muted);
+            margin: 0.25rem 0;
+        }
+        
+        .translation {
+            color: var(--color-text);
+            font-style: italic;
+        }
+        
+        .igt {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.25rem 1.25rem;
+            margin-bottom: 0.5rem;
+        }
+        
+        .igt-preface {
+            font-family: 'Times New Roman', serif;
+            color: var(--color-text-secondary);
+            margin-bottom: 0.25rem;
+        }
+        
+        .igt-unaligned {
+            display: block;
+        }
+        
+        .igt-word {
+            display: inline-flex;
+            flex-direction: column;
+            border-collapse: collapse;
+            margin: 0;
+        }
+        
+        table.igt-word {
+            display: table;
+            width: auto;
+        }
+        
+        .igt-word td {
+            padding: 0;
+            border: none;
+            text-align: left;
+            vertical-align: top;
+        }
+        
+        .igt-word .igt-boundary {
+            padding: 0 1px;
+            color: var(--color-text-faint);
+        }
+        
+        .igt .gloss, .igt .conlang-text {
+            margin: 0;
+        }
+        
+        .gloss-abbr {
+            font-variant: small-caps;
+            letter-spacing: 0.03em;
+            text-decoration: none;
+        }
+        
+        abbr.gloss-abbr {
+            cursor: help;
+            border-bottom: 1px dotted var(--color-text-disabled);
+        }
+        
+        abbr.gloss-abbr.unknown {
+            border-bottom-color: var(--color-warning);
+        }
+        
+        .abbreviation-table td {
+            text-align: left;
+            font-family: inherit;
+        }
+        
+        .abbr-unknown td {
+            background: var(--color-warning-soft);
+        }
+        
+        .example-block {
+            background: var(--color-surface-muted);
+            padding: 1rem;
+            border-radius: 5px;
+            margin: 1rem 0;
+            border-left: 4px solid var(--color-primary);
+        }
+        
+        pre {
+            background: var(--color-surface-muted);
+            padding: 1rem;
+            border-radius: 5px;
+            overflow-x: auto;
+            font-family: 'Courier New', monospace;
+            font-size: 0.9rem;
+        }
+        
+        .search-target {
+            background-color: var(--color-highlight);
+            transition: background-color 0.5s ease;
+        }
+        
+        .feature-highlight {
+            background: linear-gradient(90deg, var(--color-primary-soft), transparent);
+            padding: 0.25rem 0;
+            margin: 0.125rem 0;
+            border-left: 3px solid var(--color-primary);
             padding-left: 1rem;
         }
         
         code {
-            background: #f1f3f4;
+            background: var(--color-surface-muted);
             padding: 0.2rem 0.4rem;
             border-radius: 3px;
             font-family: 'Courier New', monospace;
             font-size: 0.9em;
-            color: ${this.tealColors.dark};
+            color: var(--color-primary-strong);
         }
         
         ul, ol {
             margin: 1rem 0;
             padding-left: 2rem;
         }
-        
-        li {
-            margin: 0.5rem 0;
-            line-height: 1.5;
+        
+        li {
+            margin: 0.5rem 0;
+            line-height: 1.5;
+        }
+        
+        ul li {
+            list-style-type: disc;
+        }
+        
+        ol li {
+            list-style-type: decimal;
+        }
+        
+        @media (prefers-reduced-motion: reduce) {
+            *, *::before, *::after {
+                transition: none !important;
+                animation: none !important;
+                scroll-behavior: auto !important;
+            }
+        }
+        
+        /* Print / PDF: one section per page, the contents first and none of
+           the interactive controls. The contents give each entry's page
+           where the engine has target-counter (WeasyPrint, Prince,
+           Paged.js); browsers drop that declaration and print them as
+           links without. */
+        @page {
+            margin: 2cm 1.8cm;
+        }
+        
+        @media print {
+            body {
+                max-width: none;
+                margin: 0;
+                padding: 0;
+                background: var(--color-surface);
+                font-size: 11pt;
+            }
+        
+            .header {
+                background: none;
+                color: black;
+                box-shadow: none;
+                border-bottom: 2px solid var(--color-primary-strong);
+                border-radius: 0;
+            }
+        
+            .user-constraints, .user-constraints h3, .user-constraints p {
+                background: none;
+                color: black;
+            }
+        
+            .page-layout {
+                display: block;
+            }
+        
+            .toc {
+                position: static;
+                max-height: none;
+                overflow: visible;
+                box-shadow: none;
+                font-size: 11pt;
+                break-after: page;
+            }
+        
+            .toc ul[hidden] {
+                display: block !important;
+            }
+        
+            /* The first for engines without leader() */
+            .toc a::after {
+                content: " " target-counter(attr(href url), page);
+                content: leader('.') target-counter(attr(href url), page);
+            }
+        
+            .page-nav, .toc-header button, .toc-toggle, .toc-toggle-spacer,
+            .collapse-indicator, button.speak, .lexicon-controls, .lexicon-pager,
+            .lexicon-report, .chart-source, .phoneme-info, .violation-flag {
+                display: none !important;
+            }
+        
+            .section {
+                margin: 0;
+                box-shadow: none;
+                overflow: visible;
+                break-before: page;
+            }
+        
+            .page-content > .section:first-child {
+                break-before: auto;
+            }
+        
+            .section-content {
+                display: block !important;
+            }
+        
+            .lexicon-table tbody tr[hidden] {
+                display: table-row !important;
+            }
+        
+            h2, h3, h4, h5, h6 {
+                break-after: avoid;
+            }
+        
+            tr, pre, .ipa-chart, .example-block {
+                break-inside: avoid;
+            }
+        
+            a {
+                color: inherit;
+                text-decoration: none;
+            }
+        }
+        `;
+    }
+
+    /**
+     * Render user constraints section
+     */
+    renderUserConstraints(constraints) {
+        if (!constraints) return '';
+        
+        return `
+        <div class="user-constraints">
+            <h3>User-specified constraints:</h3>
+            <p>${this.escapeHtml(constraints)}</p>
+        </div>`;
+    }
+
+    /**
+     * List the headings of a markdown text with the ids they get on the page
+     */
+    collectHeadings(text, idPrefix) {
+        if (!text) return [];
+
+        const headings = [];
+        this.walkBlocks(this.assignHeadingIds(this.parseMarkdown(text), idPrefix), node => {
+            if (node.type !== 'heading') return;
+            headings.push({
+                level: node.level,
+                id: node.id,
+                // Keep escaping but drop code/emphasis markup
+                title: this.renderInline(node.text).replace(/<[^>]+>/g, '')
+            });
+        });
+        return headings;
+    }
+
+    /**
+     * Nest a flat heading list by level. A heading skipping levels (## then
+     * ####) becomes a child of the nearest shallower heading.
+     */
+    buildHeadingTree(headings) {
+        const root = { level: 0, children: [] };
+        const stack = [root];
+        headings.forEach(heading => {
+            while (stack[stack.length - 1].level >= heading.level) stack.pop();
+            const node = { ...heading, children: [] };
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+        });
+        return root.children;
+    }
+
+    /**
+     * Render the sidebar table of contents. Each section's own title
+     * heading ("# Grammar" in grammar.txt) is folded into the section entry.
+     */
+    renderTableOfContents(sections) {
+        const renderItems = (nodes, depth) => nodes.map(node => {
+            const hasChildren = node.children.length > 0;
+            // Sections and their direct subsections start expanded
+            const expanded = depth < 2;
+            const toggle = hasChildren
+                ? `<button type="button" class="toc-toggle" aria-expanded="${expanded}" aria-label="Toggle ${node.title}">${expanded ? '▾' : '▸'}</button>`
+                : '<span class="toc-toggle-spacer"></span>';
+            const children = hasChildren
+                ? `<ul${expanded ? '' : ' hidden'}>${renderItems(node.children, depth + 1)}</ul>`
+                : '';
+            return `<li>${toggle}<a href="#${node.id}" data-target="${node.id}">${node.title}</a>${children}</li>`;
+        }).join('');
+
+        const tree = sections.map(section => {
+            let children = this.buildHeadingTree(section.headings);
+            if (children.length === 1 && children[0].title.toLowerCase() === section.title.toLowerCase()) {
+                children = children[0].children;
+            }
+            return { id: section.id, title: this.escapeHtml(section.title), children };
+        });
+
+        return `
+        <nav class="toc" aria-label="Contents">
+            <div class="toc-header">
+                <span class="toc-title">Contents</span>
+                <button type="button" class="toc-expand-all">Expand all</button>
+                <button type="button" class="toc-collapse-all">Collapse all</button>
+            </div>
+            <ul class="toc-tree">${renderItems(tree, 0)}</ul>
+        </nav>`;
+    }
+
+    /**
+     * Render phonology section
+     */
+    renderPhonology(phonologyText) {
+        if (!phonologyText) {
+            return `<div class="section" id="phonology">${this.renderSectionHeader('phonology', 'Phonology')}<div class="section-content" id="section-phonology"><p><em>Phonological description not available.</em></p></div></div>`;
+        }
+
+        // The consonant and vowel tables are redrawn as IPA charts; tables
+        // whose symbols mostly can't be placed are left as written
+        const blocks = this.assignHeadingIds(this.parseMarkdown(phonologyText), 'phonology');
+        const charts = this.findInventoryCharts(blocks);
+        const inventory = this.phonemeInventory.fromCharts(charts.consonants, charts.vowels);
+
+        if (charts.consonants && this.phonemeInventory.isPlaceable(inventory.consonants)) {
+            const html = this.renderConsonantChart(inventory.consonants, charts.consonants);
+            Object.assign(charts.consonants, { type: 'html', html });
+        }
+        if (charts.vowels && this.phonemeInventory.isPlaceable(inventory.vowels)) {
+            const html = this.renderVowelChart(inventory.vowels, charts.vowels);
+            Object.assign(charts.vowels, { type: 'html', html });
+        }
+
+        // Exposed to the page script as window.phonemeInventory
+        const data = JSON.stringify(inventory).replace(/</g, '\\u003c');
+        
+        return `
+        <div class="section" id="phonology">
+            ${this.renderSectionHeader('phonology', 'Phonology')}
+            <div class="section-content" id="section-phonology">
+                ${this.renderBlocks(blocks)}
+                <script type="application/json" id="phoneme-inventory">${data}</script>
+            </div>
+        </div>`;
+    }
+
+    /**
+     * The consonant and vowel charts of a phonology description: the first
+     * table under a heading that mentions consonants or vowels
+     */
+    findInventoryCharts(blocks) {
+        const charts = { consonants: null, vowels: null };
+        let heading = '';
+        this.walkBlocks(blocks, node => {
+            if (node.type === 'heading') heading = node.text;
+            if (node.type !== 'table') return;
+
+            const kind = /consonant/i.test(heading) ? 'consonants' : /vowel/i.test(heading) ? 'vowels' : null;
+            if (kind && !charts[kind]) charts[kind] = node;
+        });
+        return charts;
+    }
+
+    /**
+     * Structured phoneme inventory of a phonology description, shared with
+     * the comparison and statistics views
+     */
+    extractInventory(phonologyText) {
+        const charts = phonologyText
+            ? this.findInventoryCharts(this.parseMarkdown(phonologyText))
+            : { consonants: null, vowels: null };
+        return this.phonemeInventory.fromCharts(charts.consonants, charts.vowels);
+    }
+
+    /**
+     * A phoneme as a button describing it; the page script shows the
+     * description when it is clicked
+     */
+    renderPhoneme(phoneme, description) {
+        const symbol = this.escapeHtml(phoneme.symbol);
+        const label = phoneme.marginal ? `(${symbol})` : symbol;
+        return `<button type="button" class="phoneme${phoneme.marginal ? ' marginal' : ''}" data-symbol="${symbol}" data-description="${this.escapeAttribute(description)}" title="/${symbol}/ ${this.escapeAttribute(description)}">${label}</button>`;
+    }
+
+    /**
+     * The chart as the description wrote it, kept behind the IPA chart
+     */
+    renderChartAsWritten(table) {
+        return `
+            <details class="chart-source">
+                <summary>Table as written</summary>
+                ${this.renderTable(table)}
+            </details>`;
+    }
+
+    /**
+     * Consonants on the IPA chart: places as columns, pulmonic manners as
+     * rows, then rows for affricates and other series when present.
+     * Voiceless symbols sit left in a cell and voiced ones right.
+     */
+    renderConsonantChart(consonants, table) {
+        const inventory = this.phonemeInventory;
+        const used = consonants.filter(c => inventory.places.includes(c.place));
+        const standard = inventory.places.filter(place => !['alveolo-palatal', 'labial-velar'].includes(place));
+        const places = inventory.places.filter(place => standard.includes(place) || used.some(c => c.place === place));
+        const standardRows = inventory.manners.slice(0, 8);
+        const extraRows = [...inventory.manners.slice(8), ...inventory.series.slice(1)];
+        const rows = [...standardRows, ...extraRows.filter(row => used.some(c => inventory.chartRow(c) === row))];
+        const other = consonants.filter(c => !used.includes(c) || !rows.includes(inventory.chartRow(c)));
+
+        const capitalize = label => label.charAt(0).toUpperCase() + label.slice(1);
+        const body = rows.map(row => {
+            const cells = places.map(place => {
+                const here = used.filter(c => c.place === place && inventory.chartRow(c) === row);
+                if (here.length === 0) {
+                    const impossible = inventory.impossible.has(`${place}|${row}`);
+                    return `<td class="${impossible ? 'impossible' : 'empty'}"></td>`;
+                }
+                const side = voiced => here
+                    .filter(c => Boolean(c.voiced) === voiced)
+                    .map(c => this.renderPhoneme(c, inventory.describeConsonant(c)))
+                    .join('');
+                return `<td><span class="voiceless">${side(false)}</span><span class="voiced">${side(true)}</span></td>`;
+            }).join('');
+            return `<tr><th scope="row" class="row-header">${capitalize(row)}</th>${cells}</tr>`;
+        }).join('\n');
+
+        const otherList = other.length
+            ? `<p class="chart-other">Other: ${other.map(c => this.renderPhoneme(c, inventory.describeConsonant(c))).join(' ')}</p>`
+            : '';
+
+        return `
+        <div class="ipa-chart">
+            <div class="ipa-chart-scroll">
+                <table class="phonology-table consonant-chart">
+                    <thead><tr><th></th>${places.map(place => `<th scope="col">${capitalize(place)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                    ${body}
+                    </tbody>
+                </table>
+            </div>
+            ${otherList}
+            <p class="phoneme-info" aria-live="polite"></p>
+            ${this.renderChartAsWritten(table)}
+        </div>`;
+    }
+
+    /**
+     * Vowels on the IPA trapezoid, unrounded left of each point and rounded
+     * right. Positions are percentages of the chart box.
+     */
+    renderVowelChart(vowels, table) {
+        const inventory = this.phonemeInventory;
+        const width = 300;
+        const height = 210;
+        const top = 10;
+        const bottom = 200;
+        const frontX = level => 20 + 90 * level;
+        const backX = 280;
+        const point = (vowelHeight, backness) => {
+            const level = inventory.heights.indexOf(vowelHeight) / (inventory.heights.length - 1);
+            const front = frontX(level);
+            const x = { front, central: (front + backX) / 2, back: backX }[backness];
+            return { x, y: top + (bottom - top) * level };
+        };
+
+        const placed = vowels.filter(v => inventory.heights.includes(v.height) && inventory.backnesses.includes(v.backness));
+        const other = vowels.filter(v => !placed.includes(v));
+
+        const groups = new Map();
+        placed.forEach(v => {
+            const key = `${v.height}|${v.backness}|${v.rounded ? 'rounded' : 'unrounded'}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(v);
+        });
+
+        const labels = [...groups.entries()].map(([key, group]) => {
+            const [vowelHeight, backness, rounding] = key.split('|');
+            const { x, y } = point(vowelHeight, backness);
+            const position = `left: ${(x / width * 100).toFixed(1)}%; top: ${(y / height * 100).toFixed(1)}%`;
+            const buttons = group.map(v => this.renderPhoneme(v, inventory.describeVowel(v))).join('');
+            return `<span class="vowel-point ${rounding}" style="${position}">${buttons}</span>`;
+        }).join('');
+
+        const dots = [...new Set(placed.map(v => `${v.height}|${v.backness}`))].map(key => {
+            const { x, y } = point(...key.split('|'));
+            return `<circle cx="${x}" cy="${y}" r="3"></circle>`;
+        }).join('');
+
+        const closeMid = point('close-mid', 'front');
+        const openMid = point('open-mid', 'front');
+        const otherList = other.length
+            ? `<p class="chart-other">Other: ${other.map(v => this.renderPhoneme(v, inventory.describeVowel(v))).join(' ')}</p>`
+            : '';
+
+        return `
+        <div class="ipa-chart">
+            <div class="vowel-chart">
+                <div class="vowel-chart-labels"><span>Front</span><span>Central</span><span>Back</span></div>
+                <div class="vowel-chart-area">
+                    <svg viewBox="0 0 ${width} ${height}" aria-hidden="true">
+                        <polygon points="${frontX(0)},${top} ${backX},${top} ${backX},${bottom} ${frontX(1)},${bottom}"></polygon>
+                        <line x1="${(frontX(0) + backX) / 2}" y1="${top}" x2="${(frontX(1) + backX) / 2}" y2="${bottom}"></line>
+                        <line x1="${closeMid.x}" y1="${closeMid.y}" x2="${backX}" y2="${closeMid.y}"></line>
+                        <line x1="${openMid.x}" y1="${openMid.y}" x2="${backX}" y2="${openMid.y}"></line>
+                        ${dots}
+                    </svg>
+                    ${labels}
+                </div>
+            </div>
+            ${otherList}
+            <p class="phoneme-info" aria-live="polite"></p>
+            ${this.renderChartAsWritten(table)}
+        </div>`;
+    }
+
+    /**
+     * Render grammar section
+     */
+    renderGrammar(grammarText) {
+        if (!grammarText) {
+            return `<div class="section" id="grammar">${this.renderSectionHeader('grammar', 'Grammar')}<div class="section-content" id="section-grammar"><p><em>Grammatical description not available.</em></p></div></div>`;
+        }
+
+        const processedText = this.processMarkdownToHTML(grammarText, 'grammar');
+        
+        return `
+        <div class="section" id="grammar">
+            ${this.renderSectionHeader('grammar', 'Grammar')}
+            <div class="section-content" id="section-grammar">
+                ${processedText}
+            </div>
+        </div>`;
+    }
+
+    /**
+     * Resolve which source key feeds each canonical lexicon field.
+     *
+     * Current generator output stores the part of speech under `translation`
+     * and the English gloss under `pos`; when the `pos` column holds fewer
+     * POS-like labels than the `translation` column, the two are swapped.
+     */
+    detectLexiconSchema(entries) {
+        const keys = new Set(entries.flatMap(entry => Object.keys(entry || {})));
+        const schema = {};
+        Object.entries(this.lexiconFields).forEach(([field, candidates]) => {
+            schema[field] = candidates.find(key => keys.has(key)) || null;
+        });
+
+        if (schema.translation && schema.pos) {
+            const posLike = (key) => entries.filter(entry =>
+                typeof entry?.[key] === 'string' && this.posPattern.test(entry[key].trim())
+            ).length;
+            if (posLike(schema.translation) > posLike(schema.pos)) {
+                [schema.translation, schema.pos] = [schema.pos, schema.translation];
+            }
+        }
+
+        return schema;
+    }
+
+    /**
+     * Map raw lexicon.json entries onto { word, translation, pos, notes, forms }
+     */
+    normalizeLexicon(lexiconData) {
+        if (!Array.isArray(lexiconData)) return [];
+
+        const schema = this.detectLexiconSchema(lexiconData);
+        const text = (entry, field) => {
+            const value = schema[field] ? entry?.[schema[field]] : null;
+            return value == null ? '' : String(value).trim();
+        };
+
+        return lexiconData.map(entry => {
+            const rawForms = schema.forms ? entry?.[schema.forms] : null;
+            const forms = (Array.isArray(rawForms) ? rawForms : [rawForms])
+                .filter(form => form != null)
+                .map(form => String(form).trim())
+                .filter(Boolean);
+
+            return {
+                word: text(entry, 'word'),
+                translation: text(entry, 'translation'),
+                pos: text(entry, 'pos'),
+                notes: text(entry, 'notes'),
+                forms
+            };
+        });
+    }
+
+    /**
+     * Render an entry's forms/derivations as a collapsible sub-table
+     */
+    renderLexiconForms(forms) {
+        if (forms.length === 0) return '';
+
+        return `
+                <details class="lexicon-forms">
+                    <summary>${forms.length} form${forms.length === 1 ? '' : 's'}</summary>
+                    <table class="lexicon-forms-table">
+                        ${forms.map(form => `<tr><td>${this.processInlineMarkdown(form)}</td></tr>`).join('')}
+                    </table>
+                </details>`;
+    }
+
+    /**
+     * Group label used for POS filter chips: the first label before any
+     * `;`, `,`, `/` or `(`, so "noun; adjective" files under "noun"
+     */
+    lexiconPosKey(pos) {
+        return (pos || '').split(/[;,/(]/)[0].trim().toLowerCase() || 'other';
+    }
+
+    /**
+     * Render the filter box, reverse-lookup toggle and POS chips
+     */
+    renderLexiconControls(entries) {
+        const posCounts = new Map();
+        entries.forEach(entry => {
+            const key = this.lexiconPosKey(entry.pos);
+            posCounts.set(key, (posCounts.get(key) || 0) + 1);
+        });
+        const chips = [...posCounts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([pos, count]) => `<button type="button" class="pos-chip" data-pos="${this.escapeAttribute(pos)}" aria-pressed="false">${this.escapeHtml(pos)} <span>${count}</span></button>`)
+            .join('');
+
+        return `
+                <div class="lexicon-controls">
+                    <div class="lexicon-search-row">
+                        <input type="search" class="lexicon-filter" placeholder="Filter by word or translation…" aria-label="Filter lexicon">
+                        <label class="lexicon-reverse-label"><input type="checkbox" class="lexicon-reverse"> English → conlang</label>
+                        <span class="lexicon-count"></span>
+                    </div>
+                    <div class="lexicon-pos-chips">${chips}</div>
+                </div>`;
+    }
+
+    /**
+     * Render lexicon section
+     */
+    renderLexicon(lexiconData) {
+        if (!lexiconData || !Array.isArray(lexiconData) || lexiconData.length === 0) {
+            return `<div class="section" id="lexicon">${this.renderSectionHeader('lexicon', 'Lexicon')}<div class="section-content" id="section-lexicon"><p><em>Lexicon not available.</em></p>${this.renderWordGenerator([])}</div></div>`;
+        }
+
+        const entries = this.normalizeLexicon(lexiconData);
+        const transcriptions = entries.map(entry => this.transcribe(entry.word));
+        const checks = entries.map((entry, index) => (this.phonotactics ? this.phonotactics.validate(transcriptions[index].ipa) : null));
+        const lexiconHTML = entries.map((entry, index) => `
+            <tr id="lexicon-${index}"${checks[index]?.violations.length ? ' class="phonotactic-violation"' : ''} data-index="${index}" data-word="${this.escapeAttribute(entry.word)}" data-translation="${this.escapeAttribute(entry.translation)}" data-pos="${this.escapeAttribute(this.lexiconPosKey(entry.pos))}">
+                <td class="conlang-text" lang="${this.conlangTag}">${this.escapeHtml(entry.word)} ${this.renderSpeakButton(transcriptions[index].ipa, `Play ${entry.word}`)}${this.renderViolationFlag(checks[index])}${this.transliterator ? this.renderIpaLine(transcriptions[index]) : ''}</td>
+                <td>${this.processInlineMarkdown(entry.translation)}</td>
+                <td class="lexicon-pos">${this.processInlineMarkdown(entry.pos)}</td>
+                <td class="lexicon-notes">${this.processInlineMarkdown(entry.notes)}</td>
+                <td>${this.renderLexiconForms(entry.forms)}</td>
+            </tr>
+        `).join('');
+
+        return `
+        <div class="section" id="lexicon">
+            ${this.renderSectionHeader('lexicon', 'Lexicon')}
+            <div class="section-content" id="section-lexicon">
+                <p>Total vocabulary: <strong>${lexiconData.length}</strong> words</p>
+                ${this.renderTranscriptionReport(entries, transcriptions)}
+                ${this.renderPhonotacticsReport(entries, checks)}
+                ${this.renderWordGenerator(transcriptions.map(transcription => transcription.ipa))}
+                ${this.renderLexiconControls(entries)}
+                <table class="lexicon-table">
+                    <thead>
+                        <tr>
+                            <th data-sort="word"><button type="button" class="lexicon-sort">Word</button></th>
+                            <th data-sort="translation"><button type="button" class="lexicon-sort">Translation</button></th>
+                            <th data-sort="pos"><button type="button" class="lexicon-sort">Part of Speech</button></th>
+                            <th>Notes</th>
+                            <th>Forms</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lexiconHTML}
+                    </tbody>
+                </table>
+                <div class="lexicon-pager">
+                    <button type="button" class="lexicon-prev">‹ Previous</button>
+                    <span class="lexicon-page-info"></span>
+                    <button type="button" class="lexicon-next">Next ›</button>
+                    <label>Per page
+                        <select class="lexicon-page-size">
+                            <option value="25">25</option>
+                            <option value="50" selected>50</option>
+                            <option value="100">100</option>
+                            <option value="0">All</option>
+                        </select>
+                    </label>
+                </div>
+            </div>
+        </div>`;
+    }
+
+    /**
+     * The spelling rules in use and the words they can't transcribe, each
+     * linked to its lexicon row
+     */
+    renderTranscriptionReport(entries, transcriptions) {
+        if (!this.transliterator) return '';
+
+        const rules = this.transliterator.spellingRules();
+        const failures = entries
+            .map((entry, index) => ({ entry, index, unknown: transcriptions[index].unknown }))
+            .filter(({ unknown }) => unknown.length > 0);
+
+        const rulesHTML = rules.length
+            ? `<ul class="spelling-rules">${rules.map(rule => `<li><span class="conlang-text" lang="${this.conlangTag}">⟨${this.escapeHtml(rule.grapheme.normalize('NFC'))}⟩</span> /${this.escapeHtml(rule.ipa)}/${rule.before || rule.after ? ' <em>(in context)</em>' : ''} <span class="rule-source">${rule.source}</span></li>`).join('')}</ul>`
+            : '<p>Words are written with their IPA symbols.</p>';
+        const failuresHTML = failures.length
+            ? `<p>${failures.length} word${failures.length === 1 ? '' : 's'} could not be fully transcribed:</p>
+                <ul class="untranscribed-words">${failures.map(({ entry, index, unknown }) => `<li><a href="#lexicon-${index}" data-target="lexicon-${index}">${this.escapeHtml(entry.word)}</a> (no rule for ${unknown.map(letter => `⟨${this.escapeHtml(letter.normalize('NFC'))}⟩`).join(', ')})</li>`).join('')}</ul>`
+            : '<p>Every word could be transcribed.</p>';
+
+        return `
+                <details class="lexicon-report transcription-report">
+                    <summary>Transcription: ${failures.length === 0 ? 'all words transcribed' : `${failures.length} of ${entries.length} words incomplete`}</summary>
+                    ${rulesHTML}
+                    ${failuresHTML}
+                </details>`;
+    }
+
+    /**
+     * A marker on a lexicon word that breaks phonotactic rules, naming them
+     */
+    renderViolationFlag(check) {
+        if (!check || check.violations.length === 0) return '';
+        const title = check.violations.map(violation => `${violation.description}: ${violation.detail}`).join('\n');
+        return `<span class="violation-flag" title="${this.escapeAttribute(title)}" aria-label="${this.escapeAttribute(title)}">⚠</span>`;
+    }
+
+    /**
+     * The phonotactic rules checked, how many words break each, and the
+     * offending words linked to their lexicon rows
+     */
+    renderPhonotacticsReport(entries, checks) {
+        if (!this.phonotactics) return '';
+
+        const rules = this.phonotactics.ruleList().map(rule => ({
+            ...rule,
+            words: entries
+                .map((entry, index) => ({ entry, index, violations: checks[index].violations.filter(violation => violation.rule === rule.id) }))
+                .filter(({ violations }) => violations.length > 0)
+        }));
+        const failing = checks.filter(check => check.violations.length > 0).length;
+
+        const rulesHTML = rules.map(rule => `
+                    <li class="phonotactic-rule"><strong>${this.escapeHtml(rule.description)}</strong>: ${rule.words.length === 0 ? 'no violations' : `${rule.words.length} word${rule.words.length === 1 ? '' : 's'}`}
+                        ${rule.words.length ? `<ul class="phonotactic-violations">${rule.words.map(({ entry, index, violations }) => `<li><a href="#lexicon-${index}" data-target="lexicon-${index}">${this.escapeHtml(entry.word)}</a> <span class="ipa-line" lang="${this.ipaTag}">${this.escapeHtml(checks[index].syllabified)}</span> (${violations.map(violation => this.escapeHtml(violation.detail)).join('; ')})</li>`).join('')}</ul>` : ''}
+                    </li>`).join('');
+
+        return `
+                <details class="lexicon-report phonotactics-report">
+                    <summary>Phonotactics: ${failing === 0 ? 'all words consistent' : `${failing} of ${entries.length} words break a rule`}</summary>
+                    <ul class="phonotactic-rules">${rulesHTML}
+                    </ul>
+                </details>`;
+    }
+
+    /**
+     * The word generator panel, with its model built from the language's
+     * phonotactics and lexicon (words in IPA)
+     */
+    renderWordGenerator(words) {
+        if (!this.phonotactics) return '';
+
+        const model = JSON.stringify(WordGenerator.fromLexicon(this.phonotactics, words)).replace(/</g, '\\u003c');
+        return `
+                <details class="lexicon-report word-generator">
+                    <summary>Generate words</summary>
+                    <p>New roots built from the inventory, syllable structure and harmony, weighted by how the lexicon uses them. Existing words are left out.</p>
+                    <div class="generator-controls">
+                        <label>Words <input type="number" class="generator-count" min="1" max="500" value="20"></label>
+                        <label>Seed <input type="text" class="generator-seed" value="1" size="8"></label>
+                        <button type="button" class="generate-words">Generate</button>
+                        <button type="button" class="generator-export export-text" disabled>Download .txt</button>
+                        <button type="button" class="generator-export export-json" disabled>Download .json</button>
+                    </div>
+                    <p class="generator-status" aria-live="polite"></p>
+                    <ol class="generated-words" lang="${this.conlangTag}"></ol>
+                    <script type="application/json" id="word-generator-model">${model}</script>
+                </details>`;
+    }
+
+    /**
+     * Process inline markdown (for table cells and small text fragments).
+     * Takes raw text; escaping is done by the inline parser.
+     */
+    processInlineMarkdown(text) {
+        return this.renderInline(text);
+    }
+
+    /**
+     * Process markdown-style text to HTML.
+     * When an idPrefix is given, headings get `${idPrefix}-${slug}` ids so
+     * search results and links can target them.
+     */
+    processMarkdownToHTML(text, idPrefix = null) {
+        if (!text) return '';
+
+        const blocks = this.parseMarkdown(text);
+        if (idPrefix) this.assignHeadingIds(blocks, idPrefix);
+        return this.renderBlocks(blocks);
+    }
+
+    // ------------------------------------------------------------------
+    // Markdown parser
+    //
+    // A CommonMark-compatible block parser (ATX/setext headings, fenced and
+    // indented code, blockquotes, nested lists, thematic breaks) with the
+    // GFM table extension, followed by an inline parser implementing the
+    // CommonMark delimiter rules for emphasis. Raw HTML other than
+    // <br>, <sup> and <sub> is escaped, since the input is generated text.
+    // ------------------------------------------------------------------
+
+    /**
+     * Parse markdown into a tree of block nodes
+     */
+    parseMarkdown(text) {
+        const lines = String(text || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\t/g, '    ')
+            .split('\n');
+        return this.parseBlocks(lines);
+    }
+
+    /**
+     * Parse a run of lines into block nodes. Each node records the line range
+     * it came from and whether a blank line preceded it (for list looseness).
+     */
+    parseBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+        let blankBefore = false;
+
+        const push = (node, start) => {
+            blocks.push({ ...node, start, end: i, blankBefore });
+            blankBefore = false;
+        };
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const start = i;
+            let match;
+
+            if (this.isBlankLine(line)) {
+                blankBefore = blocks.length > 0;
+                i++;
+                continue;
+            }
+
+            // Fenced code block
+            if ((match = line.match(/^( {0,3})(`{3,}|~{3,})(.*)$/)) && !(match[2][0] === '`' && match[3].includes('`'))) {
+                const indent = match[1].length;
+                const fence = match[2];
+                const content = [];
+                i++;
+                while (i < lines.length) {
+                    const close = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ ]*$/);
+                    if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+                        i++;
+                        break;
+                    }
+                    content.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+                    i++;
+                }
+                push({ type: 'code', info: match[3].trim(), content: content.join('\n') }, start);
+                continue;
+            }
+
+            // ATX heading
+            if ((match = line.match(/^ {0,3}(#{1,6})(?:[ ]+(.*?))?(?:[ ]+#+)?[ ]*$/))) {
+                i++;
+                push({ type: 'heading', level: match[1].length, text: (match[2] || '').replace(/^#+$/, '') }, start);
+                continue;
+            }
+
+            // Thematic break
+            if (this.isThematicBreak(line)) {
+                i++;
+                push({ type: 'hr' }, start);
+                continue;
+            }
+
+            // Blockquote (with lazy paragraph continuation lines)
+            if (/^ {0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length) {
+                    if (/^ {0,3}>/.test(lines[i])) {
+                        quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                    } else if (!this.isBlankLine(lines[i]) && quoted.length && !this.isBlankLine(quoted[quoted.length - 1])
+                        && !this.startsBlock(lines[i])) {
+                        quoted.push(lines[i]);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                push({ type: 'blockquote', children: this.parseBlocks(quoted) }, start);
+                continue;
+            }
+
+            // List
+            if (this.matchListItem(line)) {
+                const list = this.parseList(lines, i);
+                i = list.next;
+                push(list.node, start);
+                continue;
+            }
+
+            // Indented code block
+            if (/^ {4}/.test(line)) {
+                const content = [];
+                while (i < lines.length && (/^ {4}/.test(lines[i]) || this.isBlankLine(lines[i]))) {
+                    content.push(lines[i].slice(4));
+                    i++;
+                }
+                while (content.length && !content[content.length - 1].trim()) content.pop();
+                push({ type: 'code', info: '', content: content.join('\n') }, start);
+                continue;
+            }
+
+            // GFM table
+            if (this.isTableStart(lines, i)) {
+                const table = this.parseTable(lines, i);
+                i = table.next;
+                push(table.node, start);
+                continue;
+            }
+
+            // Paragraph, possibly turned into a setext heading
+            // Trailing spaces are kept until the end: two or more make a hard break
+            const paragraph = [line.trimStart()];
+            i++;
+            let setextLevel = 0;
+            while (i < lines.length && !this.isBlankLine(lines[i])) {
+                const underline = lines[i].match(/^ {0,3}(=+|-+)[ ]*$/);
+                if (underline) {
+                    setextLevel = underline[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (this.startsBlock(lines[i], { interruptingParagraph: true }) || this.isTableStart(lines, i)) break;
+                paragraph.push(lines[i].trimStart());
+                i++;
+            }
+            if (setextLevel) {
+                push({ type: 'heading', level: setextLevel, text: paragraph.map(part => part.trim()).join(' ') }, start);
+            } else {
+                push({ type: 'paragraph', text: paragraph.join('\n').trimEnd() }, start);
+            }
+        }
+
+        return blocks;
+    }
+
+    isBlankLine(line) {
+        return /^\s*$/.test(line);
+    }
+
+    isThematicBreak(line) {
+        return /^ {0,3}(?:(?:\*[ ]*){3,}|(?:-[ ]*){3,}|(?:_[ ]*){3,})$/.test(line);
+    }
+
+    /**
+     * Whether a line opens a block that ends a paragraph. Inside a paragraph
+     * only non-empty list items can interrupt, and ordered ones only from 1.
+     */
+    startsBlock(line, { interruptingParagraph = false } = {}) {
+        if (/^ {0,3}(`{3,}|~{3,})/.test(line)) return true;
+        if (/^ {0,3}#{1,6}(?:[ ]|$)/.test(line)) return true;
+        if (/^ {0,3}>/.test(line)) return true;
+        if (this.isThematicBreak(line)) return true;
+
+        const item = this.matchListItem(line);
+        if (!item) return false;
+        if (!interruptingParagraph) return true;
+        return !item.empty && (!item.ordered || item.start === 1);
+    }
+
+    /**
+     * Match a list item marker. Returns the marker details and the column
+     * where the item's content starts, or null.
+     */
+    matchListItem(line) {
+        const match = line.match(/^( {0,3})([-+*]|(\d{1,9})([.)]))( +|$)(.*)$/);
+        if (!match || this.isThematicBreak(line)) return null;
+
+        const indent = match[1].length;
+        const markerWidth = match[2].length;
+        const spaces = match[5].length;
+        const rest = match[6];
+        const empty = rest.trim() === '';
+
+        // Content starts after the marker and its spaces, except that an empty
+        // item or 5+ spaces (indented code) means a single space counts
+        const contentIndent = empty || spaces > 4
+            ? indent + markerWidth + 1
+            : indent + markerWidth + spaces;
+        const content = spaces > 4 ? ' '.repeat(spaces - 1) + rest : rest;
+
+        return {
+            ordered: Boolean(match[3]),
+            start: match[3] ? parseInt(match[3], 10) : null,
+            marker: match[3] ? match[4] : match[2],
+            contentIndent,
+            content,
+            empty
+        };
+    }
+
+    /**
+     * Parse a list starting at line `start`. Items continue while lines are
+     * indented to the item's content column, or are lazy paragraph
+     * continuations; a new item needs the same marker type.
+     */
+    parseList(lines, start) {
+        const first = this.matchListItem(lines[start]);
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const item = this.matchListItem(lines[i]);
+            if (!item || item.ordered !== first.ordered || item.marker !== first.marker) break;
+
+            const itemLines = [item.content];
+            i++;
+            while (i < lines.length) {
+                const line = lines[i];
+                if (this.isBlankLine(line)) {
+                    itemLines.push('');
+                    i++;
+                    continue;
+                }
+                const indent = line.match(/^ */)[0].length;
+                if (indent >= item.contentIndent) {
+                    itemLines.push(line.slice(item.contentIndent));
+                    i++;
+                    continue;
+                }
+                const previous = itemLines[itemLines.length - 1];
+                const lazy = previous.trim() !== '' && !this.startsBlock(line) && !/^ {4}/.test(previous)
+                    && !this.isTableStart(lines, i);
+                if (lazy) {
+                    itemLines.push(line.trimStart());
+                    i++;
+                    continue;
+                }
+                break;
+            }
+
+            // Trailing blank lines belong between items, not inside one
+            let trailingBlank = false;
+            while (itemLines.length > 1 && itemLines[itemLines.length - 1] === '') {
+                itemLines.pop();
+                trailingBlank = true;
+            }
+
+            const children = this.parseBlocks(itemLines);
+            if (children.some((child, index) => index > 0 && child.blankBefore)) loose = true;
+            items.push({ children });
+
+            const next = i < lines.length ? this.matchListItem(lines[i]) : null;
+            const continues = next && next.ordered === first.ordered && next.marker === first.marker;
+            if (trailingBlank && continues) loose = true;
+            if (!continues) {
+                // Give the trailing blank lines back to the caller
+                if (trailingBlank) while (i > start && this.isBlankLine(lines[i - 1])) i--;
+                break;
+            }
         }
-        
-        ul li {
-            list-style-type: disc;
+
+        return {
+            node: { type: 'list', ordered: first.ordered, startNumber: first.start, loose, items },
+            next: i
+        };
+    }
+
+    /**
+     * A table is a row containing `|` followed by a matching delimiter row
+     */
+    isTableStart(lines, i) {
+        if (i + 1 >= lines.length || !lines[i].includes('|')) return false;
+        const delimiter = lines[i + 1];
+        if (!/^ {0,3}\|?[ ]*:?-+:?[ ]*(\|[ ]*:?-+:?[ ]*)*\|?[ ]*$/.test(delimiter)) return false;
+        if (!delimiter.includes('|') && !lines[i].trim().startsWith('|')) return false;
+        return this.splitTableRow(lines[i]).length === this.splitTableRow(delimiter).length;
+    }
+
+    splitTableRow(line) {
+        const cells = [];
+        let current = '';
+        const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+        for (let i = 0; i < trimmed.length; i++) {
+            if (trimmed[i] === '\\' && trimmed[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (trimmed[i] === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += trimmed[i];
+            }
         }
-        
-        ol li {
-            list-style-type: decimal;
+        cells.push(current.trim());
+        return cells;
+    }
+
+    parseTable(lines, start) {
+        const header = this.splitTableRow(lines[start]);
+        const align = this.splitTableRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return null;
+        });
+
+        const rows = [];
+        let i = start + 2;
+        while (i < lines.length && !this.isBlankLine(lines[i]) && !this.startsBlock(lines[i])) {
+            const cells = this.splitTableRow(lines[i]);
+            rows.push(header.map((_, index) => cells[index] ?? ''));
+            i++;
         }
-        `;
+
+        return { node: { type: 'table', header, align, rows }, next: i };
     }
 
     /**
-     * Render user constraints section
+     * Visit every block node in document order
      */
-    renderUserConstraints(constraints) {
-        if (!constraints) return '';
-        
-        return `
-        <div class="user-constraints">
-            <h3>User-specified constraints:</h3>
-            <p>${this.escapeHtml(constraints)}</p>
-        </div>`;
+    walkBlocks(blocks, visit) {
+        blocks.forEach(node => {
+            visit(node);
+            if (node.children) this.walkBlocks(node.children, visit);
+            if (node.items) node.items.forEach(item => this.walkBlocks(item.children, visit));
+        });
     }
 
     /**
-     * Render phonology section
+     * Give every heading a `${idPrefix}-${slug}` id, unique within the document
      */
-    renderPhonology(phonologyText) {
-        if (!phonologyText) {
-            return '<div class="section"><div class="section-header"><h2>Phonology</h2><span class="collapse-indicator">▼</span></div><div class="section-content"><p><em>Phonological description not available.</em></p></div></div>';
+    assignHeadingIds(blocks, idPrefix) {
+        const slugger = this.createSlugger();
+        this.walkBlocks(blocks, node => {
+            if (node.type === 'heading') node.id = `${idPrefix}-${slugger(node.text)}`;
+        });
+        return blocks;
+    }
+
+    /**
+     * Render block nodes to HTML. In tight lists paragraphs are not wrapped.
+     */
+    renderBlocks(blocks, tight = false) {
+        return blocks.map(node => {
+            switch (node.type) {
+                case 'heading': {
+                    // Page <h1> is the language name and sections use <h2>.
+                    // That leaves no tag for ######, which is an <h6> that
+                    // says it is one level below ##### instead.
+                    const level = node.level + 1;
+                    const tag = `h${Math.min(level, 6)}`;
+                    const id = node.id ? ` id="${node.id}"` : '';
+                    const ariaLevel = level > 6 ? ` aria-level="${level}"` : '';
+                    return `<${tag}${id}${ariaLevel}>${this.renderInline(node.text)}</${tag}>`;
+                }
+                case 'paragraph':
+                    return tight
+                        ? this.renderInline(node.text)
+                        : `<p>${this.renderInline(node.text)}</p>`;
+                case 'code':
+                    return this.renderCodeBlock(node.content, node.info);
+                case 'blockquote':
+                    return `<blockquote>\n${this.renderBlocks(node.children)}\n</blockquote>`;
+                case 'hr':
+                    return '<hr>';
+                case 'list':
+                    return this.renderList(node);
+                case 'table':
+                    return this.renderTable(node);
+                case 'html':
+                    return node.html;
+                default:
+                    return '';
+            }
+        }).join('\n');
+    }
+
+    renderList(node) {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const start = node.ordered && node.startNumber !== 1 ? ` start="${node.startNumber}"` : '';
+        const items = node.items
+            .map(item => `<li>${this.renderBlocks(item.children, !node.loose)}</li>`)
+            .join('\n');
+        return `<${tag}${start}>\n${items}\n</${tag}>`;
+    }
+
+    /**
+     * Render a table; a body row whose first cell is entirely bold (as in
+     * the consonant/vowel charts) gets that cell as a row header
+     */
+    renderTable(node) {
+        const style = index => (node.align[index] ? ` style="text-align: ${node.align[index]}"` : '');
+        const head = node.header
+            .map((cell, index) => `<th${style(index)}>${this.renderInline(cell)}</th>`)
+            .join('');
+        const body = node.rows.map(row => {
+            const cells = row.map((cell, index) => {
+                const rowHeader = index === 0 && /^\*\*[^*]+\*\*$/.test(cell);
+                return rowHeader
+                    ? `<th scope="row" class="row-header">${this.renderInline(cell.slice(2, -2))}</th>`
+                    : `<td${style(index)}>${this.renderInline(cell)}</td>`;
+            }).join('');
+            return `    <tr>${cells}</tr>`;
+        }).join('\n');
+
+        return `<table class="phonology-table">\n<thead>\n    <tr>${head}</tr>\n</thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+    }
+
+    /**
+     * Render inline markdown: backslash escapes, code spans, links,
+     * autolinks, hard breaks and emphasis using the CommonMark
+     * left/right-flanking delimiter rules. A lone `*` between letters or
+     * next to spaces (common in IPA and reconstructions) stays literal.
+     * Other than <br>, <sup> and <sub>, raw HTML is shown as text.
+     */
+    renderInline(text) {
+        if (!text) return '';
+
+        const tokens = [];
+        const isSpace = ch => ch === undefined || /\s/.test(ch);
+        const isPunct = ch => ch !== undefined && /[\p{P}\p{S}]/u.test(ch);
+        let buffer = '';
+        const flush = () => {
+            if (buffer) tokens.push({ type: 'html', value: this.escapeHtml(buffer) });
+            buffer = '';
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === '\\' && i + 1 < text.length && /[!-/:-@[-`{-~]/.test(text[i + 1])) {
+                buffer += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            if (ch === '\\' && text[i + 1] === '\n') {
+                flush();
+                tokens.push({ type: 'html', value: '<br>\n' });
+                i += 2;
+                continue;
+            }
+
+            if (ch === '`') {
+                const run = text.slice(i).match(/^`+/)[0];
+                const closeAt = this.findClosingBackticks(text, i + run.length, run.length);
+                if (closeAt !== -1) {
+                    let code = text.slice(i + run.length, closeAt).replace(/\n/g, ' ');
+                    if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                    flush();
+                    tokens.push({ type: 'html', value: `<code>${this.escapeHtml(code)}</code>` });
+                    i = closeAt + run.length;
+                } else {
+                    buffer += run;
+                    i += run.length;
+                }
+                continue;
+            }
+
+            if (ch === '*' || ch === '_') {
+                const run = text.slice(i).match(ch === '*' ? /^\*+/ : /^_+/)[0];
+                const before = text[i - 1];
+                const after = text[i + run.length];
+                const leftFlanking = !isSpace(after) && (!isPunct(after) || isSpace(before) || isPunct(before));
+                const rightFlanking = !isSpace(before) && (!isPunct(before) || isSpace(after) || isPunct(after));
+                flush();
+                tokens.push({
+                    type: 'delim',
+                    char: ch,
+                    count: run.length,
+                    originalCount: run.length,
+                    canOpen: ch === '*' ? leftFlanking : leftFlanking && (!rightFlanking || isPunct(before)),
+                    canClose: ch === '*' ? rightFlanking : rightFlanking && (!leftFlanking || isPunct(after)),
+                    openTags: [],
+                    closeTags: []
+                });
+                i += run.length;
+                continue;
+            }
+
+            if (ch === '[') {
+                const link = this.matchInlineLink(text, i);
+                if (link) {
+                    flush();
+                    tokens.push({ type: 'html', value: `<a href="${this.escapeAttribute(link.href)}">${this.renderInline(link.label)}</a>` });
+                    i = link.end;
+                    continue;
+                }
+            }
+
+            if (ch === '<') {
+                // A few presentational tags are common in the generated charts
+                const tag = text.slice(i).match(/^<(\/?)(br|sup|sub)\s*\/?>/i);
+                if (tag) {
+                    flush();
+                    tokens.push({ type: 'html', value: `<${tag[1]}${tag[2].toLowerCase()}>` });
+                    i += tag[0].length;
+                    continue;
+                }
+                const autolink = text.slice(i).match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^<>\s]*)>/);
+                if (autolink && this.isSafeUrl(autolink[1])) {
+                    flush();
+                    tokens.push({ type: 'html', value: `<a href="${this.escapeAttribute(autolink[1])}">${this.escapeHtml(autolink[1])}</a>` });
+                    i += autolink[0].length;
+                    continue;
+                }
+            }
+
+            if (ch === '\n') {
+                // Two or more trailing spaces make a hard line break
+                const hard = / {2,}$/.test(buffer);
+                buffer = buffer.replace(/ +$/, '');
+                flush();
+                tokens.push({ type: 'html', value: hard ? '<br>\n' : '\n' });
+                i++;
+                continue;
+            }
+
+            buffer += ch;
+            i++;
         }
+        flush();
 
-        const processedText = this.processMarkdownToHTML(phonologyText);
-        
-        return `
-        <div class="section">
-            <div class="section-header">
-                <h2>Phonology</h2>
-                <span class="collapse-indicator">▼</span>
-            </div>
-            <div class="section-content">
-                ${processedText}
-            </div>
-        </div>`;
+        this.processEmphasis(tokens);
+
+        return tokens.map(token => {
+            if (token.type !== 'delim') return token.value;
+            const literal = token.char.repeat(token.count);
+            return token.closeTags.join('') + literal + token.openTags.join('');
+        }).join('');
+    }
+
+    findClosingBackticks(text, from, length) {
+        const pattern = /`+/g;
+        pattern.lastIndex = from;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[0].length === length) return match.index;
+        }
+        return -1;
     }
 
     /**
-     * Render grammar section
+     * Match `[label](destination "optional title")` starting at `start`
      */
-    renderGrammar(grammarText) {
-        if (!grammarText) {
-            return '<div class="section"><div class="section-header"><h2>Grammar</h2><span class="collapse-indicator">▼</span></div><div class="section-content"><p><em>Grammatical description not available.</em></p></div></div>';
+    matchInlineLink(text, start) {
+        let depth = 0;
+        let i = start;
+        for (; i < text.length; i++) {
+            if (text[i] === '\\') { i++; continue; }
+            if (text[i] === '[') depth++;
+            if (text[i] === ']' && --depth === 0) break;
         }
+        if (i >= text.length || text[i + 1] !== '(') return null;
 
-        const processedText = this.processMarkdownToHTML(grammarText);
-        
-        return `
-        <div class="section">
-            <div class="section-header">
-                <h2>Grammar</h2>
-                <span class="collapse-indicator">▼</span>
-            </div>
-            <div class="section-content">
-                ${processedText}
-            </div>
-        </div>`;
+        const rest = text.slice(i + 2).match(/^[ ]*(<[^<>\n]*>|[^\s()]*)(?:[ ]+"[^"]*")?[ ]*\)/);
+        if (!rest) return null;
+
+        const href = rest[1].replace(/^<|>$/g, '');
+        if (!this.isSafeUrl(href)) return null;
+        return { label: text.slice(start + 1, i), href, end: i + 2 + rest[0].length };
+    }
+
+    isSafeUrl(url) {
+        return !/^\s*(javascript|vbscript|data):/i.test(url);
     }
 
     /**
-     * Render lexicon section
+     * CommonMark "process emphasis": pair closers with the nearest eligible
+     * opener, preferring <strong> when both runs have two or more delimiters
      */
-    renderLexicon(lexiconData) {
-        if (!lexiconData || !Array.isArray(lexiconData) || lexiconData.length === 0) {
-            return '<div class="section"><div class="section-header"><h2>Lexicon</h2><span class="collapse-indicator">▼</span></div><div class="section-content"><p><em>Lexicon not available.</em></p></div></div>';
+    processEmphasis(tokens) {
+        const openersBottom = {};
+
+        for (let c = 0; c < tokens.length; c++) {
+            const closer = tokens[c];
+            if (closer.type !== 'delim' || !closer.canClose) continue;
+
+            while (closer.count > 0) {
+                const bottomKey = `${closer.char}${closer.canOpen}${closer.originalCount % 3}`;
+                const bottom = openersBottom[bottomKey] ?? -1;
+                let o = c - 1;
+                for (; o > bottom; o--) {
+                    const opener = tokens[o];
+                    if (opener.type !== 'delim' || opener.char !== closer.char || !opener.canOpen || opener.count === 0) continue;
+                    // "Rule of three" for runs that can both open and close
+                    const oddMatch = (opener.canClose || closer.canOpen)
+                        && (opener.originalCount + closer.originalCount) % 3 === 0
+                        && !(opener.originalCount % 3 === 0 && closer.originalCount % 3 === 0);
+                    if (!oddMatch) break;
+                }
+
+                if (o <= bottom) {
+                    openersBottom[bottomKey] = c - 1;
+                    if (!closer.canOpen) closer.canClose = false;
+                    break;
+                }
+
+                const opener = tokens[o];
+                const strong = opener.count >= 2 && closer.count >= 2;
+                const used = strong ? 2 : 1;
+                const tag = strong ? 'strong' : 'em';
+                opener.count -= used;
+                closer.count -= used;
+                opener.openTags.unshift(`<${tag}>`);
+                closer.closeTags.push(`</${tag}>`);
+
+                // Delimiters between a matched pair can no longer match
+                for (let k = o + 1; k < c; k++) {
+                    if (tokens[k].type === 'delim') {
+                        tokens[k].canOpen = false;
+                        tokens[k].canClose = false;
+                    }
+                }
+            }
         }
+    }
 
-        const lexiconHTML = lexiconData.map(entry => `
-            <tr>
-                <td class="conlang-text">${this.escapeHtml(entry.word || '')}</td>
-                <td>${this.processInlineMarkdown(this.escapeHtml(entry.pos || ''))}</td>
-                <td>${this.processInlineMarkdown(this.escapeHtml(entry.definition || ''))}</td>
-            </tr>
-        `).join('');
+    /**
+     * Count the grammatical labels used in the interlinear examples of the
+     * given markdown texts. Returns a Map of label → occurrences.
+     */
+    collectGlossLabels(texts) {
+        const counts = new Map();
+        texts.filter(Boolean).forEach(text => {
+            this.walkBlocks(this.parseMarkdown(text), node => {
+                if (node.type !== 'code') return;
+                const example = this.parseInterlinear(node.content);
+                example?.gloss.join(' ').match(this.glossLabelPattern)?.forEach(label => {
+                    counts.set(label, (counts.get(label) || 0) + 1);
+                });
+            });
+        });
+        return counts;
+    }
+
+    /**
+     * Render the abbreviation legend for the labels found in the examples
+     */
+    renderGlossLegend(labelCounts) {
+        if (labelCounts.size === 0) return '';
+
+        const statusLabels = {
+            leipzig: 'Leipzig',
+            common: 'Common (non-Leipzig)',
+            unknown: '⚠ Unlisted'
+        };
+        const rows = [...labelCounts.keys()]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(label => {
+                const entry = this.glossAbbreviations.lookup(label);
+                return `
+                    <tr class="abbr-${entry.status}">
+                        <td><span class="gloss-abbr">${this.escapeHtml(label.toLowerCase())}</span> (${this.escapeHtml(label)})</td>
+                        <td>${entry.meaning ? this.escapeHtml(entry.meaning) : '<em>not defined</em>'}</td>
+                        <td>${statusLabels[entry.status]}</td>
+                        <td>${labelCounts.get(label)}</td>
+                    </tr>`;
+            }).join('');
+        const unknownCount = [...labelCounts.keys()]
+            .filter(label => this.glossAbbreviations.lookup(label).status === 'unknown').length;
 
         return `
-        <div class="section">
-            <div class="section-header">
-                <h2>Lexicon</h2>
-                <span class="collapse-indicator">▼</span>
-            </div>
-            <div class="section-content">
-                <p>Total vocabulary: <strong>${lexiconData.length}</strong> words</p>
-                <table class="lexicon-table">
+        <div class="section" id="abbreviations">
+            ${this.renderSectionHeader('abbreviations', 'Glossing Abbreviations')}
+            <div class="section-content" id="section-abbreviations">
+                <p>${labelCounts.size} abbreviations appear in the glossed examples${unknownCount ? `; <strong>${unknownCount}</strong> are not in the standard lists` : ''}.</p>
+                <table class="phonology-table abbreviation-table">
                     <thead>
-                        <tr>
-                            <th>Word</th>
-                            <th>Part of Speech</th>
-                            <th>Definition</th>
-                        </tr>
+                        <tr><th>Abbreviation</th><th>Meaning</th><th>Source</th><th>Uses</th></tr>
                     </thead>
-                    <tbody>
-                        ${lexiconHTML}
-                    </tbody>
+                    <tbody>${rows}</tbody>
                 </table>
             </div>
         </div>`;
     }
 
     /**
-     * Process inline markdown (for table cells and small text fragments)
+     * Render a fenced code block, as an interlinear gloss when it has the
+     * conlang / gloss / "translation" shape and as plain <pre> otherwise
      */
-    processInlineMarkdown(text) {
-        if (!text) return '';
-        
-        let html = text;
-        
-        // Convert code spans (backticks)
-        html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-        
-        // Convert bold/italic
-        html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-        html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-        
-        return html;
+    renderCodeBlock(content, info = '') {
+        const example = this.parseInterlinear(content);
+        if (example) return this.renderInterlinear(example);
+
+        const language = info ? ` class="language-${this.escapeAttribute(info.split(/\s+/)[0])}"` : '';
+        return `<pre><code${language}>${this.escapeHtml(content)}</code></pre>`;
     }
 
     /**
-     * Process markdown-style text to HTML
+     * Recognize a Leipzig-style example: a source line, a gloss line and a
+     * quoted free translation (possibly followed by a parenthetical note).
+     * Lines before the source line, such as an unsegmented orthographic
+     * version, are kept as a preface. Returns null when the block doesn't
+     * look like an example.
      */
-    processMarkdownToHTML(text) {
-        if (!text) return '';
+    parseInterlinear(content) {
+        const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+        const translationIndex = lines.findIndex(line => /^["“]/.test(line));
+        if (translationIndex < 2) return null;
 
-        let html = this.escapeHtml(text);
-        
-        // Convert markdown headers
-        html = html.replace(/^### (.+)$/gm, '<h4>$1</h4>');
-        html = html.replace(/^## (.+)$/gm, '<h3>$1</h3>');
-        html = html.replace(/^# (.+)$/gm, '<h2>$1</h2>');
-        
-        // Convert markdown tables
-        html = this.convertMarkdownTables(html);
-        
-        // Convert code spans (backticks)
-        html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-        
-        // Convert bold/italic
-        html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-        html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-        
-        // Convert bullet lists
-        html = this.convertBulletLists(html);
-        
-        // Convert numbered lists
-        html = this.convertNumberedLists(html);
-        
-        // Convert paragraphs
-        html = html.replace(/\n\n+/g, '</p><p>');
-        html = '<p>' + html + '</p>';
-        
-        // Clean up empty paragraphs and fix header formatting
-        html = html.replace(/<p>\s*<\/p>/g, '');
-        html = html.replace(/<p>\s*(<h[1-6])/g, '$1');
-        html = html.replace(/(<\/h[1-6]>)\s*<\/p>/g, '$1');
-        html = html.replace(/<p>\s*(<ul|<ol)/g, '$1');
-        html = html.replace(/(<\/ul>|<\/ol>)\s*<\/p>/g, '$1');
-        
-        return html;
+        const sourceLine = lines[translationIndex - 2];
+        const glossLine = lines[translationIndex - 1];
+        const source = sourceLine.split(/\s+/);
+        const gloss = glossLine.split(/\s+/);
+        const aligned = source.length === gloss.length;
+
+        // Unaligned lines only count as a gloss if they carry grammatical
+        // labels or morpheme breaks
+        if (!aligned && !/[A-Z0-9]{2,}|[-=.]/.test(glossLine)) return null;
+
+        return {
+            preface: lines.slice(0, translationIndex - 2),
+            source,
+            gloss,
+            aligned,
+            translation: lines.slice(translationIndex).join(' ')
+        };
     }
 
     /**
-     * Convert bullet lists to HTML
+     * Render an interlinear example with word columns and, where source and
+     * gloss have the same number of morphemes, aligned morpheme cells
      */
-    convertBulletLists(text) {
-        // Match bullet list patterns (- or * at start of line)
-        const bulletRegex = /^(\s*)[-*]\s+(.+)$/gm;
-        let inList = false;
-        let listHtml = '';
-        
-        return text.replace(/^((?:\s*[-*]\s+.+\n?)+)/gm, (match) => {
-            const lines = match.trim().split('\n');
-            let html = '<ul>\n';
-            
-            lines.forEach(line => {
-                const itemMatch = line.match(/^\s*[-*]\s+(.+)$/);
-                if (itemMatch) {
-                    html += `  <li>${itemMatch[1]}</li>\n`;
-                }
-            });
-            
-            html += '</ul>\n';
-            return html;
-        });
+    renderInterlinear(example) {
+        let body;
+        if (example.aligned) {
+            body = example.source.map((word, i) => this.renderInterlinearWord(word, example.gloss[i])).join('');
+        } else {
+            // Word counts disagree: keep the lines, without pretending to align them
+            const ipa = this.transliterator ? this.renderIpaLine(this.transcribe(example.source.join(' ')), 'igt-line ipa-line') : '';
+            body = `
+                <div class="igt-line conlang-text" lang="${this.conlangTag}">${this.escapeHtml(example.source.join(' '))}</div>${ipa}
+                <div class="igt-line gloss">${example.gloss.map(word => this.formatGloss(word)).join(' ')}</div>`;
+        }
+
+        const preface = example.preface
+            .map(line => `<div class="igt-preface">${this.escapeHtml(line)}</div>`)
+            .join('');
+
+        return `
+        <div class="example-block">
+            ${this.renderSpeakButton(this.transcribe(example.source.join(' ').replace(/[-=]/g, '')).ipa, 'Play this example')}
+            ${preface}
+            <div class="igt${example.aligned ? '' : ' igt-unaligned'}">${body}</div>
+            <div class="translation">${this.processInlineMarkdown(example.translation)}</div>
+        </div>`;
     }
 
     /**
-     * Convert numbered lists to HTML
+     * One aligned word column. Morpheme boundaries (`-`, `=`) become their
+     * own cells so each morpheme sits above its gloss.
      */
-    convertNumberedLists(text) {
-        // Match numbered list patterns (1. 2. etc at start of line)
-        return text.replace(/^((?:\s*\d+\.\s+.+\n?)+)/gm, (match) => {
-            const lines = match.trim().split('\n');
-            let html = '<ol>\n';
-            
-            lines.forEach(line => {
-                const itemMatch = line.match(/^\s*\d+\.\s+(.+)$/);
-                if (itemMatch) {
-                    html += `  <li>${itemMatch[1]}</li>\n`;
-                }
-            });
-            
-            html += '</ol>\n';
-            return html;
-        });
+    renderInterlinearWord(sourceWord, glossWord) {
+        const split = word => word.split(/([-=])/);
+        const sourceParts = split(sourceWord);
+        const glossParts = split(glossWord);
+
+        if (sourceParts.length !== glossParts.length) {
+            return `
+                <div class="igt-word">
+                    <div class="conlang-text" lang="${this.conlangTag}">${this.escapeHtml(sourceWord)}</div>${this.transliterator ? this.renderIpaLine(this.transcribe(sourceWord)) : ''}
+                    <div class="gloss">${this.formatGloss(glossWord)}</div>
+                </div>`;
+        }
+
+        const cells = (parts, format) => parts
+            .map((part, i) => `<td${i % 2 ? ' class="igt-boundary"' : ''}>${format(part)}</td>`)
+            .join('');
+
+        // Each morpheme is transcribed on its own, so the IPA row stays aligned
+        const ipaRow = this.transliterator
+            ? `<tr class="ipa-line" lang="${this.ipaTag}">${cells(sourceParts, part => this.escapeHtml(this.transcribe(part).ipa))}</tr>`
+            : '';
+
+        return `
+                <table class="igt-word">
+                    <tr class="conlang-text" lang="${this.conlangTag}">${cells(sourceParts, part => this.escapeHtml(part))}</tr>${ipaRow}
+                    <tr class="gloss">${cells(glossParts, part => this.formatGloss(part))}</tr>
+                </table>`;
     }
 
     /**
-     * Convert markdown tables to HTML
-     */
-    convertMarkdownTables(text) {
-        const tableRegex = /(\|.+\|\n)+/g;
-        return text.replace(tableRegex, (match) => {
-            const rows = match.trim().split('\n');
-            let html = '<table class="phonology-table">\n';
-            
-            rows.forEach((row, index) => {
-                if (index === 1 && row.includes('---')) return; // Skip separator row
-                
-                const cells = row.split('|').slice(1, -1); // Remove empty first/last
-                const tag = index === 0 ? 'th' : 'td';
-                const rowClass = index === 0 ? '' : (cells[0].trim().startsWith('**') ? ' class="row-header"' : '');
-                
-                html += `  <tr${rowClass}>\n`;
-                cells.forEach(cell => {
-                    let content = cell.trim();
-                    content = content.replace(/\*\*(.+?)\*\*/g, '$1'); // Remove bold in headers
-                    html += `    <${tag}>${content}</${tag}>\n`;
-                });
-                html += '  </tr>\n';
-            });
-            
-            html += '</table>\n';
-            return html;
+     * Set grammatical category labels (AGT, 3SG, CAUS) in small caps,
+     * leaving lexical glosses (run, be_a_world) as they are
+     */
+    formatGloss(gloss) {
+        return this.escapeHtml(gloss).replace(this.glossLabelPattern, label => {
+            const unknown = this.glossAbbreviations.lookup(label).status === 'unknown' ? ' unknown' : '';
+            const title = `${label}: ${this.glossAbbreviations.describe(label)}`;
+            return `<abbr class="gloss-abbr${unknown}" title="${this.escapeAttribute(title)}">${label.toLowerCase()}</abbr>`;
         });
     }
 
+    /**
+     * Turn heading text into a URL-friendly anchor slug
+     */
+    slugify(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/<[^>]+>/g, '')
+            .replace(/&[a-z]+;|&#\d+;/g, '')
+            .replace(/[^\p{L}\p{M}\p{N}\s-]/gu, '')
+            .trim()
+            .replace(/[\s-]+/g, '-');
+    }
+
+    /**
+     * Create a slug generator that keeps slugs unique within one document
+     * by suffixing repeats (`examples`, `examples-2`, ...). A suffixed slug
+     * that another heading already has ("Examples 2") is skipped.
+     */
+    createSlugger() {
+        const seen = new Map();
+        const used = new Set();
+        return (text) => {
+            const base = this.slugify(text) || 'section';
+            let count = seen.get(base) || 0;
+            let slug;
+            do {
+                count++;
+                slug = count === 1 ? base : `${base}-${count}`;
+            } while (used.has(slug));
+            seen.set(base, count);
+            used.add(slug);
+            return slug;
+        };
+    }
+
     /**
      * Render error HTML
      */
@@ -578,14 +2906,23 @@ class LanguageRenderer {
         </div>`;
     }
 
+    /**
+     * Escape text for use inside a double-quoted attribute
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
     /**
      * Escape HTML special characters
      */
     escapeHtml(text) {
         if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 }
 
@@ -0,0 +1,165 @@
+/**
+ * Language Repository - Loads languages.json and the languages' data files
+ * for the browser and the renderer. Concurrent requests for a file share
+ * one fetch, a language's files are fetched in parallel, and the most
+ * recently used languages are kept parsed in memory.
+ */
+
+/**
+ * A data file that could not be loaded; `path` is the file and `status`
+ * the HTTP status, if there was a response
+ */
+class LanguageDataError extends Error {
+    constructor(message, path, { status = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.path = path;
+        this.status = status;
+    }
+}
+
+/** The file does not exist (404), as for a language without a lexicon */
+class FileAbsentError extends LanguageDataError {}
+
+/** The request failed, or the server answered with another error */
+class NetworkError extends LanguageDataError {}
+
+/** The file arrived but is not valid JSON */
+class ParseError extends LanguageDataError {}
+
+class LanguageRepository {
+    constructor(maxLanguages = 10) {
+        // Parsed language bundles by id, least recently used first
+        this.maxLanguages = maxLanguages;
+        this.languages = new Map();
+        // Fetches in flight, by path
+        this.requests = new Map();
+        this.index = null;
+        this.indexPath = 'data/languages.json';
+    }
+
+    /**
+     * A file's text. Rejects with FileAbsentError or NetworkError; with
+     * `optional`, a missing file resolves to null instead.
+     */
+    async loadText(path, { optional = false } = {}) {
+        try {
+            return await this.fetchText(path);
+        } catch (error) {
+            if (optional && error instanceof FileAbsentError) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * A file parsed as JSON; as loadText, and rejects with ParseError
+     */
+    async loadJSON(path, options = {}) {
+        const text = await this.loadText(path, options);
+        if (text === null) return null;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new ParseError(`${path} is not valid JSON: ${error.message}`, path, { cause: error });
+        }
+    }
+
+    fetchText(path) {
+        if (!this.requests.has(path)) {
+            const request = this.request(path).finally(() => this.requests.delete(path));
+            this.requests.set(path, request);
+        }
+        return this.requests.get(path);
+    }
+
+    async request(path) {
+        let response;
+        try {
+            response = await fetch(path);
+        } catch (error) {
+            throw new NetworkError(`Could not fetch ${path}: ${error.message}`, path, { cause: error });
+        }
+        if (response.status === 404) {
+            throw new FileAbsentError(`${path} does not exist`, path, { status: 404 });
+        }
+        if (!response.ok) {
+            throw new NetworkError(`Could not fetch ${path}: HTTP ${response.status} ${response.statusText}`, path, { status: response.status });
+        }
+        return response.text();
+    }
+
+    /**
+     * languages.json, fetched once; a failure is retried on the next call
+     */
+    loadIndex() {
+        if (!this.index) {
+            this.index = this.loadJSON(this.indexPath).catch(error => {
+                this.index = null;
+                throw error;
+            });
+        }
+        return this.index;
+    }
+
+    /**
+     * A language's entry in languages.json and its files:
+     * { entry, metadata, phonology, grammar, lexicon, orthography, phonotactics }.
+     * Files it doesn't have are null; other failures reject, and the
+     * language is fetched again next time.
+     */
+    loadLanguage(languageId) {
+        let bundle = this.languages.get(languageId);
+        if (bundle) {
+            // Move to the most recently used end
+            this.languages.delete(languageId);
+        } else {
+            bundle = this.fetchLanguage(languageId);
+            bundle.catch(() => {
+                if (this.languages.get(languageId) === bundle) this.languages.delete(languageId);
+            });
+        }
+
+        this.languages.set(languageId, bundle);
+        while (this.languages.size > this.maxLanguages) {
+            this.languages.delete(this.languages.keys().next().value);
+        }
+        return bundle;
+    }
+
+    async fetchLanguage(languageId) {
+        const index = await this.loadIndex();
+        const entry = index?.languages?.find(language => language.id === languageId) || null;
+        // Files languages.json marks as absent aren't requested; the others
+        // may still be missing (some languages list phonology they lack)
+        const file = (name, present = true) => {
+            if (present === false) return null;
+            const path = `data/${languageId}/${name}`;
+            return name.endsWith('.json') ? this.loadJSON(path, { optional: true }) : this.loadText(path, { optional: true });
+        };
+
+        const [metadata, phonology, grammar, lexicon, orthography, phonotactics] = await Promise.all([
+            file('metadata.json'),
+            file('phonology.txt', entry?.has_phonology),
+            file('grammar.txt', entry?.has_grammar),
+            file('lexicon.json', entry?.has_lexicon),
+            file('orthography.json', Boolean(entry?.has_orthography)),
+            file('phonotactics.json', Boolean(entry?.has_phonotactics))
+        ]);
+        return { entry, metadata, phonology, grammar, lexicon, orthography, phonotactics };
+    }
+
+    /**
+     * Start loading a language that is likely to be opened next (a card
+     * under the pointer); failures are left for the actual load to report
+     */
+    prefetch(languageId) {
+        this.loadLanguage(languageId).catch(() => {});
+    }
+}
+
+// Export for use in language_renderer.js and main.js
+window.LanguageRepository = LanguageRepository;
+window.LanguageDataError = LanguageDataError;
+window.FileAbsentError = FileAbsentError;
+window.NetworkError = NetworkError;
+window.ParseError = ParseError;
@@ -0,0 +1,102 @@
+/**
+ * Language Router - Keeps the selected language and section in the URL hash
+ *
+ * Routes look like `#lang=0b212eef&section=grammar&h=question-formation`,
+ * `#compare=0b212eef,2201c79d` for a comparison, or `#stats` for the corpus
+ * statistics. Plain in-page anchors
+ * such as `#language-browser` are not routes and are left alone.
+ */
+
+class LanguageRouter {
+    constructor(onNavigate) {
+        this.onNavigate = onNavigate;
+    }
+
+    /**
+     * Parse a location hash into { lang, section, h }, { compare: [ids] } or
+     * { stats: true }; null if it is not a route
+     */
+    parse(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        if (params.has('stats')) return { stats: true };
+
+        const compare = params.get('compare');
+        if (compare) {
+            return { compare: compare.split(',').filter(Boolean) };
+        }
+
+        const lang = params.get('lang');
+        if (!lang) return null;
+
+        return {
+            lang,
+            section: params.get('section') || null,
+            h: params.get('h') || null
+        };
+    }
+
+    /**
+     * Build a hash from { lang, section, h }, { compare } or { stats }
+     */
+    build({ lang, section = null, h = null, compare = null, stats = false }) {
+        if (stats) return '#stats';
+        if (compare) {
+            // Keep the commas readable rather than percent-encoded
+            return `#compare=${compare.map(encodeURIComponent).join(',')}`;
+        }
+
+        const params = new URLSearchParams({ lang });
+        if (section) params.set('section', section);
+        if (section && h) params.set('h', h);
+        return `#${params.toString()}`;
+    }
+
+    /**
+     * Element id inside the generated language page that a route points at
+     */
+    targetFor(route) {
+        if (!route?.section) return null;
+        return route.h ? `${route.section}-${route.h}` : route.section;
+    }
+
+    /**
+     * Inverse of targetFor(): split a page element id such as
+     * `grammar-question-formation` into its section and heading slug
+     */
+    routeFor(lang, target = null) {
+        if (!target) return { lang, section: null, h: null };
+        const [section, ...rest] = target.split('-');
+        return { lang, section, h: rest.join('-') || null };
+    }
+
+    current() {
+        return this.parse(window.location.hash);
+    }
+
+    /**
+     * Record a route in history. Pushes a new entry by default so back/forward
+     * move between languages; `replace` is for refinements within a language.
+     */
+    navigate(route, { replace = false } = {}) {
+        const hash = this.build(route);
+        if (hash === window.location.hash) return;
+
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    /**
+     * Listen for back/forward and manual hash edits, then apply the current URL
+     */
+    start() {
+        window.addEventListener('popstate', () => this.onNavigate(this.current()));
+        const route = this.current();
+        if (route) this.onNavigate(route, { initial: true });
+    }
+}
+
+// Export for use in main.js
+window.LanguageRouter = LanguageRouter;
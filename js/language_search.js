@@ -0,0 +1,229 @@
+/**
+ * Language Search - Full-text index over every language's phonology, grammar and lexicon
+ */
+
+class LanguageSearch {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.documents = [];
+        this.index = new Map();
+        this.indexPromise = null;
+        this.maxResults = 25;
+        this.snippetRadius = 60;
+    }
+
+    /**
+     * Build the index on first use; later calls reuse the cached promise
+     */
+    ensureIndex(languages) {
+        if (!this.indexPromise) {
+            this.indexPromise = this.buildIndex(languages).catch(error => {
+                // Allow a retry on the next query instead of caching the failure
+                this.indexPromise = null;
+                throw error;
+            });
+        }
+        return this.indexPromise;
+    }
+
+    /**
+     * Fetch every language's files and split them into searchable documents
+     */
+    async buildIndex(languages) {
+        const perLanguage = await Promise.all(languages.map(async (language) => {
+            const { repository } = this.renderer;
+            const [phonology, grammar, lexicon] = await Promise.all([
+                repository.loadText(`data/${language.id}/phonology.txt`, { optional: true }),
+                repository.loadText(`data/${language.id}/grammar.txt`, { optional: true }),
+                repository.loadJSON(`data/${language.id}/lexicon.json`, { optional: true })
+            ]);
+
+            return [
+                ...this.splitMarkdown(language, 'phonology', phonology),
+                ...this.splitMarkdown(language, 'grammar', grammar),
+                ...this.splitLexicon(language, lexicon)
+            ];
+        }));
+
+        this.documents = perLanguage.flat();
+        this.index = new Map();
+        this.documents.forEach((doc, docIndex) => {
+            this.tokenize(`${doc.heading} ${doc.text}`).forEach(token => {
+                if (!this.index.has(token)) this.index.set(token, new Map());
+                const postings = this.index.get(token);
+                postings.set(docIndex, (postings.get(docIndex) || 0) + 1);
+            });
+        });
+    }
+
+    /**
+     * Split a markdown file into paragraph documents that remember the
+     * nearest heading, using the same parser and slugs as the rendered page.
+     */
+    splitMarkdown(language, section, text) {
+        if (!text) return [];
+
+        const blocks = this.renderer.assignHeadingIds(this.renderer.parseMarkdown(text), section);
+        const documents = [];
+        let heading = '';
+        let target = section;
+
+        this.renderer.walkBlocks(blocks, node => {
+            let body = '';
+            if (node.type === 'heading') {
+                heading = this.stripMarkdown(node.text);
+                target = node.id;
+            } else if (node.type === 'paragraph' || node.type === 'code') {
+                body = node.text ?? node.content;
+            } else if (node.type === 'table') {
+                body = [node.header, ...node.rows].map(row => row.join(' ')).join(' ');
+            }
+
+            body = body.replace(/\s+/g, ' ').trim();
+            if (body) {
+                documents.push({ language, section, heading, target, text: body });
+            }
+        });
+
+        return documents;
+    }
+
+    /**
+     * Turn each lexicon entry into its own document
+     */
+    splitLexicon(language, lexicon) {
+        return this.renderer.normalizeLexicon(lexicon).map((entry, index) => ({
+            language,
+            section: 'lexicon',
+            heading: entry.word,
+            target: `lexicon-${index}`,
+            text: [entry.word, entry.translation, entry.pos, entry.notes, ...entry.forms]
+                .filter(Boolean)
+                .join(' — ')
+        }));
+    }
+
+    /**
+     * Rank documents for a query. Every query term must match (prefix
+     * matches allowed), scored by TF-IDF with boosts for heading hits and
+     * exact phrase matches.
+     */
+    search(query) {
+        const terms = this.tokenize(query);
+        if (terms.length === 0 || this.documents.length === 0) return [];
+
+        const totalDocs = this.documents.length;
+        let scores = null;
+
+        for (const term of terms) {
+            const termScores = new Map();
+            for (const [token, postings] of this.index) {
+                if (!token.startsWith(term)) continue;
+                const idf = Math.log(1 + totalDocs / postings.size);
+                // Exact token matches outrank prefix matches
+                const weight = token === term ? 1 : 0.5;
+                postings.forEach((count, docIndex) => {
+                    const score = weight * idf * (1 + Math.log(count));
+                    termScores.set(docIndex, Math.max(termScores.get(docIndex) || 0, score));
+                });
+            }
+
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, docIndex) => {
+                    if (termScores.has(docIndex)) combined.set(docIndex, score + termScores.get(docIndex));
+                });
+                scores = combined;
+            }
+            if (scores.size === 0) return [];
+        }
+
+        const phrase = this.normalize(query).trim();
+        const results = [];
+        scores.forEach((score, docIndex) => {
+            const doc = this.documents[docIndex];
+            const haystack = this.normalize(doc.text);
+            let total = score / Math.sqrt(1 + haystack.length / 500);
+            if (terms.every(term => this.normalize(doc.heading).includes(term))) total *= 1.5;
+            if (phrase.includes(' ') && haystack.includes(phrase)) total *= 2;
+            results.push({ doc, score: total });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxResults)
+            .map(({ doc, score }) => ({
+                languageId: doc.language.id,
+                languageName: doc.language.name,
+                section: doc.section,
+                heading: doc.heading,
+                target: doc.target,
+                score,
+                snippet: this.makeSnippet(doc.text, terms)
+            }));
+    }
+
+    /**
+     * Build an HTML snippet around the first matching term with hits marked
+     */
+    makeSnippet(text, terms) {
+        const plain = this.stripMarkdown(text);
+        const lower = this.normalize(plain);
+
+        let first = -1;
+        terms.forEach(term => {
+            const position = lower.indexOf(term);
+            if (position !== -1 && (first === -1 || position < first)) first = position;
+        });
+
+        const start = Math.max(0, first - this.snippetRadius);
+        const end = Math.min(plain.length, Math.max(first, 0) + this.snippetRadius * 2);
+        const excerpt = plain.slice(start, end);
+
+        // Match on the plain text and escape each piece afterwards, so a term
+        // can never land inside an entity such as &quot;
+        const pattern = terms
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+        let snippet = '';
+        let last = 0;
+        for (const match of excerpt.matchAll(new RegExp(pattern, 'giu'))) {
+            if (match[0] === '') continue;
+            snippet += this.renderer.escapeHtml(excerpt.slice(last, match.index));
+            snippet += `<mark>${this.renderer.escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        snippet += this.renderer.escapeHtml(excerpt.slice(last));
+
+        return `${start > 0 ? '…' : ''}${snippet}${end < plain.length ? '…' : ''}`;
+    }
+
+    /**
+     * Drop markdown punctuation that would clutter snippets
+     */
+    stripMarkdown(text) {
+        return String(text || '')
+            .replace(/[*`#|]+/g, '')
+            .replace(/:?-{3,}:?/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    normalize(text) {
+        return String(text || '').normalize('NFC').toLowerCase();
+    }
+
+    /**
+     * Split text into lowercase word tokens, keeping IPA letters and diacritics
+     */
+    tokenize(text) {
+        return (this.normalize(text).match(/[\p{L}\p{M}\p{N}ʼ']+/gu) || [])
+            .map(token => token.replace(/^'+|'+$/g, ''))
+            .filter(Boolean);
+    }
+}
+
+// Export for use in main.js
+window.LanguageSearch = LanguageSearch;
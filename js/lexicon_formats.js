@@ -0,0 +1,365 @@
+/**
+ * Lexicon Formats - Lexicons in and out of spreadsheets and dictionary tools
+ *
+ * Writes the renderer's lexicon model ({ word, translation, pos, notes,
+ * forms }) as CSV, TSV, normalized JSON or LIFT XML (the SIL Lexicon
+ * Interchange Format), and reads those formats back into the model. Every
+ * imported row keeps its position in the file and a list of issues:
+ * errors for rows that can't be used, warnings for rows that can but may
+ * be wrong.
+ */
+
+class LexiconFormats {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.delimited = new DelimitedText();
+        this.formats = [
+            { key: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+            { key: 'tsv', label: 'TSV', extension: 'tsv', type: 'text/tab-separated-values' },
+            { key: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+            { key: 'lift', label: 'LIFT', extension: 'lift', type: 'application/xml' }
+        ];
+        this.columns = ['word', 'translation', 'pos', 'notes', 'forms'];
+        // Forms share one spreadsheet cell; some forms contain semicolons
+        this.formSeparator = ' | ';
+    }
+
+    /**
+     * Write a lexicon (raw lexicon.json or normalized entries) in a format.
+     * `language.id` names the writing system in LIFT.
+     */
+    serialize(lexicon, format, language = {}) {
+        const entries = this.renderer.normalizeLexicon(lexicon);
+        switch (format) {
+            case 'csv': return this.toDelimited(entries, ',');
+            case 'tsv': return this.toDelimited(entries, '\t');
+            case 'json': return `${JSON.stringify(entries, null, 2)}\n`;
+            case 'lift': return this.toLIFT(entries, language);
+            default: throw new Error(`Unknown lexicon format: ${format}`);
+        }
+    }
+
+    toDelimited(entries, delimiter) {
+        return this.delimited.write([
+            this.columns,
+            ...entries.map(entry => this.columns.map(column =>
+                (column === 'forms' ? entry.forms.join(this.formSeparator) : entry[column])))
+        ], delimiter);
+    }
+
+    /**
+     * LIFT 0.13: the word in the language's own writing system (a
+     * private-use tag, qaa-x-<id>), one sense with the part of speech and
+     * an English gloss, a note, and each form as a "forms" field
+     */
+    toLIFT(entries, language = {}) {
+        const xml = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const writingSystem = this.renderer.languageTag(language.id);
+        const form = (lang, text) => `<form lang="${lang}"><text>${xml(text)}</text></form>`;
+
+        const body = entries.map((entry, i) => {
+            const sense = [
+                entry.pos && `<grammatical-info value="${xml(entry.pos)}"/>`,
+                entry.translation && `<gloss lang="en"><text>${xml(entry.translation)}</text></gloss>`
+            ].filter(Boolean);
+            return [
+                `  <entry id="${xml(`${entry.word || 'entry'}_${i + 1}`)}">`,
+                `    <lexical-unit>${form(writingSystem, entry.word)}</lexical-unit>`,
+                sense.length ? `    <sense id="sense_${i + 1}">${sense.join('')}</sense>` : null,
+                entry.notes ? `    <note>${form('en', entry.notes)}</note>` : null,
+                ...entry.forms.map(value => `    <field type="forms">${form(writingSystem, value)}</field>`),
+                '  </entry>'
+            ].filter(Boolean).join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<lift version="0.13" producer="ConlangCrafter">',
+            ...body,
+            '</lift>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Guess a file's format from its name, or else from its first character
+     */
+    detectFormat(filename, text) {
+        const extension = String(filename || '').split('.').pop().toLowerCase();
+        if (extension === 'xml') return 'lift';
+        const known = this.formats.find(format => format.extension === extension);
+        if (known) return known.key;
+
+        const start = String(text || '').replace(/^\uFEFF/, '').trimStart();
+        if (start.startsWith('<')) return 'lift';
+        if (start.startsWith('[') || start.startsWith('{')) return 'json';
+        const firstLine = start.split('\n')[0];
+        return firstLine.includes('\t') ? 'tsv' : 'csv';
+    }
+
+    /**
+     * Read a file into { format, rows: [{ row, entry, issues }], errors },
+     * where `errors` are problems with the file as a whole
+     */
+    parse(text, format) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        let result;
+        try {
+            switch (format) {
+                case 'csv': result = this.fromDelimited(source, ','); break;
+                case 'tsv': result = this.fromDelimited(source, '\t'); break;
+                case 'json': result = this.fromJSON(source); break;
+                case 'lift': result = this.fromLIFT(source); break;
+                default: throw new Error(`Unknown lexicon format: ${format}`);
+            }
+        } catch (error) {
+            result = { rows: [], errors: [error.message] };
+        }
+        this.validate(result.rows);
+        return { format, ...result };
+    }
+
+    /**
+     * Split CSV/TSV text into records of cells, each with the line it
+     * starts on. Quoted CSV cells may hold commas, quotes ("") and line
+     * breaks.
+     */
+    readDelimited(text, delimiter) {
+        const records = [];
+        let record = [];
+        let cell = '';
+        let line = 1;
+        let start = 1;
+        let quoted = false;
+        let i = 0;
+
+        const endCell = () => { record.push(cell); cell = ''; };
+        const endRecord = () => {
+            endCell();
+            if (record.some(value => value.trim() !== '')) records.push({ line: start, cells: record });
+            record = [];
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') { cell += '"'; i += 2; continue; }
+                if (char === '"') { quoted = false; i++; continue; }
+                if (char === '\n') line++;
+                cell += char;
+                i++;
+                continue;
+            }
+            // TSV is written without quoting, so only CSV cells are quoted
+            if (char === '"' && cell === '' && delimiter === ',') { quoted = true; i++; continue; }
+            if (char === delimiter) { endCell(); i++; continue; }
+            if (char === '\r' || char === '\n') {
+                endRecord();
+                i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+                line++;
+                start = line;
+                continue;
+            }
+            cell += char;
+            i++;
+        }
+        if (quoted) throw new Error(`Unclosed quote in the record starting on line ${start}`);
+        endRecord();
+        return records;
+    }
+
+    fromDelimited(text, delimiter) {
+        const records = this.readDelimited(text, delimiter);
+        if (records.length === 0) return { rows: [], errors: ['The file is empty'] };
+
+        // Header cells name the columns, with the same aliases lexicon.json
+        // keys may use ("headword", "gloss", "part of speech"...)
+        const [header, ...body] = records;
+        const key = name => name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+        const columns = header.cells.map(name => Object.keys(this.renderer.lexiconFields).find(field =>
+            this.renderer.lexiconFields[field].some(alias => key(alias) === key(name)) || key(name) === field) || null);
+
+        if (!columns.includes('word')) {
+            return { rows: [], errors: [`No word column in the header (expected one of: ${this.renderer.lexiconFields.word.join(', ')})`] };
+        }
+        const errors = [];
+        const ignored = header.cells.filter((name, i) => !columns[i] && name.trim());
+        if (ignored.length) errors.push(`Ignored columns: ${ignored.join(', ')}`);
+
+        const rows = body.map(({ line, cells }) => {
+            const entry = { word: '', translation: '', pos: '', notes: '', forms: [] };
+            columns.forEach((column, i) => {
+                if (!column || cells[i] == null) return;
+                const value = this.delimited.unguard(cells[i].trim());
+                if (column === 'forms') {
+                    entry.forms.push(...value.split(this.formSeparator.trim()).map(form => form.trim()).filter(Boolean));
+                } else if (!entry[column]) {
+                    entry[column] = value;
+                }
+            });
+            const issues = [];
+            const extra = cells.slice(header.cells.length).filter(value => value.trim());
+            if (extra.length) issues.push({ level: 'error', message: `${cells.length} cells; the header has ${header.cells.length} columns` });
+            return { row: line, entry, issues };
+        });
+        return { rows, errors };
+    }
+
+    fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+        const list = Array.isArray(data) ? data : data?.entries;
+        if (!Array.isArray(list)) throw new Error('Expected an array of entries (or { "entries": [...] })');
+
+        // The renderer reads whatever keys lexicon.json files use
+        const objects = list.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+        const entries = this.renderer.normalizeLexicon(objects);
+        let next = 0;
+        const rows = list.map((item, i) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                return { row: i + 1, entry: { word: '', translation: '', pos: '', notes: '', forms: [] }, issues: [{ level: 'error', message: 'Not an object' }] };
+            }
+            return { row: i + 1, entry: entries[next++], issues: [] };
+        });
+        return { rows, errors: [] };
+    }
+
+    fromLIFT(text) {
+        const document = this.readXML(text);
+        const lift = document.children.find(node => node.name === 'lift');
+        if (!lift) throw new Error('Not a LIFT file: no <lift> element');
+
+        const elements = (node, name) => node.children.filter(child => child.name === name);
+        const textOf = node => (node ? node.children.map(child => (typeof child === 'string' ? child : textOf(child))).join('') : '');
+        // The first form with text, or the first whose language matches
+        const formText = (node, prefer = null) => {
+            const forms = node ? elements(node, 'form').filter(form => textOf(form).trim()) : [];
+            const chosen = (prefer && forms.find(form => prefer(form.attributes.lang || ''))) || forms[0];
+            return chosen ? textOf(elements(chosen, 'text')[0] || chosen).trim() : '';
+        };
+        const english = lang => /^en\b/i.test(lang);
+
+        const rows = elements(lift, 'entry').map((node, i) => {
+            const senses = elements(node, 'sense');
+            const glosses = senses.flatMap(sense => {
+                const gloss = elements(sense, 'gloss').filter(item => english(item.attributes.lang || ''))
+                    .concat(elements(sense, 'gloss'))
+                    .map(item => textOf(elements(item, 'text')[0] || item).trim())
+                    .find(Boolean);
+                return [gloss || formText(elements(sense, 'definition')[0], english)].filter(Boolean);
+            });
+            const pos = senses.map(sense => elements(sense, 'grammatical-info')[0]?.attributes.value)
+                .concat(elements(node, 'grammatical-info')[0]?.attributes.value)
+                .find(Boolean);
+            const notes = elements(node, 'note').concat(senses.flatMap(sense => elements(sense, 'note')))
+                .map(note => formText(note, english))
+                .filter(Boolean);
+
+            const entry = {
+                word: formText(elements(node, 'lexical-unit')[0]),
+                translation: glosses.join('; '),
+                pos: pos || '',
+                notes: notes.join(' '),
+                forms: elements(node, 'field').filter(field => field.attributes.type === 'forms')
+                    .concat(elements(node, 'variant'))
+                    .map(field => formText(field))
+                    .filter(Boolean)
+            };
+            return { row: i + 1, entry, issues: [] };
+        });
+        return { rows, errors: [] };
+    }
+
+    /**
+     * A small XML reader for LIFT: elements as { name, attributes,
+     * children } with text children as strings. Throws on markup it can't
+     * read or on mismatched tags.
+     */
+    readXML(text) {
+        const decode = value => value.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+            }
+            return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name.toLowerCase()];
+        });
+        const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+
+        const root = { name: '#document', attributes: {}, children: [] };
+        const stack = [root];
+        while (token.lastIndex < text.length) {
+            const at = token.lastIndex;
+            const match = token.exec(text);
+            if (!match) {
+                const line = text.slice(0, at).split('\n').length;
+                throw new Error(`Malformed XML on line ${line}`);
+            }
+            const [, cdata, closing, opening, attributes, selfClosing, characters] = match;
+            const parent = stack[stack.length - 1];
+            if (cdata !== undefined) {
+                parent.children.push(cdata);
+            } else if (characters !== undefined) {
+                if (stack.length > 1) parent.children.push(decode(characters));
+            } else if (closing) {
+                if (closing !== parent.name) throw new Error(`Malformed XML: </${closing}> closes <${parent.name}>`);
+                stack.pop();
+            } else if (opening) {
+                const element = { name: opening, attributes: {}, children: [] };
+                attributes.replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (_, name, double, single) => {
+                    element.attributes[name] = decode(double ?? single);
+                });
+                parent.children.push(element);
+                if (!selfClosing) stack.push(element);
+            }
+        }
+        if (stack.length > 1) throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is never closed`);
+        return root;
+    }
+
+    /**
+     * Issues every format shares: rows without a word or translation, and
+     * repeated entries
+     */
+    validate(rows) {
+        const seen = new Map();
+        rows.forEach(({ row, entry, issues }) => {
+            if (issues.some(issue => issue.level === 'error')) return;
+            if (!entry.word) issues.push({ level: 'error', message: 'No word' });
+            if (!entry.translation) issues.push({ level: 'warning', message: 'No translation' });
+
+            const key = `${entry.word.normalize('NFC')}\u0000${entry.translation.toLowerCase()}`;
+            if (entry.word && seen.has(key)) issues.push({ level: 'warning', message: `Same word and translation as row ${seen.get(key)}` });
+            else seen.set(key, row);
+        });
+        return rows;
+    }
+
+    /**
+     * Warn about words the language's phonotactics or spelling rules don't
+     * account for
+     */
+    checkPhonotactics(rows, validator, transliterator = null) {
+        rows.forEach(({ entry, issues }) => {
+            if (!entry.word) return;
+            const transcription = transliterator ? transliterator.toIPA(entry.word) : { ipa: entry.word, unknown: [] };
+            if (transcription.unknown.length) {
+                issues.push({ level: 'warning', message: `No spelling rule for ${transcription.unknown.join(' ')}` });
+            }
+            if (!validator) return;
+            validator.validate(transcription.ipa).violations.forEach(violation => {
+                issues.push({ level: 'warning', message: violation.detail || violation.description });
+            });
+        });
+        return rows;
+    }
+}
+
+// Export for use in language_export.js
+window.LexiconFormats = LexiconFormats;
@@ -2,24 +2,51 @@ class LanguageBrowser {
     constructor() {
         this.languages = [];
         this.currentLanguage = null;
-        this.renderer = new LanguageRenderer();
+        // Shared by the renderer and every view, so each file is fetched once
+        this.repository = new LanguageRepository();
+        this.renderer = new LanguageRenderer(this.repository);
+        // Installed by index.html before the first paint
+        this.themes = window.themeManager || new ThemeManager();
+        this.search = new LanguageSearch(this.renderer);
+        this.filters = new LanguageFilters();
+        this.router = new LanguageRouter((route, options) => this.restoreRoute(route, options));
+        this.comparison = new LanguageComparison(this.renderer);
+        this.exporter = new LanguageExport(this.renderer);
+        this.statistics = new CorpusStatistics(this.renderer);
+        this.offline = new OfflineStore();
+        // Ids of the languages whose files are all cached, and the
+        // "download all" progress while one is running
+        this.offlineLanguages = new Set();
+        this.offlineDownload = null;
+        this.compareMode = false;
+        this.compareSelection = [];
+        this.currentComparison = null;
+        this.showingStatistics = false;
+        this.detailsPromise = null;
+        this.viewerRequest = 0;
+        this.viewerPlaceholder = document.getElementById('language-viewer')?.innerHTML || '';
         this.init();
     }
 
     async init() {
+        this.renderThemeSwitcher();
         await this.loadLanguages();
+        this.renderFilters();
+        this.renderCompareBar();
         this.renderLanguageGrid();
         this.setupEventListeners();
+        this.setupGridNavigation();
+        this.setupSearch();
+        this.setupFilters();
+        this.setupCompare();
+        this.setupOffline().catch(error => console.error('Failed to set up offline support:', error));
+        this.router.start();
     }
 
     async loadLanguages() {
         try {
-            const response = await fetch('data/languages.json');
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            const data = await response.json();
-            
+            const data = await this.repository.loadIndex();
+
             this.languages = data.languages.map(lang => {
                 // Create display name with IPA if available
                 let displayName = lang.name;
@@ -38,18 +65,15 @@ class LanguageBrowser {
                     hasPhonology: lang.has_phonology,
                     hasGrammar: lang.has_grammar,
                     hasLexicon: lang.has_lexicon,
+                    hasOrthography: lang.has_orthography,
+                    hasPhonotactics: lang.has_phonotactics,
                     userConstraints: lang.user_constraints,
-                    model: lang.model
+                    model: lang.model,
+                    // Filled in by loadLanguageDetails() when a sort order needs them
+                    createdAt: null,
+                    lexiconSize: null
                 };
-            }).sort((a, b) => {
-                // Sort by orthography name first, then by ID as tiebreaker
-                const aName = a.nameOrthography || a.name;
-                const bName = b.nameOrthography || b.name;
-                if (aName !== bName) {
-                    return aName.localeCompare(bName);
-                }
-                return a.id.localeCompare(b.id);
-            });
+            }).sort((a, b) => this.filters.compareByName(a, b));
         } catch (error) {
             console.error('Failed to load languages:', error);
             // Fallback to empty array
@@ -84,40 +108,291 @@ class LanguageBrowser {
         const grid = document.getElementById('language-grid');
         if (!grid) return;
 
-        grid.innerHTML = this.languages.map(lang => `
-            <div class="language-card" data-id="${lang.id}">
+        const visible = this.filters.apply(this.languages);
+        const summary = document.getElementById('language-filter-summary');
+        if (summary) {
+            summary.textContent = `Showing ${visible.length} of ${this.languages.length} languages`;
+        }
+
+        grid.classList.toggle('compare-mode', this.compareMode);
+
+        if (visible.length === 0) {
+            grid.innerHTML = '<div class="grid-empty" role="listitem">No languages match the selected filters.</div>';
+            return;
+        }
+
+        // One card is in the tab order at a time; the arrow keys move
+        // between cards (see setupGridNavigation)
+        const focusId = visible.some(lang => lang.id === this.currentLanguage?.id) ? this.currentLanguage.id : visible[0].id;
+
+        grid.innerHTML = visible.map(lang => {
+            const tabindex = `tabindex="${lang.id === focusId ? 0 : -1}"`;
+            const state = this.compareMode
+                ? `aria-pressed="${this.compareSelection.includes(lang.id)}"`
+                : (this.currentLanguage?.id === lang.id ? 'aria-current="true"' : '');
+            return `
+            <div class="language-card${this.currentLanguage?.id === lang.id ? ' active' : ''}${this.compareSelection.includes(lang.id) ? ' compare-selected' : ''}" data-id="${lang.id}" role="listitem">
                 <div class="language-header">
                     <div class="language-id">${lang.id.substring(0, 8)}</div>
-                    <div class="completeness-badge">${lang.completeness}%</div>
+                    <div class="completeness-badge" data-completeness="${lang.completeness}" title="Completeness">${lang.completeness}%</div>
                 </div>
-                <div class="language-name">${lang.name}</div>
+                <div class="language-name"><button type="button" class="language-open" ${state} ${tabindex}>${this.renderLanguageName(lang)}</button></div>
                 ${lang.userConstraints ? `<div class="user-constraints-indicator">📝 Constrained</div>` : ''}
                 <div class="language-features">
                     <div class="features-visible">
                         ${lang.features.slice(0, 2).map(f => `<span class="feature-tag">${f}</span>`).join('')}
-                        ${lang.features.length > 2 ? `<span class="feature-more" onclick="toggleFeatures(event, '${lang.id}')">+${lang.features.length - 2} more</span>` : ''}
+                        ${lang.features.length > 2 ? `<button type="button" class="feature-more" aria-expanded="false" aria-controls="features-${lang.id}" ${tabindex}>+${lang.features.length - 2} more</button>` : ''}
                     </div>
-                    ${lang.features.length > 2 ? `<div class="features-hidden" id="features-${lang.id}" style="display: none;">
+                    ${lang.features.length > 2 ? `<div class="features-hidden" id="features-${lang.id}" hidden>
                         ${lang.features.slice(2).map(f => `<span class="feature-tag">${f}</span>`).join('')}
-                        <span class="feature-less" onclick="toggleFeatures(event, '${lang.id}')">show less</span>
+                        <button type="button" class="feature-less" aria-expanded="true" aria-controls="features-${lang.id}" ${tabindex}>show less</button>
                     </div>` : ''}
                 </div>
                 <div class="language-status">
                     ${lang.hasPhonology ? '<span class="status-indicator available">PHON</span>' : '<span class="status-indicator unavailable">PHON</span>'}
                     ${lang.hasGrammar ? '<span class="status-indicator available">GRAM</span>' : '<span class="status-indicator unavailable">GRAM</span>'}
                     ${lang.hasLexicon ? '<span class="status-indicator available">LEX</span>' : '<span class="status-indicator unavailable">LEX</span>'}
+                    <span class="offline-indicator" title="Available offline"${this.offlineLanguages.has(lang.id) ? '' : ' hidden'}>✓ Offline</span>
                 </div>
             </div>
+        `;
+        }).join('');
+    }
+
+    /**
+     * A language's name in a card, tagged as conlang text, with its IPA
+     * (if shown) tagged as phonetic text
+     */
+    renderLanguageName(lang) {
+        const name = `<span lang="${this.renderer.languageTag(lang.id)}">`;
+        const ipa = ` /${lang.nameIpa}/`;
+        if (!lang.nameIpa || !lang.name.endsWith(ipa)) return `${name}${lang.name}</span>`;
+        return `${name}${lang.name.slice(0, -ipa.length)}</span> <span lang="${this.renderer.ipaTag}">/${lang.nameIpa}/</span>`;
+    }
+
+    /**
+     * Arrow keys move between cards (up and down by a row of the grid),
+     * Home and End go to the first and last; Enter or Space opens one
+     */
+    setupGridNavigation() {
+        const grid = document.getElementById('language-grid');
+        if (!grid) return;
+
+        grid.addEventListener('keydown', (e) => {
+            const card = e.target.closest('.language-card');
+            if (!card || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            const cards = Array.from(grid.querySelectorAll('.language-card'));
+            const index = cards.indexOf(card);
+            const columns = cards.filter(other => other.offsetTop === cards[0].offsetTop).length || 1;
+            const moves = {
+                ArrowLeft: index - 1,
+                ArrowRight: index + 1,
+                ArrowUp: index - columns,
+                ArrowDown: index + columns,
+                Home: 0,
+                End: cards.length - 1
+            };
+            if (!(e.key in moves)) return;
+
+            e.preventDefault();
+            const next = cards[moves[e.key]];
+            if (next) this.focusCard(next);
+        });
+
+        // Clicking or tabbing into a card makes it the one in the tab order
+        grid.addEventListener('focusin', (e) => {
+            const card = e.target.closest('.language-card');
+            if (!card) return;
+            this.setTabStop(card);
+            this.repository.prefetch(card.dataset.id);
+        });
+
+        // A card under the pointer is likely to be opened next
+        grid.addEventListener('mouseover', (e) => {
+            const card = e.target.closest('.language-card');
+            if (card && !card.contains(e.relatedTarget)) this.repository.prefetch(card.dataset.id);
+        });
+    }
+
+    setTabStop(card) {
+        document.querySelectorAll('.language-card button').forEach(button => {
+            button.tabIndex = card.contains(button) ? 0 : -1;
+        });
+    }
+
+    focusCard(card) {
+        this.setTabStop(card);
+        card.querySelector('.language-open')?.focus();
+    }
+
+    /**
+     * Show or hide the features beyond the first two; focus goes to
+     * whichever toggle stays visible
+     */
+    toggleFeatures(card) {
+        const hidden = card.querySelector('.features-hidden');
+        const more = card.querySelector('.feature-more');
+        if (!hidden || !more) return;
+
+        const expand = hidden.hidden;
+        hidden.hidden = !expand;
+        more.hidden = expand;
+        more.setAttribute('aria-expanded', expand);
+        (expand ? hidden.querySelector('.feature-less') : more).focus();
+    }
+
+    /**
+     * Mark the card of the language being viewed (none for null)
+     */
+    markActiveCard(languageId) {
+        document.querySelectorAll('.language-card').forEach(card => {
+            const active = card.dataset.id === languageId;
+            card.classList.toggle('active', active);
+            const button = card.querySelector('.language-open');
+            if (!button || this.compareMode) return;
+            if (active) button.setAttribute('aria-current', 'true');
+            else button.removeAttribute('aria-current');
+        });
+    }
+
+    /**
+     * A theme menu; the choice is remembered and passed on to the
+     * generated pages in the viewer
+     */
+    renderThemeSwitcher() {
+        const container = document.getElementById('theme-switcher');
+        if (!container) return;
+
+        const options = [['system', 'System'], ...Object.entries(this.themes.themes).map(([key, theme]) => [key, theme.label])];
+        container.innerHTML = `
+            <label>
+                <span class="theme-switcher-icon" aria-hidden="true">◐</span>
+                <select class="theme-select" aria-label="Color theme">
+                    ${options.map(([key, label]) => `<option value="${key}"${key === this.themes.preference ? ' selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </label>
+        `;
+        container.querySelector('.theme-select').addEventListener('change', (e) => {
+            this.themes.preference = e.target.value;
+        });
+        this.themes.onChange(theme => {
+            document.querySelectorAll('#language-viewer iframe').forEach(iframe => this.themes.apply(iframe.contentDocument, theme));
+        });
+    }
+
+    renderFilters() {
+        const panel = document.getElementById('language-filters');
+        if (!panel) return;
+
+        const facetsHTML = this.filters.counts(this.languages).map(({ facet, mode, values }) => `
+            <fieldset class="filter-facet">
+                <legend>
+                    ${facet.label}
+                    ${facet.multi ? `
+                    <select class="filter-mode" data-facet="${facet.key}" title="How to combine selected values">
+                        <option value="or"${mode === 'or' ? ' selected' : ''}>any</option>
+                        <option value="and"${mode === 'and' ? ' selected' : ''}>all</option>
+                    </select>` : ''}
+                </legend>
+                ${values.map(({ value, count, selected }) => `
+                    <label class="filter-option${count === 0 && !selected ? ' empty' : ''}">
+                        <input type="checkbox" data-facet="${facet.key}" value="${this.renderer.escapeAttribute(value)}"${selected ? ' checked' : ''}>
+                        ${this.renderer.escapeHtml(value)} <span class="filter-count">${count}</span>
+                    </label>
+                `).join('')}
+            </fieldset>
         `).join('');
+
+        const sortOptions = Object.entries(this.filters.sortOrders).map(([key, order]) =>
+            `<option value="${key}"${key === this.filters.sortOrder ? ' selected' : ''}>${order.label}</option>`
+        ).join('');
+
+        panel.innerHTML = `
+            <details class="filter-panel"${this.filters.isActive() || panel.querySelector('details[open]') ? ' open' : ''}>
+                <summary>Filter &amp; sort <span class="filter-summary" id="language-filter-summary"></span></summary>
+                <div class="filter-toolbar">
+                    <label>Sort by
+                        <select id="language-sort">${sortOptions}</select>
+                    </label>
+                    <button type="button" class="filter-clear"${this.filters.isActive() ? '' : ' disabled'}>Clear filters</button>
+                </div>
+                <div class="filter-facets">${facetsHTML}</div>
+            </details>
+        `;
+    }
+
+    setupFilters() {
+        const panel = document.getElementById('language-filters');
+        if (!panel) return;
+
+        panel.addEventListener('change', async (e) => {
+            if (e.target.matches('input[data-facet]')) {
+                this.filters.toggle(e.target.dataset.facet, e.target.value);
+            } else if (e.target.matches('.filter-mode')) {
+                this.filters.setMode(e.target.dataset.facet, e.target.value);
+            } else if (e.target.id === 'language-sort') {
+                this.filters.sortOrder = e.target.value;
+                if (this.filters.sortOrders[e.target.value].needsDetails) {
+                    await this.loadLanguageDetails();
+                }
+            } else {
+                return;
+            }
+            this.refreshGrid();
+        });
+
+        panel.addEventListener('click', (e) => {
+            if (!e.target.matches('.filter-clear')) return;
+            this.filters.clear();
+            this.refreshGrid();
+        });
+    }
+
+    refreshGrid() {
+        this.renderFilters();
+        this.renderLanguageGrid();
+    }
+
+    /**
+     * Load creation dates and lexicon sizes, which live in the per-language
+     * files rather than languages.json. Only fetched once, on demand.
+     */
+    loadLanguageDetails() {
+        if (!this.detailsPromise) {
+            this.detailsPromise = Promise.all(this.languages.map(async (lang) => {
+                const [metadata, lexicon] = await Promise.all([
+                    this.repository.loadJSON(`data/${lang.id}/metadata.json`, { optional: true }),
+                    lang.hasLexicon ? this.repository.loadJSON(`data/${lang.id}/lexicon.json`, { optional: true }) : null
+                ]);
+                lang.createdAt = metadata?.created_at || null;
+                lang.lexiconSize = Array.isArray(lexicon) ? lexicon.length : 0;
+            })).catch(error => {
+                // Sort by what did load; the rest is tried again next time
+                console.error('Failed to load language details:', error);
+                this.detailsPromise = null;
+            });
+        }
+        return this.detailsPromise;
     }
 
     setupEventListeners() {
         // Language card clicks
         document.addEventListener('click', (e) => {
+            const featureToggle = e.target.closest('.feature-more, .feature-less');
+            if (featureToggle) {
+                this.toggleFeatures(featureToggle.closest('.language-card'));
+                return;
+            }
+
             const card = e.target.closest('.language-card');
             if (card) {
                 const languageId = card.dataset.id;
-                this.selectLanguage(languageId);
+                if (this.compareMode) {
+                    this.toggleCompareSelection(languageId);
+                } else {
+                    this.selectLanguage(languageId);
+                }
             }
         });
 
@@ -127,55 +402,335 @@ class LanguageBrowser {
                 e.preventDefault();
                 const target = document.querySelector(anchor.getAttribute('href'));
                 if (target) {
-                    target.scrollIntoView({ behavior: 'smooth' });
+                    target.scrollIntoView({ behavior: InteractiveFeatures.scrollBehavior() });
                 }
             });
         });
     }
 
-    selectLanguage(languageId) {
-        // Update active card
+    setupSearch() {
+        const input = document.getElementById('language-search-input');
+        const results = document.getElementById('language-search-results');
+        if (!input || !results) return;
+
+        let debounceTimer = null;
+        input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => this.runSearch(input.value, results), 200);
+        });
+
+        results.addEventListener('click', (e) => {
+            const hit = e.target.closest('.search-result');
+            if (!hit) return;
+            this.selectLanguage(hit.dataset.language, hit.dataset.target);
+            document.getElementById('language-viewer')?.scrollIntoView({ behavior: InteractiveFeatures.scrollBehavior() });
+        });
+    }
+
+    async runSearch(query, results) {
+        if (!query.trim()) {
+            results.innerHTML = '';
+            return;
+        }
+
+        if (this.search.documents.length === 0) {
+            results.innerHTML = `<div class="search-status"><div class="loading"></div> Indexing ${this.languages.length} languages...</div>`;
+        }
+
+        try {
+            await this.search.ensureIndex(this.languages);
+        } catch (error) {
+            console.error('Failed to build search index:', error);
+            results.innerHTML = '<div class="search-status">Search is unavailable right now.</div>';
+            return;
+        }
+
+        const hits = this.search.search(query);
+        if (hits.length === 0) {
+            results.innerHTML = `<div class="search-status">No matches for “${this.renderer.escapeHtml(query)}”.</div>`;
+            return;
+        }
+
+        const sectionLabels = { phonology: 'Phonology', grammar: 'Grammar', lexicon: 'Lexicon' };
+        // Each hit is a button, so Enter or Space opens it like a click
+        results.innerHTML = hits.map(hit => `
+            <button type="button" class="search-result" data-language="${hit.languageId}" data-target="${hit.target}">
+                <span class="search-result-header">
+                    <span class="search-result-language">${this.renderer.escapeHtml(hit.languageName)}</span>
+                    <span class="search-result-location">${sectionLabels[hit.section]}${hit.heading ? ` → ${this.renderer.escapeHtml(hit.heading)}` : ''}</span>
+                </span>
+                <span class="search-result-snippet">${hit.snippet}</span>
+            </button>
+        `).join('');
+    }
+
+    renderCompareBar() {
+        const bar = document.getElementById('compare-bar');
+        if (!bar) return;
+
+        if (!this.compareMode) {
+            bar.innerHTML = `
+                <button type="button" class="compare-start">⇄ Compare languages</button>
+                <button type="button" class="stats-open">📊 Corpus statistics</button>
+                ${this.renderOfflineControl()}
+            `;
+            return;
+        }
+
+        const { minLanguages, maxLanguages } = this.comparison;
+        const count = this.compareSelection.length;
+        const chips = this.compareSelection.map(id => {
+            const language = this.languages.find(l => l.id === id);
+            return `<span class="compare-chip">${language?.nameOrthography || id}<button type="button" class="compare-remove" data-id="${id}" aria-label="Remove ${language?.nameOrthography || id}">×</button></span>`;
+        }).join('');
+
+        bar.innerHTML = `
+            <span class="compare-hint">Select ${minLanguages}–${maxLanguages} languages to compare (${count} selected)</span>
+            ${chips}
+            <button type="button" class="compare-run"${count < minLanguages ? ' disabled' : ''}>Compare</button>
+            <button type="button" class="compare-cancel">Done</button>
+        `;
+    }
+
+    setupCompare() {
+        const bar = document.getElementById('compare-bar');
+        if (!bar) return;
+
+        bar.addEventListener('click', (e) => {
+            if (e.target.matches('.compare-start')) {
+                this.compareMode = true;
+                // Start from the language being viewed, if any
+                if (this.currentLanguage && this.compareSelection.length === 0) {
+                    this.compareSelection = [this.currentLanguage.id];
+                }
+            } else if (e.target.matches('.compare-cancel')) {
+                this.compareMode = false;
+                this.compareSelection = [];
+            } else if (e.target.matches('.compare-remove')) {
+                this.toggleCompareSelection(e.target.dataset.id);
+                return;
+            } else if (e.target.matches('.compare-run')) {
+                this.showComparison(this.compareSelection);
+                return;
+            } else if (e.target.matches('.stats-open')) {
+                this.showStatistics();
+                return;
+            } else if (e.target.matches('.offline-download')) {
+                this.downloadAllLanguages();
+                return;
+            } else {
+                return;
+            }
+            this.renderCompareBar();
+            this.renderLanguageGrid();
+        });
+    }
+
+    /**
+     * "Download all languages", with its progress while it runs, or a note
+     * once every language is cached. Nothing where offline use can't work.
+     */
+    renderOfflineControl() {
+        if (!this.offline.supported) return '';
+
+        const progress = this.offlineDownload;
+        if (progress) {
+            return `<span class="offline-status" role="status">Downloading… ${progress.done}/${progress.total}</span>`;
+        }
+        if (this.languages.length > 0 && this.offlineLanguages.size === this.languages.length) {
+            return '<span class="offline-status" role="status">✓ All languages available offline</span>';
+        }
+        return '<button type="button" class="offline-download">⤓ Download all languages</button>';
+    }
+
+    /**
+     * Register the service worker and mark the languages already cached
+     */
+    async setupOffline() {
+        if (!this.offline.supported) return;
+        await this.offline.register();
+        await this.refreshOfflineStatus();
+    }
+
+    async refreshOfflineStatus() {
+        if (!this.offline.supported) return;
+        this.offlineLanguages = await this.offline.availableOffline(this.languages);
+
         document.querySelectorAll('.language-card').forEach(card => {
-            card.classList.remove('active');
+            const indicator = card.querySelector('.offline-indicator');
+            if (indicator) indicator.hidden = !this.offlineLanguages.has(card.dataset.id);
         });
-        document.querySelector(`[data-id="${languageId}"]`).classList.add('active');
+        if (!this.compareMode) this.renderCompareBar();
+    }
+
+    async downloadAllLanguages() {
+        if (this.offlineDownload) return;
+        this.offlineDownload = { done: 0, total: this.languages.length };
+        this.renderCompareBar();
+
+        try {
+            const failed = await this.offline.downloadAll(this.languages, (done, total) => {
+                this.offlineDownload = { done, total };
+                if (!this.compareMode) this.renderCompareBar();
+            });
+            if (failed.length > 0) console.warn('Could not download:', failed.join(', '));
+        } catch (error) {
+            console.error('Failed to download languages:', error);
+        } finally {
+            this.offlineDownload = null;
+            await this.refreshOfflineStatus().catch(error => console.error('Failed to check offline languages:', error));
+        }
+    }
+
+    toggleCompareSelection(languageId) {
+        if (this.compareSelection.includes(languageId)) {
+            this.compareSelection = this.compareSelection.filter(id => id !== languageId);
+        } else if (this.compareSelection.length < this.comparison.maxLanguages) {
+            this.compareSelection = [...this.compareSelection, languageId];
+        }
+
+        document.querySelectorAll('.language-card').forEach(card => {
+            const selected = this.compareSelection.includes(card.dataset.id);
+            card.classList.toggle('compare-selected', selected);
+            card.querySelector('.language-open')?.setAttribute('aria-pressed', selected);
+        });
+        this.renderCompareBar();
+    }
+
+    /**
+     * Show the comparison page for 2–4 language ids
+     */
+    showComparison(languageIds, { updateHistory = true } = {}) {
+        const languages = languageIds
+            .map(id => this.languages.find(l => l.id === id))
+            .filter(Boolean);
+        if (languages.length < this.comparison.minLanguages || languages.length > this.comparison.maxLanguages) {
+            console.error(`Cannot compare ${languages.length} languages`);
+            return;
+        }
+
+        this.currentLanguage = null;
+        this.currentComparison = languages.map(l => l.id);
+        this.showingStatistics = false;
+        this.markActiveCard(null);
+        if (updateHistory) {
+            this.router.navigate({ compare: this.currentComparison });
+        }
+        this.loadComparisonViewer(languages);
+    }
+
+    /**
+     * Show the statistics page for the whole corpus
+     */
+    showStatistics({ updateHistory = true } = {}) {
+        this.currentLanguage = null;
+        this.currentComparison = null;
+        this.showingStatistics = true;
+        this.markActiveCard(null);
+        if (updateHistory) {
+            this.router.navigate({ stats: true });
+        }
+        this.loadStatisticsViewer();
+    }
+
+    selectLanguage(languageId, target = null, { updateHistory = true } = {}) {
+        // Update active card
+        this.markActiveCard(languageId);
 
         // Find the language
         const language = this.languages.find(l => l.id === languageId);
         if (!language) return;
 
         this.currentLanguage = language;
-        this.loadLanguageViewer(language);
+        this.currentComparison = null;
+        this.showingStatistics = false;
+        if (updateHistory) {
+            this.router.navigate(this.router.routeFor(language.id, target));
+        }
+        this.loadLanguageViewer(language, target);
+    }
+
+    /**
+     * Apply a route from the URL (initial load, back/forward, edited hash)
+     */
+    restoreRoute(route, { initial = false } = {}) {
+        if (!route) {
+            this.clearSelection();
+            return;
+        }
+
+        if (route.stats) {
+            if (this.showingStatistics) return;
+            if (initial) {
+                document.getElementById('language-browser')?.scrollIntoView();
+            }
+            this.showStatistics({ updateHistory: false });
+            return;
+        }
+
+        if (route.compare) {
+            if (this.currentComparison?.join(',') === route.compare.join(',')) return;
+            this.compareMode = true;
+            this.compareSelection = route.compare.filter(id => this.languages.some(l => l.id === id));
+            this.renderCompareBar();
+            this.renderLanguageGrid();
+            if (initial) {
+                document.getElementById('language-browser')?.scrollIntoView();
+            }
+            this.showComparison(this.compareSelection, { updateHistory: false });
+            return;
+        }
+
+        const target = this.router.targetFor(route);
+        if (this.currentLanguage?.id === route.lang) {
+            const iframe = document.querySelector('#language-viewer iframe');
+            if (iframe && target) this.scrollViewerTo(iframe, target);
+            return;
+        }
+
+        if (!this.languages.some(l => l.id === route.lang)) {
+            console.error(`Unknown language in URL: ${route.lang}`);
+            return;
+        }
+
+        if (initial) {
+            document.getElementById('language-browser')?.scrollIntoView();
+        }
+        this.selectLanguage(route.lang, target, { updateHistory: false });
     }
 
-    async loadLanguageViewer(language) {
+    clearSelection() {
+        this.currentLanguage = null;
+        this.currentComparison = null;
+        this.showingStatistics = false;
+        this.viewerRequest++;
+        this.markActiveCard(null);
+        const viewer = document.getElementById('language-viewer');
+        if (viewer) viewer.innerHTML = this.viewerPlaceholder;
+    }
+
+    async loadLanguageViewer(language, target = null) {
         const viewer = document.getElementById('language-viewer');
         if (!viewer) return;
+        const requestId = ++this.viewerRequest;
 
-        // Show loading state
-        viewer.innerHTML = `
-            <div class="viewer-loading">
-                <div class="loading"></div>
-                <p>Loading language ${language.id}...</p>
-            </div>
-        `;
+        this.renderViewerLoading(viewer, `Loading language ${language.id}...`);
 
         try {
             // Generate HTML programmatically from raw data
             const languageHTML = await this.renderer.generateLanguageHTML(language.id);
-            
-            // Create a blob URL for the generated HTML
-            const blob = new Blob([languageHTML], { type: 'text/html' });
-            const blobUrl = URL.createObjectURL(blob);
-            
-            viewer.innerHTML = `
-                <div class="language-content-wrapper">
-                    <div class="fullscreen-btn" onclick="toggleFullscreen(this.parentElement.parentElement, this)">
-                        <span>⛶ Fullscreen</span>
-                    </div>
-                    <iframe class="language-content" src="${blobUrl}"></iframe>
-                </div>
-            `;
+            // A newer selection (e.g. rapid back/forward) has taken over the viewer
+            if (requestId !== this.viewerRequest) return;
+
+            const iframe = this.renderViewerFrame(viewer, languageHTML, `${language.nameOrthography} (generated language)`);
+            this.renderExportMenu(iframe, language, languageHTML);
+            iframe.addEventListener('load', () => {
+                this.setupViewerLinks(iframe, language);
+                if (target) this.scrollViewerTo(iframe, target);
+            }, { once: true });
+            // The service worker has just cached its files; the Cache API
+            // can refuse (storage disabled), which only leaves the marks stale
+            this.refreshOfflineStatus().catch(error => console.error('Failed to check offline languages:', error));
         } catch (error) {
             console.error('Failed to load language viewer:', error);
             viewer.innerHTML = `
@@ -187,6 +742,234 @@ class LanguageBrowser {
         }
     }
 
+    async loadComparisonViewer(languages) {
+        const viewer = document.getElementById('language-viewer');
+        if (!viewer) return;
+        const requestId = ++this.viewerRequest;
+
+        this.renderViewerLoading(viewer, `Comparing ${languages.length} languages...`);
+
+        try {
+            const comparisonHTML = await this.comparison.generateComparisonHTML(languages);
+            if (requestId !== this.viewerRequest) return;
+            this.renderViewerFrame(viewer, comparisonHTML, `Comparison of ${languages.map(l => l.nameOrthography).join(', ')}`);
+        } catch (error) {
+            console.error('Failed to load comparison:', error);
+            viewer.innerHTML = `
+                <div class="viewer-error">
+                    <h3>Error comparing languages</h3>
+                    <p>Sorry, we couldn't build this comparison. Please try a different selection.</p>
+                </div>
+            `;
+        }
+    }
+
+    async loadStatisticsViewer() {
+        const viewer = document.getElementById('language-viewer');
+        if (!viewer) return;
+        const requestId = ++this.viewerRequest;
+
+        this.renderViewerLoading(viewer, `Measuring ${this.languages.length} languages...`);
+
+        try {
+            const statisticsHTML = await this.statistics.generateStatisticsHTML(this.languages);
+            if (requestId !== this.viewerRequest) return;
+            this.renderViewerFrame(viewer, statisticsHTML, 'Corpus statistics');
+        } catch (error) {
+            console.error('Failed to load statistics:', error);
+            viewer.innerHTML = `
+                <div class="viewer-error">
+                    <h3>Error loading statistics</h3>
+                    <p>Sorry, we couldn't measure the languages. Please try again later.</p>
+                </div>
+            `;
+        }
+    }
+
+    renderViewerLoading(viewer, message) {
+        viewer.innerHTML = `
+            <div class="viewer-loading">
+                <div class="loading"></div>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Show a generated page in the viewer from a blob URL; returns the iframe.
+     * The title names the frame for screen readers.
+     */
+    renderViewerFrame(viewer, html, title) {
+        const blob = new Blob([html], { type: 'text/html' });
+        const blobUrl = URL.createObjectURL(blob);
+
+        viewer.innerHTML = `
+            <div class="language-content-wrapper">
+                <button type="button" class="fullscreen-btn">
+                    <span>⛶ Fullscreen</span>
+                </button>
+                <iframe class="language-content" src="${blobUrl}" title="${this.renderer.escapeAttribute(title)}"></iframe>
+            </div>
+        `;
+        const fullscreenButton = viewer.querySelector('.fullscreen-btn');
+        fullscreenButton.addEventListener('click', () => this.toggleFullscreen(viewer, fullscreenButton));
+        const iframe = viewer.querySelector('iframe');
+        // The page was generated with the theme of the time; it may have
+        // changed while the page loaded
+        iframe.addEventListener('load', () => this.themes.apply(iframe.contentDocument));
+        return iframe;
+    }
+
+    toggleFullscreen(element, button) {
+        if (!document.fullscreenElement) {
+            element.requestFullscreen();
+            button.querySelector('span').textContent = '⛶ Exit Fullscreen';
+        } else {
+            document.exitFullscreen();
+            button.querySelector('span').textContent = '⛶ Fullscreen';
+        }
+    }
+
+    /**
+     * An export menu beside the fullscreen button of a language's viewer:
+     * the whole language, the lexicon alone, and a lexicon import preview
+     */
+    renderExportMenu(iframe, language, html) {
+        const menu = document.createElement('details');
+        menu.className = 'export-menu';
+        menu.innerHTML = `
+            <summary>⤓ Export</summary>
+            <div class="export-options">
+                ${this.exporter.formats.map(format => `<button type="button" data-format="${format.key}">${format.label}</button>`).join('')}
+                <span class="export-group">Lexicon</span>
+                ${this.exporter.lexiconFormats.formats.map(format => `<button type="button" data-lexicon="${format.key}">${format.label}</button>`).join('')}
+                <button type="button" class="lexicon-import-button">Import lexicon…</button>
+                <input type="file" class="lexicon-import-file" accept=".csv,.tsv,.txt,.json,.lift,.xml" hidden>
+            </div>
+        `;
+        const fileInput = menu.querySelector('.lexicon-import-file');
+
+        menu.addEventListener('click', async (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            menu.open = false;
+            if (button.classList.contains('lexicon-import-button')) {
+                fileInput.click();
+                return;
+            }
+            try {
+                if (button.dataset.lexicon) {
+                    await this.exporter.exportLexicon(button.dataset.lexicon, language);
+                } else {
+                    await this.exporter.exportLanguage(button.dataset.format, language, { html, frame: iframe });
+                }
+            } catch (error) {
+                console.error(`Failed to export ${language.id}:`, error);
+            }
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const result = await this.exporter.importLexicon(file, language.id);
+                this.renderImportPreview(iframe.closest('.language-content-wrapper'), language, result);
+            } catch (error) {
+                console.error(`Failed to import ${file.name}:`, error);
+            }
+        });
+        iframe.before(menu);
+    }
+
+    /**
+     * Show an imported lexicon below the viewer, row by row with its
+     * errors and warnings
+     */
+    renderImportPreview(wrapper, language, result) {
+        const escape = text => this.renderer.escapeHtml(text);
+        const format = this.exporter.lexiconFormats.formats.find(item => item.key === result.format);
+        const hasLevel = (row, level) => row.issues.some(issue => issue.level === level);
+        const errors = result.rows.filter(row => hasLevel(row, 'error'));
+        const warnings = result.rows.filter(row => !hasLevel(row, 'error') && hasLevel(row, 'warning'));
+        const usable = result.rows.filter(row => !hasLevel(row, 'error'));
+
+        wrapper.parentElement.querySelector('.lexicon-import')?.remove();
+        const panel = document.createElement('section');
+        panel.className = 'lexicon-import';
+        panel.innerHTML = `
+            <div class="lexicon-import-header">
+                <h3>Import preview: ${escape(result.file)} (${format?.label || result.format})</h3>
+                <button type="button" class="lexicon-import-download"${usable.length ? '' : ' disabled'}>Download ${usable.length} entries as lexicon JSON</button>
+                <button type="button" class="lexicon-import-close" aria-label="Close the import preview">✕</button>
+            </div>
+            <p class="lexicon-import-summary">
+                ${result.rows.length} rows · ${errors.length} with errors · ${warnings.length} with warnings only
+            </p>
+            ${result.errors.length ? `<ul class="lexicon-import-errors">${result.errors.map(error => `<li>${escape(error)}</li>`).join('')}</ul>` : ''}
+            ${result.rows.length ? `
+            <div class="lexicon-import-table">
+                <table>
+                    <thead>
+                        <tr><th>Row</th><th>Word</th><th>Translation</th><th>Part of Speech</th><th>Notes</th><th>Forms</th><th>Issues</th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.rows.map(row => `
+                        <tr class="${hasLevel(row, 'error') ? 'import-error' : hasLevel(row, 'warning') ? 'import-warning' : ''}">
+                            <td>${row.row}</td>
+                            <td class="conlang-text">${escape(row.entry.word)}</td>
+                            <td>${escape(row.entry.translation)}</td>
+                            <td>${escape(row.entry.pos)}</td>
+                            <td>${escape(row.entry.notes)}</td>
+                            <td>${row.entry.forms.map(escape).join('<br>')}</td>
+                            <td>${row.issues.map(issue => `<span class="import-issue ${issue.level}">${escape(issue.message)}</span>`).join('')}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+        `;
+
+        panel.querySelector('.lexicon-import-close').addEventListener('click', () => panel.remove());
+        panel.querySelector('.lexicon-import-download').addEventListener('click', () => {
+            const text = this.exporter.lexiconFormats.serialize(usable.map(row => row.entry), 'json');
+            this.exporter.download(this.exporter.fileName(language, 'lexicon.json'), 'application/json', text);
+        });
+        wrapper.after(panel);
+        panel.scrollIntoView({ behavior: InteractiveFeatures.scrollBehavior(), block: 'start' });
+    }
+
+    /**
+     * Scroll the generated language page to an element id and flash it
+     */
+    scrollViewerTo(iframe, targetId) {
+        // revealTarget() is defined by the generated page; it expands the
+        // section and pages the lexicon table so the target is visible
+        const target = iframe.contentWindow?.revealTarget?.(targetId)
+            || iframe.contentDocument?.getElementById(targetId);
+        if (!target) return;
+
+        target.scrollIntoView({ behavior: InteractiveFeatures.scrollBehavior(), block: 'start' });
+        target.classList.add('search-target');
+        setTimeout(() => target.classList.remove('search-target'), 2500);
+    }
+
+    /**
+     * Clicking a heading or a table of contents entry in the generated page
+     * makes it the linkable section
+     */
+    setupViewerLinks(iframe, language) {
+        const doc = iframe.contentDocument;
+        if (!doc) return;
+
+        doc.addEventListener('click', (e) => {
+            const heading = e.target.closest('.section-content [id]:is(h2, h3, h4, h5, h6)');
+            const tocLink = e.target.closest('.toc a[data-target]');
+            const target = heading?.id || tocLink?.dataset.target;
+            if (!target) return;
+            this.router.navigate(this.router.routeFor(language.id, target), { replace: true });
+        });
+    }
+
     renderLanguagePlaceholder(viewer, language) {
         viewer.innerHTML = `
             <div class="language-placeholder">
@@ -229,7 +1012,24 @@ class InteractiveFeatures {
         this.setupTypingAnimation();
     }
 
+    /**
+     * Whether the reader has asked the system for less motion; the
+     * animations below are skipped and scrolling jumps instead of gliding
+     */
+    static prefersReducedMotion() {
+        return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+    }
+
+    static scrollBehavior() {
+        return this.prefersReducedMotion() ? 'auto' : 'smooth';
+    }
+
     static setupScrollAnimations() {
+        if (this.prefersReducedMotion()) {
+            document.querySelectorAll('section').forEach(section => section.classList.add('animate-in'));
+            return;
+        }
+
         const observerOptions = {
             threshold: 0.1,
             rootMargin: '0px 0px -50px 0px'
@@ -253,6 +1053,7 @@ class InteractiveFeatures {
         // Add ripple effect to buttons
         document.querySelectorAll('.btn').forEach(btn => {
             btn.addEventListener('click', function(e) {
+                if (InteractiveFeatures.prefersReducedMotion()) return;
                 const ripple = document.createElement('span');
                 const rect = this.getBoundingClientRect();
                 const size = Math.max(rect.width, rect.height);
@@ -283,7 +1084,7 @@ class InteractiveFeatures {
 
     static setupTypingAnimation() {
         const quote = document.querySelector('.conlang-quote');
-        if (!quote) return;
+        if (!quote || this.prefersReducedMotion()) return;
 
         const text = quote.textContent;
         quote.textContent = '';
@@ -302,36 +1103,6 @@ class InteractiveFeatures {
     }
 }
 
-// Global fullscreen toggle function
-function toggleFullscreen(element, button) {
-    if (!document.fullscreenElement) {
-        element.requestFullscreen();
-        button.querySelector('span').textContent = '⛶ Exit Fullscreen';
-    } else {
-        document.exitFullscreen();
-        button.querySelector('span').textContent = '⛶ Fullscreen';
-    }
-}
-
-// Global feature toggle function
-function toggleFeatures(event, languageId) {
-    event.stopPropagation(); // Prevent triggering card selection
-    const hiddenFeatures = document.getElementById(`features-${languageId}`);
-    const moreButton = event.target;
-    
-    if (hiddenFeatures.style.display === 'none') {
-        hiddenFeatures.style.display = 'block';
-        moreButton.style.display = 'none';
-    } else {
-        hiddenFeatures.style.display = 'none';
-        const card = document.querySelector(`[data-id="${languageId}"]`);
-        const moreSpan = card.querySelector('.feature-more');
-        if (moreSpan) {
-            moreSpan.style.display = 'inline-block';
-        }
-    }
-}
-
 // Add CSS animations
 const style = document.createElement('style');
 style.textContent = `
@@ -355,34 +1126,32 @@ style.textContent = `
         transform: translateY(0);
     }
     
+    @media (prefers-reduced-motion: reduce) {
+        section {
+            opacity: 1;
+            transform: none;
+            transition: none;
+        }
+    }
+    
     .feature-tag {
         display: inline-block;
-        background: #e3f2fd;
-        color: #1976d2;
+        background: var(--color-info-soft);
+        color: var(--color-info);
         padding: 0.25rem 0.5rem;
         border-radius: 12px;
         font-size: 0.75rem;
         margin: 0.125rem;
     }
     
-    .feature-more {
-        display: inline-block;
-        color: #666;
-        font-size: 0.75rem;
-        font-style: italic;
-        margin-left: 0.25rem;
-        cursor: pointer;
-        text-decoration: underline;
-        transition: color 0.2s;
-    }
-    
-    .feature-more:hover {
-        color: #1976d2;
-    }
-    
+    .feature-more,
     .feature-less {
         display: inline-block;
-        color: #666;
+        background: none;
+        border: none;
+        padding: 0;
+        font-family: inherit;
+        color: var(--color-text-muted);
         font-size: 0.75rem;
         font-style: italic;
         margin-left: 0.25rem;
@@ -391,8 +1160,13 @@ style.textContent = `
         transition: color 0.2s;
     }
     
+    .feature-more:hover,
     .feature-less:hover {
-        color: #1976d2;
+        color: var(--color-info);
+    }
+    
+    .feature-more[hidden] {
+        display: none;
     }
     
     .features-hidden {
@@ -405,7 +1179,7 @@ style.textContent = `
         align-items: center;
         justify-content: center;
         height: 400px;
-        color: #666;
+        color: var(--color-text-muted);
     }
     
     .viewer-loading .loading {
@@ -419,13 +1193,13 @@ style.textContent = `
     }
     
     .placeholder-header {
-        border-bottom: 2px solid #f0f0f0;
+        border-bottom: 2px solid var(--color-surface-hover);
         padding-bottom: 1rem;
         margin-bottom: 2rem;
     }
     
     .placeholder-header h3 {
-        color: #333;
+        color: var(--color-text);
         margin-bottom: 0.5rem;
     }
     
@@ -433,7 +1207,7 @@ style.textContent = `
         display: flex;
         gap: 1rem;
         font-size: 0.9rem;
-        color: #666;
+        color: var(--color-text-muted);
     }
     
     .feature-section {
@@ -441,7 +1215,7 @@ style.textContent = `
     }
     
     .feature-section h4 {
-        color: #26a69a;
+        color: var(--color-primary);
         margin-bottom: 1rem;
     }
     
@@ -452,14 +1226,14 @@ style.textContent = `
     }
     
     .placeholder-message {
-        background: #f8f9fa;
+        background: var(--color-surface-muted);
         padding: 2rem;
         border-radius: 10px;
-        border-left: 4px solid #26a69a;
+        border-left: 4px solid var(--color-primary);
     }
     
     .placeholder-message h4 {
-        color: #26a69a;
+        color: var(--color-primary);
         margin-bottom: 1rem;
     }
     
@@ -470,7 +1244,7 @@ style.textContent = `
     
     .placeholder-message li {
         margin-bottom: 0.5rem;
-        color: #555;
+        color: var(--color-text-secondary);
     }
 `;
 document.head.appendChild(style);
@@ -0,0 +1,176 @@
+/**
+ * Offline Store - The caches behind the service worker (sw.js): the app
+ * shell, precached on install, and the language data, cached as it is
+ * fetched. Shared by the worker and the browser so both name the caches
+ * and list a language's files the same way.
+ */
+
+class OfflineStore {
+    constructor(cacheStorage = typeof caches !== 'undefined' ? caches : null) {
+        this.caches = cacheStorage;
+        this.prefix = 'conlangcrafter-';
+        // The shell is fetched network first (see sw.js); bump this to drop
+        // every cached shell file at once
+        this.shellCache = `${this.prefix}shell-v1`;
+        this.dataPrefix = `${this.prefix}data-`;
+        this.indexPath = 'data/languages.json';
+
+        // Everything index.html loads to run the browser
+        this.shellFiles = [
+            './',
+            'index.html',
+            'css/style.css',
+            'js/themes.js',
+            'js/gloss_abbreviations.js',
+            'js/phoneme_inventory.js',
+            'js/speech_synthesizer.js',
+            'js/transliterator.js',
+            'js/phonotactic_validator.js',
+            'js/word_generator.js',
+            'js/language_repository.js',
+            'js/language_renderer.js',
+            'js/language_search.js',
+            'js/language_filters.js',
+            'js/language_router.js',
+            'js/language_compare.js',
+            'js/delimited_text.js',
+            'js/corpus_statistics.js',
+            'js/lexicon_formats.js',
+            'js/language_export.js',
+            'js/offline_store.js',
+            'js/main.js'
+        ];
+    }
+
+    /**
+     * Service workers need a secure context (https or localhost)
+     */
+    get supported() {
+        return Boolean(this.caches) && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    }
+
+    /**
+     * Register sw.js; returns null where it can't run
+     */
+    async register() {
+        if (!this.supported) return null;
+        try {
+            return await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Offline support unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * The data version: a hash of languages.json, which is rewritten
+     * (with a new `last_updated`) whenever any language is
+     */
+    async version(indexText) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(indexText));
+        return Array.from(new Uint8Array(digest).slice(0, 6), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    dataCacheName(version) {
+        return `${this.dataPrefix}${version}`;
+    }
+
+    /**
+     * Store a fresh languages.json under its version. A new version starts
+     * an empty data cache and drops the old ones, so every language file
+     * is fetched again the next time it is needed.
+     */
+    async updateIndex(indexText, response) {
+        const name = this.dataCacheName(await this.version(indexText));
+        const cache = await this.caches.open(name);
+        await cache.put(this.indexPath, response);
+
+        const stale = (await this.caches.keys()).filter(key => key.startsWith(this.dataPrefix) && key !== name);
+        await Promise.all(stale.map(key => this.caches.delete(key)));
+        return cache;
+    }
+
+    /**
+     * Fetch languages.json from the network and store it, returning its
+     * data cache. The worker does this on install so that the first visit
+     * already has a data cache to fill.
+     */
+    async refreshIndex() {
+        const response = await fetch(this.indexPath, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        return this.updateIndex(await response.clone().text(), response);
+    }
+
+    /**
+     * The data cache for the newest languages.json seen, if any
+     */
+    async currentDataCache() {
+        const names = (await this.caches.keys()).filter(key => key.startsWith(this.dataPrefix));
+        return names.length ? this.caches.open(names[names.length - 1]) : null;
+    }
+
+    /**
+     * A data file's answer holds until languages.json changes, including
+     * a 404 for a file a language lacks (some list phonology they don't
+     * have), so that it is the same offline as online
+     */
+    cacheable(response) {
+        return response.ok || response.status === 404;
+    }
+
+    /**
+     * The files the viewer fetches for a language (see
+     * LanguageRepository.fetchLanguage)
+     */
+    languageFiles(language) {
+        const files = [`data/${language.id}/metadata.json`];
+        if (language.hasPhonology !== false) files.push(`data/${language.id}/phonology.txt`);
+        if (language.hasGrammar !== false) files.push(`data/${language.id}/grammar.txt`);
+        if (language.hasLexicon) files.push(`data/${language.id}/lexicon.json`);
+        if (language.hasOrthography) files.push(`data/${language.id}/orthography.json`);
+        if (language.hasPhonotactics) files.push(`data/${language.id}/phonotactics.json`);
+        return files;
+    }
+
+    /**
+     * Ids of the languages whose files are all cached
+     */
+    async availableOffline(languages) {
+        if (!this.caches) return new Set();
+        const cached = await Promise.all(languages.map(async language => {
+            const hits = await Promise.all(this.languageFiles(language).map(file => this.caches.match(file)));
+            return hits.every(Boolean) ? language.id : null;
+        }));
+        return new Set(cached.filter(Boolean));
+    }
+
+    /**
+     * Fetch and cache every language's files, calling onProgress(done,
+     * total) after each language. Files already cached are skipped.
+     * Returns the ids of the languages that could not be fully fetched.
+     */
+    async downloadAll(languages, onProgress = () => {}) {
+        const cache = await this.refreshIndex();
+
+        const failed = [];
+        for (const [index, language] of languages.entries()) {
+            const results = await Promise.all(this.languageFiles(language).map(async file => {
+                if (await cache.match(file)) return true;
+                try {
+                    const response = await fetch(file);
+                    if (!this.cacheable(response)) return false;
+                    await cache.put(file, response);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            }));
+            if (!results.every(Boolean)) failed.push(language.id);
+            onProgress(index + 1, languages.length);
+        }
+        return failed;
+    }
+}
+
+// Export for use in main.js and sw.js
+window.OfflineStore = OfflineStore;
@@ -0,0 +1,406 @@
+/**
+ * Phoneme Inventory - Structured consonant and vowel inventories
+ *
+ * Turns the consonant and vowel charts of a phonology description into
+ * phoneme records classified by place/manner and height/backness. The IPA
+ * symbol is the primary source of the classification; the chart's own row
+ * and column labels are the fallback for symbols it doesn't know.
+ */
+
+class PhonemeInventory {
+    constructor() {
+        // Pulmonic chart order, followed by rows for other airstreams/series
+        this.places = [
+            'bilabial', 'labiodental', 'dental', 'alveolar', 'postalveolar', 'retroflex',
+            'alveolo-palatal', 'palatal', 'labial-velar', 'velar', 'uvular', 'pharyngeal', 'glottal'
+        ];
+        this.manners = [
+            'plosive', 'nasal', 'trill', 'tap', 'fricative', 'lateral fricative',
+            'approximant', 'lateral approximant', 'affricate', 'lateral affricate'
+        ];
+        this.series = ['pulmonic', 'ejective', 'implosive', 'prenasalized', 'click'];
+        this.heights = ['close', 'near-close', 'close-mid', 'mid', 'open-mid', 'near-open', 'open'];
+        this.backnesses = ['front', 'central', 'back'];
+
+        // Articulations the IPA chart shades as impossible
+        this.impossible = new Set([
+            'pharyngeal|plosive', 'pharyngeal|nasal', 'glottal|nasal', 'velar|trill', 'velar|tap',
+            'glottal|trill', 'glottal|tap', 'glottal|lateral fricative', 'glottal|lateral approximant',
+            'pharyngeal|lateral fricative', 'pharyngeal|lateral approximant', 'glottal|approximant',
+            'bilabial|lateral fricative', 'bilabial|lateral approximant',
+            'labiodental|lateral fricative', 'labiodental|lateral approximant'
+        ]);
+
+        // symbol → [place, manner, voiced]
+        this.consonantSymbols = {};
+        const add = (symbols, place, manner, voiced) => {
+            [...symbols].forEach(symbol => { this.consonantSymbols[symbol] = [place, manner, voiced]; });
+        };
+        add('p', 'bilabial', 'plosive', false); add('b', 'bilabial', 'plosive', true);
+        add('t', 'alveolar', 'plosive', false); add('d', 'alveolar', 'plosive', true);
+        add('ʈ', 'retroflex', 'plosive', false); add('ɖ', 'retroflex', 'plosive', true);
+        add('c', 'palatal', 'plosive', false); add('ɟ', 'palatal', 'plosive', true);
+        add('k', 'velar', 'plosive', false); add('gɡ', 'velar', 'plosive', true);
+        add('q', 'uvular', 'plosive', false); add('ɢ', 'uvular', 'plosive', true);
+        add('ʔ', 'glottal', 'plosive', false);
+        add('m', 'bilabial', 'nasal', true); add('ɱ', 'labiodental', 'nasal', true);
+        add('n', 'alveolar', 'nasal', true); add('ɳ', 'retroflex', 'nasal', true);
+        add('ɲ', 'palatal', 'nasal', true); add('ŋ', 'velar', 'nasal', true); add('ɴ', 'uvular', 'nasal', true);
+        add('ʙ', 'bilabial', 'trill', true); add('r', 'alveolar', 'trill', true); add('ʀ', 'uvular', 'trill', true);
+        add('ⱱ', 'labiodental', 'tap', true); add('ɾ', 'alveolar', 'tap', true); add('ɽ', 'retroflex', 'tap', true);
+        add('ɸ', 'bilabial', 'fricative', false); add('β', 'bilabial', 'fricative', true);
+        add('f', 'labiodental', 'fricative', false); add('v', 'labiodental', 'fricative', true);
+        add('θ', 'dental', 'fricative', false); add('ð', 'dental', 'fricative', true);
+        add('s', 'alveolar', 'fricative', false); add('z', 'alveolar', 'fricative', true);
+        add('ʃ', 'postalveolar', 'fricative', false); add('ʒ', 'postalveolar', 'fricative', true);
+        add('ʂ', 'retroflex', 'fricative', false); add('ʐ', 'retroflex', 'fricative', true);
+        add('ɕ', 'alveolo-palatal', 'fricative', false); add('ʑ', 'alveolo-palatal', 'fricative', true);
+        add('ç', 'palatal', 'fricative', false); add('ʝ', 'palatal', 'fricative', true);
+        add('x', 'velar', 'fricative', false); add('ɣ', 'velar', 'fricative', true);
+        add('χ', 'uvular', 'fricative', false); add('ʁ', 'uvular', 'fricative', true);
+        add('ħ', 'pharyngeal', 'fricative', false); add('ʕ', 'pharyngeal', 'fricative', true);
+        add('h', 'glottal', 'fricative', false); add('ɦ', 'glottal', 'fricative', true);
+        add('ɬ', 'alveolar', 'lateral fricative', false); add('ɮ', 'alveolar', 'lateral fricative', true);
+        add('ʋ', 'labiodental', 'approximant', true); add('ɹ', 'alveolar', 'approximant', true);
+        add('ɻ', 'retroflex', 'approximant', true); add('j', 'palatal', 'approximant', true);
+        add('ɰ', 'velar', 'approximant', true); add('w', 'labial-velar', 'approximant', true);
+        add('l', 'alveolar', 'lateral approximant', true); add('ɭ', 'retroflex', 'lateral approximant', true);
+        add('ʎ', 'palatal', 'lateral approximant', true); add('ʟ', 'velar', 'lateral approximant', true);
+        add('ɓ', 'bilabial', 'implosive', true); add('ɗ', 'alveolar', 'implosive', true);
+        add('ʄ', 'palatal', 'implosive', true); add('ɠ', 'velar', 'implosive', true); add('ʛ', 'uvular', 'implosive', true);
+        add('ʘ', 'bilabial', 'click', false); add('ǀ', 'dental', 'click', false);
+        add('ǃ', 'postalveolar', 'click', false); add('ǂ', 'palatal', 'click', false);
+        add('ǁ', 'alveolar', 'click', false);
+
+        // symbol → [height, backness, rounded]
+        this.vowelSymbols = {};
+        const vowel = (symbol, height, backness, rounded) => {
+            this.vowelSymbols[symbol] = [height, backness, rounded];
+        };
+        vowel('i', 'close', 'front', false); vowel('y', 'close', 'front', true);
+        vowel('ɨ', 'close', 'central', false); vowel('ʉ', 'close', 'central', true);
+        vowel('ɯ', 'close', 'back', false); vowel('u', 'close', 'back', true);
+        vowel('ɪ', 'near-close', 'front', false); vowel('ʏ', 'near-close', 'front', true);
+        vowel('ʊ', 'near-close', 'back', true);
+        vowel('e', 'close-mid', 'front', false); vowel('ø', 'close-mid', 'front', true);
+        vowel('ɘ', 'close-mid', 'central', false); vowel('ɵ', 'close-mid', 'central', true);
+        vowel('ɤ', 'close-mid', 'back', false); vowel('o', 'close-mid', 'back', true);
+        vowel('ə', 'mid', 'central', false);
+        vowel('ɛ', 'open-mid', 'front', false); vowel('œ', 'open-mid', 'front', true);
+        vowel('ɜ', 'open-mid', 'central', false); vowel('ɞ', 'open-mid', 'central', true);
+        vowel('ʌ', 'open-mid', 'back', false); vowel('ɔ', 'open-mid', 'back', true);
+        vowel('æ', 'near-open', 'front', false); vowel('ɐ', 'near-open', 'central', false);
+        vowel('a', 'open', 'front', false); vowel('ɶ', 'open', 'front', true);
+        vowel('ɑ', 'open', 'back', false); vowel('ɒ', 'open', 'back', true);
+
+        // Diacritics and modifier letters → feature names
+        this.modifiers = {
+            'ʰ': 'aspirated', 'ʱ': 'breathy-voiced', 'ʷ': 'labialized', 'ʲ': 'palatalized',
+            'ˤ': 'pharyngealized', 'ˠ': 'velarized', 'ˀ': 'glottalized', 'ʼ': 'ejective',
+            'ː': 'long', 'ˑ': 'half-long', '̃': 'nasalized', '̪': 'dental',
+            '̠': 'retracted', '̟': 'advanced', '̥': 'voiceless', '̬': 'voiced',
+            '̤': 'breathy-voiced', '̰': 'creaky-voiced', '̘': '+ATR', '̙': '-ATR',
+            '̩': 'syllabic', '̯': 'non-syllabic', '̚': 'unreleased'
+        };
+        this.prenasals = new Set(['ⁿ', 'ᵐ', 'ᵑ', 'ᶬ', 'ᶮ', 'ᶯ']);
+
+        // Chart labels used when a symbol is not recognized
+        this.labelSynonyms = {
+            labial: 'bilabial', 'palato-alveolar': 'postalveolar', coronal: 'alveolar',
+            stop: 'plosive', 'nasal stop': 'nasal', 'lateral approx.': 'lateral approximant',
+            lateral: 'lateral approximant', 'tap/flap': 'tap', flap: 'tap', glide: 'approximant',
+            liquid: 'lateral approximant', rhotic: 'trill',
+            high: 'close', low: 'open', 'mid-high': 'close-mid', 'high-mid': 'close-mid',
+            'mid-low': 'open-mid', 'low-mid': 'open-mid'
+        };
+    }
+
+    /**
+     * Build the inventory from chart tables (markdown table nodes with
+     * `header` and `rows`), either of which may be null
+     */
+    fromCharts(consonantTable, vowelTable) {
+        return {
+            consonants: this.readChart(consonantTable).map(cell => this.classifyConsonant(cell)),
+            vowels: this.readChart(vowelTable).map(cell => this.classifyVowel(cell)),
+            charts: {
+                consonants: consonantTable ? this.chartLabels(consonantTable) : null,
+                vowels: vowelTable ? this.chartLabels(vowelTable) : null
+            }
+        };
+    }
+
+    chartLabels(table) {
+        return {
+            columns: table.header.slice(1).map(label => this.cleanLabel(label)),
+            rows: table.rows.map(row => this.cleanLabel(row[0])).filter(Boolean)
+        };
+    }
+
+    cleanLabel(label) {
+        return String(label || '').replace(/<br\s*\/?>/gi, ' ').replace(/[*`]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Every symbol in a chart with the labels of its row and column
+     */
+    readChart(table) {
+        if (!table) return [];
+
+        const columns = table.header.slice(1).map(label => this.cleanLabel(label));
+        const cells = [];
+        // A row without a label continues the one above (e.g. the [-ATR]
+        // vowels of a height)
+        let rowLabel = '';
+        table.rows.forEach(row => {
+            rowLabel = this.cleanLabel(row[0]) || rowLabel;
+            if (!rowLabel) return;
+            row.slice(1).forEach((cell, i) => {
+                this.splitSymbols(cell).forEach(({ symbol, marginal }) => {
+                    cells.push({ symbol, marginal, row: rowLabel, column: columns[i] || '' });
+                });
+            });
+        });
+
+        // The same symbol listed twice (e.g. in a series row) is one phoneme
+        const seen = new Set();
+        return cells.filter(cell => !seen.has(cell.symbol) && seen.add(cell.symbol));
+    }
+
+    /**
+     * Split a chart cell such as `p b pʰ<br>pʷ`, `(ʔ)` or `s z (Dental)` into
+     * symbols. Parenthesized symbols are marginal; bracketed words such as
+     * `(Dental)` or `[+ATR]` are annotations and are dropped, as are footnote
+     * markers.
+     */
+    splitSymbols(cell) {
+        const text = String(cell || '')
+            .replace(/<br\s*\/?>/gi, ' ')
+            .replace(/[([][^)\]]*(?:[A-Z][A-Za-z]|[a-z]{4,})[^)\]]*[)\]]/g, ' ')
+            .replace(/[*`/[\]]/g, ' ')
+            .replace(/[¹²³⁴⁵⁶⁷⁸⁹⁰]+/g, '');
+
+        const symbols = [];
+        text.split(/[\s,;~]+/).forEach(token => {
+            const marginal = /^\(.*\)$/.test(token);
+            const symbol = token.replace(/[()]/g, '').normalize('NFD');
+            if (!symbol || /^[-–—+]+$/.test(symbol)) return;
+            symbols.push({ symbol: symbol.normalize('NFC'), marginal });
+        });
+        return symbols;
+    }
+
+    normalizeLabel(label) {
+        const key = String(label || '')
+            .toLowerCase()
+            .replace(/\(.*?\)|\[.*?\]/g, '')
+            .replace(/\b(un)?rounded\b/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return this.labelSynonyms[key] || key;
+    }
+
+    /**
+     * Separate a symbol into base letters and modifier features
+     */
+    decompose(symbol) {
+        const chars = [...symbol.normalize('NFD')];
+        const features = [];
+        let prenasalized = false;
+        let base = '';
+
+        chars.forEach((char, i) => {
+            const composed = (base.slice(-1) + char).normalize('NFC');
+            if (i === 0 && this.prenasals.has(char) && chars.length > 1) {
+                prenasalized = true;
+            } else if (composed.length === 1 && (this.consonantSymbols[composed] || this.vowelSymbols[composed])) {
+                // Letters such as ç that decompose into a base and a mark
+                base = base.slice(0, -1) + composed;
+            } else if (this.modifiers[char]) {
+                features.push(this.modifiers[char]);
+            } else if (/\p{M}/u.test(char) && char !== '͡' && char !== '͜') {
+                // Other combining marks don't change the classification
+            } else {
+                base += char;
+            }
+        });
+
+        return { base: base.normalize('NFC'), features: [...new Set(features)], prenasalized };
+    }
+
+    /**
+     * Classify a consonant symbol. Returns a record with place, manner,
+     * voicing, series (pulmonic, ejective, implosive, prenasalized, click)
+     * and modifier features; `classified` is false when only the chart
+     * labels could be used.
+     */
+    classifyConsonant({ symbol, marginal = false, row = '', column = '' }) {
+        const { base, features, prenasalized } = this.decompose(symbol);
+        const letters = [...base.replace(/[͜͡]/g, '')];
+
+        const record = {
+            symbol,
+            base,
+            place: null,
+            manner: null,
+            voiced: null,
+            series: 'pulmonic',
+            features,
+            marginal,
+            classified: false,
+            chartRow: row,
+            chartColumn: column
+        };
+
+        const known = letters.map(letter => this.consonantSymbols[letter]);
+        const clickIndex = known.findIndex(entry => entry?.[1] === 'click');
+
+        if (clickIndex !== -1) {
+            // Clicks may carry a velar/uvular accompaniment (ŋ͡ǀ, ǃkʼ, ᶢǀ)
+            const [place] = known[clickIndex];
+            const accompaniment = known.find((entry, i) => i !== clickIndex && entry);
+            Object.assign(record, {
+                place,
+                manner: accompaniment?.[1] === 'nasal' ? 'nasal' : 'plosive',
+                voiced: accompaniment ? accompaniment[2] : /^[ᶢᵑ]/.test(symbol),
+                series: 'click',
+                classified: true
+            });
+        } else if (letters.length === 1 && known[0]) {
+            const [place, manner, voiced] = known[0];
+            Object.assign(record, {
+                place,
+                manner: manner === 'implosive' ? 'plosive' : manner,
+                voiced,
+                series: manner === 'implosive' ? 'implosive' : 'pulmonic',
+                classified: true
+            });
+        } else if (letters.length === 2 && known[0] && known[1]) {
+            const [first, second] = known;
+            if (first[1] === 'plosive' && second[1] === 'plosive') {
+                // Doubly articulated stops such as k͡p
+                const labialVelar = [first[0], second[0]].sort().join() === 'bilabial,velar';
+                Object.assign(record, {
+                    place: labialVelar ? 'labial-velar' : first[0],
+                    manner: 'plosive',
+                    voiced: first[2],
+                    classified: true
+                });
+            } else if (first[1] === 'plosive' && /fricative/.test(second[1])) {
+                Object.assign(record, {
+                    place: second[0],
+                    manner: second[1] === 'lateral fricative' ? 'lateral affricate' : 'affricate',
+                    voiced: first[2],
+                    classified: true
+                });
+            }
+        }
+
+        if (record.series === 'click') {
+            if (prenasalized) record.manner = 'nasal';
+        } else if (prenasalized) {
+            record.series = 'prenasalized';
+        } else if (features.includes('ejective')) {
+            record.series = 'ejective';
+        }
+        if (features.includes('voiceless')) record.voiced = false;
+
+        // Plain t, n, s... are written for dental and alveolar alike, so the
+        // chart's column decides between them unless a diacritic does
+        if (record.place === 'alveolar') {
+            if (features.includes('retracted')) {
+                record.place = 'postalveolar';
+            } else if (features.includes('dental') || this.normalizeLabel(column) === 'dental') {
+                record.place = 'dental';
+            }
+        }
+
+        if (!record.classified) {
+            record.place = this.normalizeLabel(column) || null;
+            record.manner = this.normalizeLabel(row) || null;
+        }
+
+        return record;
+    }
+
+    /**
+     * Classify a vowel symbol by height, backness and rounding, falling back
+     * to the chart's row (height) and column (backness) labels
+     */
+    classifyVowel({ symbol, marginal = false, row = '', column = '' }) {
+        const { base, features } = this.decompose(symbol);
+        const letters = [...base];
+        const known = letters.length === 1 ? this.vowelSymbols[letters[0]] : null;
+
+        const rowFeatures = (row.match(/[+-]ATR/g) || []);
+        const record = {
+            symbol,
+            base,
+            height: known?.[0] || this.normalizeLabel(row) || null,
+            backness: known?.[1] || this.normalizeLabel(column) || null,
+            rounded: known ? known[2] : /\brounded\b/i.test(column) && !/unrounded/i.test(column),
+            features: [...new Set([...features, ...rowFeatures])],
+            marginal,
+            classified: Boolean(known),
+            chartRow: row,
+            chartColumn: column
+        };
+
+        // Central /a/ as charted in most descriptions
+        if (known && base === 'a' && this.normalizeLabel(column) === 'central') record.backness = 'central';
+        return record;
+    }
+
+    /**
+     * Whether enough of a chart's symbols were recognized to redraw it
+     */
+    isPlaceable(phonemes) {
+        return phonemes.length > 0 && phonemes.filter(phoneme => phoneme.classified).length / phonemes.length >= 0.5;
+    }
+
+    /**
+     * The row of the consonant chart a phoneme belongs on: its manner for
+     * pulmonic consonants, otherwise its series
+     */
+    chartRow(consonant) {
+        return consonant.series === 'pulmonic' ? consonant.manner : consonant.series;
+    }
+
+    /**
+     * A readable description such as "voiceless bilabial plosive, aspirated"
+     */
+    describeConsonant(consonant) {
+        const voicing = consonant.voiced === null ? '' : consonant.voiced ? 'voiced ' : 'voiceless ';
+        const manner = {
+            click: consonant.manner === 'nasal' ? 'nasal click' : 'click',
+            implosive: 'implosive',
+            ejective: `ejective ${consonant.manner || ''}`.trim(),
+            prenasalized: `prenasalized ${consonant.manner || ''}`.trim(),
+            pulmonic: consonant.manner || 'consonant'
+        }[consonant.series];
+        const extra = consonant.features.filter(feature => !['ejective', 'dental', 'retracted', 'voiceless'].includes(feature));
+        const description = `${voicing}${consonant.place ? `${consonant.place} ` : ''}${manner}`;
+        return [description, ...extra, consonant.marginal ? 'marginal' : null].filter(Boolean).join(', ');
+    }
+
+    describeVowel(vowel) {
+        const rounding = vowel.rounded === null ? '' : vowel.rounded ? ' rounded' : ' unrounded';
+        const description = `${vowel.height || ''} ${vowel.backness || ''}${rounding} vowel`.replace(/\s+/g, ' ').trim();
+        return [description, ...vowel.features, vowel.marginal ? 'marginal' : null].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Order a list of keys by a canonical list; unknown keys follow in order
+     */
+    orderKeys(keys, canonical) {
+        const unique = [...new Set(keys)];
+        const rank = key => {
+            const index = canonical.indexOf(key);
+            return index === -1 ? canonical.length + unique.indexOf(key) : index;
+        };
+        return unique.sort((a, b) => rank(a) - rank(b));
+    }
+}
+
+// Export for use in language_renderer.js
+window.PhonemeInventory = PhonemeInventory;
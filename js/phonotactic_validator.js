@@ -0,0 +1,346 @@
+/**
+ * Phonotactic Validator - Checks words against a language's phoneme
+ * inventory and phonotactic constraints
+ *
+ * Constraints come from the language's phonotactics.json when it has one:
+ *
+ *   {
+ *     "syllable": "(C)V(C)",
+ *     "classes": { "guttural": ["q", "χ", "ʁ"] },
+ *     "rules": [
+ *       { "id": "ejective-atr", "forbid": ["ejective", "+ATR"], "description": "..." },
+ *       { "id": "atr-harmony", "harmony": ["+ATR", "-ATR"], "description": "..." }
+ *     ]
+ *   }
+ *
+ * and are otherwise inferred from the phonology text (syllable templates
+ * such as CV or (C)(C)V(C), ATR and front/back harmony).
+ */
+
+class PhonotacticValidator {
+    /**
+     * @param {Object} options
+     * @param {Object} options.inventory - { consonants, vowels } as built by
+     *   PhonemeInventory.fromCharts
+     * @param {Object} options.constraints - parsed phonotactics.json
+     * @param {PhonemeInventory} options.phonemeInventory - classifies
+     *   sounds that are not in the inventory
+     */
+    constructor({ inventory = { consonants: [], vowels: [] }, constraints = {}, phonemeInventory }) {
+        this.phonemeInventory = phonemeInventory;
+        this.constraints = constraints || {};
+        this.syllable = this.constraints.syllable ? PhonotacticValidator.parseTemplates([].concat(this.constraints.syllable)) : null;
+        this.classes = new Map(Object.entries(this.constraints.classes || {})
+            .map(([name, symbols]) => [name, new Set(symbols.map(symbol => PhonotacticValidator.stripProsody(symbol).normalize('NFC')))]));
+
+        // Inventory symbols, matched longest first
+        this.phonemes = new Map();
+        inventory.consonants.forEach(record => this.phonemes.set(PhonotacticValidator.stripProsody(record.symbol), { vowel: false, record }));
+        inventory.vowels.forEach(record => this.phonemes.set(PhonotacticValidator.stripProsody(record.symbol), { vowel: true, record }));
+        this.symbols = [...this.phonemes.keys()].filter(Boolean).sort((a, b) => b.length - a.length);
+
+        this.rules = (this.constraints.rules || []).map((rule, i) => ({
+            ...rule,
+            id: rule.id || `rule-${i + 1}`,
+            description: rule.description || PhonotacticValidator.describeRule(rule)
+        }));
+    }
+
+    /**
+     * Marks that don't bear on phonotactics: stress and tone
+     */
+    static stripProsody(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[ˈˌ˥-˩\u0300-\u0302\u0304\u030B\u030C\u030F\u1DC4-\u1DC9]/g, '');
+    }
+
+    /**
+     * Constraints stated in the phonology text: syllable templates and
+     * vowel harmony. The vowels' ±ATR features come from the chart labels.
+     */
+    static infer(text, inventory = { vowels: [] }) {
+        const source = String(text || '');
+        const templates = PhonotacticValidator.findTemplates(source);
+        const rules = [];
+
+        const hasFeature = feature => inventory.vowels.some(vowel => vowel.features.includes(feature));
+        if (/ATR harmony|harmon\w*[^.]{0,80}ATR|ATR[^.]{0,80}harmon/i.test(source) && hasFeature('+ATR') && hasFeature('-ATR')) {
+            rules.push({ id: 'atr-harmony', harmony: ['+ATR', '-ATR'], description: 'All vowels of a word agree in ATR' });
+        }
+        if (/(front\/back|front-back|backness|palatal) harmony/i.test(source)) {
+            rules.push({ id: 'backness-harmony', harmony: ['front', 'back'], description: 'All vowels of a word agree in backness' });
+        }
+
+        return { syllable: templates.length ? templates : null, rules };
+    }
+
+    /**
+     * Syllable templates such as CV, (C)(C)V(C) or CCVC in running text.
+     * Word shapes with more than one nucleus (CVCV) are left out.
+     */
+    static findTemplates(text) {
+        const tokens = String(text || '').match(/(?<![\p{L}\p{N}])[()CNGLV]*V[()CNGLV]*(?![\p{L}\p{N}])/gu) || [];
+        const templates = tokens.map(token => {
+            // Drop parentheses that belong to the sentence, not the template
+            let template = token;
+            while (/^\(.*\)$/.test(template) && PhonotacticValidator.balanced(template.slice(1, -1))) template = template.slice(1, -1);
+            if (!PhonotacticValidator.balanced(template)) template = template.replace(/^\(+|\)+$/g, '');
+            return PhonotacticValidator.balanced(template) ? template : null;
+        });
+        return [...new Set(templates.filter(template => template && /^[^V]*V[V()]*[^V]*$/.test(template.replace(/\(V\)/g, 'V'))))];
+    }
+
+    static balanced(text) {
+        let depth = 0;
+        for (const char of text) {
+            depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+            if (depth < 0) return false;
+        }
+        return depth === 0;
+    }
+
+    /**
+     * The onset, nucleus and coda sizes a set of templates allows
+     */
+    static parseTemplates(templates) {
+        const limits = templates.map(template => {
+            const counts = { onset: [0, 0], nucleus: [0, 0], coda: [0, 0] };
+            let part = 'onset';
+            let depth = 0;
+            [...template].forEach(char => {
+                if (char === '(') depth++;
+                else if (char === ')') depth--;
+                else {
+                    if (char === 'V') part = 'nucleus';
+                    else if (part === 'nucleus') part = 'coda';
+                    counts[part][1]++;
+                    if (depth === 0) counts[part][0]++;
+                }
+            });
+            return counts;
+        });
+        const range = part => [Math.min(...limits.map(limit => limit[part][0])), Math.max(...limits.map(limit => limit[part][1]))];
+        return {
+            templates,
+            onset: range('onset'),
+            nucleus: [Math.max(1, range('nucleus')[0]), Math.max(1, range('nucleus')[1])],
+            coda: range('coda')
+        };
+    }
+
+    static describeRule(rule) {
+        if (rule.forbid) return `No ${rule.forbid.map(item => (item === '#' ? 'word boundary' : item)).join(' followed by ')}`;
+        if (rule.harmony) return `Vowels of a word are all ${rule.harmony.join(' or all ')}`;
+        return rule.id || 'Rule';
+    }
+
+    /**
+     * Split a transcription into segments. Modifiers the inventory doesn't
+     * list attach to the preceding sound; length and phonation marks are
+     * tolerated, any other addition makes the sound unknown.
+     * Returns { segments, breaks }, breaks being the segment indices that
+     * follow a syllable dot.
+     */
+    segment(ipa) {
+        const source = PhonotacticValidator.stripProsody(ipa).replace(/[-=]/g, '');
+        const segments = [];
+        const breaks = new Set();
+        const attaches = char => /[\p{M}\p{Lm}]/u.test(char) && !this.phonemeInventory.prenasals.has(char);
+        const tolerated = /^[ːˑ\u0329\u032F\u0330\u0324]*$/u;
+
+        let i = 0;
+        while (i < source.length) {
+            if (source[i] === '.') {
+                breaks.add(segments.length);
+                i++;
+                continue;
+            }
+
+            const symbol = this.symbols.find(candidate => source.startsWith(candidate, i));
+            const next = position => String.fromCodePoint(source.codePointAt(position)).length;
+            let end = symbol ? i + symbol.length : i + next(i);
+            if (!symbol && this.phonemeInventory.prenasals.has(source[i]) && end < source.length) end += next(end);
+            let extra = '';
+            while (end < source.length && attaches(source[end])) extra += source[end++];
+
+            const text = source.slice(i, end);
+            i = end;
+            if (!/\p{L}/u.test(text)) continue;
+
+            const phoneme = symbol ? this.phonemes.get(symbol) : null;
+            const known = Boolean(phoneme) && tolerated.test(extra);
+            const base = this.phonemeInventory.decompose(text).base;
+            const vowel = phoneme ? phoneme.vowel : Boolean(this.phonemeInventory.vowelSymbols[[...base][0]]);
+            const record = known ? phoneme.record
+                : vowel ? this.phonemeInventory.classifyVowel({ symbol: text }) : this.phonemeInventory.classifyConsonant({ symbol: text });
+            const nucleus = extra.includes('\u0329') ? true : extra.includes('\u032F') ? false : vowel;
+            segments.push({ symbol: text.normalize('NFC'), phoneme: symbol ? symbol.normalize('NFC') : null, known, vowel, nucleus, record });
+        }
+        return { segments, breaks };
+    }
+
+    /**
+     * Rough sonority of a consonant, for choosing between onset and coda
+     */
+    sonority(segment) {
+        const manner = segment.record.manner || '';
+        if (/approximant/.test(manner) && !/lateral/.test(manner)) return 5;
+        if (/lateral|trill|tap|flap/.test(manner)) return 4;
+        if (manner === 'nasal') return 3;
+        if (/fricative/.test(manner)) return 2;
+        return 1;
+    }
+
+    /**
+     * Divide segments into syllables: explicit dots first, then as many
+     * consonants into each onset as the template allows, as long as they
+     * rise in sonority
+     */
+    syllabify(segments, breaks) {
+        const maxOnset = this.syllable ? this.syllable.onset[1] : Infinity;
+        const maxNucleus = this.syllable ? this.syllable.nucleus[1] : 1;
+        const syllables = [];
+        let current = null;
+        let pending = [];
+
+        const flush = () => {
+            if (current) syllables.push(current);
+            current = null;
+        };
+
+        segments.forEach((segment, i) => {
+            if (breaks.has(i) && current) {
+                current.coda.push(...pending);
+                pending = [];
+                flush();
+            }
+            if (!segment.nucleus) {
+                pending.push(segment);
+                return;
+            }
+            if (current && pending.length === 0 && current.nucleus.length < maxNucleus && !breaks.has(i)) {
+                current.nucleus.push(segment);
+                return;
+            }
+            let onsetSize = pending.length;
+            if (current) {
+                onsetSize = Math.min(pending.length, maxOnset, 1);
+                while (onsetSize < Math.min(pending.length, maxOnset)) {
+                    const [first, second] = pending.slice(pending.length - onsetSize - 1);
+                    if (this.sonority(first) >= this.sonority(second)) break;
+                    onsetSize++;
+                }
+            }
+            if (current) current.coda.push(...pending.slice(0, pending.length - onsetSize));
+            flush();
+            current = { onset: pending.slice(pending.length - onsetSize), nucleus: [segment], coda: [] };
+            pending = [];
+        });
+        if (current) current.coda.push(...pending);
+        flush();
+
+        return { syllables, stray: syllables.length === 0 ? pending : [] };
+    }
+
+    /**
+     * Whether a segment belongs to a named class: one defined in the
+     * constraints, C or V, or a classification value (ejective, nasal,
+     * front, voiced, +ATR...)
+     */
+    inClass(segment, name) {
+        if (this.classes.has(name)) {
+            return this.classes.get(name).has(segment.symbol) || this.classes.get(name).has(segment.phoneme);
+        }
+        if (name === 'C' || name === 'consonant') return !segment.vowel;
+        if (name === 'V' || name === 'vowel') return segment.vowel;
+
+        const record = segment.record;
+        const values = segment.vowel
+            ? [record.height, record.backness, record.rounded ? 'rounded' : 'unrounded']
+            : [record.place, record.manner, record.series, record.voiced ? 'voiced' : 'voiceless'];
+        return values.includes(name) || record.features.includes(name);
+    }
+
+    /**
+     * Check one written form (a word, or several separated by spaces, `/`
+     * or commas). Returns { syllabified, violations: [{ rule, description,
+     * detail }] }. Bound forms (-lo, ka-) are not held to the syllable
+     * template, since they are only syllabified with their host.
+     */
+    validate(ipa) {
+        const forms = String(ipa || '').replace(/[()[\]]/g, ' ').split(/[\s/,;~]+/).filter(form => /\p{L}/u.test(form));
+        const violations = [];
+        const syllabified = [];
+        const report = (rule, description, detail) => {
+            if (!violations.some(violation => violation.rule === rule && violation.detail === detail)) {
+                violations.push({ rule, description, detail });
+            }
+        };
+
+        forms.forEach(form => {
+            const { segments, breaks } = this.segment(form);
+            const { syllables, stray } = this.syllabify(segments, breaks);
+            syllabified.push(syllables.map(syllable => [...syllable.onset, ...syllable.nucleus, ...syllable.coda].map(segment => segment.symbol).join('')).join('.'));
+
+            segments.filter(segment => !segment.known).forEach(segment => {
+                report('inventory', 'Sounds are in the phoneme inventory', `/${segment.symbol}/ is not in the inventory`);
+            });
+
+            const bound = /^-|-$/.test(form);
+            if (this.syllable && !bound) this.checkSyllables(form, syllables, stray, report);
+
+            const tokens = ['#', ...segments, '#'];
+            this.rules.forEach(rule => {
+                if (rule.forbid) {
+                    for (let i = 0; i + rule.forbid.length <= tokens.length; i++) {
+                        const window = tokens.slice(i, i + rule.forbid.length);
+                        const matches = window.every((token, j) => (rule.forbid[j] === '#' ? token === '#' : token !== '#' && this.inClass(token, rule.forbid[j])));
+                        if (matches) report(rule.id, rule.description, window.map(token => (token === '#' ? '#' : token.symbol)).join(' '));
+                    }
+                } else if (rule.harmony) {
+                    const sets = new Map();
+                    segments.filter(segment => segment.vowel).forEach(segment => {
+                        const memberOf = rule.harmony.filter(name => this.inClass(segment, name));
+                        if (memberOf.length === 1) sets.set(memberOf[0], [...(sets.get(memberOf[0]) || []), segment.symbol]);
+                    });
+                    if (sets.size > 1) {
+                        report(rule.id, rule.description, [...sets].map(([name, symbols]) => `${name}: ${[...new Set(symbols)].join(' ')}`).join('; '));
+                    }
+                }
+            });
+        });
+
+        return { syllabified: syllabified.join(' '), violations };
+    }
+
+    checkSyllables(form, syllables, stray, report) {
+        const { templates, onset, nucleus, coda } = this.syllable;
+        const description = `Syllables follow ${templates.join(', ')}`;
+        if (stray.length) {
+            report('syllable', description, `${form} has no vowel`);
+            return;
+        }
+        const outside = (size, [min, max]) => size < min || size > max;
+        syllables.forEach(syllable => {
+            const text = [...syllable.onset, ...syllable.nucleus, ...syllable.coda].map(segment => segment.symbol).join('');
+            // Syllabic consonants (ń̩) stand as syllables of their own
+            const syllabic = syllable.nucleus.every(segment => !segment.vowel);
+            if (outside(syllable.onset.length, syllabic ? [0, onset[1]] : onset)) report('syllable', description, `onset of ${text}`);
+            if (outside(syllable.nucleus.length, nucleus)) report('syllable', description, `nucleus of ${text}`);
+            if (outside(syllable.coda.length, coda)) report('syllable', description, `coda of ${text}`);
+        });
+    }
+
+    /**
+     * Every rule the validator checks, for the report
+     */
+    ruleList() {
+        const rules = [{ id: 'inventory', description: 'Sounds are in the phoneme inventory' }];
+        if (this.syllable) rules.push({ id: 'syllable', description: `Syllables follow ${this.syllable.templates.join(', ')}` });
+        return [...rules, ...this.rules.map(({ id, description }) => ({ id, description }))];
+    }
+}
+
+// Export for use in language_renderer.js
+window.PhonotacticValidator = PhonotacticValidator;
@@ -0,0 +1,382 @@
+/**
+ * Speech Synthesizer - Pronounces IPA transcriptions in the browser
+ *
+ * A small formant synthesizer. Each IPA segment becomes a few timed targets
+ * (voicing, noise, formants) and a glottal pulse train plus a noise source
+ * are shaped by resonators toward them. Nothing is fetched, so it works
+ * offline and inside the language page's blob URL, whose script embeds
+ * this class.
+ */
+
+class IpaSynthesizer {
+    constructor({ sampleRate = 22050 } = {}) {
+        this.sampleRate = sampleRate;
+
+        // Vowel formants F1, F2, F3 (Hz)
+        this.vowels = {
+            i: [280, 2250, 2900], y: [280, 1900, 2300], ɨ: [300, 1600, 2500], ʉ: [300, 1400, 2200],
+            ɯ: [320, 1300, 2500], u: [300, 800, 2300], ɪ: [380, 2000, 2600], ʏ: [380, 1700, 2300],
+            ʊ: [420, 1000, 2300], e: [400, 2100, 2700], ø: [400, 1650, 2300], ɘ: [420, 1500, 2500],
+            ɵ: [420, 1300, 2300], ɤ: [450, 1150, 2500], o: [430, 850, 2400], ə: [500, 1400, 2500],
+            ɛ: [580, 1850, 2600], œ: [580, 1550, 2300], ɜ: [580, 1450, 2500], ɞ: [580, 1300, 2400],
+            ʌ: [620, 1200, 2550], ɔ: [600, 900, 2450], æ: [700, 1700, 2550], ɐ: [700, 1350, 2500],
+            a: [800, 1500, 2600], ɶ: [780, 1300, 2400], ɑ: [750, 1100, 2550], ɒ: [700, 900, 2500]
+        };
+
+        // Consonants: manner, the F2 locus neighbouring vowels bend toward,
+        // the centre of the consonant's noise (Hz) and voicing
+        this.consonants = {};
+        const add = (symbols, manner, locus, noise, voiced) => {
+            [...symbols].forEach(symbol => { this.consonants[symbol] = { manner, locus, noise, voiced }; });
+        };
+        add('p', 'plosive', 800, 1200, false); add('b', 'plosive', 800, 1200, true);
+        add('t', 'plosive', 1700, 4000, false); add('d', 'plosive', 1700, 4000, true);
+        add('ʈ', 'plosive', 1600, 3000, false); add('ɖ', 'plosive', 1600, 3000, true);
+        add('c', 'plosive', 2300, 3200, false); add('ɟ', 'plosive', 2300, 3200, true);
+        add('k', 'plosive', 1900, 2000, false); add('gɡ', 'plosive', 1900, 2000, true);
+        add('q', 'plosive', 1300, 1400, false); add('ɢ', 'plosive', 1300, 1400, true);
+        add('ʔ', 'plosive', null, 1500, false);
+        add('ɓ', 'implosive', 800, 1200, true); add('ɗ', 'implosive', 1700, 4000, true);
+        add('ʄ', 'implosive', 2300, 3200, true); add('ɠ', 'implosive', 1900, 2000, true);
+        add('m', 'nasal', 1100, null, true); add('ɱ', 'nasal', 1200, null, true);
+        add('n', 'nasal', 1500, null, true); add('ɳ', 'nasal', 1500, null, true);
+        add('ɲ', 'nasal', 2000, null, true); add('ŋ', 'nasal', 2200, null, true); add('ɴ', 'nasal', 1400, null, true);
+        add('ɸ', 'fricative', 800, 1200, false); add('β', 'fricative', 800, 1200, true);
+        add('f', 'fricative', 1000, 6000, false); add('v', 'fricative', 1000, 6000, true);
+        add('θ', 'fricative', 1500, 6500, false); add('ð', 'fricative', 1500, 6500, true);
+        add('s', 'fricative', 1700, 5500, false); add('z', 'fricative', 1700, 5500, true);
+        add('ʃ', 'fricative', 2000, 3000, false); add('ʒ', 'fricative', 2000, 3000, true);
+        add('ʂ', 'fricative', 1600, 2500, false); add('ʐ', 'fricative', 1600, 2500, true);
+        add('ɕ', 'fricative', 2200, 3500, false); add('ʑ', 'fricative', 2200, 3500, true);
+        add('ç', 'fricative', 2300, 4000, false); add('ʝ', 'fricative', 2300, 4000, true);
+        add('x', 'fricative', 1900, 1800, false); add('ɣ', 'fricative', 1900, 1800, true);
+        add('χ', 'fricative', 1300, 1200, false); add('ʁ', 'fricative', 1300, 1200, true);
+        add('ħ', 'fricative', 1100, 1000, false); add('ʕ', 'fricative', 1100, 1000, true);
+        add('h', 'fricative', null, 1500, false); add('ɦ', 'fricative', null, 1500, true);
+        add('ɬ', 'fricative', 1700, 4500, false); add('ɮ', 'fricative', 1700, 4500, true);
+        add('r', 'trill', 1300, null, true); add('ʀ', 'trill', 1200, null, true); add('ʙ', 'trill', 800, null, true);
+        add('ɾ', 'tap', 1700, null, true); add('ɽ', 'tap', 1600, null, true); add('ⱱ', 'tap', 1000, null, true);
+        add('ʘ', 'click', 800, 1000, false); add('ǀ', 'click', 1500, 3500, false);
+        add('ǃ', 'click', 1700, 2000, false); add('ǂ', 'click', 2300, 3000, false);
+        add('ǁ', 'click', 1700, 2500, false);
+
+        // Approximants and laterals are vowel-like: their own formants
+        this.approximants = {
+            j: [280, 2200, 3000], w: [300, 700, 2200], ɰ: [320, 1200, 2500], ɥ: [280, 1800, 2300],
+            ɹ: [350, 1300, 1700], ɻ: [350, 1300, 1600], ʋ: [320, 1200, 2400],
+            l: [350, 1100, 2800], ɭ: [350, 1200, 2400], ʎ: [300, 1900, 2800], ʟ: [350, 900, 2500]
+        };
+
+        this.modifiers = {
+            'ʰ': 'aspirated', 'ʱ': 'aspirated', 'ʷ': 'labialized', 'ʲ': 'palatalized', 'ˤ': 'pharyngealized',
+            'ʼ': 'ejective', 'ː': 'long', 'ˑ': 'long', '̃': 'nasalized', '̥': 'voiceless'
+        };
+        this.prenasals = { 'ᵐ': 'm', 'ⁿ': 'n', 'ᵑ': 'ŋ', 'ᶬ': 'ɱ', 'ᶮ': 'ɲ', 'ᶯ': 'ɳ' };
+
+        // Tone levels run from 1 (lowest) to 5 (highest)
+        this.toneLetters = { '˥': 5, '˦': 4, '˧': 3, '˨': 2, '˩': 1 };
+        this.toneMarks = {
+            '̋': [5], '́': [4], '̄': [3], '̀': [2], '̏': [1],
+            '̂': [4, 2], '̌': [2, 4], '᷄': [3, 4], '᷅': [2, 3]
+        };
+
+        this.context = null;
+        this.source = null;
+    }
+
+    isSymbol(symbol) {
+        return Boolean(this.vowels[symbol] || this.consonants[symbol] || this.approximants[symbol]);
+    }
+
+    /**
+     * Split an IPA string into segments with their modifiers, stress and
+     * tone. Unknown symbols are skipped; spaces and punctuation are pauses.
+     */
+    parse(ipa) {
+        const segments = [];
+        const chars = [...String(ipa || '').toLowerCase().normalize('NFD')];
+        let stress = false;
+        let prenasal = null;
+        const lastVowel = () => [...segments].reverse().find(segment => segment.type === 'vowel');
+
+        chars.forEach(char => {
+            const symbol = char === 'g' ? 'ɡ' : char;
+            const last = segments[segments.length - 1];
+
+            const composed = last ? (last.symbol + char).normalize('NFC') : '';
+            if (composed.length === 1 && this.isSymbol(composed)) {
+                // Letters such as ç that decompose into a base and a mark
+                last.symbol = composed;
+            } else if (this.isSymbol(symbol)) {
+                if (prenasal) {
+                    segments.push({ type: 'consonant', symbol: prenasal, features: ['short'], tone: null, stress: false });
+                    prenasal = null;
+                }
+                segments.push({
+                    type: this.vowels[symbol] ? 'vowel' : 'consonant',
+                    symbol,
+                    features: [],
+                    tone: null,
+                    stress
+                });
+                if (this.vowels[symbol]) stress = false;
+            } else if (char === 'ˈ') {
+                stress = true;
+            } else if (char === "'") {
+                // An apostrophe after a stop or fricative marks an ejective (k'u);
+                // elsewhere it is a stress mark ('mʷa, na'mʷa)
+                const manner = last && this.consonants[last.symbol]?.manner;
+                if (['plosive', 'fricative', 'click'].includes(manner)) last.features.push('ejective');
+                else stress = true;
+            } else if (this.prenasals[char]) {
+                prenasal = this.prenasals[char];
+            } else if (this.modifiers[char] && last) {
+                last.features.push(this.modifiers[char]);
+            } else if (this.toneMarks[char] && last?.type === 'vowel') {
+                last.tone = this.toneMarks[char];
+            } else if (this.toneLetters[char] && lastVowel()) {
+                // Chao tone letters follow the syllable; a run of them is a contour
+                const vowel = lastVowel();
+                vowel.tone = vowel.toneLetters ? [...vowel.tone, this.toneLetters[char]] : [this.toneLetters[char]];
+                vowel.toneLetters = true;
+            } else if (/[\s,;:!?|‖/]/.test(char) && last && last.type !== 'pause') {
+                segments.push({ type: 'pause', symbol: char, features: [], tone: null, stress: false });
+            }
+        });
+
+        while (segments.length && segments[segments.length - 1].type === 'pause') segments.pop();
+        return segments;
+    }
+
+    /**
+     * Timed targets for each segment. A phase is { ms, voice, noise,
+     * noiseFreq, noiseBw, formants, pitch } where voice and noise are
+     * amplitudes and pitch is a list of tone levels or null.
+     */
+    phases(segments) {
+        const phases = [];
+        const nearestVowel = index => {
+            const next = segments.slice(index + 1).find(segment => segment.type === 'vowel');
+            const previous = segments.slice(0, index).reverse().find(segment => segment.type === 'vowel');
+            return this.vowels[(next || previous)?.symbol] || this.vowels.ə;
+        };
+
+        segments.forEach((segment, index) => {
+            const has = feature => segment.features.includes(feature);
+            const length = has('long') ? 1.6 : has('short') ? 0.5 : 1;
+            const push = phase => phases.push({
+                voice: 0, noise: 0, noiseFreq: 1500, noiseBw: 2000, formants: nearestVowel(index), pitch: null, ...phase
+            });
+
+            if (segment.type === 'pause') {
+                push({ ms: 150 });
+                return;
+            }
+
+            if (segment.type === 'vowel') {
+                const [f1, f2, f3] = this.vowels[segment.symbol];
+                const formants = has('pharyngealized') ? [f1 + 100, f2 - 200, f3] : [f1, f2, f3];
+                push({
+                    ms: 110 * (has('long') ? 1.8 : 1) * (segment.stress ? 1.25 : 1),
+                    voice: has('voiceless') ? 0 : 1,
+                    noise: has('voiceless') ? 0.3 : 0,
+                    formants,
+                    pitch: segment.tone || (segment.stress ? [4] : null),
+                    nasal: has('nasalized')
+                });
+                return;
+            }
+
+            const vowel = nearestVowel(index);
+            const approximant = this.approximants[segment.symbol];
+            const consonant = this.consonants[segment.symbol];
+            const voiced = consonant ? consonant.voiced && !has('voiceless') : !has('voiceless');
+            const bent = locus => (locus ? [Math.min(vowel[0], 300), (vowel[1] + locus) / 2, vowel[2]] : vowel);
+
+            if (approximant) {
+                push({ ms: 60 * length, voice: voiced ? 0.8 : 0, noise: voiced ? 0 : 0.3, formants: approximant });
+            } else if (consonant.manner === 'plosive' || consonant.manner === 'implosive') {
+                const ejective = has('ejective');
+                push({ ms: (ejective ? 70 : 55) * length, voice: voiced ? (consonant.manner === 'implosive' ? 0.35 : 0.15) : 0, formants: bent(consonant.locus) });
+                push({ ms: ejective ? 8 : 12, noise: ejective ? 1 : consonant.manner === 'implosive' ? 0.3 : 0.8, noiseFreq: consonant.noise, noiseBw: 2500, voice: voiced ? 0.3 : 0, formants: bent(consonant.locus) });
+                if (ejective) push({ ms: 35 });
+            } else if (consonant.manner === 'fricative') {
+                const strength = consonant.noise >= 6000 || consonant.locus === null ? 0.35 : 0.7;
+                push({
+                    ms: 100 * length,
+                    noise: has('ejective') ? 0.9 : strength,
+                    noiseFreq: consonant.noise,
+                    noiseBw: consonant.locus === null ? 3000 : 1500,
+                    voice: voiced ? 0.45 : 0,
+                    formants: bent(consonant.locus)
+                });
+                if (has('ejective')) push({ ms: 30 });
+            } else if (consonant.manner === 'nasal') {
+                push({ ms: 75 * length, voice: 0.6, formants: [250, consonant.locus, 2500], nasal: true });
+            } else if (consonant.manner === 'trill') {
+                for (let i = 0; i < 3; i++) {
+                    push({ ms: 20, voice: 0.8, formants: [400, consonant.locus, 2000] });
+                    push({ ms: 12, voice: 0.3, formants: [300, consonant.locus, 2000] });
+                }
+            } else if (consonant.manner === 'tap') {
+                push({ ms: 25, voice: 0.35, formants: bent(consonant.locus) });
+            } else if (consonant.manner === 'click') {
+                push({ ms: 8, noise: 1, noiseFreq: consonant.noise, noiseBw: segment.symbol === 'ǁ' ? 2500 : 800 });
+                push({ ms: segment.symbol === 'ǁ' ? 30 : 20, noise: segment.symbol === 'ǁ' ? 0.4 : 0, noiseFreq: consonant.noise });
+            }
+
+            // Secondary articulations trail the consonant
+            if (has('aspirated')) push({ ms: 45, noise: 0.35, noiseFreq: 1500, noiseBw: 3000 });
+            if (has('labialized')) push({ ms: 35, voice: 0.7, formants: this.approximants.w });
+            if (has('palatalized')) push({ ms: 30, voice: 0.7, formants: this.approximants.j });
+        });
+
+        return phases;
+    }
+
+    /**
+     * Render an IPA string to mono samples in [-1, 1]
+     */
+    render(ipa) {
+        const phases = this.phases(this.parse(ipa));
+        const rate = this.sampleRate;
+        const total = Math.round(phases.reduce((sum, phase) => sum + phase.ms, 0) * rate / 1000);
+        const samples = new Float32Array(total);
+        if (total === 0) return samples;
+
+        // Pitch: a falling baseline, with tone levels mapped to 85-165 Hz
+        const levelHz = level => 85 + (level - 1) * 20;
+        const smooth = ms => 1 - Math.exp(-1000 / (ms * rate));
+        const fast = smooth(3);
+        const slow = smooth(15);
+
+        const resonator = () => ({ a: 1, b: 0, c: 0, y1: 0, y2: 0 });
+        // Klatt resonator, with unit gain at DC or, for the noise band, at
+        // its centre frequency
+        const tune = (r, frequency, bandwidth, unitPeak = false) => {
+            const t = 1 / rate;
+            const w = 2 * Math.PI * frequency * t;
+            r.c = -Math.exp(-2 * Math.PI * bandwidth * t);
+            r.b = 2 * Math.exp(-Math.PI * bandwidth * t) * Math.cos(w);
+            r.a = unitPeak
+                ? Math.hypot(1 - r.b * Math.cos(w) - r.c * Math.cos(2 * w), r.b * Math.sin(w) + r.c * Math.sin(2 * w))
+                : 1 - r.b - r.c;
+        };
+        const step = (r, x) => {
+            const y = r.a * x + r.b * r.y1 + r.c * r.y2;
+            r.y2 = r.y1;
+            r.y1 = y;
+            return y;
+        };
+        const formantFilters = [resonator(), resonator(), resonator()];
+        const noiseFilter = resonator();
+        const bandwidths = [80, 100, 150];
+
+        let seed = 1;
+        const noise = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 1073741824 - 1;
+        };
+
+        const state = { voice: 0, noise: 0, formants: [...phases[0].formants], noiseFreq: phases[0].noiseFreq };
+        let phase = 0;
+        let tilt = 0;
+        let n = 0;
+
+        phases.forEach(target => {
+            const count = Math.round(target.ms * rate / 1000);
+            for (let i = 0; i < count; i++, n++) {
+                const progress = i / count;
+                const baseline = 130 - 25 * (n / total);
+                let f0 = baseline;
+                if (target.pitch) {
+                    const position = progress * (target.pitch.length - 1);
+                    const low = Math.floor(position);
+                    const high = Math.min(low + 1, target.pitch.length - 1);
+                    f0 = levelHz(target.pitch[low] + (target.pitch[high] - target.pitch[low]) * (position - low));
+                }
+
+                state.voice += (target.voice - state.voice) * fast;
+                state.noise += (target.noise - state.noise) * fast;
+                state.noiseFreq += (target.noiseFreq - state.noiseFreq) * slow;
+                target.formants.forEach((frequency, k) => {
+                    state.formants[k] += (frequency - state.formants[k]) * slow;
+                });
+
+                // Filters are retuned every 1-2 ms; per sample is needlessly slow
+                if (n % 32 === 0) {
+                    state.formants.forEach((frequency, k) => {
+                        tune(formantFilters[k], frequency, bandwidths[k] * (target.nasal ? 2 : 1));
+                    });
+                    tune(noiseFilter, Math.min(state.noiseFreq, rate / 2 - 500), target.noiseBw, true);
+                }
+
+                // Sawtooth glottal pulse with a low-pass spectral tilt
+                phase = (phase + f0 / rate) % 1;
+                tilt += ((1 - 2 * phase) - tilt) * 0.3;
+                let voiced = tilt * state.voice;
+                formantFilters.forEach(filter => { voiced = step(filter, voiced); });
+
+                // Mixed so that a sibilant sits about 7 dB under a vowel
+                const frication = step(noiseFilter, noise()) * state.noise;
+                samples[n] = voiced * 0.1 + frication * 0.25;
+            }
+        });
+
+        // Normalize and fade the ends to avoid clicks
+        const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0) || 1;
+        const fade = Math.min(Math.round(rate * 0.005), Math.floor(total / 2));
+        for (let i = 0; i < total; i++) {
+            const edge = Math.min(1, i / fade, (total - 1 - i) / fade);
+            samples[i] = (samples[i] / peak) * 0.9 * edge;
+        }
+        return samples;
+    }
+
+    /**
+     * Play an IPA string, stopping whatever was playing. Resolves when the
+     * sound ends; resolves at once when Web Audio is unavailable.
+     */
+    speak(ipa) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        const samples = this.render(ipa);
+        if (!AudioContext || samples.length === 0) return Promise.resolve();
+
+        this.stop();
+        this.context = this.context || new AudioContext();
+        const buffer = this.context.createBuffer(1, samples.length, this.sampleRate);
+        buffer.getChannelData(0).set(samples);
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.context.destination);
+        this.source = source;
+        return new Promise(resolve => {
+            // Also fires when stop() cuts the sound short
+            source.onended = () => {
+                if (this.source === source) this.source = null;
+                resolve();
+            };
+            source.start();
+        });
+    }
+
+    /**
+     * Play a single phoneme; consonants are framed as [aCa] so that stops
+     * and other short sounds can be heard
+     */
+    speakPhoneme(symbol) {
+        const hasVowel = [...symbol.normalize('NFD')].some(char => this.vowels[char]);
+        return this.speak(hasVowel ? symbol : `a${symbol}a`);
+    }
+
+    stop() {
+        if (!this.source) return;
+        const source = this.source;
+        this.source = null;
+        source.stop();
+    }
+}
+
+// Export for use in language_renderer.js
+window.IpaSynthesizer = IpaSynthesizer;
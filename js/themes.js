@@ -0,0 +1,256 @@
+/**
+ * Themes - Light, dark and high-contrast colors for the site and the
+ * generated pages
+ *
+ * Every color the stylesheets use is a CSS custom property (--color-*).
+ * The light theme is the default; the dark theme follows
+ * prefers-color-scheme unless a theme is chosen, and a choice is kept in
+ * localStorage and set as data-theme on the <html> element of the site and
+ * of every generated page it shows.
+ */
+
+class ThemeManager {
+    constructor() {
+        this.storageKey = 'conlangcrafter-theme';
+        this.listeners = [];
+        // Set when a theme is chosen during this visit
+        this.current = null;
+
+        this.themes = {
+            light: {
+                label: 'Light',
+                scheme: 'light',
+                colors: {
+                    'primary': '#26a69a',
+                    'primary-strong': '#00695c',
+                    'primary-soft': '#80cbc4',
+                    'primary-hover': '#4db6ac',
+                    'primary-pale': '#b2dfdb',
+                    'primary-tint': '#e0f2f1',
+                    'header-from': '#26a69a',
+                    'header-to': '#00695c',
+                    'on-primary': '#ffffff',
+                    'page': '#fafafa',
+                    'surface': '#ffffff',
+                    'surface-muted': '#f8f9fa',
+                    'surface-hover': '#f0f0f0',
+                    'text': '#333333',
+                    'text-secondary': '#555555',
+                    'text-muted': '#666666',
+                    'text-faint': '#888888',
+                    'text-disabled': '#aaaaaa',
+                    'border': '#e0e0e0',
+                    'border-strong': '#bdbdbd',
+                    'shadow': 'rgba(0, 0, 0, 0.1)',
+                    'highlight': '#fff59d',
+                    'info': '#1976d2',
+                    'info-soft': '#e3f2fd',
+                    'success': '#2e7d32',
+                    'success-soft': '#e8f5e8',
+                    'success-border': '#c8e6c9',
+                    'warning': '#e65100',
+                    'warning-soft': '#fff3e0',
+                    'warning-border': '#ffcc02',
+                    'error': '#c62828',
+                    'error-soft': '#ffebee',
+                    'error-border': '#ffcdd2',
+                    'compare-0': '#00897b',
+                    'compare-1': '#8e24aa',
+                    'compare-2': '#ef6c00',
+                    'compare-3': '#3949ab',
+                    'completeness-high': '#2e7d32',
+                    'completeness-mid': '#b45309',
+                    'completeness-low': '#c62828'
+                }
+            },
+            dark: {
+                label: 'Dark',
+                scheme: 'dark',
+                colors: {
+                    'primary': '#26a69a',
+                    'primary-strong': '#80cbc4',
+                    'primary-soft': '#24514c',
+                    'primary-hover': '#2f6b65',
+                    'primary-pale': '#2a5d58',
+                    'primary-tint': '#1b3532',
+                    'header-from': '#1f6f67',
+                    'header-to': '#0b3a35',
+                    'on-primary': '#ffffff',
+                    'page': '#121417',
+                    'surface': '#1c1f23',
+                    'surface-muted': '#23272c',
+                    'surface-hover': '#2c3137',
+                    'text': '#e4e6e8',
+                    'text-secondary': '#c5c9cd',
+                    'text-muted': '#a3a9af',
+                    'text-faint': '#8a9096',
+                    'text-disabled': '#5f656b',
+                    'border': '#363b41',
+                    'border-strong': '#4f555c',
+                    'shadow': 'rgba(0, 0, 0, 0.5)',
+                    'highlight': '#5c5200',
+                    'info': '#90caf9',
+                    'info-soft': '#1a2d40',
+                    'success': '#81c784',
+                    'success-soft': '#1c3320',
+                    'success-border': '#2e5233',
+                    'warning': '#ffb74d',
+                    'warning-soft': '#3a2a12',
+                    'warning-border': '#8a6413',
+                    'error': '#ef9a9a',
+                    'error-soft': '#3b1f22',
+                    'error-border': '#6d3035',
+                    'compare-0': '#4db6ac',
+                    'compare-1': '#ce93d8',
+                    'compare-2': '#ffb74d',
+                    'compare-3': '#9fa8da',
+                    'completeness-high': '#2e7d32',
+                    'completeness-mid': '#9a4a00',
+                    'completeness-low': '#b3261e'
+                }
+            },
+            'high-contrast': {
+                label: 'High contrast',
+                scheme: 'light',
+                colors: {
+                    'primary': '#00574f',
+                    'primary-strong': '#00302b',
+                    'primary-soft': '#b2dfdb',
+                    'primary-hover': '#80cbc4',
+                    'primary-pale': '#b2dfdb',
+                    'primary-tint': '#e0f2f1',
+                    'header-from': '#00302b',
+                    'header-to': '#000000',
+                    'on-primary': '#ffffff',
+                    'page': '#ffffff',
+                    'surface': '#ffffff',
+                    'surface-muted': '#f2f2f2',
+                    'surface-hover': '#e0e0e0',
+                    'text': '#000000',
+                    'text-secondary': '#000000',
+                    'text-muted': '#1a1a1a',
+                    'text-faint': '#333333',
+                    'text-disabled': '#595959',
+                    'border': '#000000',
+                    'border-strong': '#000000',
+                    'shadow': 'rgba(0, 0, 0, 0)',
+                    'highlight': '#ffff00',
+                    'info': '#0d3c78',
+                    'info-soft': '#e3f2fd',
+                    'success': '#1b5e20',
+                    'success-soft': '#e8f5e9',
+                    'success-border': '#1b5e20',
+                    'warning': '#8a3c00',
+                    'warning-soft': '#fff0d6',
+                    'warning-border': '#8a3c00',
+                    'error': '#9b0000',
+                    'error-soft': '#ffe5e5',
+                    'error-border': '#9b0000',
+                    'compare-0': '#00574f',
+                    'compare-1': '#6a1b9a',
+                    'compare-2': '#a33f00',
+                    'compare-3': '#1a237e',
+                    'completeness-high': '#1b5e20',
+                    'completeness-mid': '#8a3c00',
+                    'completeness-low': '#9b0000'
+                }
+            }
+        };
+    }
+
+    /**
+     * The custom properties of every theme: light by default (and in
+     * print), dark when the system prefers it and nothing was chosen, or
+     * whichever data-theme names
+     */
+    generateCSS() {
+        const block = (selector, name) => {
+            const theme = this.themes[name];
+            const properties = Object.entries(theme.colors)
+                .map(([key, value]) => `--color-${key}: ${value};`)
+                .join('\n            ');
+            return `${selector} {
+            color-scheme: ${theme.scheme};
+            ${properties}
+        }`;
+        };
+
+        return `
+        ${block(':root', 'light')}
+
+        @media (prefers-color-scheme: dark) {
+        ${block(':root:not([data-theme])', 'dark')}
+        }
+
+        ${Object.keys(this.themes).map(name => block(`:root[data-theme="${name}"]`, name)).join('\n\n        ')}
+
+        /* Paper is white whatever the screen shows */
+        @media print {
+        ${block(':root, :root[data-theme]', 'light')}
+        }
+        `;
+    }
+
+    /**
+     * The chosen theme, or 'system' to follow prefers-color-scheme
+     */
+    get preference() {
+        try {
+            const stored = window.localStorage?.getItem(this.storageKey);
+            return this.themes[stored] ? stored : 'system';
+        } catch (error) {
+            // Storage can be unavailable (private browsing, sandboxed frames)
+            return 'system';
+        }
+    }
+
+    set preference(name) {
+        const theme = this.themes[name] ? name : 'system';
+        try {
+            if (theme === 'system') window.localStorage?.removeItem(this.storageKey);
+            else window.localStorage?.setItem(this.storageKey, theme);
+        } catch (error) {
+            // The choice still applies for this visit
+        }
+        this.current = theme;
+        this.listeners.forEach(listener => listener(theme));
+    }
+
+    /**
+     * The data-theme attribute for a generated page, e.g. ' data-theme="dark"',
+     * or '' to follow the system
+     */
+    documentAttribute(theme = this.current || this.preference) {
+        return this.themes[theme] ? ` data-theme="${theme}"` : '';
+    }
+
+    /**
+     * Set the theme on a document's <html> element
+     */
+    apply(doc, theme = this.current || this.preference) {
+        const root = doc?.documentElement;
+        if (!root) return;
+        if (this.themes[theme]) root.dataset.theme = theme;
+        else delete root.dataset.theme;
+    }
+
+    /**
+     * Add the theme variables to a document and apply the chosen theme;
+     * run from the <head> so the first paint already has the right colors
+     */
+    install(doc) {
+        const style = doc.createElement('style');
+        style.id = 'theme-variables';
+        style.textContent = this.generateCSS();
+        doc.head.prepend(style);
+        this.apply(doc);
+        this.onChange(theme => this.apply(doc, theme));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+// Export for use in language_renderer.js and main.js
+window.ThemeManager = ThemeManager;
@@ -0,0 +1,217 @@
+/**
+ * Transliterator - Orthography ↔ IPA conversion for one language
+ *
+ * Rules come, in order of precedence, from the language's orthography.json,
+ * from spelling tables and ⟨x⟩ /y/ statements in the phonology text, from
+ * common romanizations (sh, ng, y...) that the lexicon actually uses, and
+ * from the phoneme inventory itself, since most descriptions spell words
+ * with their IPA symbols.
+ */
+
+class Transliterator {
+    /**
+     * @param {Array} rules - { grapheme, ipa, before, after, source }, where
+     *   before/after are optional regex sources the following/preceding text
+     *   must match
+     */
+    constructor(rules = []) {
+        this.rules = rules
+            .filter(rule => rule.grapheme && rule.ipa !== undefined)
+            .map((rule, order) => ({
+                ...rule,
+                grapheme: rule.grapheme.normalize('NFD').toLowerCase(),
+                ipa: rule.ipa.normalize('NFC'),
+                order,
+                beforePattern: rule.before ? new RegExp(`^(?:${rule.before})`, 'u') : null,
+                afterPattern: rule.after ? new RegExp(`(?:${rule.after})$`, 'u') : null
+            }))
+            // Matching is done on decomposed text so that accents and tone
+            // marks pass through. Longest grapheme first; among equals, the
+            // earlier (more authoritative) rule.
+            .sort((a, b) => (b.grapheme.length - a.grapheme.length) || (a.order - b.order));
+    }
+
+    /**
+     * Romanizations tried for phonemes that the lexicon doesn't spell with
+     * the IPA symbol itself: [grapheme, ipa]
+     */
+    static get conventions() {
+        return [
+            ['ph', 'pʰ'], ['th', 'tʰ'], ['kh', 'kʰ'], ['ch', 'tʃʰ'],
+            ['sh', 'ʃ'], ['zh', 'ʒ'], ['ch', 'tʃ'], ['th', 'θ'], ['dh', 'ð'], ['kh', 'x'], ['kh', 'χ'],
+            ['gh', 'ɣ'], ['gh', 'ʁ'], ['ng', 'ŋ'], ['ny', 'ɲ'], ['hl', 'ɬ'], ['lh', 'ɬ'], ['tl', 'tɬ'],
+            ['tz', 'ts'], ['dj', 'dʒ'], ['tj', 'tʃ'],
+            ['š', 'ʃ'], ['ž', 'ʒ'], ['č', 'tʃ'], ['ǯ', 'dʒ'], ['ñ', 'ɲ'], ['ṅ', 'ŋ'],
+            ['j', 'dʒ'], ['y', 'j'], ['c', 'tʃ'], ['x', 'ʃ'], ['r', 'ɾ'],
+            ['aa', 'aː'], ['ee', 'eː'], ['ii', 'iː'], ['oo', 'oː'], ['uu', 'uː']
+        ];
+    }
+
+    /**
+     * Infer the rules for a language.
+     * @param {Object} options
+     * @param {Object} options.orthography - parsed orthography.json:
+     *   { rules: [{ grapheme, ipa, before, after }], graphemes: { grapheme: ipa } }
+     * @param {Array} options.tables - spelling tables ({ header, rows })
+     * @param {string} options.text - phonology text, for ⟨x⟩ /y/ statements
+     * @param {Array} options.phonemes - inventory symbols
+     * @param {Array} options.words - lexicon words, to decide which
+     *   romanizations are in use
+     */
+    static infer({ orthography = null, tables = [], text = '', phonemes = [], words = [] } = {}) {
+        const rules = [];
+        const add = (grapheme, ipa, source, extra = {}) => rules.push({ grapheme, ipa, source, ...extra });
+
+        (orthography?.rules || []).forEach(rule => add(rule.grapheme, rule.ipa, 'orthography', rule));
+        Object.entries(orthography?.graphemes || {}).forEach(([grapheme, ipa]) => add(grapheme, ipa, 'orthography'));
+
+        tables.forEach(table => Transliterator.readTable(table).forEach(([grapheme, ipa]) => add(grapheme, ipa, 'phonology')));
+        Transliterator.readStatements(text).forEach(([grapheme, ipa]) => add(grapheme, ipa, 'phonology'));
+
+        // Letters the inventory is written with stand for themselves
+        const letters = new Set();
+        phonemes.forEach(symbol => {
+            [...symbol.normalize('NFD')].filter(Transliterator.isLetter).forEach(letter => letters.add(letter));
+        });
+
+        // A romanization applies when the language has the sound, the lexicon
+        // uses the spelling and never writes the IPA symbol itself
+        const untie = symbol => symbol.replace(/[͜͡]/g, '');
+        const spelling = untie(words.join(' ').normalize('NFD').toLowerCase());
+        const symbols = new Map(phonemes.map(symbol => [untie(symbol.normalize('NFC')), symbol.normalize('NFC')]));
+        const claimed = new Set(rules.map(rule => rule.grapheme.normalize('NFD')));
+        Transliterator.conventions.forEach(([grapheme, ipa]) => {
+            const decomposed = grapheme.normalize('NFD');
+            if (!symbols.has(ipa) || spelling.includes(ipa) || claimed.has(decomposed) || !spelling.includes(decomposed)) return;
+            // A single letter that is itself a phoneme keeps that value
+            if (grapheme.length === 1 && letters.has(grapheme)) return;
+            add(grapheme, symbols.get(ipa), 'convention');
+            claimed.add(decomposed);
+        });
+
+        letters.forEach(letter => add(letter, letter, 'inventory'));
+        if (letters.has('ɡ')) add('g', 'ɡ', 'inventory');
+        if (letters.has('g')) add('ɡ', 'g', 'inventory');
+
+        // With no inventory to go on, the lexicon is taken to be written in IPA
+        if (phonemes.length === 0) {
+            new Set([...spelling].filter(Transliterator.isLetter)).forEach(letter => add(letter, letter, 'lexicon'));
+        }
+
+        return new Transliterator(rules);
+    }
+
+    /**
+     * Grapheme/IPA pairs from a table with a spelling column and a sound
+     * column, e.g. | Letter | IPA |
+     */
+    static readTable(table) {
+        const header = table.header.map(cell => cell.toLowerCase());
+        const graphemeColumn = header.findIndex(cell => /grapheme|letter|spelling|orthograph|written|roman/.test(cell));
+        const ipaColumn = header.findIndex(cell => /ipa|phoneme|sound|pronunciation|value/.test(cell));
+        if (graphemeColumn === -1 || ipaColumn === -1) return [];
+
+        const clean = cell => String(cell || '').replace(/[*`⟨⟩<>/[\]]/g, '').trim();
+        return table.rows.flatMap(row => {
+            const graphemes = clean(row[graphemeColumn]).split(/\s*[,~]\s*|\s+/).filter(Boolean);
+            const ipa = clean(row[ipaColumn]).split(/\s*[,~]\s*|\s+/)[0];
+            return ipa ? graphemes.map(grapheme => [grapheme, ipa]) : [];
+        });
+    }
+
+    /**
+     * Statements such as "⟨sh⟩ represents /ʃ/" or "<ng> = /ŋ/"
+     */
+    static readStatements(text) {
+        const pairs = [];
+        const pattern = /[⟨<]([^⟩<>\s]{1,4})[⟩>][^/\n]{0,30}?\/([^/\s]{1,5})\//g;
+        let match;
+        while ((match = pattern.exec(String(text || ''))) !== null) {
+            pairs.push([match[1], match[2]]);
+        }
+        return pairs;
+    }
+
+    static isLetter(char) {
+        return /\p{L}/u.test(char) && !/\p{Lm}/u.test(char);
+    }
+
+    /**
+     * Characters carried over unchanged: diacritics, modifier letters such
+     * as ʰ and ː, tone letters, stress and syllable marks, punctuation
+     */
+    static isPassThrough(char) {
+        return !Transliterator.isLetter(char);
+    }
+
+    /**
+     * Convert a written word or phrase to IPA. Returns { ipa, unknown },
+     * unknown listing the letters no rule covers (they are kept as-is).
+     * A form already between slashes is taken to be phonemic.
+     */
+    toIPA(text) {
+        const source = String(text || '').normalize('NFD').trim();
+        const phonemic = source.match(/^\/(.+)\/$/);
+        if (phonemic) return { ipa: phonemic[1].normalize('NFC'), unknown: [] };
+
+        const lower = source.toLowerCase();
+        let ipa = '';
+        const unknown = new Set();
+        let i = 0;
+        while (i < lower.length) {
+            const rule = this.rules.find(candidate => lower.startsWith(candidate.grapheme, i)
+                && (!candidate.beforePattern || candidate.beforePattern.test(lower.slice(i + candidate.grapheme.length)))
+                && (!candidate.afterPattern || candidate.afterPattern.test(lower.slice(0, i))));
+            if (rule) {
+                ipa += rule.ipa;
+                i += rule.grapheme.length;
+                continue;
+            }
+
+            const char = String.fromCodePoint(lower.codePointAt(i));
+            if (!Transliterator.isPassThrough(char)) unknown.add(char);
+            ipa += char;
+            i += char.length;
+        }
+        return { ipa: ipa.normalize('NFC'), unknown: [...unknown] };
+    }
+
+    /**
+     * Convert IPA back to spelling, using the first rule for each sound
+     */
+    toOrthography(ipa) {
+        const reverse = new Map();
+        [...this.rules]
+            .sort((a, b) => a.order - b.order)
+            .filter(rule => !rule.beforePattern && !rule.afterPattern)
+            .forEach(rule => { if (!reverse.has(rule.ipa)) reverse.set(rule.ipa, rule.grapheme); });
+        const sounds = [...reverse.keys()].sort((a, b) => b.length - a.length);
+
+        const source = String(ipa || '').normalize('NFC');
+        let spelling = '';
+        let i = 0;
+        while (i < source.length) {
+            const sound = sounds.find(candidate => candidate && source.startsWith(candidate, i));
+            if (sound) {
+                spelling += reverse.get(sound);
+                i += sound.length;
+            } else {
+                spelling += source[i];
+                i += 1;
+            }
+        }
+        return spelling.normalize('NFC');
+    }
+
+    /**
+     * Rules that spell a sound differently from its IPA symbol
+     */
+    spellingRules() {
+        return [...this.rules]
+            .sort((a, b) => a.order - b.order)
+            .filter(rule => rule.grapheme !== rule.ipa.normalize('NFD') && !['inventory', 'lexicon'].includes(rule.source));
+    }
+}
+
+// Export for use in language_renderer.js
+window.Transliterator = Transliterator;
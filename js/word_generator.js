@@ -0,0 +1,165 @@
+/**
+ * Word Generator - New words that fit a language's sound system
+ *
+ * A model is built at render time from the phonotactic validator and the
+ * lexicon: onset, nucleus and coda clusters weighted by how often the
+ * lexicon uses them (every single phoneme stays possible), word lengths in
+ * syllables, forbidden sequences and harmony sets resolved to symbols, and
+ * the existing words. The page generates from the model, seeded so that a
+ * list can be reproduced.
+ */
+
+class WordGenerator {
+    constructor(model) {
+        this.model = model;
+    }
+
+    /**
+     * Build a model from a PhonotacticValidator and the lexicon's words in
+     * IPA
+     */
+    static fromLexicon(validator, words = []) {
+        const counts = { onset: new Map(), nucleus: new Map(), coda: new Map() };
+        const lengths = new Map();
+        const existing = new Set();
+        const segments = new Map();
+        const bump = (map, key, amount = 1) => map.set(key, (map.get(key) || 0) + amount);
+
+        words.forEach(ipa => {
+            const forms = String(ipa || '').replace(/[()[\]]/g, ' ').split(/[\s/,;~]+/).filter(form => /\p{L}/u.test(form));
+            forms.forEach(form => {
+                const parsed = validator.segment(form);
+                if (parsed.segments.length === 0 || parsed.segments.some(segment => !segment.known)) return;
+                parsed.segments.forEach(segment => segments.set(segment.symbol, segment));
+                existing.add(parsed.segments.map(segment => segment.symbol).join(''));
+
+                const { syllables } = validator.syllabify(parsed.segments, parsed.breaks);
+                syllables.forEach(syllable => {
+                    ['onset', 'nucleus', 'coda'].forEach(part => {
+                        bump(counts[part], JSON.stringify(syllable[part].map(segment => segment.symbol)));
+                    });
+                });
+                if (!/^-|-$/.test(form) && syllables.length) bump(lengths, syllables.length);
+            });
+        });
+
+        // Without a stated template, the lexicon's own syllables set the limits
+        const learned = part => {
+            const sizes = [...counts[part].keys()].map(key => JSON.parse(key).length);
+            return sizes.length ? [Math.min(...sizes), Math.max(...sizes)] : null;
+        };
+        const limits = validator.syllable || {
+            onset: learned('onset') || [0, 1],
+            nucleus: learned('nucleus') || [1, 1],
+            coda: learned('coda') || [0, 1]
+        };
+
+        // Every phoneme of the inventory stays possible, however rare
+        validator.phonemes.forEach(({ vowel, record }, symbol) => {
+            const segment = { symbol: symbol.normalize('NFC'), phoneme: symbol.normalize('NFC'), known: true, vowel, nucleus: vowel, record };
+            if (!segments.has(segment.symbol)) segments.set(segment.symbol, segment);
+            if (vowel) bump(counts.nucleus, JSON.stringify([segment.symbol]), 0.5);
+            else {
+                if (limits.onset[1] >= 1) bump(counts.onset, JSON.stringify([segment.symbol]), 0.5);
+                if (limits.coda[1] >= 1) bump(counts.coda, JSON.stringify([segment.symbol]), 0.5);
+            }
+        });
+        if (limits.onset[0] === 0 && !counts.onset.has('[]')) bump(counts.onset, '[]', 0.5);
+        if (limits.coda[0] === 0 && !counts.coda.has('[]')) bump(counts.coda, '[]', 1);
+
+        const within = ([min, max]) => cluster => cluster.length >= min && cluster.length <= max;
+        const weighted = (map, fits) => [...map]
+            .map(([key, weight]) => [JSON.parse(key), weight])
+            .filter(([cluster]) => fits(cluster));
+        const members = name => [...segments.values()].filter(segment => validator.inClass(segment, name)).map(segment => segment.symbol);
+
+        return {
+            onsets: weighted(counts.onset, within(limits.onset)),
+            nuclei: weighted(counts.nucleus, cluster => cluster.length > 0 && within(limits.nucleus)(cluster)),
+            codas: weighted(counts.coda, within(limits.coda)),
+            lengths: lengths.size ? [...lengths].sort((a, b) => a[0] - b[0]) : [[1, 1], [2, 2], [3, 1]],
+            forbid: validator.rules.filter(rule => rule.forbid)
+                .map(rule => rule.forbid.map(item => (item === '#' ? '#' : members(item)))),
+            harmony: validator.rules.filter(rule => rule.harmony)
+                .map(rule => rule.harmony.map(members)),
+            existing: [...existing]
+        };
+    }
+
+    /**
+     * A seeded pseudo-random generator (mulberry32); any string or number
+     * is a seed
+     */
+    static random(seed) {
+        let state = [...String(seed)].reduce((hash, char) => Math.imul(hash ^ char.codePointAt(0), 16777619), 2166136261) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    pick(random, options) {
+        const total = options.reduce((sum, [, weight]) => sum + weight, 0);
+        let target = random() * total;
+        for (const [value, weight] of options) {
+            target -= weight;
+            if (target < 0) return value;
+        }
+        return options[options.length - 1][0];
+    }
+
+    /**
+     * One candidate as syllables of symbols, or null when it breaks a rule
+     */
+    generateWord(random) {
+        const { onsets, nuclei, codas, lengths, forbid, harmony } = this.model;
+
+        // Each harmony rule keeps one of its sets for the whole word
+        const excluded = new Set();
+        harmony.forEach(sets => {
+            const kept = Math.floor(random() * sets.length);
+            sets.forEach((set, i) => { if (i !== kept) set.forEach(symbol => excluded.add(symbol)); });
+        });
+        const allowed = nuclei.filter(([cluster]) => cluster.every(symbol => !excluded.has(symbol)));
+        if (allowed.length === 0 || onsets.length === 0) return null;
+
+        const syllables = [];
+        const length = this.pick(random, lengths);
+        for (let i = 0; i < length; i++) {
+            const coda = codas.length ? this.pick(random, codas) : [];
+            syllables.push([...this.pick(random, onsets), ...this.pick(random, allowed), ...coda]);
+        }
+
+        const sequence = ['#', ...syllables.flat(), '#'];
+        const breaks = forbid.some(pattern => sequence.some((_, start) => pattern.every((item, j) => {
+            const symbol = sequence[start + j];
+            return item === '#' ? symbol === '#' : symbol !== undefined && symbol !== '#' && item.includes(symbol);
+        })));
+        return breaks ? null : syllables;
+    }
+
+    /**
+     * `count` new words, none of them already in the lexicon, as IPA with
+     * syllable dots. The same seed gives the same list.
+     */
+    generate(count, seed = 1) {
+        const random = WordGenerator.random(seed);
+        const seen = new Set(this.model.existing);
+        const words = [];
+        for (let attempt = 0; words.length < count && attempt < count * 50; attempt++) {
+            const syllables = this.generateWord(random);
+            if (!syllables) continue;
+            const key = syllables.map(syllable => syllable.join('')).join('');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            words.push(syllables.map(syllable => syllable.join('')).join('.'));
+        }
+        return words;
+    }
+}
+
+// Export for use in language_renderer.js
+window.WordGenerator = WordGenerator;
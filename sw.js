@@ -0,0 +1,100 @@
+/**
+ * Service worker - Keeps the browser working offline. The app shell is
+ * precached on install and fetched from the network first, so a deploy
+ * never mixes old and new scripts; languages.json is fetched from the
+ * network when possible and versions the data cache; the other data files
+ * are served from that cache once fetched.
+ */
+
+// The shared scripts export onto window, as in the page
+self.window = self;
+importScripts('js/offline_store.js');
+
+const store = new OfflineStore(self.caches);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(store.shellCache);
+        // Past the HTTP cache, which may still hold the previous deploy
+        await cache.addAll(store.shellFiles.map(file => new Request(file, { cache: 'reload' })));
+        // A data cache from the start, so the files the first visit opens
+        // are kept; without a network it is made on a later visit instead
+        await store.refreshIndex().catch(error => console.warn('Language data not cached:', error));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Old shells; old data caches go when languages.json changes
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(store.prefix) && !name.startsWith(store.dataPrefix) && name !== store.shellCache)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+    if (path === store.indexPath) {
+        event.respondWith(fetchIndex(request));
+    } else if (path.startsWith('data/')) {
+        event.respondWith(fetchData(request));
+    } else {
+        event.respondWith(fetchShell(request));
+    }
+});
+
+/**
+ * Network first, so a new languages.json starts a new data version
+ */
+async function fetchIndex(request) {
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (response.ok) {
+            await store.updateIndex(await response.clone().text(), response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Cache first; files are only cached under the current version
+ */
+async function fetchData(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (store.cacheable(response)) {
+        const cache = await store.currentDataCache();
+        if (cache) await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Network first, falling back to the cache offline. Anything else on the
+ * site (figures) is cached as it is seen.
+ */
+async function fetchShell(request) {
+    const cache = await caches.open(store.shellCache);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
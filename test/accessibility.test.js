@@ -0,0 +1,223 @@
+/**
+ * Accessibility tests: an axe-style audit of index.html, the generated
+ * language, comparison and statistics pages and the browser's grid and
+ * viewer markup, plus the site's own conventions for collapsible sections
+ * and language tags.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { root, siteScripts, createSandbox, fetchFile } = require('./helpers/load_scripts');
+const { audit, parseHTML, findAll } = require('./helpers/accessibility_audit');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const hasClass = (element, name) => (element.attributes.class || '').split(/\s+/).includes(name);
+
+// The browser's scripts in index.html order, with just enough of a
+// document for main.js to load
+const elements = {};
+const sandbox = createSandbox(siteScripts, {
+    fetch: fetchFile,
+    Blob,
+    URL: { createObjectURL: () => 'blob:test' },
+    document: {
+        getElementById: id => elements[id] || null,
+        querySelectorAll: () => [],
+        createElement: () => ({}),
+        head: { appendChild() {} },
+        addEventListener() {}
+    }
+});
+const { window } = sandbox;
+const renderer = new window.LanguageRenderer();
+const languageIds = JSON.parse(fs.readFileSync(path.join(root, 'data', 'languages.json'), 'utf8')).languages.map(language => language.id);
+
+async function createBrowser() {
+    const LanguageBrowser = vm.runInContext('LanguageBrowser', sandbox);
+    const browser = Object.create(LanguageBrowser.prototype);
+    Object.assign(browser, {
+        repository: renderer.repository,
+        renderer,
+        filters: new window.LanguageFilters(),
+        comparison: new window.LanguageComparison(renderer),
+        languages: [],
+        currentLanguage: null,
+        compareMode: false,
+        compareSelection: [],
+        offlineLanguages: new Set()
+    });
+    await browser.loadLanguages();
+    return browser;
+}
+
+function renderGrid(browser) {
+    elements['language-grid'] = { classList: { toggle() {} }, innerHTML: '' };
+    browser.renderLanguageGrid();
+    return elements['language-grid'].innerHTML;
+}
+
+test('the audit finds what it looks for', () => {
+    const rules = audit(`<html><body>
+        <button></button><span onclick="go()">Go</span><input><iframe src="a.html"></iframe>
+        <li>item</li><p id="a"></p><p id="a"></p><button aria-controls="nowhere" aria-expanded="yes">More<a href="#b">b</a></button>
+        <img src="a.png"><p lang="not a tag">x</p><p tabindex="2">x</p>
+    </body></html>`).map(violation => violation.rule);
+
+    assert.deepEqual([...new Set(rules)].sort(), [
+        'aria-valid-attr-value', 'button-name', 'document-title', 'duplicate-id', 'frame-title', 'html-has-lang',
+        'image-alt', 'label', 'listitem', 'nested-interactive', 'no-inline-handlers', 'tabindex', 'valid-lang'
+    ]);
+    assert.deepEqual(audit('<label>Seed <input type="text"></label><select aria-label="Sort"></select><input id="q"><label for="q">Query</label>', { fragment: true }), []);
+});
+
+test('index.html', () => {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    assert.deepEqual(audit(html), []);
+    // Conlang text uses the same private-use tags as the generated pages
+    const tags = findAll(parseHTML(html), element => element.attributes.lang && element.tag !== 'html').map(element => element.attributes.lang);
+    tags.forEach(tag => assert.match(tag, /^(qaa-x-[a-z0-9]+|und-fonipa)$/));
+});
+
+test('generated pages of every language', async () => {
+    const violations = [];
+    for (const id of languageIds) {
+        const html = await renderer.generateLanguageHTML(id);
+        audit(html).forEach(violation => violations.push({ id, ...violation }));
+    }
+    assert.deepEqual(plain(violations), []);
+});
+
+test('section titles are buttons that control their content', async () => {
+    const document = parseHTML(await renderer.generateLanguageHTML('0b212eef'));
+    const headers = findAll(document, element => hasClass(element, 'section-header'));
+
+    assert.ok(headers.length >= 3);
+    headers.forEach(header => {
+        const [toggle] = findAll(header, element => element.tag === 'button');
+        assert.equal(toggle.attributes['aria-expanded'], 'true');
+        assert.equal(header.parent.children.filter(child => child.tag)[1].attributes.id, toggle.attributes['aria-controls']);
+        assert.equal(findAll(header, element => hasClass(element, 'collapse-indicator'))[0].attributes['aria-hidden'], 'true');
+    });
+});
+
+test('conlang text and IPA carry language tags', async () => {
+    const document = parseHTML(await renderer.generateLanguageHTML('0b212eef'));
+    const conlang = findAll(document, element => hasClass(element, 'conlang-text'));
+    const ipa = findAll(document, element => hasClass(element, 'ipa-line'));
+
+    assert.ok(conlang.length > 0 && ipa.length > 0);
+    conlang.forEach(element => assert.equal(element.attributes.lang, 'qaa-x-0b212eef'));
+    ipa.forEach(element => assert.equal(element.attributes.lang, 'und-fonipa'));
+    assert.equal(findAll(document, element => element.tag === 'html')[0].attributes.lang, 'en');
+    // The page's own state is reset once it is built
+    assert.equal(renderer.conlangTag, 'qaa-x-conlang');
+});
+
+test('comparison page', async () => {
+    const browser = await createBrowser();
+    const html = await browser.comparison.generateComparisonHTML(browser.languages.slice(0, 3));
+    assert.deepEqual(plain(audit(html)), []);
+
+    const document = parseHTML(html);
+    const headers = findAll(document, element => hasClass(element, 'compare-lang'));
+    assert.ok(headers.length >= 3);
+    headers.forEach(header => {
+        const index = Number(header.attributes.class.match(/compare-lang-(\d)/)[1]);
+        assert.equal(header.attributes.lang, `qaa-x-${browser.languages[index].id}`);
+    });
+});
+
+test('statistics page', async () => {
+    const browser = await createBrowser();
+    const statistics = new window.CorpusStatistics(renderer);
+    assert.deepEqual(plain(audit(await statistics.generateStatisticsHTML(browser.languages))), []);
+});
+
+test('white text on the completeness badges is readable in every theme', () => {
+    const luminance = hex => {
+        const [r, g, b] = hex.match(/[0-9a-f]{2}/gi).map(part => {
+            const value = parseInt(part, 16) / 255;
+            return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const contrast = (a, b) => {
+        const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+        return (light + 0.05) / (dark + 0.05);
+    };
+
+    Object.entries(new window.ThemeManager().themes).forEach(([name, theme]) => {
+        ['completeness-high', 'completeness-mid', 'completeness-low'].forEach(key => {
+            const ratio = contrast(theme.colors['on-primary'], theme.colors[key]);
+            assert.ok(ratio >= 4.5, `${name} ${key}: ${ratio.toFixed(2)}:1`);
+        });
+    });
+});
+
+test('search results are buttons', async () => {
+    const browser = await createBrowser();
+    browser.search = new window.LanguageSearch(renderer);
+    // Names are text, not markup
+    browser.languages.forEach(language => { language.name += ' <i>'; });
+    const results = { innerHTML: '' };
+    await browser.runSearch('river', results);
+    assert.ok(results.innerHTML.includes(' &lt;i&gt;</span>'));
+    assert.ok(!results.innerHTML.includes('<i>'));
+
+    const hits = findAll(parseHTML(results.innerHTML), element => hasClass(element, 'search-result'));
+    assert.ok(hits.length > 0);
+    hits.forEach(hit => {
+        assert.equal(hit.tag, 'button');
+        assert.equal(hit.attributes.type, 'button');
+        assert.ok(languageIds.includes(hit.attributes['data-language']));
+    });
+    // As it sits in index.html's #language-search-results
+    assert.deepEqual(plain(audit(results.innerHTML, { fragment: true })), []);
+});
+
+test('language grid: a list of cards with one tab stop', async () => {
+    const browser = await createBrowser();
+    browser.currentLanguage = browser.languages[2];
+    const html = renderGrid(browser);
+    // As it sits in index.html's #language-grid
+    assert.deepEqual(plain(audit(`<div role="list" aria-label="Generated languages">${html}</div>`, { fragment: true })), []);
+
+    const document = parseHTML(html);
+    const cards = findAll(document, element => hasClass(element, 'language-card'));
+    assert.equal(cards.length, browser.languages.length);
+    assert.ok(cards.every(card => card.attributes.role === 'listitem'));
+
+    const openers = findAll(document, element => hasClass(element, 'language-open'));
+    assert.deepEqual(openers.map(button => button.attributes['aria-current'] || null), plain(browser.languages.map((language, i) => (i === 2 ? 'true' : null))));
+    const tabStops = findAll(document, element => element.tag === 'button' && element.attributes.tabindex === '0');
+    assert.ok(tabStops.length > 0);
+    assert.deepEqual(tabStops, findAll(cards[2], element => element.tag === 'button' && element.attributes.tabindex === '0'));
+
+    const toggle = findAll(document, element => hasClass(element, 'feature-more'))[0];
+    if (toggle) {
+        assert.equal(toggle.attributes['aria-expanded'], 'false');
+        assert.ok(findAll(document, element => element.attributes.id === toggle.attributes['aria-controls'])[0].attributes.hidden !== undefined);
+    }
+});
+
+test('language grid in compare mode marks the selection as pressed', async () => {
+    const browser = await createBrowser();
+    browser.compareMode = true;
+    browser.compareSelection = [browser.languages[0].id];
+    const document = parseHTML(renderGrid(browser));
+
+    const pressed = findAll(document, element => hasClass(element, 'language-open')).map(button => button.attributes['aria-pressed']);
+    assert.deepEqual(pressed, plain(browser.languages.map((language, i) => String(i === 0))));
+});
+
+test('viewer frame is titled', async () => {
+    const browser = await createBrowser();
+    const viewer = { innerHTML: '', querySelector: () => ({ addEventListener() {} }) };
+    browser.renderViewerFrame(viewer, '<html></html>', 'Comparison of "A" & B');
+
+    assert.deepEqual(plain(audit(viewer.innerHTML, { fragment: true })), []);
+    assert.equal(findAll(parseHTML(viewer.innerHTML), element => element.tag === 'iframe')[0].attributes.title, 'Comparison of "A" & B');
+});
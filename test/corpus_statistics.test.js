@@ -0,0 +1,127 @@
+/**
+ * Corpus statistics tests: part-of-speech classes, histogram bins, group
+ * means, CSV and the charts over the real corpus.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, loadScripts, fetchFile, createRenderer } = require('./helpers/load_scripts');
+const { renderPage } = require('./helpers/dom');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const { CorpusStatistics } = loadScripts(['js/delimited_text.js', 'js/corpus_statistics.js']);
+const renderer = createRenderer({ fetch: fetchFile });
+const statistics = new CorpusStatistics(renderer);
+
+// As main.js reads languages.json
+const languages = JSON.parse(fs.readFileSync(path.join(root, 'data', 'languages.json'), 'utf8')).languages.map(language => ({
+    id: language.id,
+    name: language.name,
+    nameOrthography: language.name_orthography || language.name,
+    features: language.features || [],
+    completeness: language.completeness,
+    hasPhonology: language.has_phonology,
+    hasGrammar: language.has_grammar,
+    hasLexicon: language.has_lexicon,
+    userConstraints: language.user_constraints,
+    model: language.model
+}));
+
+test('parts of speech are counted by class', () => {
+    assert.equal(statistics.posClass('n.'), 'Noun');
+    assert.equal(statistics.posClass('noun root'), 'Noun');
+    assert.equal(statistics.posClass('v.root'), 'Verb');
+    assert.equal(statistics.posClass('case suffix'), 'Affix / clitic');
+    assert.equal(statistics.posClass('enclitic'), 'Affix / clitic');
+    assert.equal(statistics.posClass('interrogative adverb'), 'Adverb');
+    assert.equal(statistics.posClass('postp'), 'Adposition');
+    assert.equal(statistics.posClass('content root'), 'Root');
+    assert.equal(statistics.posClass('idiom'), 'Other');
+    assert.equal(statistics.posClass(''), 'Other');
+});
+
+test('histogram bins have round widths and hold every value', () => {
+    const bins = statistics.histogram([3, 7, 12, 18, 18, 41]);
+    assert.deepEqual(plain(bins.map(bin => bin.label)), ['0–4', '5–9', '10–14', '15–19', '20–24', '25–29', '30–34', '35–39', '40–41']);
+    assert.deepEqual(plain(bins.map(bin => bin.value)), [1, 1, 1, 2, 0, 0, 0, 0, 1]);
+
+    assert.deepEqual(plain(statistics.histogram([30, 60, 100], 10).map(bin => bin.label)).slice(-2), ['90–99', '100']);
+    assert.deepEqual(plain(statistics.histogram([5, 5])), [{ from: 5, to: 5, label: '5', value: 2 }]);
+    assert.deepEqual(plain(statistics.histogram([])), []);
+});
+
+test('constrained and unconstrained means leave out missing figures', () => {
+    const record = (constrained, lexiconSize) => ({
+        constrained, lexiconSize, features: [], model: 'm', pos: {}, completeness: 100, consonants: 20, vowels: 5, grammarWords: 1000
+    });
+    const { groups } = statistics.summarize([record(true, null), record(true, 90), record(false, 100), record(false, 120)]);
+
+    assert.deepEqual(plain(groups.map(group => [group.label, group.count, group.means.lexiconSize])), [
+        ['Constrained', 2, 90],
+        ['Unconstrained', 2, 110]
+    ]);
+});
+
+test('real data: every language is measured', async () => {
+    const records = await statistics.load(languages);
+    const summary = statistics.summarize(records);
+
+    assert.equal(records.length, languages.length);
+    records.forEach((record, i) => {
+        assert.equal(record.lexiconSize === null, !languages[i].hasLexicon);
+        const posTotal = Object.values(record.pos).reduce((sum, n) => sum + n, 0);
+        assert.equal(posTotal, record.lexiconSize || 0);
+    });
+    assert.equal(summary.histograms.completeness.reduce((sum, bin) => sum + bin.value, 0), languages.length);
+    assert.equal(summary.pos.reduce((sum, row) => sum + row.value, 0), summary.lexiconEntries);
+    assert.equal(summary.groups.reduce((sum, group) => sum + group.count, 0), languages.length);
+    assert.equal(summary.models.reduce((sum, row) => sum + row.value, 0), languages.length);
+});
+
+test('real data: CSV has one row per language and per bar', async () => {
+    const records = await statistics.load(languages);
+    const table = statistics.toCSV(records);
+    const lines = table.replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+
+    assert.ok(table.startsWith('\uFEFFid,name,model,constrained,completeness,features,'));
+    assert.equal(lines.length, languages.length + 1);
+    lines.forEach(line => assert.equal(line.split(',').length, lines[0].split(',').length));
+
+    const summary = statistics.summarize(records);
+    const bars = summary.features.length + summary.models.length + summary.pos.length
+        + Object.values(summary.histograms).reduce((sum, bins) => sum + bins.length, 0)
+        + summary.groups.length * statistics.metrics.length;
+    assert.equal(statistics.chartsToCSV(summary).trimEnd().split('\r\n').length, bars + 1);
+});
+
+test('real data: each chart is a captioned SVG with its numbers', async () => {
+    const html = await statistics.generateStatisticsHTML(languages);
+    const charts = html.match(/<svg class="stats-chart"[^>]*>/g);
+
+    assert.equal(charts.length, 9);
+    charts.forEach(svg => {
+        const caption = svg.match(/aria-labelledby="([^"]+)"/)[1];
+        assert.ok(html.includes(`<figcaption id="${caption}">`));
+        assert.match(svg, /role="img"/);
+    });
+    assert.equal(html.match(/<details class="stats-data">/g).length, charts.length);
+    assert.doesNotMatch(html, /https?:\/\/(?!www\.w3\.org)/);
+});
+
+test('real data: the page runs only the scripts it needs', async () => {
+    const html = await statistics.generateStatisticsHTML(languages);
+    assert.doesNotMatch(html, /class IpaSynthesizer|class WordGenerator|revealTarget/);
+
+    const { window, document, errors } = renderPage(html, { runScripts: true });
+    try {
+        assert.deepEqual(errors, []);
+        const header = document.querySelector('.section-header');
+        header.click();
+        assert.equal(header.nextElementSibling.style.display, 'none');
+        assert.equal(header.querySelector('.section-toggle').getAttribute('aria-expanded'), 'false');
+    } finally {
+        window.close();
+    }
+});
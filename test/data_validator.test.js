@@ -0,0 +1,201 @@
+/**
+ * Data validator tests: the JSON Schema subset, the consistency checks on
+ * a made-up data directory, the report on the real one and the Node tool.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { root, loadScripts, fetchFile } = require('./helpers/load_scripts');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const schemaFiles = ['languages', 'metadata', 'lexicon', 'orthography', 'phonotactics'].map(name => `schemas/${name}.schema.json`);
+
+/**
+ * A validator over the real site, or over `files` (path → contents, with
+ * the real schemas) where given
+ */
+function createValidator(files = null) {
+    const fetch = async url => {
+        if (!files || schemaFiles.includes(String(url))) return fetchFile(url);
+        const body = files[String(url)];
+        const ok = body !== undefined;
+        return {
+            ok,
+            status: ok ? 200 : 404,
+            statusText: ok ? 'OK' : 'Not Found',
+            text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+        };
+    };
+    const window = loadScripts(['js/language_repository.js', 'js/data_validator.js'], { fetch });
+    return new window.DataValidator(new window.LanguageRepository());
+}
+
+const entry = (id, fields = {}) => ({
+    id,
+    name: `Language ${id}`,
+    model: 'gemini-2.5-pro',
+    user_constraints: null,
+    has_phonology: true,
+    has_grammar: true,
+    has_lexicon: false,
+    completeness: 60,
+    features: ['Tone System'],
+    ...fields
+});
+const metadata = (id, fields = {}) => ({ id, created_at: '2025-08-02 12:57:38', ...fields });
+const messages = issues => plain(issues.map(issue => `${issue.severity} ${issue.file}: ${issue.message}`));
+
+test('schema keywords', () => {
+    const validator = createValidator();
+    const schema = {
+        type: 'object',
+        required: ['id', 'tags'],
+        properties: {
+            id: { type: 'string', pattern: '^[0-9a-f]{8}$' },
+            score: { type: 'integer', minimum: 0, maximum: 100 },
+            tags: { type: 'array', items: { $ref: '#/$defs/tag' }, uniqueItems: true },
+            note: { type: ['string', 'null'] }
+        },
+        additionalProperties: false,
+        $defs: { tag: { type: 'string', minLength: 1 } }
+    };
+    const describe = value => plain(validator.validateSchema(value, schema).map(error => validator.describeError(error)));
+
+    assert.deepEqual(describe({ id: '0b212eef', score: 100, tags: ['a', 'b'], note: null }), []);
+    assert.deepEqual(describe({ id: 'XYZ', score: 100.5, tags: ['a', '', 'a'], extra: 1 }), [
+        'id "XYZ" does not match ^[0-9a-f]{8}$',
+        'score should be integer, not number',
+        'tags lists "a" more than once',
+        'tags.1 should not be empty',
+        'Has an unknown field "extra"'
+    ]);
+    assert.deepEqual(describe({ score: -1 }), ['Is missing "id"', 'Is missing "tags"', 'score should be at least 0']);
+    assert.deepEqual(describe([]), ['Should be object, not array']);
+});
+
+test('flags, completeness and metadata are checked against the files', async () => {
+    const validator = createValidator({
+        'data/languages.json': {
+            languages: [
+                entry('aaaaaaaa', { has_phonology: true, has_lexicon: false, completeness: 60 }),
+                entry('bbbbbbbb', { completeness: 100, name: '' }),
+                entry('aaaaaaaa')
+            ]
+        },
+        // Phonology is flagged but missing; the lexicon exists but isn't flagged
+        'data/aaaaaaaa/metadata.json': metadata('aaaaaaaa', { model: 'other-model', features: ['Tone System'] }),
+        'data/aaaaaaaa/grammar.txt': '# Grammar',
+        'data/aaaaaaaa/lexicon.json': [{ word: 'ka', translation: 'water' }],
+        'data/aaaaaaaa/orthography.json': {},
+        'data/bbbbbbbb/metadata.json': metadata('cccccccc'),
+        'data/bbbbbbbb/phonology.txt': ' \n',
+        'data/bbbbbbbb/grammar.txt': '# Grammar'
+    });
+    const report = await validator.validate({ folders: ['aaaaaaaa', 'bbbbbbbb', 'dddddddd'] });
+
+    assert.deepEqual(messages(report.issues), [
+        'error data/languages.json: "aaaaaaaa" is listed more than once',
+        'warning data/dddddddd/: Not listed in languages.json, so the browser never shows it'
+    ]);
+    assert.deepEqual(messages(report.languages[0].issues), [
+        'error data/aaaaaaaa/phonology.txt: has_phonology is true in languages.json but the file is missing',
+        'warning data/aaaaaaaa/lexicon.json: The file exists but has_lexicon is false in languages.json, so it is never shown',
+        'warning data/aaaaaaaa/orthography.json: The file exists but has_orthography is not set in languages.json, so it is never shown',
+        'warning data/aaaaaaaa/metadata.json: model is "other-model" here but "gemini-2.5-pro" in languages.json, which the browser uses',
+        'info data/aaaaaaaa/metadata.json: Repeats features from languages.json'
+    ]);
+    assert.deepEqual(messages(report.languages[1].issues), [
+        'error data/languages.json: name should not be empty',
+        'error data/bbbbbbbb/metadata.json: id is "cccccccc", not the folder\'s "bbbbbbbb"',
+        'warning data/bbbbbbbb/phonology.txt: The file is empty',
+        'warning data/languages.json: completeness is 100 but lexicon.json is missing'
+    ]);
+    // The repeated entry is checked too
+    assert.deepEqual(messages(report.languages[2].issues), messages(report.languages[0].issues));
+    assert.deepEqual(plain(report.counts), { error: 5, warning: 9, info: 2 });
+});
+
+test('lexicon errors are grouped by kind', async () => {
+    const lexicon = [
+        { word: 'ka', translation: 'water', null: ['', 'kaka'] },
+        ...Array.from({ length: 7 }, (_, i) => ({ word: '', translation: `gloss ${i}` })),
+        { word: 'ti', translation: 3 }
+    ];
+    const validator = createValidator({
+        'data/languages.json': { languages: [entry('aaaaaaaa', { has_lexicon: true, completeness: 100 })] },
+        'data/aaaaaaaa/metadata.json': metadata('aaaaaaaa'),
+        'data/aaaaaaaa/phonology.txt': '# Phonology',
+        'data/aaaaaaaa/grammar.txt': '# Grammar',
+        'data/aaaaaaaa/lexicon.json': lexicon
+    });
+    const [language] = (await validator.validate()).languages;
+
+    assert.deepEqual(messages(language.issues), [
+        'error data/aaaaaaaa/lexicon.json: word should not be empty (entries 2, 3, 4, 5, 6 and 2 more)',
+        'error data/aaaaaaaa/lexicon.json: translation should be string, not integer (entry 9)',
+        'warning data/aaaaaaaa/lexicon.json: 1 of 9 entries have an unnamed "null" column (read as the word\'s forms)'
+    ]);
+});
+
+test('spelling rules and phonotactics are checked against their schemas', async () => {
+    const validator = createValidator({
+        'data/languages.json': { languages: [entry('aaaaaaaa', { has_orthography: true, has_phonotactics: true })] },
+        'data/aaaaaaaa/metadata.json': metadata('aaaaaaaa'),
+        'data/aaaaaaaa/phonology.txt': '# Phonology',
+        'data/aaaaaaaa/grammar.txt': '# Grammar',
+        'data/aaaaaaaa/orthography.json': { rules: [{ grapheme: 'c', ipa: 's', before: '[ei]' }, { ipa: 'k' }], graphemes: { sh: 'ʃ', y: 1 } },
+        'data/aaaaaaaa/phonotactics.json': { syllable: ['CV', 'CVN'], classes: { guttural: ['q', ''] }, rules: [{ forbid: ['ejective', '+ATR'], harmony: 'ATR' }] }
+    });
+    const [language] = (await validator.validate()).languages;
+
+    assert.deepEqual(messages(language.issues), [
+        'error data/aaaaaaaa/orthography.json: rules.1 is missing "grapheme"',
+        'error data/aaaaaaaa/orthography.json: graphemes.y should be string, not integer',
+        'error data/aaaaaaaa/phonotactics.json: syllable.1 "CVN" does not match ^[CV()]+$',
+        'error data/aaaaaaaa/phonotactics.json: classes.guttural.1 should not be empty',
+        'error data/aaaaaaaa/phonotactics.json: rules.0.harmony should be array, not string'
+    ]);
+});
+
+test('unreadable files are errors', async () => {
+    const validator = createValidator({
+        'data/languages.json': '{"languages": ['
+    });
+    const report = await validator.validate();
+    assert.equal(report.languages.length, 0);
+    assert.match(report.issues[0].message, /^Not valid JSON/);
+
+    const missing = await createValidator({}).validate();
+    assert.deepEqual(messages(missing.issues), ['error data/languages.json: The file is missing']);
+});
+
+test('real data: the schemas fit and the known gaps are reported', async () => {
+    const validator = createValidator();
+    const index = JSON.parse(fs.readFileSync(path.join(root, 'data', 'languages.json'), 'utf8'));
+    const report = await validator.validate();
+    const all = [...report.issues, ...report.languages.flatMap(language => language.issues)];
+
+    assert.equal(report.languages.length, index.languages.length);
+    // Every error is a flag promising a file that isn't there
+    all.filter(issue => issue.severity === 'error').forEach(issue => {
+        assert.match(issue.message, /^has_\w+ is true in languages\.json but the file is missing$/);
+        assert.ok(!fs.existsSync(path.join(root, issue.file)));
+    });
+    const withLexicon = index.languages.filter(language => fs.existsSync(path.join(root, 'data', language.id, 'lexicon.json')));
+    assert.equal(all.filter(issue => /unnamed "null" column/.test(issue.message)).length, withLexicon.length);
+});
+
+test('the Node tool prints the report and fails on errors', () => {
+    const result = spawnSync(process.execPath, [path.join(root, 'tools', 'validate_data.js'), '--errors'], { encoding: 'utf8', timeout: 60000 });
+    const errors = result.stdout.split('\n').filter(line => line.startsWith('  error'));
+
+    assert.match(result.stdout, /^\d+ languages: \d+ errors?, \d+ warnings?, \d+ notes?\n/);
+    assert.equal(result.status, errors.length > 0 ? 1 : 0);
+    assert.ok(!result.stdout.includes('  warning'));
+
+    const json = spawnSync(process.execPath, [path.join(root, 'tools', 'validate_data.js'), '--json'], { encoding: 'utf8', timeout: 60000 });
+    assert.equal(JSON.parse(json.stdout).counts.error, errors.length);
+});
@@ -0,0 +1,29 @@
+/**
+ * Delimited text tests: CSV quoting, TSV cells and empty values.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load_scripts');
+
+const { DelimitedText } = loadScripts(['js/delimited_text.js']);
+const delimited = new DelimitedText();
+
+test('CSV quotes cells that need it and ends lines with CRLF', () => {
+    assert.equal(delimited.write([['a "b", c', 'd\ne'], ['f', 'g']]), '\uFEFF"a ""b"", c","d\ne"\r\nf,g\r\n');
+});
+
+test('TSV turns tabs and line breaks into spaces', () => {
+    assert.equal(delimited.write([['a\tb', 'c\r\nd']], '\t'), '\uFEFFa b\tc d\n');
+});
+
+test('empty cells for null and undefined, numbers as text', () => {
+    assert.equal(delimited.write([['x', null, 3, undefined, 0]]), '\uFEFFx,,3,,0\r\n');
+});
+
+test('text that spreadsheets would run as a formula is guarded', () => {
+    assert.equal(delimited.write([['=1+1', '+a', '-ka', '@x', 'a-b', -3]]), "\uFEFF'=1+1,'+a,'-ka,'@x,a-b,-3\r\n");
+    ['-ka', "'-ka", "''=x", "'plain", 'plain', ''].forEach(text => {
+        assert.equal(delimited.unguard(delimited.guard(text)), text);
+    });
+});
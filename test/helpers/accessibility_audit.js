@@ -0,0 +1,197 @@
+/**
+ * A small accessibility audit of HTML markup, after the axe-core rules
+ * that can be checked without layout: names for buttons, links, frames,
+ * images and form fields, document language and title, unique ids, ARIA
+ * references and states, list structure, tab order and nesting. Also
+ * flags inline event handlers, which the site does not use.
+ */
+
+const voidElements = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const rawTextElements = new Set(['script', 'style', 'textarea', 'title']);
+const interactiveElements = new Set(['a', 'button', 'details', 'embed', 'iframe', 'input', 'label', 'select', 'summary', 'textarea']);
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#([0-9]+);/g, (_, decimal) => String.fromCodePoint(Number(decimal)))
+        .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (_, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' })[name]);
+}
+
+/**
+ * Parse HTML into a tree of { tag, attributes, children, parent } elements
+ * and { text } nodes. Unclosed elements are closed by their ancestors' end
+ * tags, which is enough for generated markup.
+ */
+function parseHTML(html) {
+    const root = { tag: '#document', attributes: {}, children: [], parent: null };
+    const token = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|[^<]+|</gi;
+    const attribute = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let current = root;
+    let match;
+
+    while ((match = token.exec(html))) {
+        const [text, endTag, startTag, attributeText, selfClosing] = match;
+        if (endTag) {
+            const tag = endTag.toLowerCase();
+            let open = current;
+            while (open !== root && open.tag !== tag) open = open.parent;
+            if (open !== root) current = open.parent;
+        } else if (startTag) {
+            const element = { tag: startTag.toLowerCase(), attributes: {}, children: [], parent: current };
+            for (const [, name, double, single, bare] of (attributeText || '').matchAll(attribute)) {
+                element.attributes[name.toLowerCase()] = decodeEntities(double ?? single ?? bare ?? '');
+            }
+            current.children.push(element);
+
+            if (rawTextElements.has(element.tag)) {
+                const end = html.toLowerCase().indexOf(`</${element.tag}`, token.lastIndex);
+                const stop = end === -1 ? html.length : end;
+                element.children.push({ text: decodeEntities(html.slice(token.lastIndex, stop)), parent: element });
+                token.lastIndex = stop;
+                // The end tag is matched next and closes nothing else
+                current = element;
+            } else if (!voidElements.has(element.tag) && !selfClosing) {
+                current = element;
+            }
+        } else if (!text.startsWith('<!')) {
+            current.children.push({ text: decodeEntities(text), parent: current });
+        }
+    }
+    return root;
+}
+
+function findAll(node, predicate, found = []) {
+    (node.children || []).forEach(child => {
+        if (!child.tag) return;
+        if (predicate(child)) found.push(child);
+        findAll(child, predicate, found);
+    });
+    return found;
+}
+
+function ancestors(node) {
+    const list = [];
+    for (let parent = node.parent; parent; parent = parent.parent) list.push(parent);
+    return list;
+}
+
+function textContent(node) {
+    if (node.text !== undefined) return node.text;
+    if (node.attributes['aria-hidden'] === 'true' || node.tag === 'script' || node.tag === 'style') return '';
+    if (node.tag === 'img') return node.attributes.alt || '';
+    return node.children.map(textContent).join('');
+}
+
+function accessibleName(element, byId) {
+    const labelledBy = element.attributes['aria-labelledby'];
+    if (labelledBy) {
+        return labelledBy.split(/\s+/).map(id => (byId.get(id) ? textContent(byId.get(id)) : '')).join(' ').trim();
+    }
+    return (element.attributes['aria-label'] || textContent(element) || element.attributes.title || '').trim();
+}
+
+function describe(element) {
+    const { id, class: className } = element.attributes;
+    return `<${element.tag}${id ? `#${id}` : ''}${className ? `.${className.trim().split(/\s+/).join('.')}` : ''}>`;
+}
+
+/**
+ * Audit markup; returns a list of { rule, element, message }. Fragments
+ * (markup built into part of a page) skip the document-level rules.
+ */
+function audit(html, { fragment = false } = {}) {
+    const document = parseHTML(html);
+    const elements = findAll(document, () => true);
+    const violations = [];
+    const report = (rule, element, message) => violations.push({ rule, element: describe(element), message });
+
+    const byId = new Map();
+    elements.forEach(element => {
+        const id = element.attributes.id;
+        if (id === undefined) return;
+        if (byId.has(id)) report('duplicate-id', element, `id "${id}" is used more than once`);
+        else byId.set(id, element);
+    });
+
+    if (!fragment) {
+        const root = elements.find(element => element.tag === 'html');
+        if (!root?.attributes.lang) report('html-has-lang', root || document, 'The document has no language');
+        const title = elements.find(element => element.tag === 'title');
+        if (!title || !textContent(title).trim()) report('document-title', title || document, 'The document has no title');
+    }
+
+    const ignoredInputs = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+    const tokenValues = {
+        'aria-expanded': ['true', 'false'],
+        'aria-pressed': ['true', 'false', 'mixed'],
+        'aria-current': ['page', 'step', 'location', 'date', 'time', 'true', 'false'],
+        'aria-hidden': ['true', 'false']
+    };
+
+    elements.forEach(element => {
+        const { attributes, tag } = element;
+
+        Object.keys(attributes).filter(name => /^on[a-z]+$/.test(name)).forEach(name => {
+            report('no-inline-handlers', element, `Inline ${name} handler`);
+        });
+
+        if (attributes.lang !== undefined && !/^[a-z]{2,8}(?:-[a-z0-9]{1,8})*$/i.test(attributes.lang)) {
+            report('valid-lang', element, `"${attributes.lang}" is not a language tag`);
+        }
+
+        ['aria-controls', 'aria-labelledby', 'aria-describedby'].forEach(name => {
+            if (attributes[name] === undefined) return;
+            attributes[name].split(/\s+/).filter(Boolean).forEach(id => {
+                if (!byId.has(id)) report('aria-valid-attr-value', element, `${name} refers to missing id "${id}"`);
+            });
+        });
+        Object.entries(tokenValues).forEach(([name, values]) => {
+            if (attributes[name] !== undefined && !values.includes(attributes[name])) {
+                report('aria-valid-attr-value', element, `${name}="${attributes[name]}"`);
+            }
+        });
+
+        if (attributes.tabindex !== undefined && Number(attributes.tabindex) > 0) {
+            report('tabindex', element, 'Positive tabindex');
+        }
+
+        if ((tag === 'button' || attributes.role === 'button') && !accessibleName(element, byId)) {
+            report('button-name', element, 'Button has no name');
+        }
+        if (tag === 'a' && attributes.href !== undefined && !accessibleName(element, byId)) {
+            report('link-name', element, 'Link has no name');
+        }
+        if (tag === 'img' && attributes.alt === undefined && attributes.role !== 'presentation') {
+            report('image-alt', element, 'Image has no alt text');
+        }
+        if ((tag === 'iframe' || tag === 'frame') && !(attributes.title || '').trim()) {
+            report('frame-title', element, 'Frame has no title');
+        }
+
+        const isField = (tag === 'input' && !ignoredInputs.has((attributes.type || 'text').toLowerCase())) || tag === 'select' || tag === 'textarea';
+        if (isField && attributes.hidden === undefined) {
+            const labelled = accessibleName({ ...element, children: [] }, byId)
+                || ancestors(element).some(parent => parent.tag === 'label')
+                || (attributes.id && elements.some(other => other.tag === 'label' && other.attributes.for === attributes.id));
+            if (!labelled) report('label', element, 'Form field has no label');
+        }
+
+        if (tag === 'a' || tag === 'button') {
+            const inside = ancestors(element).find(parent => parent.tag === 'a' || parent.tag === 'button');
+            if (inside) report('nested-interactive', element, `Interactive element inside ${describe(inside)}`);
+        } else if (interactiveElements.has(tag) && tag !== 'label' && ancestors(element).some(parent => parent.tag === 'button')) {
+            report('nested-interactive', element, 'Interactive element inside a button');
+        }
+
+        if (tag === 'li' && !['ul', 'ol', 'menu'].includes(element.parent.tag) && element.parent.attributes?.role !== 'list') {
+            report('listitem', element, 'List item outside a list');
+        }
+        if (attributes.role === 'listitem' && element.parent.attributes?.role !== 'list' && !['ul', 'ol'].includes(element.parent.tag)) {
+            report('listitem', element, 'role="listitem" outside a list');
+        }
+    });
+
+    return violations;
+}
+
+module.exports = { audit, parseHTML, findAll };
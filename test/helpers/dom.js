@@ -0,0 +1,68 @@
+/**
+ * jsdom documents for tests that need a real DOM: a generated language
+ * page, optionally with its script running, and index.html with the
+ * browser's scripts loaded
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { root, siteScripts, fetchFile } = require('./load_scripts');
+
+/**
+ * A virtual console that keeps the page's errors instead of printing them
+ */
+function createConsole() {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    return { virtualConsole, errors };
+}
+
+/**
+ * Parse a page; with `runScripts`, its inline script runs as in the viewer
+ * iframe. `errors` collects uncaught exceptions and console.error calls.
+ */
+function renderPage(html, { runScripts = false } = {}) {
+    const { virtualConsole, errors } = createConsole();
+    const dom = new JSDOM(html, { virtualConsole, ...(runScripts ? { runScripts: 'dangerously' } : {}) });
+    return { window: dom.window, document: dom.window.document, errors };
+}
+
+/**
+ * index.html with the scripts it loads, in order, and a LanguageBrowser
+ * whose grid has been rendered. `fetch` serves the site's files (by default
+ * from disk).
+ */
+async function createBrowserPage({ fetch = fetchFile } = {}) {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const { virtualConsole, errors } = createConsole();
+    const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+
+    // main.js starts a browser on DOMContentLoaded; this one is made below
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    window.fetch = fetch;
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    // As <script> elements, so main.js's top-level class is a global
+    const context = dom.getInternalVMContext();
+    siteScripts.forEach(file => {
+        const filename = path.join(root, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    const browser = vm.runInContext('new LanguageBrowser()', context);
+    const rendered = () => window.document.getElementById('language-filter-summary')?.textContent.startsWith('Showing');
+    for (let tick = 0; !rendered(); tick++) {
+        if (tick > 1000) throw new Error('The language grid was never rendered');
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    return { window, document: window.document, browser, errors };
+}
+
+module.exports = { renderPage, createBrowserPage };
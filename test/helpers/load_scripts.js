@@ -0,0 +1,19 @@
+/**
+ * Load the site's browser scripts into a sandbox and return its `window`;
+ * a thin layer over tools/site_scripts.js, which the tools share
+ */
+
+const { root, siteScripts, rendererScripts, fetchSiteFile, createSandbox } = require('../../tools/site_scripts');
+
+function loadScripts(files, globals = {}) {
+    return createSandbox(files, globals).window;
+}
+
+const fetchFile = fetchSiteFile;
+
+function createRenderer(globals = {}) {
+    const window = loadScripts(rendererScripts, globals);
+    return new window.LanguageRenderer();
+}
+
+module.exports = { root, siteScripts, createSandbox, loadScripts, fetchFile, createRenderer };
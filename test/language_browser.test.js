@@ -0,0 +1,120 @@
+/**
+ * Language browser tests in jsdom: index.html with the site's scripts,
+ * the list built from languages.json and the grid it renders.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, fetchFile } = require('./helpers/load_scripts');
+const { createBrowserPage } = require('./helpers/dom');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const index = JSON.parse(fs.readFileSync(path.join(root, 'data', 'languages.json'), 'utf8'));
+
+/**
+ * A fetch that serves `languages` as languages.json and everything else
+ * from disk
+ */
+const serveIndex = languages => async url => (String(url) === 'data/languages.json'
+    ? { ok: true, status: 200, statusText: 'OK', text: async () => JSON.stringify({ languages }) }
+    : fetchFile(url));
+
+test('the real languages are listed by name, with their IPA', async () => {
+    const { window, document, browser, errors } = await createBrowserPage();
+    try {
+        const byName = (a, b) => (a.name_orthography || a.name).localeCompare(b.name_orthography || b.name) || a.id.localeCompare(b.id);
+        const expected = [...index.languages].sort(byName);
+        assert.deepEqual(plain(browser.languages.map(lang => lang.id)), expected.map(entry => entry.id));
+
+        const cards = [...document.querySelectorAll('#language-grid .language-card')];
+        assert.deepEqual(cards.map(card => card.dataset.id), expected.map(entry => entry.id));
+        cards.forEach((card, i) => {
+            const entry = expected[i];
+            const showsIpa = Boolean(entry.name_ipa) && entry.name_ipa !== 'N/A' && entry.name_ipa !== entry.name;
+            const [name, ipa] = card.querySelectorAll('.language-open > span');
+            assert.equal(name.textContent, entry.name);
+            assert.equal(name.lang, browser.renderer.languageTag(entry.id));
+            assert.equal(ipa?.textContent, showsIpa ? `/${entry.name_ipa}/` : undefined);
+            assert.equal(card.querySelector('.completeness-badge').textContent, `${entry.completeness}%`);
+        });
+        assert.equal(document.getElementById('language-filter-summary').textContent, `Showing ${index.languages.length} of ${index.languages.length} languages`);
+        assert.deepEqual(errors, []);
+    } finally {
+        window.close();
+    }
+});
+
+test('display names and order', async () => {
+    const { window, document, browser } = await createBrowserPage({
+        fetch: serveIndex([
+            { id: 'dddddddd', name: 'ka', name_ipa: 'ka.ta', completeness: 30, has_phonology: true },
+            { id: 'bbbbbbbb', name: 'Bo', name_ipa: 'N/A', completeness: 60, features: ['Tone System'] },
+            { id: 'cccccccc', name: 'Zed', name_ipa: 'zed', name_orthography: 'Ąka', completeness: 100 },
+            { id: 'aaaaaaaa', name: 'Bo', name_ipa: 'Bo', completeness: 60, user_constraints: 'No fricatives' }
+        ])
+    });
+    try {
+        // By spelling (the orthography name where there is one), then id
+        assert.deepEqual(plain(browser.languages.map(lang => [lang.id, lang.name, lang.nameOrthography])), [
+            ['cccccccc', 'Zed /zed/', 'Ąka'],
+            ['aaaaaaaa', 'Bo', 'Bo'],
+            ['bbbbbbbb', 'Bo', 'Bo'],
+            ['dddddddd', 'ka /ka.ta/', 'ka']
+        ]);
+        const [zed, boA, boB, ka] = browser.languages;
+        assert.deepEqual(plain(boB.features), ['Tone System']);
+        assert.deepEqual(plain(ka.features), []);
+        assert.equal(boA.userConstraints, 'No fricatives');
+        assert.equal(ka.hasPhonology, true);
+        assert.equal(zed.createdAt, null);
+
+        const names = [...document.querySelectorAll('#language-grid .language-open')].map(button => button.textContent);
+        assert.deepEqual(names, ['Zed /zed/', 'Bo', 'Bo', 'ka /ka.ta/']);
+        assert.equal(document.querySelectorAll('#language-grid .user-constraints-indicator').length, 1);
+    } finally {
+        window.close();
+    }
+});
+
+test('a languages.json that fails to load leaves an empty grid', async () => {
+    const { window, document, browser, errors } = await createBrowserPage({
+        fetch: async url => {
+            if (String(url) === 'data/languages.json') throw new TypeError('Failed to fetch');
+            return fetchFile(url);
+        }
+    });
+    try {
+        assert.equal(browser.languages.length, 0);
+        assert.equal(document.querySelector('#language-grid .grid-empty').textContent, 'No languages match the selected filters.');
+        assert.match(errors.join('\n'), /Failed to load languages/);
+    } finally {
+        window.close();
+    }
+});
+
+test('facet values with markup characters are checkboxes that filter', async () => {
+    const feature = 'Quoted "forms" & <b>tags</b>';
+    const { window, document, browser, errors } = await createBrowserPage({
+        fetch: serveIndex([
+            { id: 'aaaaaaaa', name: 'Ka', completeness: 60, features: [feature] },
+            { id: 'bbbbbbbb', name: 'Ti', completeness: 60, features: ['Tone System'] }
+        ])
+    });
+    try {
+        const input = [...document.querySelectorAll('#language-filters input[data-facet="features"]')]
+            .find(checkbox => checkbox.value === feature);
+        assert.ok(input);
+        assert.equal(input.parentElement.querySelector('b'), null);
+        assert.ok(input.parentElement.textContent.includes(feature));
+
+        input.checked = true;
+        input.dispatchEvent(new window.Event('change', { bubbles: true }));
+        assert.deepEqual(plain([...browser.filters.selected.get('features')]), [feature]);
+        assert.deepEqual([...document.querySelectorAll('#language-grid .language-card')].map(card => card.dataset.id), ['aaaaaaaa']);
+        assert.deepEqual(errors, []);
+    } finally {
+        window.close();
+    }
+});
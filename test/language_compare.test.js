@@ -0,0 +1,152 @@
+/**
+ * Comparison tests: inventories aligned on shared chart cells, typology
+ * facts, feature and vocabulary overlap, languages without charts and the
+ * 2–4 language limit in the browser.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, loadScripts, fetchFile, createRenderer } = require('./helpers/load_scripts');
+const { renderPage, createBrowserPage } = require('./helpers/dom');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const { LanguageComparison } = loadScripts(['js/language_compare.js']);
+const renderer = createRenderer({ fetch: fetchFile });
+const comparison = new LanguageComparison(renderer);
+
+// As main.js reads languages.json
+const index = JSON.parse(fs.readFileSync(path.join(root, 'data', 'languages.json'), 'utf8'));
+const language = id => {
+    const entry = index.languages.find(item => item.id === id);
+    return { id, name: entry.name, nameOrthography: entry.name_orthography || entry.name, features: entry.features || [], completeness: entry.completeness };
+};
+
+test.describe('alignInventories', () => {
+    const order = {
+        row: phoneme => phoneme.manner,
+        column: phoneme => phoneme.place,
+        rowOrder: ['plosive', 'nasal'],
+        columnOrder: ['bilabial', 'alveolar', 'velar']
+    };
+
+    test('languages share rows and columns in chart order', () => {
+        const { columns, rows } = comparison.alignInventories([
+            [{ symbol: 'k', manner: 'plosive', place: 'velar' }, { symbol: 'm', manner: 'nasal', place: 'bilabial' }],
+            [{ symbol: 'p', manner: 'plosive', place: 'bilabial' }, { symbol: 'k', manner: 'plosive', place: 'velar' }, { symbol: 'kʼ', manner: 'plosive', place: 'velar' }]
+        ], order);
+
+        assert.deepEqual(plain(columns), [{ key: 'bilabial', label: 'Bilabial' }, { key: 'velar', label: 'Velar' }]);
+        assert.deepEqual(plain(rows), [
+            { key: 'plosive', label: 'Plosive', cells: [[[], ['p']], [['k'], ['k', 'kʼ']]] },
+            { key: 'nasal', label: 'Nasal', cells: [[['m'], []], [[], []]] }
+        ]);
+    });
+
+    test('a language without a chart has null cells; unknown keys go last as "other"', () => {
+        const { columns, rows } = comparison.alignInventories([
+            [{ symbol: 'ʘ', manner: 'click' }, { symbol: 't', manner: 'plosive', place: 'alveolar' }],
+            null
+        ], order);
+
+        assert.deepEqual(plain(columns.map(column => column.key)), ['alveolar', 'other']);
+        assert.deepEqual(plain(rows.map(row => row.key)), ['plosive', 'click']);
+        assert.deepEqual(plain(rows[1].cells), [[[], null], [['ʘ'], null]]);
+    });
+});
+
+test.describe('typologyFacts', () => {
+    test('feature tags come first, then the grammar text', () => {
+        const facts = comparison.typologyFacts({ features: ['VSO Word Order'] },
+            'The clause is SOV in questions. Case marking is split-ergative; the morphology is agglutinative.');
+        assert.deepEqual(plain(facts), {
+            wordOrder: { value: 'VSO', source: 'features' },
+            alignment: { value: 'Split-Ergative', source: 'grammar' },
+            morphology: { value: 'Agglutinative', source: 'grammar' }
+        });
+    });
+
+    test('unknown facts are null, with or without a grammar', () => {
+        const expected = { wordOrder: null, alignment: null, morphology: { value: 'Agglutinative', source: 'features' } };
+        assert.deepEqual(plain(comparison.typologyFacts({ features: ['Agglutinative Morphology'] }, null)), expected);
+        assert.deepEqual(plain(comparison.typologyFacts({ features: ['Agglutinative Morphology'] }, 'Nothing to see.')), expected);
+    });
+});
+
+test('diffFeatures lists shared features first', () => {
+    const diff = comparison.diffFeatures([
+        { features: ['Tone System', 'SOV Word Order'] },
+        { features: ['Vowel Harmony', 'Tone System'] },
+        { features: [] }
+    ]);
+    assert.deepEqual(plain(diff), [
+        { feature: 'Tone System', has: [true, true, false] },
+        { feature: 'SOV Word Order', has: [true, false, false] },
+        { feature: 'Vowel Harmony', has: [false, true, false] }
+    ]);
+});
+
+test.describe('sharedGlosses', () => {
+    test('senses are split, cleaned up and kept when two languages share them', () => {
+        const glosses = comparison.sharedGlosses([
+            [{ word: 'ka', translation: 'water, river' }, { word: 'ko', translation: '"Water".' }, { word: 'ti', translation: 'sun' }],
+            [{ word: 'mu', translation: 'River; stream' }, { word: 'na', translation: 'water' }],
+            [{ word: 'sa', translation: 'water' }, { word: 'le', translation: 'stream' }],
+            null
+        ]);
+        assert.deepEqual(plain(glosses), [
+            { sense: 'water', words: [['ka', 'ko'], ['na'], ['sa'], []], count: 3 },
+            { sense: 'river', words: [['ka'], ['mu'], [], []], count: 2 },
+            { sense: 'stream', words: [[], ['mu'], ['le'], []], count: 2 }
+        ]);
+    });
+
+    test('no overlap, no glosses', () => {
+        assert.deepEqual(plain(comparison.sharedGlosses([[{ word: 'ka', translation: 'sun' }], [{ word: 'mu', translation: 'moon' }]])), []);
+    });
+});
+
+test('real data: a language whose phonology is missing (404) has no chart', async () => {
+    // 0644f50b lists phonology but has no phonology.txt
+    const html = await comparison.generateComparisonHTML([language('0b212eef'), language('0644f50b')]);
+    const { window, document } = renderPage(html);
+    try {
+        assert.equal(document.title, 'Comparing Petese, Soleso');
+        const consonants = document.getElementById('section-compare-consonants');
+        assert.equal(consonants.querySelector('.compare-note').textContent, 'No chart found for Soleso.');
+        assert.equal(consonants.querySelectorAll('.compare-segments.compare-lang-1').length, 0);
+        assert.ok(consonants.querySelectorAll('.compare-segments.compare-lang-0').length > 0);
+
+        const typology = [...document.querySelectorAll('#section-compare-typology tbody tr')]
+            .map(row => [...row.children].map(cell => cell.textContent.trim()));
+        const consonantCounts = typology.find(row => row[0] === 'Consonants');
+        assert.match(consonantCounts[1], /^\d+$/);
+        assert.equal(consonantCounts[2], '—');
+    } finally {
+        window.close();
+    }
+});
+
+test('the browser compares 2 to 4 languages', async () => {
+    const { window, browser, errors } = await createBrowserPage();
+    try {
+        const ids = plain(browser.languages.slice(0, 5).map(lang => lang.id));
+        window.document.querySelector('.compare-start').click();
+        ids.forEach(id => browser.toggleCompareSelection(id));
+        assert.deepEqual(plain(browser.compareSelection), ids.slice(0, 4));
+        assert.equal(window.document.querySelector('.compare-run').disabled, false);
+
+        browser.showComparison(ids.slice(0, 1));
+        browser.showComparison(ids);
+        assert.equal(browser.currentComparison, null);
+        assert.deepEqual(errors, ['Cannot compare 1 languages', 'Cannot compare 5 languages']);
+
+        browser.toggleCompareSelection(ids[0]);
+        browser.toggleCompareSelection(ids[1]);
+        browser.toggleCompareSelection(ids[2]);
+        assert.equal(window.document.querySelector('.compare-run').disabled, true);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,51 @@
+/**
+ * Language export tests: the merged Markdown document and file names.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, loadScripts, createRenderer } = require('./helpers/load_scripts');
+
+const { LanguageExport } = loadScripts(['js/delimited_text.js', 'js/lexicon_formats.js', 'js/language_export.js']);
+const exporter = new LanguageExport(createRenderer());
+
+test('headings move down a level, outside code fences', () => {
+    const text = '# Grammar\n\n## Verbs\n\n```\n# not a heading\n```\n\n###### Deep';
+    assert.equal(exporter.shiftHeadings(text), '## Grammar\n\n### Verbs\n\n```\n# not a heading\n```\n\n###### Deep');
+});
+
+test('sections keep their own title, or get one', () => {
+    assert.equal(exporter.renderSection('Phonology', '# Phonology\n\nText.'), '## Phonology\n\nText.');
+    assert.equal(exporter.renderSection('Grammar', '# Morphology\n\nText.'), '## Grammar\n\n## Morphology\n\nText.');
+    assert.match(exporter.renderSection('Grammar', '', 'Not available.'), /^## Grammar\n\n\*Not available\.\*$/);
+});
+
+test('lexicon cells escape pipes and flatten line breaks', () => {
+    const table = exporter.renderLexiconTable([{ word: 'ka|ta', translation: 'water\nriver', pos: 'noun', forms: ['kata-n', 'kata-s'] }]);
+    assert.ok(table.includes('| ka\\|ta | water river | noun |  | kata-n; kata-s |'));
+});
+
+test('file names come from the name and id', () => {
+    assert.equal(exporter.fileName({ id: '0b212eef', nameOrthography: 'Kʼélo Tàna' }, 'md'), 'k-elo-tana-0b212eef.md');
+    assert.equal(exporter.fileName({ id: 'abc', nameOrthography: 'ʔəʔ' }, 'html'), 'abc.html');
+});
+
+test('real data: one document with every part of the language', () => {
+    const id = '0b212eef';
+    const read = file => fs.readFileSync(path.join(root, 'data', id, file), 'utf8');
+    const lexicon = JSON.parse(read('lexicon.json'));
+    const markdown = exporter.renderMarkdown({
+        metadata: { ...JSON.parse(read('metadata.json')), name: 'Test' },
+        phonology: read('phonology.txt'),
+        grammar: read('grammar.txt'),
+        lexicon
+    });
+
+    assert.match(markdown, /^# Test\n\n- \*\*ID:\*\* 0b212eef\n/);
+    assert.deepEqual(markdown.match(/^## (Phonology|Grammar|Lexicon)$/gm), ['## Phonology', '## Grammar', '## Lexicon']);
+    assert.equal(markdown.match(/^# /gm).length, 1);
+    const rows = markdown.slice(markdown.indexOf('## Lexicon')).match(/^\| (?!Word |---)/gm);
+    assert.equal(rows.length, lexicon.length);
+});
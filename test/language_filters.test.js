@@ -0,0 +1,145 @@
+/**
+ * Filter tests: AND/OR facets, the counts shown next to each value and
+ * the sort orders.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load_scripts');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const { LanguageFilters } = loadScripts(['js/language_filters.js']);
+
+// As main.js builds them from languages.json
+const language = (id, fields = {}) => ({
+    id,
+    name: id,
+    nameOrthography: id,
+    features: [],
+    completeness: 60,
+    hasPhonology: true,
+    hasGrammar: true,
+    hasLexicon: false,
+    userConstraints: null,
+    model: 'gemini-2.5-pro',
+    createdAt: null,
+    lexiconSize: null,
+    ...fields
+});
+const languages = [
+    language('Aka', { features: ['Tone System', 'Vowel Harmony'], completeness: 100, hasLexicon: true, lexiconSize: 40, createdAt: '2025-08-01 10:00:00' }),
+    language('Bo', { features: ['Tone System'], userConstraints: 'No fricatives', createdAt: '2025-08-03 10:00:00' }),
+    language('Ceta', { features: ['Vowel Harmony', 'SOV Word Order'], completeness: 100, hasLexicon: true, lexiconSize: 120, model: 'gpt-4o' }),
+    language('Du', { completeness: 30, hasGrammar: false, lexiconSize: 0, createdAt: '2025-08-02 10:00:00' })
+];
+const ids = list => plain(list.map(lang => lang.id));
+const facetCounts = (filters, key) => Object.fromEntries(filters.counts(languages)
+    .find(({ facet }) => facet.key === key).values
+    .map(({ value, count }) => [value, count]));
+
+test.describe('facets', () => {
+    test('values of a facet are ORed by default', () => {
+        const filters = new LanguageFilters();
+        filters.toggle('features', 'Tone System');
+        filters.toggle('features', 'Vowel Harmony');
+        assert.deepEqual(ids(filters.apply(languages)), ['Aka', 'Bo', 'Ceta']);
+    });
+
+    test('AND needs every selected value', () => {
+        const filters = new LanguageFilters();
+        filters.toggle('features', 'Tone System');
+        filters.toggle('features', 'Vowel Harmony');
+        filters.setMode('features', 'and');
+        assert.deepEqual(ids(filters.apply(languages)), ['Aka']);
+
+        filters.setMode('features', 'anything else');
+        assert.equal(filters.modes.get('features'), 'or');
+    });
+
+    test('single-valued facets ignore AND', () => {
+        const filters = new LanguageFilters();
+        filters.toggle('completeness', '100%');
+        filters.toggle('completeness', '30%');
+        filters.setMode('completeness', 'and');
+        assert.deepEqual(ids(filters.apply(languages)), ['Aka', 'Ceta', 'Du']);
+    });
+
+    test('different facets must all match', () => {
+        const filters = new LanguageFilters();
+        filters.toggle('features', 'Vowel Harmony');
+        filters.toggle('model', 'gemini-2.5-pro');
+        assert.deepEqual(ids(filters.apply(languages)), ['Aka']);
+        filters.toggle('constraints', 'Constrained');
+        assert.deepEqual(ids(filters.apply(languages)), []);
+    });
+
+    test('toggling twice and clearing deselect', () => {
+        const filters = new LanguageFilters();
+        filters.toggle('parts', 'Lexicon');
+        assert.ok(filters.isActive());
+        filters.toggle('parts', 'Lexicon');
+        assert.ok(!filters.isActive());
+
+        filters.toggle('parts', 'Lexicon');
+        filters.toggle('model', 'gpt-4o');
+        filters.clear();
+        assert.ok(!filters.isActive());
+        assert.equal(filters.apply(languages).length, languages.length);
+    });
+});
+
+test.describe('counts', () => {
+    test('without a selection, each value counts the languages that have it', () => {
+        const filters = new LanguageFilters();
+        assert.deepEqual(facetCounts(filters, 'features'), { 'SOV Word Order': 1, 'Tone System': 2, 'Vowel Harmony': 2 });
+        assert.deepEqual(facetCounts(filters, 'parts'), { Grammar: 3, Lexicon: 2, Phonology: 4 });
+        assert.deepEqual(facetCounts(filters, 'completeness'), { '30%': 1, '60%': 1, '100%': 2 });
+        assert.deepEqual(facetCounts(filters, 'constraints'), { Constrained: 1, Unconstrained: 3 });
+    });
+
+    test('other facets narrow the counts, the facet itself does not under OR', () => {
+        const filters = new LanguageFilters();
+        filters.toggle('features', 'Tone System');
+        assert.deepEqual(facetCounts(filters, 'features'), { 'SOV Word Order': 1, 'Tone System': 2, 'Vowel Harmony': 2 });
+        assert.deepEqual(facetCounts(filters, 'model'), { 'gemini-2.5-pro': 2, 'gpt-4o': 0 });
+    });
+
+    test('under AND a value counts what adding it would leave', () => {
+        const filters = new LanguageFilters();
+        filters.setMode('features', 'and');
+        filters.toggle('features', 'Vowel Harmony');
+        assert.deepEqual(facetCounts(filters, 'features'), { 'SOV Word Order': 1, 'Tone System': 1, 'Vowel Harmony': 2 });
+
+        const [features] = filters.counts(languages);
+        assert.equal(features.mode, 'and');
+        assert.deepEqual(plain(features.values.filter(value => value.selected).map(value => value.value)), ['Vowel Harmony']);
+    });
+});
+
+test.describe('sort orders', () => {
+    const sorted = order => {
+        const filters = new LanguageFilters();
+        filters.sortOrder = order;
+        return ids(filters.apply([...languages].reverse()));
+    };
+
+    test('by name, then id', () => {
+        assert.deepEqual(sorted('name'), ['Aka', 'Bo', 'Ceta', 'Du']);
+        const filters = new LanguageFilters();
+        const twins = [language('b', { name: 'Ka', nameOrthography: 'Ka' }), language('a', { name: 'Ka', nameOrthography: 'Ka' })];
+        assert.deepEqual(ids(filters.apply(twins)), ['a', 'b']);
+    });
+
+    test('completeness and lexicon size, largest first', () => {
+        assert.deepEqual(sorted('completeness'), ['Aka', 'Ceta', 'Bo', 'Du']);
+        assert.deepEqual(sorted('lexiconSize'), ['Ceta', 'Aka', 'Bo', 'Du']);
+    });
+
+    test('newest first, undated last', () => {
+        assert.deepEqual(sorted('createdAt'), ['Bo', 'Du', 'Aka', 'Ceta']);
+    });
+
+    test('an unknown order sorts by name', () => {
+        assert.deepEqual(sorted('nonsense'), ['Aka', 'Bo', 'Ceta', 'Du']);
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Language page tests in jsdom. Every language in data/ is rendered and
+ * compared with an outline of its page in fixtures/snapshots (sections,
+ * headings and how many of each element they hold); run with
+ * UPDATE_FIXTURES=1 to regenerate them after an intentional rendering
+ * change. The page's own script is run on each as well.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, fetchFile, createRenderer } = require('./helpers/load_scripts');
+const { renderPage } = require('./helpers/dom');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const renderer = createRenderer({ fetch: fetchFile });
+const index = JSON.parse(fs.readFileSync(path.join(root, 'data', 'languages.json'), 'utf8'));
+const snapshotDir = path.join(__dirname, 'fixtures', 'snapshots');
+const countedTags = ['table', 'tr', 'ul', 'ol', 'li', 'pre', 'blockquote', 'code', 'em', 'strong', 'a', 'button'];
+
+/**
+ * The page as text: each section's title, its headings indented by level
+ * and a count of the elements in it
+ */
+function outline(document) {
+    const lines = [`title: ${document.title}`];
+    document.querySelectorAll('main > .section').forEach(section => {
+        lines.push('', `section #${section.id}: ${section.querySelector('.section-toggle').textContent}`);
+        section.querySelectorAll('.section-content :is(h2, h3, h4, h5, h6)').forEach(heading => {
+            const depth = Number(heading.tagName[1]) - 2;
+            lines.push(`${'  '.repeat(depth + 1)}${heading.tagName.toLowerCase()} #${heading.id} ${heading.textContent.trim()}`);
+        });
+        const counts = countedTags
+            .map(tag => [tag, section.querySelectorAll(tag).length])
+            .filter(([, count]) => count > 0)
+            .map(([tag, count]) => `${tag} ${count}`);
+        lines.push(`  elements: ${counts.join(', ') || 'none'}`);
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+test.describe('every language', () => {
+    index.languages.forEach(entry => {
+        test.describe(`${entry.id} (${entry.name})`, () => {
+            let html;
+            test.before(async () => {
+                html = await renderer.generateLanguageHTML(entry.id);
+            });
+
+            test('matches its snapshot', () => {
+                const { window, document } = renderPage(html);
+                const actual = outline(document);
+                window.close();
+
+                const expectedFile = path.join(snapshotDir, `${entry.id}.txt`);
+                if (process.env.UPDATE_FIXTURES) {
+                    fs.mkdirSync(snapshotDir, { recursive: true });
+                    fs.writeFileSync(expectedFile, actual);
+                }
+                assert.equal(actual, fs.readFileSync(expectedFile, 'utf8'));
+            });
+
+            test('its script runs: sections collapse and the lexicon is paged', () => {
+                const { window, document, errors } = renderPage(html, { runScripts: true });
+                try {
+                    assert.deepEqual(errors, []);
+
+                    const header = document.querySelector('.section-header');
+                    header.click();
+                    assert.equal(header.nextElementSibling.style.display, 'none');
+                    assert.equal(header.querySelector('.section-toggle').getAttribute('aria-expanded'), 'false');
+
+                    const table = document.querySelector('#lexicon .lexicon-table');
+                    if (!table) return;
+                    const rows = [...table.tBodies[0].rows];
+                    assert.equal(rows.filter(row => !row.hidden).length, Math.min(rows.length, 50));
+                    assert.equal(document.querySelector('.lexicon-page-info').textContent, `Page 1 of ${Math.max(1, Math.ceil(rows.length / 50))}`);
+                } finally {
+                    window.close();
+                }
+            });
+        });
+    });
+});
+
+test.describe('renderLexicon', () => {
+    const renderLexicon = lexicon => renderPage(`<main>${renderer.renderLexicon(lexicon)}</main>`).document;
+
+    test('one row per entry, with its forms', () => {
+        const document = renderLexicon([
+            { word: 'kata', translation: 'river', pos: 'noun', notes: 'From *kat- "flow"', null: ['kata-n', 'kata-s'] },
+            { word: 'a<b>', translation: 'the *big* one', pos: 'adj.', notes: '', null: [] }
+        ]);
+        const rows = [...document.querySelector('.lexicon-table').tBodies[0].rows];
+        const cells = row => [...row.children].map(cell => cell.textContent.trim().replace(/\s+/g, ' '));
+
+        assert.equal(document.querySelector('#section-lexicon > p').textContent, 'Total vocabulary: 2 words');
+        assert.equal(rows.length, 2);
+        assert.deepEqual(cells(rows[0]).slice(1, 4), ['river', 'noun', 'From *kat- "flow"']);
+        assert.equal(rows[0].querySelector('.lexicon-forms summary').textContent, '2 forms');
+        assert.deepEqual([...rows[0].querySelectorAll('.lexicon-forms-table td')].map(td => td.textContent), ['kata-n', 'kata-s']);
+        assert.equal(rows[1].querySelector('.lexicon-forms'), null);
+        // Markup in a word is text; emphasis in a translation is rendered
+        assert.equal(rows[1].dataset.word, 'a<b>');
+        assert.equal(rows[1].querySelector('td.conlang-text b'), null);
+        assert.equal(rows[1].children[1].querySelector('em').textContent, 'big');
+    });
+
+    test('without entries it says so', () => {
+        [null, [], {}].forEach(lexicon => {
+            const document = renderLexicon(lexicon);
+            assert.equal(document.querySelector('.lexicon-table'), null);
+            assert.equal(document.querySelector('#section-lexicon em').textContent, 'Lexicon not available.');
+        });
+    });
+});
+
+test.describe('table of contents', () => {
+    const tocLinks = list => [...list.children].map(item => {
+        const link = item.querySelector(':scope > a');
+        const children = item.querySelector(':scope > ul');
+        return children ? [link.getAttribute('href'), tocLinks(children)] : link.getAttribute('href');
+    });
+
+    test('slugs are unique within a document, repeats are numbered', () => {
+        const slugger = renderer.createSlugger();
+        assert.deepEqual(['Examples', 'Examples', 'examples!', 'Ñandú & <em>Co</em>', '???', '!!!', 'Examples-2'].map(slugger),
+            ['examples', 'examples-2', 'examples-3', 'ñandú-co', 'section', 'section-2', 'examples-2-2']);
+        assert.equal(renderer.createSlugger()('Examples'), 'examples');
+    });
+
+    test('headings get prefixed ids and plain titles', () => {
+        const headings = renderer.collectHeadings('# Grammar\n## Nouns\n### Examples\n## Verbs\n### Examples\n## The `-ka` *suffix*', 'grammar');
+        assert.deepEqual(plain(headings), [
+            { level: 1, id: 'grammar-grammar', title: 'Grammar' },
+            { level: 2, id: 'grammar-nouns', title: 'Nouns' },
+            { level: 3, id: 'grammar-examples', title: 'Examples' },
+            { level: 2, id: 'grammar-verbs', title: 'Verbs' },
+            { level: 3, id: 'grammar-examples-2', title: 'Examples' },
+            { level: 2, id: 'grammar-the-ka-suffix', title: 'The -ka suffix' }
+        ]);
+        assert.deepEqual(plain(renderer.collectHeadings(null, 'grammar')), []);
+    });
+
+    test('skipped levels nest under the nearest shallower heading', () => {
+        const heading = (level, id) => ({ level, id, title: id });
+        const tree = renderer.buildHeadingTree([heading(2, 'a'), heading(4, 'b'), heading(3, 'c'), heading(6, 'd'), heading(2, 'e'), heading(1, 'f')]);
+        const shape = nodes => nodes.map(node => (node.children.length ? [node.id, shape(node.children)] : node.id));
+        assert.deepEqual(plain(shape(tree)), [['a', ['b', ['c', ['d']]]], 'e', 'f']);
+    });
+
+    test('a section\'s own title is folded in and deep entries start collapsed', () => {
+        const { window, document } = renderPage(renderer.renderTableOfContents([
+            { id: 'grammar', title: 'Grammar', headings: renderer.collectHeadings('# Grammar\n## Nouns\n### Case\n#### Ergative\n## Verbs', 'grammar') },
+            { id: 'notes', title: 'Notes & <Extras>', headings: renderer.collectHeadings('# Intro\n## Aside', 'notes') },
+            { id: 'lexicon', title: 'Lexicon', headings: [] }
+        ]));
+        try {
+            const tree = document.querySelector('.toc-tree');
+            assert.deepEqual(plain(tocLinks(tree)), [
+                ['#grammar', [['#grammar-nouns', [['#grammar-case', ['#grammar-ergative']]]], '#grammar-verbs']],
+                ['#notes', [['#notes-intro', ['#notes-aside']]]],
+                '#lexicon'
+            ]);
+            assert.equal(tree.querySelector('a[href="#notes"]').textContent, 'Notes & <Extras>');
+            const expanded = [...tree.querySelectorAll('.toc-toggle')].map(toggle => [toggle.nextElementSibling.getAttribute('href'), toggle.getAttribute('aria-expanded')]);
+            assert.deepEqual(expanded, [['#grammar', 'true'], ['#grammar-nouns', 'true'], ['#grammar-case', 'false'], ['#notes', 'true'], ['#notes-intro', 'true']]);
+            assert.ok(tree.querySelector('a[href="#grammar-case"] + ul').hidden);
+        } finally {
+            window.close();
+        }
+    });
+
+    test('real data: every entry links to a heading on the page, and ids are unique', async () => {
+        for (const entry of index.languages) {
+            const { window, document } = renderPage(await renderer.generateLanguageHTML(entry.id));
+            try {
+                const ids = [...document.querySelectorAll('[id]')].map(element => element.id);
+                assert.equal(new Set(ids).size, ids.length, `${entry.id} repeats an id`);
+                document.querySelectorAll('.toc a').forEach(link => {
+                    assert.ok(document.getElementById(link.dataset.target), `${entry.id}: ${link.getAttribute('href')} goes nowhere`);
+                });
+            } finally {
+                window.close();
+            }
+        }
+    });
+});
+
+test('printed contents give each entry its page number', () => {
+    const { window, document } = renderPage(`<style>${renderer.generateCSS()}</style>`);
+    try {
+        const after = [...document.styleSheets[0].cssRules]
+            .filter(rule => rule.media?.mediaText === 'print')
+            .flatMap(rule => [...rule.cssRules])
+            .find(rule => rule.selectorText === '.toc a::after');
+        assert.match(after.style.getPropertyValue('content'), /target-counter\(attr\(href url\), page\)/);
+    } finally {
+        window.close();
+    }
+});
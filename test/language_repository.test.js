@@ -0,0 +1,142 @@
+/**
+ * Language repository tests: typed load errors, shared and parallel
+ * fetches, the cache of recently used languages and prefetching.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, fetchFile } = require('./helpers/load_scripts');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * A fetch over the real files that records each request; `respond` can
+ * answer a path itself
+ */
+function createRepository({ respond = () => null, maxLanguages } = {}) {
+    const requests = [];
+    const fetch = async url => {
+        requests.push(String(url));
+        return (await respond(String(url))) || fetchFile(url);
+    };
+    const window = loadScripts(['js/language_repository.js'], { fetch });
+    return { window, requests, repository: new window.LanguageRepository(maxLanguages) };
+}
+
+const response = (status, body = '') => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 500 ? 'Internal Server Error' : 'OK',
+    text: async () => body
+});
+
+test('failures are typed by cause', async () => {
+    const { window, repository } = createRepository({
+        respond: url => {
+            if (url === 'broken.json') return response(200, '{"a": ');
+            if (url === 'server.txt') return response(500);
+            if (url === 'offline.txt') throw new TypeError('Failed to fetch');
+            return null;
+        }
+    });
+
+    const absent = await repository.loadJSON('data/nowhere/lexicon.json').catch(error => error);
+    assert.ok(absent instanceof window.FileAbsentError && absent instanceof window.LanguageDataError);
+    assert.equal(absent.name, 'FileAbsentError');
+    assert.equal(absent.path, 'data/nowhere/lexicon.json');
+    assert.equal(absent.status, 404);
+    assert.equal(await repository.loadJSON('data/nowhere/lexicon.json', { optional: true }), null);
+
+    await assert.rejects(repository.loadJSON('broken.json', { optional: true }), window.ParseError);
+    await assert.rejects(repository.loadText('server.txt', { optional: true }), error => error instanceof window.NetworkError && error.status === 500);
+    await assert.rejects(repository.loadText('offline.txt', { optional: true }), error => error instanceof window.NetworkError && error.status === null && error.cause.message === 'Failed to fetch');
+});
+
+test('concurrent requests for a file share one fetch', async () => {
+    const { repository, requests } = createRepository();
+    const [first, second] = await Promise.all([
+        repository.loadText('data/0b212eef/grammar.txt'),
+        repository.loadText('data/0b212eef/grammar.txt')
+    ]);
+
+    assert.equal(first, second);
+    assert.deepEqual(requests, ['data/0b212eef/grammar.txt']);
+    // Once it has arrived, it is fetched again
+    await repository.loadText('data/0b212eef/grammar.txt');
+    assert.equal(requests.length, 2);
+});
+
+test('files languages.json marks as absent are not requested', async () => {
+    const { repository, requests } = createRepository();
+    const bundle = await repository.loadLanguage('30ebe7f6');
+    assert.deepEqual(requests.slice(1), ['data/30ebe7f6/metadata.json', 'data/30ebe7f6/phonology.txt', 'data/30ebe7f6/grammar.txt']);
+    assert.equal(bundle.entry.id, '30ebe7f6');
+    assert.equal(bundle.lexicon, null);
+    assert.ok(bundle.phonology.length > 0 && bundle.grammar.length > 0);
+});
+
+test('all of a language\'s files are requested before any arrives', async () => {
+    let open;
+    const gate = new Promise(resolve => { open = resolve; });
+    const { repository, requests } = createRepository({
+        respond: async url => {
+            if (url !== 'data/languages.json') await gate;
+            return null;
+        }
+    });
+    await repository.loadIndex();
+
+    const loading = repository.loadLanguage('0b212eef');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(requests.slice(1).sort(), [
+        'data/0b212eef/grammar.txt', 'data/0b212eef/lexicon.json', 'data/0b212eef/metadata.json',
+        'data/0b212eef/phonology.txt', 'data/0b212eef/phonotactics.json'
+    ]);
+    open();
+    assert.ok(Array.isArray((await loading).lexicon));
+});
+
+test('recently used languages stay in memory', async () => {
+    const { repository, requests } = createRepository({ maxLanguages: 2 });
+    const fetched = id => requests.filter(url => url === `data/${id}/metadata.json`).length;
+
+    const first = await repository.loadLanguage('0b212eef');
+    await repository.loadLanguage('30ebe7f6');
+    assert.equal(await repository.loadLanguage('0b212eef'), first);
+    await repository.loadLanguage('0644f50b');
+
+    // 30ebe7f6 was the least recently used when 0644f50b came in
+    assert.deepEqual(plain([...repository.languages.keys()]), ['0b212eef', '0644f50b']);
+    await repository.loadLanguage('30ebe7f6');
+    assert.deepEqual(['0b212eef', '30ebe7f6', '0644f50b'].map(fetched), [1, 2, 1]);
+    assert.equal(requests.filter(url => url === 'data/languages.json').length, 1);
+});
+
+test('failed loads are not remembered', async () => {
+    let online = false;
+    const { window, repository, requests } = createRepository({
+        respond: () => {
+            if (!online) throw new TypeError('Failed to fetch');
+            return null;
+        }
+    });
+
+    await assert.rejects(repository.loadLanguage('0b212eef'), window.NetworkError);
+    assert.equal(repository.languages.size, 0);
+    assert.equal(repository.index, null);
+
+    online = true;
+    const bundle = await repository.loadLanguage('0b212eef');
+    assert.equal(bundle.entry.id, '0b212eef');
+    assert.equal(requests.filter(url => url === 'data/languages.json').length, 2);
+});
+
+test('a prefetched language is not fetched again when opened', async () => {
+    const { repository, requests } = createRepository();
+    repository.prefetch('0b212eef');
+    repository.prefetch('0b212eef');
+    const count = () => requests.filter(url => url.startsWith('data/0b212eef/')).length;
+
+    await repository.loadLanguage('0b212eef');
+    assert.equal(count(), 5);
+});
@@ -0,0 +1,137 @@
+/**
+ * Router tests: hashes for a language, a comparison and the statistics
+ * parse back to the routes they were built from, anything else is not a
+ * route, and history gets one entry per navigation.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load_scripts');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * A router over a fake location and history; `entries` records
+ * [method, hash] per history call
+ */
+function createRouter(hash = '') {
+    const entries = [];
+    const listeners = {};
+    const navigations = [];
+    const window = {
+        location: { hash },
+        addEventListener: (type, listener) => { listeners[type] = listener; }
+    };
+    const record = method => (state, title, url) => {
+        entries.push([method, url]);
+        window.location.hash = url;
+    };
+    const history = { pushState: record('push'), replaceState: record('replace') };
+    const { LanguageRouter } = loadScripts(['js/language_router.js'], { window, history, URLSearchParams });
+    const router = new LanguageRouter((route, options) => navigations.push(plain([route, options])));
+    return { router, window, entries, listeners, navigations };
+}
+
+const { router } = createRouter();
+
+test.describe('round trips', () => {
+    const roundTrip = (route, hash) => {
+        assert.equal(router.build(route), hash);
+        assert.deepEqual(plain(router.parse(hash)), route);
+    };
+
+    test('a language, its section and heading', () => {
+        roundTrip({ lang: '0b212eef', section: null, h: null }, '#lang=0b212eef');
+        roundTrip({ lang: '0b212eef', section: 'grammar', h: null }, '#lang=0b212eef&section=grammar');
+        roundTrip({ lang: '0b212eef', section: 'grammar', h: 'question-formation' }, '#lang=0b212eef&section=grammar&h=question-formation');
+    });
+
+    test('heading slugs outside ASCII are encoded and decoded', () => {
+        const route = { lang: '0b212eef', section: 'phonology', h: 'ñandú-co' };
+        const hash = router.build(route);
+        assert.equal(hash, '#lang=0b212eef&section=phonology&h=%C3%B1and%C3%BA-co');
+        assert.deepEqual(plain(router.parse(hash)), route);
+    });
+
+    test('a comparison keeps its commas readable', () => {
+        roundTrip({ compare: ['0b212eef', '2201c79d'] }, '#compare=0b212eef,2201c79d');
+        roundTrip({ compare: ['a', 'b', 'c', 'd'] }, '#compare=a,b,c,d');
+        assert.equal(router.build({ compare: ['a b', 'c&d'] }), '#compare=a%20b,c%26d');
+        assert.deepEqual(plain(router.parse('#compare=a%20b,c%26d')), { compare: ['a b', 'c&d'] });
+    });
+
+    test('the statistics', () => {
+        roundTrip({ stats: true }, '#stats');
+    });
+
+    test('a heading is only kept with its section', () => {
+        assert.equal(router.build({ lang: 'x', h: 'nouns' }), '#lang=x');
+    });
+});
+
+test.describe('parse', () => {
+    test('the order of parameters does not matter', () => {
+        assert.deepEqual(plain(router.parse('#h=nouns&section=grammar&lang=x')), { lang: 'x', section: 'grammar', h: 'nouns' });
+        assert.deepEqual(plain(router.parse('lang=x')), { lang: 'x', section: null, h: null });
+    });
+
+    test('statistics win over a comparison, a comparison over a language', () => {
+        assert.deepEqual(plain(router.parse('#lang=x&compare=a,b&stats')), { stats: true });
+        assert.deepEqual(plain(router.parse('#lang=x&compare=a,b')), { compare: ['a', 'b'] });
+    });
+
+    test('anchors, empty and unknown hashes are not routes', () => {
+        ['', '#', null, undefined, '#language-browser', '#lang=', '#section=grammar&h=nouns', '#compare=', '#=x&&'].forEach(hash => {
+            assert.equal(router.parse(hash), null, `${hash} is a route`);
+        });
+    });
+
+    test('malformed values are kept as text rather than thrown on', () => {
+        assert.deepEqual(plain(router.parse('#lang=%E0%A4%A&section=')), { lang: '�%A', section: null, h: null });
+        assert.deepEqual(plain(router.parse('#compare=,a,,b,')), { compare: ['a', 'b'] });
+        // Left to the browser to refuse, as it does fewer than two languages
+        assert.deepEqual(plain(router.parse('#compare=,')), { compare: [] });
+    });
+});
+
+test('page element ids and routes convert both ways', () => {
+    assert.equal(router.targetFor({ lang: 'x', section: 'grammar', h: 'question-formation' }), 'grammar-question-formation');
+    assert.equal(router.targetFor({ lang: 'x', section: 'grammar', h: null }), 'grammar');
+    assert.equal(router.targetFor({ lang: 'x', section: null, h: null }), null);
+    assert.equal(router.targetFor(null), null);
+
+    assert.deepEqual(plain(router.routeFor('x', 'grammar-question-formation')), { lang: 'x', section: 'grammar', h: 'question-formation' });
+    assert.deepEqual(plain(router.routeFor('x', 'lexicon')), { lang: 'x', section: 'lexicon', h: null });
+    assert.deepEqual(plain(router.routeFor('x')), { lang: 'x', section: null, h: null });
+});
+
+test('navigating pushes new routes, replaces refinements and skips the current one', () => {
+    const { router, entries } = createRouter('#lang=x');
+    router.navigate({ lang: 'x' });
+    router.navigate({ lang: 'y' });
+    router.navigate({ lang: 'y', section: 'grammar' }, { replace: true });
+    router.navigate({ compare: ['x', 'y'] });
+    assert.deepEqual(entries, [
+        ['push', '#lang=y'],
+        ['replace', '#lang=y&section=grammar'],
+        ['push', '#compare=x,y']
+    ]);
+});
+
+test('starting applies the current hash, then follows back and forward', () => {
+    const { router, window, listeners, navigations } = createRouter('#stats');
+    router.start();
+    window.location.hash = '#language-browser';
+    listeners.popstate();
+    window.location.hash = '#lang=x';
+    listeners.popstate();
+    assert.deepEqual(navigations, [
+        [{ stats: true }, { initial: true }],
+        [null, null],
+        [{ lang: 'x', section: null, h: null }, null]
+    ]);
+
+    const blank = createRouter('');
+    blank.router.start();
+    assert.deepEqual(blank.navigations, []);
+});
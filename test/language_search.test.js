@@ -0,0 +1,42 @@
+/**
+ * Search tests: snippets are escaped and their hits marked without
+ * breaking the markup.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createRenderer } = require('./helpers/load_scripts');
+
+const { LanguageSearch } = loadScripts(['js/language_search.js']);
+const search = new LanguageSearch(createRenderer());
+
+test.describe('makeSnippet', () => {
+    test('hits are marked and the rest escaped', () => {
+        assert.equal(search.makeSnippet('The **river** <runs> to the sea', ['river']),
+            'The <mark>river</mark> &lt;runs&gt; to the sea');
+    });
+
+    test('a one-letter term does not match inside entities', () => {
+        assert.equal(search.makeSnippet('He said "water" & left', ['t']),
+            'He said &quot;wa<mark>t</mark>er&quot; &amp; lef<mark>t</mark>');
+        assert.equal(search.makeSnippet('a & b', ['a', 'm']), '<mark>a</mark> &amp; b');
+    });
+
+    test('terms with markup characters are matched as text', () => {
+        assert.equal(search.makeSnippet('salt & pepper', ['&']), 'salt <mark>&amp;</mark> pepper');
+        assert.equal(search.makeSnippet('the "dual" number', ['"dual"']), 'the <mark>&quot;dual&quot;</mark> number');
+    });
+
+    test('case is kept and every term marked', () => {
+        assert.equal(search.makeSnippet('Kata kata KATA ulu', ['kata', 'ulu']),
+            '<mark>Kata</mark> <mark>kata</mark> <mark>KATA</mark> <mark>ulu</mark>');
+    });
+
+    test('long text is cut around the first hit', () => {
+        const text = `${'a '.repeat(100)}river${' b'.repeat(100)}`;
+        const snippet = search.makeSnippet(text, ['river']);
+        assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+        assert.equal(snippet.match(/<mark>/g).length, 1);
+        assert.ok(snippet.includes('<mark>river</mark>'));
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Lexicon format tests: writing and reading CSV, TSV, JSON and LIFT, and
+ * the issues reported per imported row.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, loadScripts, createRenderer } = require('./helpers/load_scripts');
+
+const { LexiconFormats } = loadScripts(['js/delimited_text.js', 'js/lexicon_formats.js']);
+const renderer = createRenderer();
+const formats = new LexiconFormats(renderer);
+
+const sample = [
+    { word: 'kʼata', translation: 'water, river', pos: 'noun', notes: 'Said "kʼaːta" in songs', forms: ['kʼata-n (pl.)', 'a; b'] },
+    { word: 'ti<n>o', translation: 'walk & run', pos: 'verb', notes: '', forms: [] }
+];
+// Values from the sandbox are compared as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+const entries = result => plain(result.rows.map(row => row.entry));
+const messages = row => plain(row.issues.map(issue => `${issue.level}: ${issue.message}`));
+
+test.describe('round trips', () => {
+    ['csv', 'tsv', 'json', 'lift'].forEach(format => {
+        test(format, () => {
+            const result = formats.parse(formats.serialize(sample, format, { id: 'abc' }), format);
+            assert.deepEqual(plain(result.errors), []);
+            assert.deepEqual(entries(result), sample);
+            assert.deepEqual(plain(result.rows.flatMap(messages)), []);
+        });
+    });
+
+    test('words that look like formulas', () => {
+        const affixes = [
+            { word: '-ka', translation: '=ACC', pos: '+suffix', notes: '@ the end', forms: ['-ki', "'-ko"] },
+            { word: "'-ta", translation: "'quoted'", pos: 'suffix', notes: '', forms: ['a', "'-e"] }
+        ];
+        ['csv', 'tsv'].forEach(format => {
+            const text = formats.serialize(affixes, format);
+            assert.deepEqual(entries(formats.parse(text, format)), affixes, format);
+        });
+        const [, first, second] = formats.serialize(affixes, 'csv').split('\r\n');
+        assert.equal(first, "'-ka,'=ACC,'+suffix,'@ the end,'-ki | '-ko");
+        assert.equal(second, "''-ta,'quoted',suffix,,a | '-e");
+    });
+
+    test('real data survives every format', () => {
+        const id = '0b212eef';
+        const lexicon = JSON.parse(fs.readFileSync(path.join(root, 'data', id, 'lexicon.json'), 'utf8'));
+        const expected = plain(renderer.normalizeLexicon(lexicon));
+        ['csv', 'tsv', 'json', 'lift'].forEach(format => {
+            assert.deepEqual(entries(formats.parse(formats.serialize(lexicon, format, { id }), format)), expected, format);
+        });
+    });
+});
+
+test.describe('writing', () => {
+    test('CSV quotes cells and starts with a byte order mark', () => {
+        const [header, first] = formats.serialize(sample, 'csv').split('\r\n');
+        assert.equal(header, '﻿word,translation,pos,notes,forms');
+        assert.equal(first, 'kʼata,"water, river",noun,"Said ""kʼaːta"" in songs",kʼata-n (pl.) | a; b');
+    });
+
+    test('LIFT escapes markup and tags the writing system', () => {
+        const lift = formats.serialize(sample, 'lift', { id: '0B21-2eef' });
+        assert.match(lift, /<form lang="qaa-x-0b212eef"><text>ti&lt;n&gt;o<\/text><\/form>/);
+        assert.match(lift, /<grammatical-info value="verb"\/><gloss lang="en"><text>walk &amp; run<\/text><\/gloss>/);
+    });
+});
+
+test.describe('reading', () => {
+    test('formats are detected from the name, then the content', () => {
+        assert.equal(formats.detectFormat('words.xml', ''), 'lift');
+        assert.equal(formats.detectFormat('words.txt', 'word\ttranslation\n'), 'tsv');
+        assert.equal(formats.detectFormat('', '  [{"word": "a"}]'), 'json');
+    });
+
+    test('header aliases, quoted line breaks and line numbers', () => {
+        const csv = 'Headword,Gloss,Part of Speech,Comment\n"ka\nta",water,noun,\n\nmo,,verb,,extra\n,fire,noun,\nka\nta,water,noun,';
+        const result = formats.parse(csv, 'csv');
+        assert.deepEqual(plain(result.rows.map(row => row.row)), [2, 5, 6, 7, 8]);
+        assert.equal(result.rows[0].entry.word, 'ka\nta');
+        assert.deepEqual(messages(result.rows[1]), ['error: 5 cells; the header has 4 columns']);
+        assert.deepEqual(messages(result.rows[2]), ['error: No word']);
+        assert.deepEqual(messages(result.rows[3]), ['warning: No translation']);
+    });
+
+    test('duplicates are flagged against their first row', () => {
+        const result = formats.parse('word,translation\nka,water\nka,Water\n', 'csv');
+        assert.deepEqual(messages(result.rows[1]), ['warning: Same word and translation as row 2']);
+    });
+
+    test('file-level errors', () => {
+        assert.match(formats.parse('gloss,pos\nwater,noun', 'csv').errors[0], /No word column/);
+        assert.match(formats.parse('word\n"ka', 'csv').errors[0], /Unclosed quote/);
+        assert.match(formats.parse('{"word": 1', 'json').errors[0], /Not valid JSON/);
+        assert.match(formats.parse('<lift><entry></lift>', 'lift').errors[0], /<\/lift> closes <entry>/);
+    });
+
+    test('JSON accepts any lexicon.json schema and flags non-objects', () => {
+        const result = formats.parse('{"entries": [{"lemma": "ka", "gloss": "water"}, 3]}', 'json');
+        assert.equal(result.rows[0].entry.word, 'ka');
+        assert.equal(result.rows[0].entry.translation, 'water');
+        assert.deepEqual(messages(result.rows[1]), ['error: Not an object']);
+    });
+
+    test('LIFT from other tools: senses, definitions, variants, entities', () => {
+        const lift = `<?xml version="1.0"?>
+<!-- exported -->
+<lift version="0.13">
+  <entry id="x"><lexical-unit><form lang="fr"><text>ch&#xE2;t</text></form></lexical-unit>
+    <sense><grammatical-info value="Noun"/><definition><form lang="de"><text>Katze</text></form><form lang="en"><text>cat</text></form></definition></sense>
+    <sense><gloss lang="en"><text><![CDATA[tom & co]]></text></gloss></sense>
+    <variant><form lang="fr"><text>chats</text></form></variant>
+  </entry>
+</lift>`;
+        const [row] = formats.parse(lift, 'lift').rows;
+        assert.deepEqual(plain(row.entry), { word: 'chât', translation: 'cat; tom & co', pos: 'Noun', notes: '', forms: ['chats'] });
+    });
+
+    test('words are checked against the phonotactics', () => {
+        const chart = '## Consonants\n\n| | Labial | Velar |\n| :--- | :---: | :---: |\n| **Plosive** | p | k |\n\n## Vowels\n\n| | Front | Back |\n| :--- | :---: | :---: |\n| **High** | i | u |\n';
+        const result = formats.parse('word,translation\npiku,one\nbiku,two\n', 'csv');
+        formats.checkPhonotactics(result.rows, renderer.createPhonotacticValidator(chart, { syllable: 'CV' }));
+        assert.deepEqual(messages(result.rows[0]), []);
+        assert.match(messages(result.rows[1]).join(), /warning: .*\/b\//);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Markdown parser tests. Fixtures in fixtures/markdown are excerpts of the
+ * real data/*\/grammar.txt and phonology.txt files with their expected HTML;
+ * run with UPDATE_FIXTURES=1 to regenerate the .html files after an
+ * intentional rendering change.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, createRenderer } = require('./helpers/load_scripts');
+
+const renderer = createRenderer();
+const render = markdown => renderer.processMarkdownToHTML(markdown, 'grammar');
+
+test.describe('fixtures', () => {
+    const fixtureDir = path.join(__dirname, 'fixtures', 'markdown');
+    const names = fs.readdirSync(fixtureDir)
+        .filter(file => file.endsWith('.md'))
+        .map(file => file.slice(0, -3));
+
+    names.forEach(name => {
+        test(name, () => {
+            const markdown = fs.readFileSync(path.join(fixtureDir, `${name}.md`), 'utf8');
+            const expectedFile = path.join(fixtureDir, `${name}.html`);
+            const actual = `${render(markdown)}\n`;
+
+            if (process.env.UPDATE_FIXTURES) fs.writeFileSync(expectedFile, actual);
+            assert.equal(actual, fs.readFileSync(expectedFile, 'utf8'));
+        });
+    });
+});
+
+test.describe('blocks', () => {
+    test('4-space nested lists keep their depth', () => {
+        const html = render('*   outer\n    *   inner\n        *   innermost\n*   second');
+        assert.equal(html, [
+            '<ul>',
+            '<li>outer',
+            '<ul>',
+            '<li>inner',
+            '<ul>',
+            '<li>innermost</li>',
+            '</ul></li>',
+            '</ul></li>',
+            '<li>second</li>',
+            '</ul>'
+        ].join('\n'));
+    });
+
+    test('headings from # to ###### render one level down, ###### as a level 7 h6', () => {
+        const html = render('# One\n## Two\n### Three\n#### Four\n##### Five\n###### Six');
+        assert.match(html, /<h2 id="grammar-one">One<\/h2>/);
+        assert.match(html, /<h5 id="grammar-four">Four<\/h5>/);
+        assert.match(html, /<h6 id="grammar-five">Five<\/h6>/);
+        assert.match(html, /<h6 id="grammar-six" aria-level="7">Six<\/h6>/);
+        assert.equal(render('####### Seven'), '<p>####### Seven</p>');
+    });
+
+    test('setext headings', () => {
+        assert.equal(render('Title\n=====\n\nSub\n---'), '<h2 id="grammar-title">Title</h2>\n<h3 id="grammar-sub">Sub</h3>');
+    });
+
+    test('repeated headings get unique ids', () => {
+        const html = render('## Examples\n\n### Examples\n\n#### Examples');
+        assert.deepEqual([...html.matchAll(/id="([^"]+)"/g)].map(match => match[1]),
+            ['grammar-examples', 'grammar-examples-2', 'grammar-examples-3']);
+    });
+
+    test('fenced code is not touched by inline rules', () => {
+        const html = render('```\n**bold** *em* <b>\n```');
+        assert.equal(html, '<pre><code>**bold** *em* &lt;b&gt;</code></pre>');
+    });
+
+    test('tilde fences, info strings and unterminated fences', () => {
+        assert.equal(render('~~~ text\na\n~~~'), '<pre><code class="language-text">a</code></pre>');
+        assert.equal(render('```\nrest of file'), '<pre><code>rest of file</code></pre>');
+    });
+
+    test('indented code blocks', () => {
+        assert.equal(render('    a *b*\n\n    c'), '<pre><code>a *b*\n\nc</code></pre>');
+    });
+
+    test('blockquotes with lazy continuation and nesting', () => {
+        assert.equal(render('> quote\nlazy\n> > nested'),
+            '<blockquote>\n<p>quote\nlazy</p>\n<blockquote>\n<p>nested</p>\n</blockquote>\n</blockquote>');
+    });
+
+    test('ordered lists keep their start number and loose lists use paragraphs', () => {
+        assert.equal(render('3. three\n4. four'), '<ol start="3">\n<li>three</li>\n<li>four</li>\n</ol>');
+        assert.equal(render('- a\n\n- b'), '<ul>\n<li><p>a</p></li>\n<li><p>b</p></li>\n</ul>');
+    });
+
+    test('only lists starting at 1 interrupt a paragraph', () => {
+        assert.equal(render('In 1990\n2. was not a list'), '<p>In 1990\n2. was not a list</p>');
+        assert.match(render('Steps:\n1. first'), /<p>Steps:<\/p>\n<ol>/);
+    });
+
+    test('thematic breaks', () => {
+        assert.equal(render('a\n\n***\n\n- - -'), '<p>a</p>\n<hr>\n<hr>');
+    });
+
+    test('tables take alignment from the delimiter row', () => {
+        const html = render('| a | b | c | d |\n| --- | :-- | :-: | --: |\n| 1 | 2 | 3 | 4 |');
+        assert.match(html, /<th>a<\/th><th style="text-align: left">b<\/th><th style="text-align: center">c<\/th><th style="text-align: right">d<\/th>/);
+        assert.match(html, /<td>1<\/td><td style="text-align: left">2<\/td>/);
+    });
+
+    test('bold first cells become row headers and short rows are padded', () => {
+        const html = render('| | x | y |\n| - | - | - |\n| **Stop** | p |');
+        assert.match(html, /<tr><th scope="row" class="row-header">Stop<\/th><td>p<\/td><td><\/td><\/tr>/);
+    });
+
+    test('escaped pipes stay inside a cell', () => {
+        assert.match(render('| a |\n| - |\n| x \\| y |'), /<td>x \| y<\/td>/);
+    });
+});
+
+test.describe('inline', () => {
+    test('emphasis and strong emphasis', () => {
+        assert.equal(renderer.renderInline('*a **b** c*'), '<em>a <strong>b</strong> c</em>');
+        assert.equal(renderer.renderInline('***both***'), '<em><strong>both</strong></em>');
+        assert.equal(renderer.renderInline('**a*b*c**'), '<strong>a<em>b</em>c</strong>');
+    });
+
+    test('asterisks in IPA and reconstructions stay literal', () => {
+        assert.equal(renderer.renderInline('(.CV.CV...)*'), '(.CV.CV...)*');
+        assert.equal(renderer.renderInline('a * b * c'), 'a * b * c');
+        assert.equal(renderer.renderInline('PIE *ḱwṓ and *h₂éwis'), 'PIE *ḱwṓ and *h₂éwis');
+    });
+
+    test('intraword underscores are not emphasis', () => {
+        assert.equal(renderer.renderInline('snake_case_word'), 'snake_case_word');
+        assert.equal(renderer.renderInline('_em_'), '<em>em</em>');
+    });
+
+    test('code spans take precedence and match backtick runs', () => {
+        assert.equal(renderer.renderInline('`*not em*`'), '<code>*not em*</code>');
+        assert.equal(renderer.renderInline('`` a`b ``'), '<code>a`b</code>');
+        assert.equal(renderer.renderInline('`unclosed'), '`unclosed');
+    });
+
+    test('backslash escapes', () => {
+        assert.equal(renderer.renderInline('\\*not em\\*'), '*not em*');
+    });
+
+    test('links, autolinks and unsafe URLs', () => {
+        assert.equal(renderer.renderInline('[Leipzig](https://example.org/lgr "rules")'),
+            '<a href="https://example.org/lgr">Leipzig</a>');
+        assert.equal(renderer.renderInline('<https://example.org>'),
+            '<a href="https://example.org">https://example.org</a>');
+        assert.equal(renderer.renderInline('[x](javascript:alert(1))'), '[x](javascript:alert(1))');
+    });
+
+    test('raw HTML is escaped except for line breaks and sub/superscripts', () => {
+        assert.equal(renderer.renderInline('<script>x</script>'), '&lt;script&gt;x&lt;/script&gt;');
+        assert.equal(renderer.renderInline('i<br>y C<sup>w</sup>'), 'i<br>y C<sup>w</sup>');
+    });
+
+    test('hard line breaks', () => {
+        assert.equal(render('line  \nbreak'), '<p>line<br>\nbreak</p>');
+        assert.equal(render('line\\\nbreak'), '<p>line<br>\nbreak</p>');
+    });
+});
+
+test.describe('real data', () => {
+    const files = fs.readdirSync(path.join(root, 'data'), { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .flatMap(entry => ['phonology.txt', 'grammar.txt'].map(file => path.join(root, 'data', entry.name, file)))
+        .filter(file => fs.existsSync(file));
+    const voidTags = new Set(['br', 'hr']);
+
+    files.forEach(file => {
+        test(path.relative(root, file), () => {
+            const html = render(fs.readFileSync(file, 'utf8'));
+
+            assert.ok(!html.includes('```'), 'no fence markers left over');
+            assert.doesNotMatch(html, /(^|>)#{1,6} /m, 'no unparsed headings');
+            assert.doesNotMatch(html, /<(p|li)>[*+-] /, 'no unparsed list items');
+
+            const open = [];
+            for (const [, closing, tag] of html.matchAll(/<(\/?)([a-z][a-z0-9]*)\b[^>]*>/g)) {
+                if (voidTags.has(tag)) continue;
+                if (!closing) {
+                    open.push(tag);
+                } else {
+                    assert.equal(open.pop(), tag, `</${tag}> closes the most recent open tag`);
+                }
+            }
+            assert.deepEqual(open, [], 'all tags are closed');
+        });
+    });
+});
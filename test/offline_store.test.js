@@ -0,0 +1,176 @@
+/**
+ * Offline store tests: the precached shell, data versions, the files cached
+ * per language and "download all" against an in-memory CacheStorage.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { webcrypto } = require('node:crypto');
+const { root, loadScripts, createRenderer } = require('./helpers/load_scripts');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Just enough of the Cache API: caches keyed by name, responses by URL
+ */
+function createCacheStorage() {
+    const caches = new Map();
+    const open = name => {
+        if (!caches.has(name)) {
+            const entries = new Map();
+            caches.set(name, {
+                entries,
+                match: async url => entries.get(String(url)),
+                put: async (url, response) => { entries.set(String(url), response); }
+            });
+        }
+        return caches.get(name);
+    };
+    return {
+        caches,
+        open: async name => open(name),
+        keys: async () => [...caches.keys()],
+        delete: async name => caches.delete(name),
+        match: async url => {
+            for (const cache of caches.values()) {
+                if (cache.entries.has(String(url))) return cache.entries.get(String(url));
+            }
+            return undefined;
+        }
+    };
+}
+
+// Serves the site's files as real Responses, counting the requests
+function createFetch() {
+    const requests = [];
+    const fetch = async url => {
+        requests.push(String(url));
+        const filename = path.join(root, String(url));
+        if (!filename.startsWith(root) || !fs.existsSync(filename)) return new Response('', { status: 404, statusText: 'Not Found' });
+        return new Response(fs.readFileSync(filename));
+    };
+    return { fetch, requests };
+}
+
+function createStore(globals = {}) {
+    const cacheStorage = createCacheStorage();
+    const { OfflineStore } = loadScripts(['js/offline_store.js'], { crypto: webcrypto, TextEncoder, ...globals });
+    return { store: new OfflineStore(cacheStorage), cacheStorage };
+}
+
+// As main.js reads languages.json
+const indexText = fs.readFileSync(path.join(root, 'data', 'languages.json'), 'utf8');
+const languages = JSON.parse(indexText).languages.map(language => ({
+    id: language.id,
+    hasPhonology: language.has_phonology,
+    hasGrammar: language.has_grammar,
+    hasLexicon: language.has_lexicon,
+    hasOrthography: language.has_orthography,
+    hasPhonotactics: language.has_phonotactics
+}));
+
+test('the shell holds every script and stylesheet index.html loads', () => {
+    const { store } = createStore();
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    const loaded = [...html.matchAll(/<(?:script src|link rel="stylesheet" href)="([^"]+)"/g)].map(match => match[1]);
+
+    assert.ok(loaded.length > 10);
+    loaded.forEach(file => assert.ok(store.shellFiles.includes(file), `${file} is not precached`));
+    store.shellFiles.filter(file => file !== './').forEach(file => assert.ok(fs.existsSync(path.join(root, file)), `${file} does not exist`));
+    assert.ok(!store.shellCache.startsWith(store.dataPrefix));
+});
+
+test('the data version follows the contents of languages.json', async () => {
+    const { store } = createStore();
+    const version = await store.version(indexText);
+
+    assert.match(version, /^[0-9a-f]{12}$/);
+    assert.equal(await store.version(indexText), version);
+    assert.notEqual(await store.version(indexText.replace(/"last_updated": "[^"]*"/, '"last_updated": "2030-01-01T00:00:00"')), version);
+    assert.equal(store.dataCacheName(version), `conlangcrafter-data-${version}`);
+});
+
+test('a language is cached as the files the viewer fetches', () => {
+    const { store } = createStore();
+    assert.deepEqual(plain(store.languageFiles({ id: 'x', hasPhonology: true, hasGrammar: true, hasLexicon: false })), [
+        'data/x/metadata.json', 'data/x/phonology.txt', 'data/x/grammar.txt'
+    ]);
+    assert.deepEqual(plain(store.languageFiles({ id: 'y', hasLexicon: true, hasOrthography: true, hasPhonotactics: true })).slice(-3), [
+        'data/y/lexicon.json', 'data/y/orthography.json', 'data/y/phonotactics.json'
+    ]);
+});
+
+test('a new languages.json replaces the data cache', async () => {
+    const { store, cacheStorage } = createStore();
+    const first = await store.updateIndex('{"languages": []}', new Response('old'));
+    await first.put('data/x/metadata.json', new Response('{}'));
+    await (await cacheStorage.open(store.shellCache)).put('index.html', new Response(''));
+
+    await store.updateIndex(indexText, new Response(indexText));
+    const names = await cacheStorage.keys();
+    assert.deepEqual(plain(names), [store.shellCache, store.dataCacheName(await store.version(indexText))]);
+    assert.equal(await cacheStorage.match('data/x/metadata.json'), undefined);
+    assert.equal(await (await cacheStorage.match(store.indexPath)).text(), indexText);
+    assert.equal((await store.currentDataCache()), cacheStorage.caches.get(names[1]));
+});
+
+test('installing fetches languages.json to start the data cache', async () => {
+    const { fetch, requests } = createFetch();
+    const { store } = createStore({ fetch });
+
+    assert.equal(await store.currentDataCache(), null);
+    const cache = await store.refreshIndex();
+    assert.deepEqual(requests, [store.indexPath]);
+    assert.equal(await store.currentDataCache(), cache);
+    assert.equal(await (await cache.match(store.indexPath)).text(), indexText);
+
+    const offline = createStore({ fetch: async () => new Response('', { status: 503, statusText: 'Service Unavailable' }) });
+    await assert.rejects(offline.store.refreshIndex(), /HTTP 503/);
+    assert.equal(await offline.store.currentDataCache(), null);
+});
+
+test('download all caches every language once', async () => {
+    const { fetch, requests } = createFetch();
+    const { store } = createStore({ fetch });
+    const progress = [];
+
+    assert.deepEqual(plain([...await store.availableOffline(languages)]), []);
+    const failed = await store.downloadAll(languages, (done, total) => progress.push([done, total]));
+
+    assert.deepEqual(plain(failed), []);
+    assert.deepEqual(progress, languages.map((language, i) => [i + 1, languages.length]));
+    const files = languages.flatMap(language => store.languageFiles(language));
+    assert.deepEqual(requests, [store.indexPath, ...files]);
+    assert.equal((await store.availableOffline(languages)).size, languages.length);
+
+    // Nothing is fetched twice while languages.json is unchanged
+    requests.length = 0;
+    await store.downloadAll(languages);
+    assert.deepEqual(requests, [store.indexPath]);
+});
+
+test('download all keeps missing files as 404s and reports failures', async () => {
+    const files = createFetch();
+    const fetch = async url => {
+        if (String(url).startsWith('data/unreachable/')) throw new TypeError('Failed to fetch');
+        return files.fetch(url);
+    };
+    const { store, cacheStorage } = createStore({ fetch });
+    const missing = { id: 'missing', hasLexicon: true };
+    const unreachable = { id: 'unreachable' };
+
+    assert.deepEqual(plain(await store.downloadAll([languages[0], missing, unreachable])), ['unreachable']);
+    assert.deepEqual(plain([...await store.availableOffline([languages[0], missing, unreachable])]), [languages[0].id, 'missing']);
+    assert.equal((await cacheStorage.match('data/missing/lexicon.json')).status, 404);
+});
+
+test('the renderer fetches languages.json once', async () => {
+    const { fetch, requests } = createFetch();
+    const renderer = createRenderer({ fetch });
+
+    await renderer.loadLanguage(languages[0].id);
+    await renderer.loadLanguage(languages[1].id);
+    assert.equal(requests.filter(url => url === 'data/languages.json').length, 1);
+});
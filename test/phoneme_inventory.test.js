@@ -0,0 +1,115 @@
+/**
+ * Phoneme inventory tests: symbol classification, chart cell splitting, and
+ * a sweep over the real phonology files.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, createRenderer } = require('./helpers/load_scripts');
+
+const renderer = createRenderer();
+const inventory = renderer.phonemeInventory;
+const consonant = (symbol, row = '', column = '') => inventory.classifyConsonant({ symbol, row, column });
+
+test.describe('classification', () => {
+    test('plain consonants come from the symbol, not the chart labels', () => {
+        const f = consonant('f', 'Fricative', 'Bilabial');
+        assert.equal(f.place, 'labiodental');
+        assert.equal(f.manner, 'fricative');
+        assert.equal(f.voiced, false);
+        assert.equal(f.series, 'pulmonic');
+    });
+
+    test('modifiers become features', () => {
+        const c = consonant('kʷʰ');
+        assert.equal(c.place, 'velar');
+        assert.equal([...c.features].join(), 'labialized,aspirated');
+        assert.equal(inventory.describeConsonant(c), 'voiceless velar plosive, labialized, aspirated');
+    });
+
+    test('affricates take the place of their fricative', () => {
+        assert.equal(consonant('t͡ʃ').place, 'postalveolar');
+        assert.equal(consonant('ts').manner, 'affricate');
+        assert.equal(consonant('t͡ɬ').manner, 'lateral affricate');
+        assert.equal(consonant('dʑ').voiced, true);
+    });
+
+    test('ejectives, implosives, prenasalized stops and clicks get their own series', () => {
+        assert.equal(consonant('tʼ').series, 'ejective');
+        assert.equal(consonant('ɓ').series, 'implosive');
+        assert.equal(consonant('ᵐb').series, 'prenasalized');
+
+        const click = consonant('ᵑǀ');
+        assert.equal(click.series, 'click');
+        assert.equal(click.place, 'dental');
+        assert.equal(click.manner, 'nasal');
+        assert.equal(consonant('ǃkʼ').series, 'click');
+    });
+
+    test('a dental column or diacritic moves plain alveolars', () => {
+        assert.equal(consonant('t', 'Plosive', 'Dental').place, 'dental');
+        assert.equal(consonant('t̪', 'Plosive', 'Alveolar').place, 'dental');
+        assert.equal(consonant('t̠', 'Plosive', 'Alveolar').place, 'postalveolar');
+    });
+
+    test('precomposed letters keep their identity', () => {
+        assert.equal(consonant('ç').manner, 'fricative');
+        assert.equal(consonant('ç'.normalize('NFD')).place, 'palatal');
+    });
+
+    test('unknown symbols fall back to the chart labels', () => {
+        const c = consonant('SR', 'Stop', 'Labial');
+        assert.equal(c.classified, false);
+        assert.equal(c.place, 'bilabial');
+        assert.equal(c.manner, 'plosive');
+    });
+
+    test('vowels', () => {
+        const vowel = inventory.classifyVowel({ symbol: 'øː', row: 'Mid', column: 'Front' });
+        assert.equal(vowel.height, 'close-mid');
+        assert.equal(vowel.backness, 'front');
+        assert.equal(vowel.rounded, true);
+        assert.equal(inventory.describeVowel(vowel), 'close-mid front rounded vowel, long');
+        assert.equal(inventory.classifyVowel({ symbol: 'a', row: 'Low', column: 'Central' }).backness, 'central');
+    });
+});
+
+test.describe('chart cells', () => {
+    const symbols = cell => inventory.splitSymbols(cell).map(({ symbol, marginal }) => (marginal ? `(${symbol})` : symbol));
+
+    test('splits on spaces and line breaks', () => {
+        assert.equal(symbols('p b pʰ<br>pʷ').join(' '), 'p b pʰ pʷ');
+    });
+
+    test('parenthesized symbols are marginal; annotations and footnotes are dropped', () => {
+        assert.equal(symbols('(ʔ)').join(' '), '(ʔ)');
+        assert.equal(symbols('s z (Dental)').join(' '), 's z');
+        assert.equal(symbols('a [+ATR]').join(' '), 'a');
+        assert.equal(symbols('ɓ¹').join(' '), 'ɓ');
+    });
+});
+
+test.describe('real data', () => {
+    const dataDir = path.join(root, 'data');
+    const ids = fs.readdirSync(dataDir)
+        .filter(id => fs.existsSync(path.join(dataDir, id, 'phonology.txt')));
+
+    ids.forEach(id => {
+        test(id, () => {
+            const text = fs.readFileSync(path.join(dataDir, id, 'phonology.txt'), 'utf8');
+            const { consonants, vowels } = renderer.extractInventory(text);
+            const html = renderer.renderPhonology(text);
+
+            // Every phoneme of a redrawn chart appears on it exactly once
+            [[consonants, 'consonant-chart'], [vowels, 'vowel-chart']].forEach(([phonemes, className]) => {
+                if (!html.includes(`class="${className}`)) return;
+                const start = html.indexOf(`class="${className}`);
+                const chart = html.slice(start, html.indexOf('class="phoneme-info"', start));
+                const buttons = chart.match(/<button type="button" class="phoneme/g) || [];
+                assert.equal(buttons.length, phonemes.length);
+            });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Phonotactic validator tests: template reading, syllabification, rule
+ * checks and a sweep over the real lexicons.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, loadScripts, createRenderer } = require('./helpers/load_scripts');
+
+const { PhonotacticValidator } = loadScripts(['js/phonotactic_validator.js']);
+const renderer = createRenderer();
+
+const chart = `## Consonants
+
+| | Labial | Alveolar | Velar |
+| :--- | :---: | :---: | :---: |
+| **Plosive** | p | t | k |
+| **Ejective** | pʼ | tʼ | kʼ |
+| **Nasal** | m | n | |
+
+## Vowels
+
+| | Front | Back |
+| :--- | :---: | :---: |
+| **High (+ATR)** | i | u |
+| **High (-ATR)** | ɪ | ʊ |
+`;
+
+const validator = constraints => renderer.createPhonotacticValidator(chart, constraints);
+const rules = result => result.violations.map(violation => violation.rule).join();
+
+test.describe('templates', () => {
+    test('found in running text, without word shapes', () => {
+        const text = 'Syllables are (C)V(C), as in CV and CVC words (CCV is rare). Words are CVCV.';
+        const found = PhonotacticValidator.findTemplates(text);
+        assert.equal(found.join(' '), '(C)V(C) CV CVC CCV');
+    });
+
+    test('limits are the union of the templates', () => {
+        const { syllable } = validator({ syllable: ['CV', '(C)CV(C)(C)'] });
+        assert.equal(syllable.onset.join(), '1,2');
+        assert.equal(syllable.coda.join(), '0,2');
+    });
+});
+
+test.describe('validation', () => {
+    test('syllabifies with maximal onsets that rise in sonority', () => {
+        assert.equal(validator({ syllable: '(C)(C)V(C)' }).validate('ˈpitkun').syllabified, 'pit.kun');
+        assert.equal(validator({ syllable: '(C)(C)V(C)' }).validate('ki.pu').syllabified, 'ki.pu');
+    });
+
+    test('codas and clusters break a CV template; bound forms are exempt', () => {
+        const cv = validator({ syllable: 'CV' });
+        assert.equal(rules(cv.validate('pit')), 'syllable');
+        assert.equal(rules(cv.validate('ipu')), 'syllable');
+        assert.equal(rules(cv.validate('-n')), '');
+        assert.equal(rules(cv.validate('kʼɪ.tu')), '');
+    });
+
+    test('sounds outside the inventory', () => {
+        const result = validator({}).validate('biku');
+        assert.equal(rules(result), 'inventory');
+        assert.match(result.violations[0].detail, /\/b\//);
+    });
+
+    test('forbidden sequences and harmony', () => {
+        const atr = validator({
+            rules: [
+                { id: 'ejective-atr', forbid: ['ejective', '+ATR'] },
+                { id: 'atr-harmony', harmony: ['+ATR', '-ATR'] },
+                { id: 'final-nasal', forbid: ['nasal', '#'] }
+            ]
+        });
+        assert.equal(rules(atr.validate('kʼɪtʊ')), '');
+        assert.equal(rules(atr.validate('kʼitu')), 'ejective-atr');
+        assert.equal(rules(atr.validate('pitʊ')), 'atr-harmony');
+        assert.equal(rules(atr.validate('pin')), 'final-nasal');
+    });
+
+    test('harmony is inferred from the text and the charts', () => {
+        const inferred = renderer.createPhonotacticValidator(`${chart}\nAll vowels in a word agree in ATR (ATR harmony).`);
+        assert.equal(inferred.rules.map(rule => rule.id).join(), 'atr-harmony');
+    });
+});
+
+test.describe('real data', () => {
+    const dataDir = path.join(root, 'data');
+    const ids = fs.readdirSync(dataDir)
+        .filter(id => fs.existsSync(path.join(dataDir, id, 'lexicon.json')) && fs.existsSync(path.join(dataDir, id, 'phonology.txt')));
+
+    ids.forEach(id => {
+        test(id, () => {
+            const read = file => fs.readFileSync(path.join(dataDir, id, file), 'utf8');
+            const phonology = read('phonology.txt');
+            const lexicon = JSON.parse(read('lexicon.json'));
+            const constraints = fs.existsSync(path.join(dataDir, id, 'phonotactics.json')) ? JSON.parse(read('phonotactics.json')) : null;
+
+            renderer.transliterator = renderer.createTransliterator(phonology, lexicon);
+            renderer.phonotactics = renderer.createPhonotacticValidator(phonology, constraints);
+            try {
+                const html = renderer.renderLexicon(lexicon);
+                const flagged = (html.match(/class="phonotactic-violation"/g) || []).length;
+                const summary = html.match(/Phonotactics: (\d+) of/);
+                assert.equal(summary ? Number(summary[1]) : 0, flagged);
+
+                // Generated lexicons are largely consistent with their phonology
+                assert.ok(flagged < renderer.normalizeLexicon(lexicon).length / 2, `${flagged} words flagged`);
+            } finally {
+                renderer.transliterator = null;
+                renderer.phonotactics = null;
+            }
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Static page tests: the pre-rendered language pages, their Open Graph
+ * tags, the plain list and the sitemap.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { root } = require('./helpers/load_scripts');
+const { audit, parseHTML, findAll } = require('./helpers/accessibility_audit');
+const { prerender, describeLanguage, renderSitemap } = require('../tools/prerender');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+const index = JSON.parse(fs.readFileSync(path.join(root, 'data', 'languages.json'), 'utf8'));
+const baseUrl = 'https://example.org/site';
+
+const meta = (html, key) => findAll(parseHTML(html), element =>
+    element.tag === 'meta' && (element.attributes.property === key || element.attributes.name === key)
+)[0]?.attributes.content;
+
+test('every language gets a page with its own tags', async () => {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'prerender-'));
+    try {
+        const result = await prerender({ baseUrl: `${baseUrl}/`, out });
+        assert.equal(result.languages, index.languages.length);
+        assert.deepEqual(fs.readdirSync(path.join(out, 'languages')).sort(), [...index.languages.map(entry => entry.id), 'index.html'].sort());
+
+        index.languages.forEach(entry => {
+            const html = fs.readFileSync(path.join(out, 'languages', entry.id, 'index.html'), 'utf8');
+            const url = `${baseUrl}/languages/${entry.id}/`;
+            assert.equal(meta(html, 'og:url'), url);
+            assert.ok(html.includes(`<link rel="canonical" href="${url}">`));
+            assert.ok(meta(html, 'og:title').includes(entry.name_orthography || entry.name));
+            assert.ok(meta(html, 'description').startsWith(`${entry.name} is a constructed language`));
+            // Links back to the list and to the language in the browser
+            const links = findAll(parseHTML(html), element => element.tag === 'a' && element.parent.tag === 'nav').map(a => a.attributes.href);
+            assert.deepEqual(links, ['../', `../../#lang=${entry.id}`]);
+        });
+
+        const page = fs.readFileSync(path.join(out, 'languages', '0b212eef', 'index.html'), 'utf8');
+        assert.deepEqual(plain(audit(page)), []);
+        const list = fs.readFileSync(path.join(out, 'languages', 'index.html'), 'utf8');
+        assert.deepEqual(plain(audit(list)), []);
+        assert.equal(findAll(parseHTML(list), element => element.tag === 'li').length, index.languages.length);
+
+        const sitemap = fs.readFileSync(path.join(out, 'sitemap.xml'), 'utf8');
+        const locations = [...sitemap.matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]);
+        assert.equal(locations.length, index.languages.length + 2);
+        assert.deepEqual(locations.slice(0, 2), [`${baseUrl}/`, `${baseUrl}/languages/`]);
+    } finally {
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+});
+
+test('descriptions summarise the entry', () => {
+    const entry = {
+        name: 'Auo\'oa',
+        model: 'gemini-2.5-pro',
+        user_constraints: 'There are no consonant phonemes.',
+        has_phonology: true,
+        has_grammar: true,
+        features: ['Tone System', 'SVO Word Order']
+    };
+    assert.equal(describeLanguage(entry, null),
+        'Auo\'oa is a constructed language generated with ConlangCrafter by gemini-2.5-pro under the constraint "There are no consonant phonemes". '
+        + 'Its reference covers phonology and grammar. Features: Tone System, SVO Word Order.');
+    assert.equal(describeLanguage({ name: 'Ka', has_grammar: true }, [{}, {}]),
+        'Ka is a constructed language generated with ConlangCrafter. Its reference covers grammar and a lexicon of 2 words.');
+});
+
+test('sitemap entries are escaped and dated where known', () => {
+    assert.equal(renderSitemap([{ url: 'https://example.org/?a=1&b=2', lastModified: '2025-08-02' }, { url: 'https://example.org/x/', lastModified: null }]),
+        `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://example.org/?a=1&amp;b=2</loc>
+    <lastmod>2025-08-02</lastmod>
+  </url>
+  <url>
+    <loc>https://example.org/x/</loc>
+  </url>
+</urlset>
+`);
+});
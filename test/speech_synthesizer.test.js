@@ -0,0 +1,62 @@
+/**
+ * Speech synthesizer tests: IPA parsing and sample rendering. Playback
+ * itself needs Web Audio and is not covered here.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load_scripts');
+
+const { IpaSynthesizer } = loadScripts(['js/speech_synthesizer.js']);
+const synthesizer = new IpaSynthesizer();
+const symbols = ipa => synthesizer.parse(ipa).map(segment => segment.symbol).join(' ');
+
+test.describe('parsing', () => {
+    test('modifiers attach to the preceding segment', () => {
+        const [k, a] = synthesizer.parse('kʷʰaː');
+        assert.equal([...k.features].join(), 'labialized,aspirated');
+        assert.equal([...a.features].join(), 'long');
+    });
+
+    test('tone letters and tone diacritics set the vowel tone', () => {
+        const vowels = synthesizer.parse('pʰo.so˥˩ ká').filter(segment => segment.type === 'vowel');
+        assert.equal(vowels[0].tone, null);
+        assert.equal([...vowels[1].tone].join(), '5,1');
+        assert.equal([...vowels[2].tone].join(), '4');
+    });
+
+    test('stress marks the following vowel', () => {
+        const vowels = synthesizer.parse('ko.ro.ˈko.na').filter(segment => segment.type === 'vowel');
+        assert.equal(vowels.map(vowel => vowel.stress).join(), 'false,false,true,false');
+    });
+
+    test('an apostrophe is an ejective after a stop and stress elsewhere', () => {
+        const [k] = synthesizer.parse("k'u");
+        assert.ok(k.features.includes('ejective'));
+        assert.ok(synthesizer.parse("'mʷa")[1].stress);
+    });
+
+    test('prenasalization, precomposed letters and pauses', () => {
+        assert.equal(symbols('ᵐbu'), 'm b u');
+        assert.equal(symbols('ç'.normalize('NFD')), 'ç');
+        assert.equal(symbols('-lo/-lɔ'), 'l o / l ɔ');
+    });
+});
+
+test.describe('rendering', () => {
+    test('produces normalized samples', () => {
+        const samples = synthesizer.render('ǁa.kʰwe.sa˥');
+        const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        assert.ok(samples.length > synthesizer.sampleRate * 0.3);
+        assert.ok(peak > 0.5 && peak <= 0.9);
+        assert.ok(samples.every(Number.isFinite));
+    });
+
+    test('long vowels last longer', () => {
+        assert.ok(synthesizer.render('paː').length > synthesizer.render('pa').length);
+    });
+
+    test('text with no known symbols is silent', () => {
+        assert.equal(synthesizer.render('123').length, 0);
+    });
+});
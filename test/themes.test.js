@@ -0,0 +1,140 @@
+/**
+ * Theme tests: the stored choice, the fall back to the system preference
+ * when there is none (or no storage), and how a theme reaches the site and
+ * the generated pages.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load_scripts');
+const { renderPage } = require('./helpers/dom');
+
+/**
+ * A theme manager over `localStorage` (an in-memory one unless given;
+ * null for none)
+ */
+function createThemes(localStorage = createStorage()) {
+    const window = localStorage ? { localStorage } : {};
+    const { ThemeManager } = loadScripts(['js/themes.js'], { window });
+    return { themes: new ThemeManager(), localStorage };
+}
+
+function createStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+const unavailable = () => { throw new Error('SecurityError: The operation is insecure.'); };
+
+test.describe('preference', () => {
+    test('a choice is stored and read back', () => {
+        const { themes, localStorage } = createThemes();
+        const changes = [];
+        themes.onChange(theme => changes.push(theme));
+
+        themes.preference = 'dark';
+        assert.equal(localStorage.items.get('conlangcrafter-theme'), 'dark');
+        assert.equal(createThemes(localStorage).themes.preference, 'dark');
+
+        themes.preference = 'high-contrast';
+        assert.equal(themes.preference, 'high-contrast');
+        assert.equal(themes.current, 'high-contrast');
+        assert.deepEqual(changes, ['dark', 'high-contrast']);
+    });
+
+    test('choosing the system preference, or an unknown theme, forgets the choice', () => {
+        ['system', 'sepia', undefined].forEach(name => {
+            const { themes, localStorage } = createThemes(createStorage({ 'conlangcrafter-theme': 'dark' }));
+            themes.preference = name;
+            assert.equal(localStorage.items.has('conlangcrafter-theme'), false);
+            assert.equal(themes.preference, 'system');
+            assert.equal(themes.current, 'system');
+        });
+    });
+
+    test('nothing stored, or something unknown stored, follows the system', () => {
+        assert.equal(createThemes().themes.preference, 'system');
+        assert.equal(createThemes(createStorage({ 'conlangcrafter-theme': 'sepia' })).themes.preference, 'system');
+        assert.equal(createThemes(createStorage({ 'conlangcrafter-theme': 'system' })).themes.preference, 'system');
+    });
+
+    test('without storage the system is followed and a choice lasts the visit', () => {
+        const storages = [null, { getItem: unavailable, setItem: unavailable, removeItem: unavailable }];
+        storages.forEach(storage => {
+            const { themes } = createThemes(storage);
+            assert.equal(themes.preference, 'system');
+
+            themes.preference = 'dark';
+            assert.equal(themes.preference, 'system');
+            assert.equal(themes.current, 'dark');
+            assert.equal(themes.documentAttribute(), ' data-theme="dark"');
+        });
+    });
+});
+
+test.describe('documentAttribute', () => {
+    test('names the chosen theme, or nothing to follow the system', () => {
+        const { themes } = createThemes(createStorage({ 'conlangcrafter-theme': 'high-contrast' }));
+        assert.equal(themes.documentAttribute(), ' data-theme="high-contrast"');
+        assert.equal(themes.documentAttribute('light'), ' data-theme="light"');
+        assert.equal(themes.documentAttribute('system'), '');
+        assert.equal(themes.documentAttribute('" onload="alert(1)'), '');
+
+        themes.preference = 'system';
+        assert.equal(themes.documentAttribute(), '');
+        assert.equal(createThemes().themes.documentAttribute(), '');
+    });
+
+    test('a choice made this visit wins over what is stored', () => {
+        const { themes, localStorage } = createThemes();
+        themes.preference = 'dark';
+        localStorage.items.set('conlangcrafter-theme', 'light');
+        assert.equal(themes.documentAttribute(), ' data-theme="dark"');
+    });
+});
+
+test('every theme defines the same colors', () => {
+    const { themes } = createThemes();
+    const keys = Object.keys(themes.themes.light.colors);
+    Object.entries(themes.themes).forEach(([name, theme]) => {
+        assert.deepEqual(Object.keys(theme.colors), keys, `${name} differs from light`);
+    });
+});
+
+test('the dark colors apply under the system preference only when nothing is chosen', () => {
+    const { themes } = createThemes();
+    const { window, document } = renderPage(`<style>${themes.generateCSS()}</style>`);
+    try {
+        const rules = [...document.styleSheets[0].cssRules];
+        const system = rules.find(rule => rule.media?.mediaText === '(prefers-color-scheme: dark)');
+        assert.deepEqual([...system.cssRules].map(rule => rule.selectorText), [':root:not([data-theme])']);
+        assert.equal(system.cssRules[0].style.getPropertyValue('--color-page'), themes.themes.dark.colors.page);
+
+        const chosen = rules.filter(rule => rule.selectorText?.startsWith(':root[data-theme='));
+        assert.deepEqual(chosen.map(rule => rule.selectorText), Object.keys(themes.themes).map(name => `:root[data-theme="${name}"]`));
+    } finally {
+        window.close();
+    }
+});
+
+test('installing sets data-theme and follows later choices', () => {
+    const { themes } = createThemes(createStorage({ 'conlangcrafter-theme': 'dark' }));
+    const { window, document } = renderPage('<html><head></head><body></body></html>');
+    try {
+        themes.install(document);
+        assert.ok(document.getElementById('theme-variables'));
+        assert.equal(document.documentElement.dataset.theme, 'dark');
+
+        themes.preference = 'high-contrast';
+        assert.equal(document.documentElement.dataset.theme, 'high-contrast');
+        themes.preference = 'system';
+        assert.equal(document.documentElement.hasAttribute('data-theme'), false);
+    } finally {
+        window.close();
+    }
+});
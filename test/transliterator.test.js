@@ -0,0 +1,106 @@
+/**
+ * Transliterator tests: rule precedence, context rules, inference from the
+ * phonology and a sweep over the real lexicons.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, loadScripts, createRenderer } = require('./helpers/load_scripts');
+
+const { Transliterator } = loadScripts(['js/transliterator.js']);
+const renderer = createRenderer();
+
+test.describe('rules', () => {
+    test('longest grapheme first, accents and stress pass through', () => {
+        const transliterator = new Transliterator([
+            { grapheme: 's', ipa: 's' }, { grapheme: 'sh', ipa: 'ʃ' }, { grapheme: 'a', ipa: 'a' }, { grapheme: 'e', ipa: 'e' }
+        ]);
+        assert.equal(transliterator.toIPA('Shasé').ipa, 'ʃasé');
+        assert.equal(transliterator.toIPA("ˈsa'sa").ipa, "ˈsa'sa");
+    });
+
+    test('context rules and unknown letters', () => {
+        const transliterator = new Transliterator([
+            { grapheme: 'c', ipa: 's', before: '[ei]' }, { grapheme: 'c', ipa: 'k' },
+            { grapheme: 'e', ipa: 'e' }, { grapheme: 'a', ipa: 'a' }
+        ]);
+        const { ipa, unknown } = transliterator.toIPA('cecaq');
+        assert.equal(ipa, 'sekaq');
+        assert.equal([...unknown].join(), 'q');
+    });
+
+    test('phonemic forms are taken as they are', () => {
+        assert.equal(new Transliterator([]).toIPA('/ʔa.ka/').ipa, 'ʔa.ka');
+    });
+
+    test('spelling back from IPA', () => {
+        const transliterator = new Transliterator([{ grapheme: 'sh', ipa: 'ʃ' }, { grapheme: 'a', ipa: 'a' }]);
+        assert.equal(transliterator.toOrthography('ʃa'), 'sha');
+    });
+});
+
+test.describe('inference', () => {
+    test('orthography.json outranks the phonology, which outranks conventions', () => {
+        const transliterator = Transliterator.infer({
+            orthography: { graphemes: { y: 'ʝ' } },
+            text: 'The digraph ⟨sh⟩ represents /ç/.',
+            phonemes: ['ʃ', 'ç', 'j', 'ʝ', 'a'],
+            words: ['shaya']
+        });
+        assert.equal(transliterator.toIPA('shaya').ipa, 'çaʝa');
+    });
+
+    test('romanizations apply only when the lexicon uses them', () => {
+        const phonemes = ['t͡ʃ', 'ŋ', 'n', 'g', 'a'];
+        const romanized = Transliterator.infer({ phonemes, words: ['changa'] });
+        assert.equal(romanized.toIPA('changa').ipa, 't͡ʃaŋa');
+
+        const ipaSpelled = Transliterator.infer({ phonemes, words: ['t͡ʃaŋa', 'naga'] });
+        assert.equal(ipaSpelled.toIPA('naga').ipa, 'naga');
+        assert.equal(ipaSpelled.spellingRules().length, 0);
+    });
+
+    test('spelling tables in the phonology', () => {
+        const transliterator = Transliterator.infer({
+            tables: [{ header: ['Letter', 'IPA'], rows: [['ö', '/ø/'], ['q', 'ʔ']] }],
+            phonemes: ['ø', 'ʔ']
+        });
+        assert.equal(transliterator.toIPA('qö').ipa, 'ʔø');
+    });
+});
+
+test.describe('real data', () => {
+    const dataDir = path.join(root, 'data');
+    const ids = fs.readdirSync(dataDir)
+        .filter(id => fs.existsSync(path.join(dataDir, id, 'lexicon.json')));
+
+    ids.forEach(id => {
+        test(id, () => {
+            const read = file => fs.readFileSync(path.join(dataDir, id, file), 'utf8');
+            const phonology = fs.existsSync(path.join(dataDir, id, 'phonology.txt')) ? read('phonology.txt') : '';
+            const lexicon = JSON.parse(read('lexicon.json'));
+            const words = renderer.normalizeLexicon(lexicon).map(entry => entry.word);
+
+            // The lexicons are written in IPA, so no spelling rules should be
+            // guessed; what's left over are sounds missing from the inventory
+            renderer.transliterator = renderer.createTransliterator(phonology, lexicon);
+            try {
+                assert.equal(renderer.transliterator.spellingRules().length, 0);
+                const incomplete = words.filter(word => renderer.transcribe(word).unknown.length > 0);
+                const html = renderer.renderLexicon(lexicon);
+                const listed = (html.match(/<ul class="untranscribed-words">.*?<\/ul>/s)?.[0].match(/<li>/g) || []).length;
+                assert.equal(listed, incomplete.length);
+                assert.ok(incomplete.length < words.length / 4, `${incomplete.length}/${words.length}`);
+            } finally {
+                renderer.transliterator = null;
+            }
+        });
+    });
+
+    test('without a phonology the lexicon is read as IPA', () => {
+        const transliterator = renderer.createTransliterator('', [{ word: 'ʔa.ˈka', translation: 'water' }]);
+        assert.equal(transliterator.toIPA('ʔa.ˈka').unknown.length, 0);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Word generator tests: model building, reproducibility and the rules the
+ * candidates must keep.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, loadScripts, createRenderer } = require('./helpers/load_scripts');
+
+const { WordGenerator } = loadScripts(['js/word_generator.js']);
+const renderer = createRenderer();
+
+const chart = `## Consonants
+
+| | Labial | Alveolar | Velar |
+| :--- | :---: | :---: | :---: |
+| **Plosive** | p | t | k |
+| **Ejective** | pʼ | tʼ | kʼ |
+| **Nasal** | m | n | |
+
+## Vowels
+
+| | Front | Back |
+| :--- | :---: | :---: |
+| **High (+ATR)** | i | u |
+| **High (-ATR)** | ɪ | ʊ |
+`;
+
+const constraints = {
+    syllable: 'CV(N)',
+    rules: [
+        { id: 'ejective-atr', forbid: ['ejective', '+ATR'] },
+        { id: 'atr-harmony', harmony: ['+ATR', '-ATR'] }
+    ]
+};
+const validator = renderer.createPhonotacticValidator(chart, constraints);
+const lexicon = ['ki.tu', 'mu.pi', 'kʼɪ.tʊ', 'pin', 'tu'];
+// The page gets the model as JSON
+const generator = () => new WordGenerator(JSON.parse(JSON.stringify(WordGenerator.fromLexicon(validator, lexicon))));
+
+test('the model is learned from the lexicon', () => {
+    const model = WordGenerator.fromLexicon(validator, lexicon);
+    const weight = (options, cluster) => options.find(([symbols]) => symbols.join() === cluster)?.[1];
+    assert.equal(weight(model.onsets, 't'), 3.5);
+    assert.equal(weight(model.codas, ''), 7);
+    assert.equal(model.lengths.map(([length, count]) => `${length}:${count}`).join(), '1:2,2:3');
+    assert.equal(model.harmony[0].map(set => set.join('')).join(' '), 'iu ɪʊ');
+});
+
+test('the same seed gives the same words', () => {
+    assert.deepEqual(generator().generate(15, 'abc'), generator().generate(15, 'abc'));
+    assert.notDeepEqual(generator().generate(15, 'abc'), generator().generate(15, 'xyz'));
+});
+
+test('candidates keep the phonotactics and avoid existing words', () => {
+    const words = generator().generate(40, 7);
+    assert.equal(words.length, 40);
+    assert.equal(new Set(words).size, words.length);
+    words.forEach(word => {
+        assert.ok(!lexicon.includes(word), word);
+        assert.equal(validator.validate(word).violations.length, 0, word);
+    });
+});
+
+test('real data: generated words pass the language\'s own checks', () => {
+    const dataDir = path.join(root, 'data');
+    fs.readdirSync(dataDir)
+        .filter(id => fs.existsSync(path.join(dataDir, id, 'phonotactics.json')))
+        .forEach(id => {
+            const read = file => fs.readFileSync(path.join(dataDir, id, file), 'utf8');
+            const lexiconData = JSON.parse(read('lexicon.json'));
+            const ownValidator = renderer.createPhonotacticValidator(read('phonology.txt'), JSON.parse(read('phonotactics.json')));
+            const transliterator = renderer.createTransliterator(read('phonology.txt'), lexiconData);
+            const words = renderer.normalizeLexicon(lexiconData).map(entry => transliterator.toIPA(entry.word).ipa);
+            const generated = new WordGenerator(WordGenerator.fromLexicon(ownValidator, words)).generate(50, 1);
+            generated.forEach(word => assert.equal(ownValidator.validate(word).violations.length, 0, `${id}: ${word}`));
+        });
+});
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * Pre-render every language in data/languages.json to a static page, with
+ * the same renderer the browser uses, so the pages can be indexed, shared
+ * and read without JavaScript:
+ *
+ *     languages/<id>/index.html   one page per language, with Open Graph tags
+ *     languages/index.html        a plain list of them
+ *     sitemap.xml                 the site and every language page
+ *
+ *     node tools/prerender.js [--base-url https://conlangcrafter.github.io] [--out .]
+ *
+ * Each language's page links to the list and to the language in the
+ * interactive browser by relative URLs; `--base-url` is only used for the
+ * canonical, Open Graph and sitemap URLs.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, rendererScripts, loadSiteScripts } = require('./site_scripts');
+
+const defaultBaseUrl = 'https://conlangcrafter.github.io';
+const siteName = 'ConlangCrafter';
+// The site's own preview image, as in index.html
+const image = { path: 'assets/teaser/teaser_v2.png', alt: 'ConlangCrafter Overview - Multi-hop LLM pipeline for constructing languages' };
+
+function pageUrl(baseUrl, languageId) {
+    return `${baseUrl}/languages/${languageId}/`;
+}
+
+/**
+ * A sentence or two about a language for search results and link previews
+ */
+function describeLanguage(entry, lexicon) {
+    const parts = [
+        entry.has_phonology && 'phonology',
+        entry.has_grammar && 'grammar',
+        Array.isArray(lexicon) && lexicon.length > 0 && `a lexicon of ${lexicon.length} words`
+    ].filter(Boolean);
+    const listed = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+    const features = (entry.features || []).join(', ');
+    const constraints = (entry.user_constraints || '').trim().replace(/\.+$/, '');
+
+    return [
+        `${entry.name} is a constructed language generated with ${siteName}${entry.model ? ` by ${entry.model}` : ''}${constraints ? ` under the constraint "${constraints}"` : ''}.`,
+        listed ? ` Its reference covers ${listed}.` : '',
+        features ? ` Features: ${features}.` : ''
+    ].join('');
+}
+
+/**
+ * Canonical URL, description and Open Graph / Twitter tags for a page
+ */
+function renderHead(renderer, { title, description, url, baseUrl, type = 'article' }) {
+    const attribute = text => renderer.escapeAttribute(text);
+    return `
+    <meta name="description" content="${attribute(description)}">
+    <link rel="canonical" href="${attribute(url)}">
+    <meta property="og:title" content="${attribute(title)}">
+    <meta property="og:type" content="${type}">
+    <meta property="og:description" content="${attribute(description)}">
+    <meta property="og:url" content="${attribute(url)}">
+    <meta property="og:site_name" content="${siteName}">
+    <meta property="og:image" content="${attribute(`${baseUrl}/${image.path}`)}">
+    <meta property="og:image:alt" content="${attribute(image.alt)}">
+    <meta name="twitter:card" content="summary">
+    <meta name="twitter:title" content="${attribute(title)}">
+    <meta name="twitter:description" content="${attribute(description)}">`;
+}
+
+/**
+ * Links from a language's page back to the list and to the browser
+ */
+function renderPageNav(languageId) {
+    return `<nav class="page-nav" aria-label="Site">
+        <a href="../">All languages</a>
+        <a href="../../#lang=${languageId}">Open in the interactive browser</a>
+    </nav>`;
+}
+
+/**
+ * A language's page: the browser's page for it, plus its metadata tags
+ * and links back to the site
+ */
+async function renderLanguagePage(renderer, languageId, baseUrl) {
+    const { metadata, phonology, grammar, lexicon, entry } = await renderer.loadLanguage(languageId);
+    const head = renderHead(renderer, {
+        title: `${entry?.name_orthography || entry?.name || languageId} – a ${siteName} language`,
+        description: describeLanguage(entry || { name: languageId }, lexicon),
+        url: pageUrl(baseUrl, languageId),
+        baseUrl
+    });
+    return {
+        html: renderer.renderLanguageHTML(metadata, phonology, grammar, lexicon, { head, nav: renderPageNav(languageId) }),
+        lastModified: (metadata?.created_at || '').slice(0, 10) || null
+    };
+}
+
+/**
+ * languages/index.html: every language as a link, for readers and
+ * crawlers without JavaScript
+ */
+function renderIndexPage(renderer, languages, baseUrl) {
+    const escape = text => renderer.escapeHtml(text);
+    const sorted = [...languages].sort((a, b) => a.name.localeCompare(b.name));
+    const items = sorted.map(entry => {
+        const ipa = entry.name_ipa && entry.name_ipa !== 'N/A' && entry.name_ipa !== entry.name
+            ? ` <span lang="${renderer.ipaTag}">/${escape(entry.name_ipa)}/</span>`
+            : '';
+        const features = (entry.features || []).length ? ` – ${escape(entry.features.join(', '))}` : '';
+        return `        <li><a href="${entry.id}/"><span lang="${renderer.languageTag(entry.id)}">${escape(entry.name)}</span></a>${ipa}${features}</li>`;
+    }).join('\n');
+    const title = `Generated languages – ${siteName}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>${renderHead(renderer, {
+        title,
+        description: `The ${languages.length} constructed languages generated with ${siteName}, each with its phonology, grammar and lexicon.`,
+        url: `${baseUrl}/languages/`,
+        baseUrl,
+        type: 'website'
+    })}
+    <link rel="stylesheet" href="../css/style.css">
+</head>
+<body>
+    <main class="container">
+        <h1>Generated languages</h1>
+        <p>Every language from the <a href="../#language-browser">${siteName} language browser</a>, which adds search, filters and comparison.</p>
+        <ul class="static-language-list">
+${items}
+        </ul>
+    </main>
+</body>
+</html>
+`;
+}
+
+function renderSitemap(urls) {
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const entries = urls.map(({ url, lastModified }) => `  <url>
+    <loc>${escape(url)}</loc>${lastModified ? `
+    <lastmod>${lastModified}</lastmod>` : ''}
+  </url>`).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</urlset>
+`;
+}
+
+/**
+ * Write every page under `out`; languages/ is rebuilt from scratch so
+ * removed languages don't linger
+ */
+async function prerender({ baseUrl = defaultBaseUrl, out = root, log = () => {} } = {}) {
+    baseUrl = baseUrl.replace(/\/+$/, '');
+    const { LanguageRenderer } = loadSiteScripts(rendererScripts);
+    const renderer = new LanguageRenderer();
+    const index = await renderer.repository.loadIndex();
+    const languages = index.languages;
+    const updated = (index.last_updated || '').slice(0, 10) || null;
+
+    const directory = path.join(out, 'languages');
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.mkdirSync(directory, { recursive: true });
+
+    const urls = [{ url: `${baseUrl}/`, lastModified: updated }, { url: `${baseUrl}/languages/`, lastModified: updated }];
+    for (const entry of languages) {
+        const { html, lastModified } = await renderLanguagePage(renderer, entry.id, baseUrl);
+        fs.mkdirSync(path.join(directory, entry.id));
+        fs.writeFileSync(path.join(directory, entry.id, 'index.html'), html);
+        urls.push({ url: pageUrl(baseUrl, entry.id), lastModified });
+        log(`languages/${entry.id}/index.html`);
+    }
+
+    fs.writeFileSync(path.join(directory, 'index.html'), renderIndexPage(renderer, languages, baseUrl));
+    fs.writeFileSync(path.join(out, 'sitemap.xml'), renderSitemap(urls));
+    log('languages/index.html', 'sitemap.xml');
+    return { languages: languages.length, urls };
+}
+
+function option(args, name, fallback) {
+    const at = args.indexOf(name);
+    return at !== -1 && args[at + 1] ? args[at + 1] : fallback;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    prerender({
+        baseUrl: option(args, '--base-url', defaultBaseUrl),
+        out: path.resolve(option(args, '--out', root))
+    }).then(({ languages, urls }) => {
+        console.log(`Pre-rendered ${languages} languages; sitemap.xml lists ${urls.length} URLs`);
+    }, error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { prerender, describeLanguage, renderHead, renderIndexPage, renderSitemap };
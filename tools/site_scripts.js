@@ -0,0 +1,57 @@
+/**
+ * Run the site's browser scripts in Node, for the tools in this directory
+ * and the tests, with fetch() reading the site's own files from disk
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const root = path.join(__dirname, '..');
+
+// The scripts index.html loads, in order
+const siteScripts = [...fs.readFileSync(path.join(root, 'index.html'), 'utf8').matchAll(/<script src="([^"]+)"><\/script>/g)]
+    .map(match => match[1]);
+
+// The ones language pages are built from: everything up to the renderer
+const rendererScripts = siteScripts.slice(0, siteScripts.indexOf('js/language_renderer.js') + 1);
+
+/**
+ * A fetch() that reads the site's files from disk, for code that loads
+ * data/ by URL
+ */
+async function fetchSiteFile(url) {
+    const filename = path.join(root, String(url));
+    const ok = filename.startsWith(root) && fs.existsSync(filename) && fs.statSync(filename).isFile();
+    const body = ok ? fs.readFileSync(filename, 'utf8') : '';
+    return {
+        ok,
+        status: ok ? 200 : 404,
+        statusText: ok ? 'OK' : 'Not Found',
+        text: async () => body,
+        json: async () => JSON.parse(body)
+    };
+}
+
+/**
+ * Run scripts in a fresh sandbox with the given globals and return the
+ * sandbox itself; top-level classes that a script does not put on
+ * `window` (main.js) can be reached with vm.runInContext
+ */
+function createSandbox(files, globals = {}) {
+    const context = vm.createContext({ window: {}, console, ...globals });
+    files.forEach(file => {
+        const filename = path.join(root, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+    return context;
+}
+
+/**
+ * Run `files` with the disk-backed fetch and return their `window`
+ */
+function loadSiteScripts(files, globals = {}) {
+    return createSandbox(files, { fetch: fetchSiteFile, ...globals }).window;
+}
+
+module.exports = { root, siteScripts, rendererScripts, fetchSiteFile, createSandbox, loadSiteScripts };
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Validate the data directory against the schemas in schemas/ and report
+ * every inconsistency per language (see js/data_validator.js).
+ *
+ *     node tools/validate_data.js [--errors|--warnings] [--json]
+ *
+ * --errors and --warnings leave out the less severe issues; --json prints
+ * the whole report. Exits with 1 if there are errors.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { root, loadSiteScripts } = require('./site_scripts');
+
+async function main(args) {
+    const { DataValidator } = loadSiteScripts(['js/language_repository.js', 'js/data_validator.js']);
+    const validator = new DataValidator();
+    const folders = fs.readdirSync(path.join(root, 'data'), { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+    const report = await validator.validate({ folders });
+
+    if (args.includes('--json')) {
+        process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    } else {
+        const minimumSeverity = args.includes('--errors') ? 'error' : args.includes('--warnings') ? 'warning' : 'info';
+        process.stdout.write(validator.formatText(report, { minimumSeverity }));
+    }
+    return report.counts.error > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(error);
+    process.exitCode = 2;
+});